@@ -0,0 +1,144 @@
+/**
+ * 自适应并发控制（AIMD）
+ * 每完成 windowSize 次 I/O 操作评估一次吞吐量与平均延迟：
+ * - 延迟明显高于基线且吞吐量没有提升：说明磁盘已饱和，并发窗口与批大小按比例缩小
+ * - 吞吐量不低于上一窗口：加性增大窗口，继续试探上限
+ * - 其余情况保持不变
+ * SSD、机械硬盘、网络共享的最佳并发差异很大，结果中的 best* 可按库根目录保存，下次作为初始值
+ */
+class AdaptiveConcurrencyController {
+    constructor(options = {}) {
+        this.options = {
+            minConcurrency: 4,
+            maxConcurrency: 1024,
+            minBatchSize: 10,
+            maxBatchSize: 500,
+            initialConcurrency: 200,
+            initialBatchSize: 50,
+            windowSize: 200, // 每个评估窗口的操作数
+            increaseStep: 8, // 并发窗口加性增量
+            batchIncreaseStep: 10, // 批大小加性增量
+            decreaseFactor: 0.7, // 乘性减小系数
+            latencyTolerance: 1.5, // 平均延迟超过基线的倍数视为过载
+            maxHistory: 200, // 保留的调整记录条数
+            ...options
+        };
+
+        this.concurrency = this._clamp(this.options.initialConcurrency, this.options.minConcurrency, this.options.maxConcurrency);
+        this.batchSize = this._clamp(this.options.initialBatchSize, this.options.minBatchSize, this.options.maxBatchSize);
+        this.reset();
+    }
+
+    /**
+     * 开始新一轮扫描（保留当前窗口大小，清空测量数据）
+     */
+    reset() {
+        this.startTime = Date.now();
+        this.windowStart = this.startTime;
+        this.windowOperations = 0;
+        this.windowLatency = 0;
+        this.baselineLatency = null;
+        this.lastThroughput = null;
+        this.best = null;
+        this.history = [];
+    }
+
+    /**
+     * 记录一次操作的耗时
+     */
+    record(durationMs) {
+        this.windowOperations++;
+        this.windowLatency += durationMs;
+
+        if (this.windowOperations >= this.options.windowSize) {
+            this._adjust();
+        }
+    }
+
+    _adjust() {
+        const now = Date.now();
+        const elapsed = Math.max(1, now - this.windowStart);
+        const throughput = this.windowOperations / elapsed * 1000;
+        const latency = this.windowLatency / this.windowOperations;
+        const { latencyTolerance, decreaseFactor } = this.options;
+
+        // 基线取观察到的最低延迟，并缓慢跟随，避免被一次偶然的低值锁死
+        if (this.baselineLatency === null || latency < this.baselineLatency) {
+            this.baselineLatency = latency;
+        } else {
+            this.baselineLatency = this.baselineLatency * 0.95 + latency * 0.05;
+        }
+
+        const previous = this.lastThroughput;
+        let action = 'hold';
+
+        if (previous !== null &&
+            latency > this.baselineLatency * latencyTolerance &&
+            throughput <= previous * 1.05) {
+            action = 'decrease';
+            this._setWindow(
+                Math.floor(this.concurrency * decreaseFactor),
+                Math.floor(this.batchSize * decreaseFactor)
+            );
+        } else if (previous === null || throughput >= previous * 0.95) {
+            action = 'increase';
+            this._setWindow(
+                this.concurrency + this.options.increaseStep,
+                this.batchSize + this.options.batchIncreaseStep
+            );
+        }
+
+        if (!this.best || throughput > this.best.throughput) {
+            // 记录产生该吞吐量的窗口（调整之前的值）
+            const last = this.history[this.history.length - 1];
+            this.best = {
+                concurrency: last ? last.concurrency : this.options.initialConcurrency,
+                batchSize: last ? last.batchSize : this.options.initialBatchSize,
+                throughput
+            };
+        }
+
+        this.history.push({
+            elapsedMs: now - this.startTime,
+            throughput: Number(throughput.toFixed(1)),
+            latencyMs: Number(latency.toFixed(3)),
+            action,
+            concurrency: this.concurrency,
+            batchSize: this.batchSize
+        });
+        if (this.history.length > this.options.maxHistory) {
+            this.history.shift();
+        }
+
+        this.lastThroughput = throughput;
+        this.windowStart = now;
+        this.windowOperations = 0;
+        this.windowLatency = 0;
+    }
+
+    _setWindow(concurrency, batchSize) {
+        this.concurrency = this._clamp(concurrency, this.options.minConcurrency, this.options.maxConcurrency);
+        this.batchSize = this._clamp(batchSize, this.options.minBatchSize, this.options.maxBatchSize);
+    }
+
+    _clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+
+    /**
+     * 当前取值、最佳取值与调整历史
+     */
+    getReport() {
+        return {
+            concurrency: this.concurrency,
+            batchSize: this.batchSize,
+            bestConcurrency: this.best ? this.best.concurrency : this.concurrency,
+            bestBatchSize: this.best ? this.best.batchSize : this.batchSize,
+            bestThroughput: this.best ? Number(this.best.throughput.toFixed(1)) : null,
+            baselineLatencyMs: this.baselineLatency !== null ? Number(this.baselineLatency.toFixed(3)) : null,
+            history: this.history.slice()
+        };
+    }
+}
+
+module.exports = AdaptiveConcurrencyController;
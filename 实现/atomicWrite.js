@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+let tempCounter = 0;
+
+/**
+ * 目标文件同目录下的临时文件路径：.文件名.进程号.计数.随机后缀.tmp
+ * 带进程内计数与随机后缀，同一毫秒内对同一文件名的多次写入互不干扰
+ */
+function createTempPath(filePath) {
+    const suffix = `${process.pid}.${++tempCounter}.${crypto.randomBytes(4).toString('hex')}`;
+    return path.join(path.dirname(filePath), `.${path.basename(filePath)}.${suffix}.tmp`);
+}
+
+/**
+ * 原子写文件：写入同目录下的临时文件并 fsync，再重命名覆盖目标文件
+ * 中途崩溃或断电时，目标文件要么是旧内容，要么是完整的新内容
+ */
+async function writeFileAtomic(filePath, data) {
+    const dir = path.dirname(filePath);
+    const tempFile = createTempPath(filePath);
+
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const fileHandle = await fs.promises.open(tempFile, 'wx');
+    try {
+        try {
+            await fileHandle.writeFile(data);
+            await fileHandle.sync();
+        } finally {
+            await fileHandle.close();
+        }
+        await fs.promises.rename(tempFile, filePath);
+    } catch (error) {
+        // 写入、fsync（ENOSPC、EIO）或重命名失败时都删除临时文件
+        await fs.promises.unlink(tempFile).catch(() => {});
+        throw error;
+    }
+
+    await syncDirectory(dir);
+}
+
+/**
+ * fsync 目录，使重命名本身落盘
+ * Windows 等不支持打开目录的平台上忽略
+ */
+async function syncDirectory(dir) {
+    let dirHandle;
+    try {
+        dirHandle = await fs.promises.open(dir, 'r');
+        await dirHandle.sync();
+    } catch (error) {
+        if (!['EISDIR', 'EPERM', 'EACCES', 'EINVAL', 'EBADF'].includes(error.code)) throw error;
+    } finally {
+        if (dirHandle) await dirHandle.close();
+    }
+}
+
+module.exports = {
+    createTempPath,
+    writeFileAtomic
+};
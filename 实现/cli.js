@@ -0,0 +1,506 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const FastDirectoryScanner = require('./testHighPerformance');
+const { Logger } = require('./logger');
+const { FILE_COLUMNS, createStreamOutput, createFileOutput, escapeCsv, streamReport } = require('./reporters');
+
+const EXIT_OK = 0;
+const EXIT_DUPLICATES = 1; // --fail-on-dupes 且发现重复文件（任何命令）
+const EXIT_USAGE = 2; // 参数错误
+const EXIT_ERROR = 3; // 扫描或写出失败
+
+const USAGE = `用法: node cli.js <命令> <根目录...> [选项]
+
+命令:
+  scan      扫描并输出概要（--format json/ndjson/csv/html 输出完整报告或文件列表）
+  dupes     查找重复文件（自动启用哈希）
+  largest   最大的文件（--count，默认 10）
+  range     按创建时间范围列出文件（--from / --to，ISO 日期或时间戳）
+  stats     扫描统计与创建时间分布
+  hash      列出文件哈希（自动启用哈希，--path 只输出指定的相对路径）
+
+扫描选项:
+  --concurrency <n>         目录读取并发数（默认 200）
+  --batch-size <n>          文件批大小（默认 50）
+  --adaptive                自动调整并发数与批大小
+  --hash                    计算文件哈希
+  --hash-strategy <name>    fnv1a64-sampled / md5-sampled / sha256-full 等
+  --hash-threshold <bytes>  小于等于该大小的文件计算完整哈希
+  --hash-sample-size <bytes>
+  --hash-workers <n|auto>   哈希计算线程数，0 表示在主线程计算
+  --verify                  对哈希相同的文件做全量内容比对
+  --include <glob>          文件白名单（可重复）
+  --exclude <glob>          文件 / 目录黑名单（可重复）
+  --ext <ext>               扩展名白名单（可重复，如 --ext mp4 --ext mkv）
+  --exclude-path <dir>      跳过的绝对路径（可重复，如待删除目录）
+  --cache <file>            增量扫描快照文件
+  --probe                   解析视频时长、分辨率、编码与旋转
+  --strict                  有目录或文件读取失败时使扫描失败（退出码 3）
+
+输出选项:
+  -f, --format <fmt>        text（默认）/ json / ndjson / csv / html（仅 scan）
+  -o, --output <file>       写入文件而不是标准输出（完成后替换，失败时保留原文件）
+  -n, --count <n>           largest 的数量
+  --from <date> --to <date> range 的时间范围（闭区间）
+  --path <relative>         hash 只输出指定文件（可重复）
+  --fail-on-dupes           发现重复文件时以退出码 1 结束（自动启用哈希）
+  -q, --quiet               不输出日志
+  -v, --verbose             输出扫描过程与统计日志
+  -h, --help                显示帮助
+
+数据输出到标准输出（或 --output），日志输出到标准错误，可直接用于管道。
+多个根目录分别扫描，输出中带 root 字段。
+
+退出码: 0 成功，1 发现重复文件（--fail-on-dupes），2 参数错误，3 扫描失败`;
+
+const OPTIONS = {
+    concurrency: { type: 'string' },
+    'batch-size': { type: 'string' },
+    adaptive: { type: 'boolean' },
+    hash: { type: 'boolean' },
+    'hash-strategy': { type: 'string' },
+    'hash-threshold': { type: 'string' },
+    'hash-sample-size': { type: 'string' },
+    'hash-workers': { type: 'string' },
+    verify: { type: 'boolean' },
+    include: { type: 'string', multiple: true },
+    exclude: { type: 'string', multiple: true },
+    ext: { type: 'string', multiple: true },
+    'exclude-path': { type: 'string', multiple: true },
+    cache: { type: 'string' },
+    probe: { type: 'boolean' },
+    strict: { type: 'boolean' },
+    format: { type: 'string', short: 'f', default: 'text' },
+    output: { type: 'string', short: 'o' },
+    count: { type: 'string', short: 'n' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    path: { type: 'string', multiple: true },
+    'fail-on-dupes': { type: 'boolean' },
+    quiet: { type: 'boolean', short: 'q' },
+    verbose: { type: 'boolean', short: 'v' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const COMMANDS = {
+    scan: { formats: ['text', 'json', 'ndjson', 'csv', 'html'], run: runScan },
+    dupes: { formats: ['text', 'json', 'ndjson', 'csv'], hash: true, run: runDupes },
+    largest: { formats: ['text', 'json', 'ndjson', 'csv'], run: runLargest },
+    range: { formats: ['text', 'json', 'ndjson', 'csv'], run: runRange },
+    stats: { formats: ['text', 'json'], run: runStats },
+    hash: { formats: ['text', 'json', 'ndjson', 'csv'], hash: true, run: runHash }
+};
+
+function createUsageError(message) {
+    const error = new Error(message);
+    error.code = 'EUSAGE';
+    return error;
+}
+
+function parseInteger(name, value, min = 0) {
+    if (value === undefined) return undefined;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+        throw createUsageError(`--${name} 需要不小于 ${min} 的整数: ${value}`);
+    }
+    return number;
+}
+
+function parseDate(name, value) {
+    if (value === undefined) return undefined;
+
+    const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw createUsageError(`--${name} 不是有效的日期: ${value}`);
+    }
+    return date;
+}
+
+/**
+ * 命令行参数 -> { command, roots, values }
+ */
+function parseCommandLine(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+    if (values.help) return { help: true };
+
+    const [command, ...roots] = positionals;
+    if (!command) throw createUsageError('缺少命令');
+    if (!COMMANDS[command]) throw createUsageError(`未知命令: ${command}`);
+    if (roots.length === 0) throw createUsageError('缺少根目录');
+
+    if (!COMMANDS[command].formats.includes(values.format)) {
+        throw createUsageError(`${command} 不支持输出格式 ${values.format}（可用: ${COMMANDS[command].formats.join(', ')}）`);
+    }
+    if (values.format === 'html' && roots.length > 1) {
+        throw createUsageError('html 报告只支持单个根目录');
+    }
+    if (command === 'range' && values.from === undefined && values.to === undefined) {
+        throw createUsageError('range 需要 --from 或 --to');
+    }
+
+    return { command, roots, values };
+}
+
+/**
+ * forceHash: 命令本身需要哈希（dupes / hash）；--fail-on-dupes 需要哈希才能发现重复文件
+ */
+function createScannerOptions(values, logger, forceHash) {
+    const hashWorkers = values['hash-workers'];
+    const options = {
+        maxConcurrency: parseInteger('concurrency', values.concurrency, 1),
+        batchSize: parseInteger('batch-size', values['batch-size'], 1),
+        adaptiveConcurrency: values.adaptive || undefined,
+        enableHash: Boolean(values.hash || values.verify || values['fail-on-dupes'] || forceHash),
+        hashStrategy: values['hash-strategy'],
+        hashThreshold: parseInteger('hash-threshold', values['hash-threshold']),
+        hashSampleSize: parseInteger('hash-sample-size', values['hash-sample-size'], 1),
+        hashWorkers: hashWorkers === 'auto' ? 'auto' : parseInteger('hash-workers', hashWorkers),
+        verifyDuplicates: values.verify || undefined,
+        include: values.include,
+        exclude: values.exclude,
+        extensions: values.ext,
+        excludePaths: values['exclude-path'] ? values['exclude-path'].map(dir => path.resolve(dir)) : undefined,
+        cacheFile: values.cache,
+        probe: values.probe || undefined,
+        strict: values.strict || undefined,
+        logger
+    };
+
+    // 未指定的选项使用扫描器默认值
+    return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
+
+function createLogger(values) {
+    let level = 'warn';
+    if (values.quiet) level = 'silent';
+    else if (values.verbose) level = 'info';
+
+    // 标准输出留给数据
+    return new Logger({
+        level,
+        sink: { debug: console.error, info: console.error, warn: console.error, error: console.error }
+    });
+}
+
+// ----------------------------------------------------------------------
+// 输出
+// ----------------------------------------------------------------------
+
+function formatTime(date) {
+    return new Date(date).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * 按格式输出记录列表；text 格式使用 toText(record) 生成每一行
+ */
+async function writeRecords(output, format, records, columns, toText) {
+    if (format === 'json') {
+        await output.write(`${JSON.stringify(records, null, 2)}\n`);
+    } else if (format === 'ndjson') {
+        for (const record of records) {
+            await output.write(`${JSON.stringify(record)}\n`);
+        }
+    } else if (format === 'csv') {
+        await output.write(`${columns.join(',')}\r\n`);
+        await writeCsvRows(output, records, columns);
+    } else {
+        for (const record of records) {
+            await output.write(`${toText(record)}\n`);
+        }
+    }
+}
+
+async function writeCsvRows(output, records, columns) {
+    for (const record of records) {
+        await output.write(`${columns.map(column => escapeCsv(record[column])).join(',')}\r\n`);
+    }
+}
+
+function fileColumns(multiRoot) {
+    return multiRoot ? ['root', ...FILE_COLUMNS] : FILE_COLUMNS;
+}
+
+function toFileRecord(scan, fileInfo, multiRoot) {
+    const record = scan.scanner._toReportRecord(fileInfo);
+    return multiRoot ? { root: scan.root, ...record } : record;
+}
+
+function fileText(scan, record) {
+    const size = scan.scanner._formatFileSize(record.size).padStart(10);
+    return `${formatTime(record.createTime)} | ${size} | ${record.root ? path.join(record.root, record.path) : record.path}`;
+}
+
+// ----------------------------------------------------------------------
+// 命令
+// ----------------------------------------------------------------------
+
+async function runScan(scans, values, output) {
+    const multiRoot = scans.length > 1;
+    const { format } = values;
+
+    if (format === 'json' || format === 'html') {
+        if (multiRoot) await output.write('[\n');
+        for (let i = 0; i < scans.length; i++) {
+            if (i > 0) await output.write(',\n');
+            await streamReport(scans[i].scanner.getReport(), format, output.stream);
+        }
+        if (multiRoot) await output.write(']\n');
+    } else if (format === 'ndjson' || format === 'csv') {
+        const columns = fileColumns(multiRoot);
+        if (format === 'csv') await output.write(`${columns.join(',')}\r\n`);
+
+        // 多个根目录的文件写在同一个列表中（csv 只有一行表头）
+        for (const scan of scans) {
+            const records = scan.scanner.filesByCreateTime.map(file => toFileRecord(scan, file, multiRoot));
+            if (format === 'csv') {
+                await writeCsvRows(output, records, columns);
+            } else {
+                await writeRecords(output, format, records, columns, null);
+            }
+        }
+    } else {
+        for (const scan of scans) {
+            await output.write(`${summaryText(scan).join('\n')}\n`);
+        }
+    }
+}
+
+function summaryText(scan) {
+    const { results, scanner } = scan;
+    const lines = [
+        `根目录: ${scan.root}`,
+        `文件总数: ${results.totalFiles}`,
+        `总大小: ${results.formattedTotalSize}`,
+        `耗时: ${results.scanDuration}`,
+        `目录数: ${results.stats.directoriesScanned}`
+    ];
+
+    if (results.stats.errorCount > 0) {
+        lines.push(`读取失败: ${results.stats.errorCount}`);
+    }
+
+    if (scanner.options.enableHash) {
+        const groups = duplicateGroups(scan);
+        lines.push(`计算哈希的文件数: ${results.stats.filesWithHash}`);
+        lines.push(`重复文件: ${groups.length} 组 / ${groups.reduce((sum, group) => sum + group.files.length, 0)} 个文件`);
+    }
+    return lines;
+}
+
+/**
+ * 重复文件分组；启用 --verify 时只保留全量比对确认的分组
+ */
+function duplicateGroups(scan) {
+    const { scanner } = scan;
+    if (!scanner.options.enableHash) return [];
+
+    const verified = scanner.getVerifiedDuplicates();
+    if (!verified) return scanner.getAllDuplicateFiles();
+
+    const groups = [];
+    verified.forEach(({ hash, confirmed }) => {
+        confirmed.forEach((paths) => {
+            groups.push({
+                hash,
+                files: paths.map(file => ({
+                    path: file,
+                    size: scanner.fileMap.get(file).size,
+                    formattedSize: scanner._formatFileSize(scanner.fileMap.get(file).size)
+                }))
+            });
+        });
+    });
+    return groups;
+}
+
+async function runDupes(scans, values, output) {
+    const multiRoot = scans.length > 1;
+    const groups = [];
+
+    scans.forEach((scan) => {
+        duplicateGroups(scan).forEach((group) => {
+            groups.push(multiRoot ? { root: scan.root, ...group } : group);
+        });
+    });
+
+    if (values.format === 'csv') {
+        const rows = [];
+        groups.forEach((group, index) => {
+            group.files.forEach((file) => {
+                rows.push({ root: group.root, group: index + 1, hash: group.hash, size: file.size, path: file.path });
+            });
+        });
+        const columns = multiRoot ? ['root', 'group', 'hash', 'size', 'path'] : ['group', 'hash', 'size', 'path'];
+        await writeRecords(output, 'csv', rows, columns, null);
+    } else {
+        await writeRecords(output, values.format, groups, null, group => [
+            `${group.hash} (${group.files.length} 个文件, 每个 ${group.files[0].formattedSize})`,
+            ...group.files.map(file => `  ${group.root ? path.join(group.root, file.path) : file.path}`)
+        ].join('\n'));
+    }
+}
+
+async function runLargest(scans, values, output) {
+    const count = parseInteger('count', values.count, 1) || 10;
+    const multiRoot = scans.length > 1;
+
+    const files = [];
+    scans.forEach((scan) => {
+        scan.scanner.getLargestFiles(count).forEach(file => files.push({ scan, record: toFileRecord(scan, file, multiRoot) }));
+    });
+    files.sort((a, b) => b.record.size - a.record.size);
+
+    const top = files.slice(0, count);
+    const texts = new Map(top.map(({ scan, record }) => [record, fileText(scan, record)]));
+    await writeRecords(output, values.format, top.map(item => item.record), fileColumns(multiRoot), record => texts.get(record));
+}
+
+async function runRange(scans, values, output) {
+    const from = parseDate('from', values.from);
+    const to = parseDate('to', values.to);
+    const multiRoot = scans.length > 1;
+
+    const files = [];
+    scans.forEach((scan) => {
+        scan.scanner.getFilesByTimeRange(from, to).forEach(file => files.push({ scan, record: toFileRecord(scan, file, multiRoot) }));
+    });
+    files.sort((a, b) => a.record.createTime.localeCompare(b.record.createTime));
+
+    const texts = new Map(files.map(({ scan, record }) => [record, fileText(scan, record)]));
+    await writeRecords(output, values.format, files.map(item => item.record), fileColumns(multiRoot), record => texts.get(record));
+}
+
+async function runStats(scans, values, output) {
+    if (values.format === 'json') {
+        const stats = scans.map(scan => ({
+            root: scan.root,
+            ...scan.results,
+            timeDistribution: scan.scanner._getTimeDistribution()
+        }));
+        await output.write(`${JSON.stringify(stats.length === 1 ? stats[0] : stats, null, 2)}\n`);
+        return;
+    }
+
+    for (const scan of scans) {
+        const { results } = scan;
+        const lines = [
+            ...summaryText(scan),
+            `纯扫描耗时: ${results.pureScanTime}`,
+            `stat 耗时: ${results.statTotalTime}`,
+            `排序耗时: ${results.sortTime}`,
+            `哈希耗时: ${results.hashTime}`,
+            `最大并发数: ${results.stats.maxConcurrent}`,
+            '创建时间分布:',
+            ...scan.scanner._getTimeDistribution().map(({ period, count, percentage }) => `  ${period}: ${count} (${percentage.toFixed(1)}%)`)
+        ];
+        await output.write(`${lines.join('\n')}\n`);
+    }
+}
+
+async function runHash(scans, values, output) {
+    const multiRoot = scans.length > 1;
+    const only = values.path ? new Set(values.path.map(item => path.normalize(item))) : null;
+    const records = [];
+
+    scans.forEach((scan) => {
+        scan.scanner.filesByCreateTime.forEach((file) => {
+            if (only && !only.has(file.path)) return;
+
+            const hashInfo = scan.scanner.getFileHash(file.path);
+            const record = { path: file.path, hash: hashInfo ? hashInfo.hash : null, method: hashInfo ? hashInfo.method : null };
+            records.push(multiRoot ? { root: scan.root, ...record } : record);
+        });
+    });
+
+    const columns = multiRoot ? ['root', 'path', 'hash', 'method'] : ['path', 'hash', 'method'];
+    await writeRecords(output, values.format, records, columns, record => `${record.hash || '-'}  ${record.root ? path.join(record.root, record.path) : record.path}`);
+}
+
+// ----------------------------------------------------------------------
+
+async function scanRoots(roots, options) {
+    const scans = [];
+
+    for (const root of roots) {
+        if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+            throw createUsageError(`根目录不存在或不是目录: ${root}`);
+        }
+
+        const scanner = new FastDirectoryScanner(options);
+        const results = await scanner.scanDirectory(root);
+        scans.push({ root: path.resolve(root), scanner, results });
+    }
+    return scans;
+}
+
+/**
+ * 执行命令行，返回退出码
+ */
+async function main(argv = process.argv.slice(2)) {
+    let parsed;
+    try {
+        parsed = parseCommandLine(argv);
+    } catch (error) {
+        console.error(error.message);
+        console.error('使用 --help 查看用法');
+        return EXIT_USAGE;
+    }
+
+    if (parsed.help) {
+        console.log(USAGE);
+        return EXIT_OK;
+    }
+
+    const { command, roots, values } = parsed;
+    const logger = createLogger(values);
+    let output = null;
+
+    try {
+        const options = createScannerOptions(values, logger, COMMANDS[command].hash);
+        const scans = await scanRoots(roots, options);
+
+        // 扫描成功后才创建输出；写入文件时经临时文件重命名，失败不会截断原来的报告
+        if (values.output) {
+            output = createFileOutput(values.output);
+        } else {
+            output = createStreamOutput(process.stdout);
+            output.stream = process.stdout;
+        }
+        await Promise.race([COMMANDS[command].run(scans, values, output), output.failed]);
+        if (output.commit) await output.commit();
+
+        const foundDuplicates = scans.some(scan => duplicateGroups(scan).length > 0);
+        return foundDuplicates && values['fail-on-dupes'] ? EXIT_DUPLICATES : EXIT_OK;
+    } catch (error) {
+        if (output && output.abort) await output.abort();
+        if (error.code === 'EUSAGE') {
+            console.error(error.message);
+            return EXIT_USAGE;
+        }
+        logger.error('执行失败:', error.message);
+        return EXIT_ERROR;
+    }
+}
+
+if (require.main === module) {
+    // 下游管道提前关闭（如 | head）时正常退出
+    process.stdout.on('error', (error) => {
+        if (error.code === 'EPIPE') process.exit(EXIT_OK);
+    });
+
+    main().then((code) => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = {
+    main,
+    parseCommandLine,
+    EXIT_OK,
+    EXIT_DUPLICATES,
+    EXIT_USAGE,
+    EXIT_ERROR
+};
@@ -0,0 +1,70 @@
+/**
+ * 并发限制器：同时最多执行 limit 个任务，其余排队
+ * 各扫描阶段（stat、哈希读取）使用独立的限制器
+ */
+class ConcurrencyLimiter {
+    constructor(limit) {
+        this.limit = Math.max(1, limit);
+        this.active = 0;
+        this.queue = [];
+        this.maxPending = 0; // 观察到的最大排队长度
+        this.drainWaiters = [];
+    }
+
+    /**
+     * 排队中的任务数
+     */
+    get pending() {
+        return this.queue.length;
+    }
+
+    run(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this.maxPending = Math.max(this.maxPending, this.queue.length);
+            this._next();
+        });
+    }
+
+    /**
+     * 运行时调整并发上限
+     */
+    setLimit(limit) {
+        this.limit = Math.max(1, limit);
+        this._next();
+    }
+
+    /**
+     * 等待排队长度降到 count 以下（生产者背压）
+     */
+    async waitForPendingBelow(count) {
+        while (this.queue.length >= count) {
+            await new Promise(resolve => this.drainWaiters.push(resolve));
+        }
+    }
+
+    resetStats() {
+        this.maxPending = this.queue.length;
+    }
+
+    _next() {
+        while (this.active < this.limit && this.queue.length > 0) {
+            const { task, resolve, reject } = this.queue.shift();
+            this.active++;
+
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    this.active--;
+                    this._next();
+                });
+        }
+
+        const waiters = this.drainWaiters;
+        this.drainWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+}
+
+module.exports = ConcurrencyLimiter;
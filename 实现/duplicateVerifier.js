@@ -0,0 +1,136 @@
+const { readRange } = require('./hashStrategies');
+const { localFileSystem } = require('./fileSystems');
+
+/**
+ * 按精确大小分组
+ */
+function groupBySize(files) {
+    const groups = new Map();
+
+    for (const file of files) {
+        if (!groups.has(file.size)) {
+            groups.set(file.size, []);
+        }
+        groups.get(file.size).push(file);
+    }
+    return Array.from(groups.values());
+}
+
+/**
+ * 文件句柄池：最多同时打开 maxOpenFiles 个句柄，超出时关闭最久未使用的一个（再次读取时重新打开）
+ * 候选分组很大时也不会一次打开全部文件而耗尽文件描述符（EMFILE）
+ */
+class HandlePool {
+    constructor(fileSystem, maxOpenFiles) {
+        this.fileSystem = fileSystem;
+        this.maxOpenFiles = Math.max(1, maxOpenFiles);
+        this.handles = new Map(); // 文件 -> 句柄，按最近使用的顺序排列
+    }
+
+    async read(file, buffer, length, position) {
+        let handle = this.handles.get(file);
+        if (handle) {
+            this.handles.delete(file);
+        } else {
+            if (this.handles.size >= this.maxOpenFiles) {
+                const [oldest, oldestHandle] = this.handles.entries().next().value;
+                this.handles.delete(oldest);
+                await oldestHandle.close();
+            }
+            handle = await (file.fileSystem || this.fileSystem).open(file.fullPath);
+        }
+
+        this.handles.set(file, handle);
+        return readRange(handle, buffer, 0, length, position);
+    }
+
+    async closeAll() {
+        const handles = Array.from(this.handles.values());
+        this.handles.clear();
+        for (const handle of handles) {
+            await handle.close();
+        }
+    }
+}
+
+/**
+ * 逐块比较同样大小的一组文件
+ * 每读一块就按内容重新划分等价类，只剩一个成员的类立即退出比较
+ */
+async function compareSameSize(files, chunkSize, handles) {
+    let bytesRead = 0;
+    let classes = [files];
+    const singles = [];
+    const size = files[0].size;
+
+    for (let position = 0; position < size && classes.length > 0; position += chunkSize) {
+        const length = Math.min(chunkSize, size - position);
+        const nextClasses = [];
+
+        for (const members of classes) {
+            const buckets = [];
+
+            for (const file of members) {
+                const buffer = Buffer.alloc(length);
+                const read = await handles.read(file, buffer, length, position);
+                bytesRead += read;
+
+                const chunk = buffer.subarray(0, read);
+                const bucket = buckets.find(item => item.chunk.equals(chunk));
+                if (bucket) {
+                    bucket.files.push(file);
+                } else {
+                    buckets.push({ chunk, files: [file] });
+                }
+            }
+
+            for (const bucket of buckets) {
+                if (bucket.files.length > 1) {
+                    nextClasses.push(bucket.files);
+                } else {
+                    singles.push(bucket.files[0]);
+                }
+            }
+        }
+
+        classes = nextClasses;
+    }
+
+    return { identical: classes, singles, bytesRead };
+}
+
+/**
+ * 验证一组采样哈希相同的候选文件
+ * files: [{ path, fullPath, size, fileSystem }]，fileSystem 缺省时取 options.fileSystem（默认本地磁盘）
+ * options: { chunkSize, fileSystem, maxOpenFiles }，maxOpenFiles 为同时打开的文件句柄上限（默认 16）
+ * 返回 { confirmed: [[path, ...], ...], falsePositives: [path, ...], bytesRead }
+ */
+async function verifyDuplicateGroup(files, options = {}) {
+    const chunkSize = options.chunkSize || 1024 * 1024;
+    const handles = new HandlePool(options.fileSystem || localFileSystem, options.maxOpenFiles || 16);
+    const confirmed = [];
+    const falsePositives = [];
+    let bytesRead = 0;
+
+    try {
+        for (const sameSize of groupBySize(files)) {
+            if (sameSize.length < 2) {
+                falsePositives.push(sameSize[0].path);
+                continue;
+            }
+
+            const result = await compareSameSize(sameSize, chunkSize, handles);
+            bytesRead += result.bytesRead;
+            result.identical.forEach(members => confirmed.push(members.map(file => file.path)));
+            result.singles.forEach(file => falsePositives.push(file.path));
+        }
+    } finally {
+        await handles.closeAll();
+    }
+
+    return { confirmed, falsePositives, bytesRead };
+}
+
+module.exports = {
+    verifyDuplicateGroup
+};
@@ -0,0 +1,445 @@
+const path = require('path');
+
+/**
+ * 可排序 / 可按范围过滤的字段
+ */
+const KEY_GETTERS = {
+    createTime: file => file.createTime.getTime(),
+    firstSeen: file => (file.firstSeen || file.createTime).getTime(), // 首次发现时间，没有时用创建时间
+    modifyTime: file => file.modifyTime.getTime(),
+    accessTime: file => file.accessTime.getTime(),
+    size: file => file.size,
+    name: file => path.basename(file.path),
+    path: file => file.path
+};
+
+const TIME_KEYS = new Set(['createTime', 'firstSeen', 'modifyTime', 'accessTime']);
+
+function compareValues(a, b) {
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * 范围边界统一为可比较的值：时间字段接受 Date、时间戳或日期字符串
+ */
+function toRangeValue(key, value) {
+    if (value === undefined || value === null) return null;
+    if (!TIME_KEYS.has(key)) return value;
+
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) {
+        throw new Error(`无效的时间范围: ${key} = ${value}`);
+    }
+    return time;
+}
+
+/**
+ * 规范化排序参数：'size' / { key, order } / 数组
+ * 最后隐式追加 path 作为决胜字段（方向与第一个排序字段相同），保证顺序稳定、游标可用
+ */
+function normalizeSort(sortBy, order) {
+    const specs = (Array.isArray(sortBy) ? sortBy : [sortBy])
+        .filter(Boolean)
+        .map(spec => (typeof spec === 'string' ? { key: spec, order } : { order, ...spec }))
+        .map(spec => {
+            if (!KEY_GETTERS[spec.key]) {
+                throw new Error(`不支持的排序字段: ${spec.key}`);
+            }
+            return { key: spec.key, direction: spec.order === 'desc' ? -1 : 1 };
+        });
+
+    if (specs.length === 0) {
+        specs.push({ key: 'createTime', direction: order === 'desc' ? -1 : 1 });
+    }
+    if (!specs.some(spec => spec.key === 'path')) {
+        specs.push({ key: 'path', direction: specs[0].direction });
+    }
+    return specs;
+}
+
+/**
+ * 规范化范围过滤：{ size: { min, max }, createTime: { min, max }, ... }（闭区间）
+ */
+function normalizeRanges(filter = {}) {
+    return Object.entries(filter)
+        .filter(([, range]) => range)
+        .map(([key, range]) => {
+            if (!KEY_GETTERS[key]) {
+                throw new Error(`不支持的过滤字段: ${key}`);
+            }
+            return {
+                key,
+                getter: KEY_GETTERS[key],
+                min: toRangeValue(key, range.min),
+                max: toRangeValue(key, range.max)
+            };
+        });
+}
+
+function inRange(range, value) {
+    return (range.min === null || value >= range.min) && (range.max === null || value <= range.max);
+}
+
+function encodeCursor(record) {
+    return Buffer.from(JSON.stringify({ v: record.values })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const { v } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (Array.isArray(v)) return { values: v };
+    } catch (error) {
+        // 落到下面统一报错
+    }
+    throw new Error(`无效的分页游标: ${cursor}`);
+}
+
+/**
+ * 固定容量的堆：保留比较结果最小的 capacity 个元素（堆顶为其中最大者）
+ */
+class BoundedHeap {
+    constructor(capacity, compare) {
+        this.capacity = capacity;
+        this.compare = compare;
+        this.items = [];
+    }
+
+    push(item) {
+        const items = this.items;
+
+        if (items.length < this.capacity) {
+            items.push(item);
+            this._siftUp(items.length - 1);
+        } else if (this.capacity > 0 && this.compare(item, items[0]) < 0) {
+            items[0] = item;
+            this._siftDown(0);
+        }
+    }
+
+    /**
+     * 按比较结果升序取出全部元素
+     */
+    toSortedArray() {
+        return this.items.slice().sort(this.compare);
+    }
+
+    _siftUp(index) {
+        const items = this.items;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.compare(items[index], items[parent]) <= 0) break;
+            [items[index], items[parent]] = [items[parent], items[index]];
+            index = parent;
+        }
+    }
+
+    _siftDown(index) {
+        const items = this.items;
+        const length = items.length;
+
+        while (true) {
+            const left = index * 2 + 1;
+            const right = left + 1;
+            let largest = index;
+
+            if (left < length && this.compare(items[left], items[largest]) > 0) largest = left;
+            if (right < length && this.compare(items[right], items[largest]) > 0) largest = right;
+            if (largest === index) break;
+
+            [items[index], items[largest]] = [items[largest], items[index]];
+            index = largest;
+        }
+    }
+}
+
+/**
+ * 扫描结果的查询索引
+ * 每个字段一个按 (字段值, path) 升序的数组，首次按该字段查询时建立；
+ * 之后新增 / 删除的文件先记在待合并列表里，下次查询时批量合并，扫描期间不产生额外开销
+ */
+class FileIndex {
+    constructor(fileMap) {
+        this.fileMap = fileMap;
+        this.indexes = new Map(); // 字段 -> { items, added, removed }
+    }
+
+    add(fileInfo) {
+        this.indexes.forEach(index => index.added.push(fileInfo));
+    }
+
+    remove(fileInfo) {
+        this.indexes.forEach(index => index.removed.add(fileInfo));
+    }
+
+    /**
+     * 文件的字段值变化后（如补上首次发现时间），下次查询时重新排入
+     */
+    update(fileInfo) {
+        this.indexes.forEach(index => index.updated.add(fileInfo));
+    }
+
+    clear() {
+        this.indexes.clear();
+    }
+
+    /**
+     * 某字段的有序数组（升序）
+     */
+    getSorted(key) {
+        const getter = KEY_GETTERS[key];
+        let index = this.indexes.get(key);
+
+        if (!index) {
+            index = { items: [], added: Array.from(this.fileMap.values()), removed: new Set(), updated: new Set() };
+            this.indexes.set(key, index);
+        }
+
+        if (index.updated.size > 0) {
+            // 先移出再按新值合并；已删除的文件不再排入
+            const updated = index.updated;
+            index.items = index.items.filter(file => !updated.has(file));
+            index.added = index.added.filter(file => !updated.has(file));
+            updated.forEach(file => {
+                if (!index.removed.has(file) && this.fileMap.get(file.path) === file) index.added.push(file);
+            });
+            index.updated = new Set();
+        }
+
+        if (index.removed.size > 0) {
+            const removed = index.removed;
+            index.items = index.items.filter(file => !removed.has(file));
+            index.added = index.added.filter(file => !removed.has(file));
+            index.removed = new Set();
+        }
+
+        if (index.added.length > 0) {
+            const compare = (a, b) => compareValues(getter(a), getter(b)) || compareValues(a.path, b.path);
+            const added = index.added.sort(compare);
+            index.items = index.items.length === 0 ? added : this._merge(index.items, added, compare);
+            index.added = [];
+        }
+
+        return index.items;
+    }
+
+    /**
+     * 查询
+     * - sortBy: 字段名、{ key, order } 或其数组；order: 'asc' | 'desc'
+     * - filter: { size|createTime|firstSeen|modifyTime|accessTime|name|path: { min, max } }
+     * - limit / offset：偏移分页；cursor：上一页返回的 nextCursor
+     * 返回 { items, total, offset, nextCursor }，total 为满足过滤条件的总数
+     */
+    query(options = {}) {
+        const specs = normalizeSort(options.sortBy, options.order);
+        const ranges = normalizeRanges(options.filter);
+        const limit = options.limit === undefined || options.limit === null ? Infinity : options.limit;
+        const offset = options.offset || 0;
+        const cursor = options.cursor ? decodeCursor(options.cursor) : null;
+
+        if (cursor && cursor.values.length !== specs.length) {
+            throw new Error('分页游标与排序参数不匹配');
+        }
+
+        const toRecord = file => ({ file, values: specs.map(spec => KEY_GETTERS[spec.key](file)) });
+        const compare = (a, b) => {
+            for (let i = 0; i < specs.length; i++) {
+                const result = compareValues(a.values[i], b.values[i]) * specs[i].direction;
+                if (result !== 0) return result;
+            }
+            return 0;
+        };
+
+        // 索引按 (字段值, path) 升序，单字段排序且 path 同向时可直接按索引遍历
+        const isSingleKey = specs.length === 1 ||
+            (specs.length === 2 && specs[1].key === 'path' && specs[1].direction === specs[0].direction);
+        const page = isSingleKey
+            ? this._queryByIndex(specs[0], ranges, cursor, offset, limit, toRecord)
+            : this._queryBySelection(ranges, cursor, offset, limit, toRecord, compare);
+
+        return {
+            items: page.records.map(record => record.file),
+            total: page.total,
+            offset,
+            nextCursor: page.hasMore && page.records.length > 0
+                ? encodeCursor(page.records[page.records.length - 1])
+                : null
+        };
+    }
+
+    /**
+     * 单字段排序：直接按索引顺序遍历，排序字段上的范围与游标用二分查找定位
+     * 只遍历游标之后的一页；total 在没有其他字段的范围过滤时直接由边界相减得到
+     */
+    _queryByIndex(spec, ranges, cursor, offset, limit, toRecord) {
+        const items = this.getSorted(spec.key);
+        const getter = KEY_GETTERS[spec.key];
+        const keyRange = ranges.find(range => range.key === spec.key);
+        const otherRanges = ranges.filter(range => range !== keyRange);
+        const matches = file => otherRanges.every(range => inRange(range, range.getter(file)));
+
+        const low = keyRange && keyRange.min !== null ? this._lowerBound(items, getter, keyRange.min) : 0;
+        const high = keyRange && keyRange.max !== null ? this._upperBound(items, getter, keyRange.max) : items.length;
+        const step = spec.direction;
+
+        let total = high - low;
+        if (otherRanges.length > 0) {
+            total = 0;
+            for (let i = low; i < high; i++) {
+                if (matches(items[i])) total++;
+            }
+        }
+
+        // 游标为上一页最后一条的 (字段值, path)，索引按 (字段值, path) 升序
+        let begin = low;
+        let end = high;
+        if (cursor) {
+            const cursorKey = { value: cursor.values[0], path: cursor.values[cursor.values.length - 1] };
+            if (step === 1) {
+                begin = Math.max(low, this._cursorBound(items, getter, cursorKey, true));
+            } else {
+                end = Math.min(high, this._cursorBound(items, getter, cursorKey, false));
+            }
+        }
+
+        const records = [];
+        let skipped = 0;
+        let hasMore = false;
+
+        for (let i = step === 1 ? begin : end - 1; step === 1 ? i < end : i >= begin; i += step) {
+            const file = items[i];
+            if (!matches(file)) continue;
+
+            if (skipped < offset) {
+                skipped++;
+            } else if (records.length < limit) {
+                records.push(toRecord(file));
+            } else {
+                hasMore = true;
+                break;
+            }
+        }
+
+        return { records, total, hasMore };
+    }
+
+    /**
+     * 多字段排序：用容量为 offset + limit 的堆做 Top-N 选择，不做全量排序
+     */
+    _queryBySelection(ranges, cursor, offset, limit, toRecord, compare) {
+        const cursorRecord = cursor ? { values: cursor.values } : null;
+        const candidates = this._rangeCandidates(ranges);
+        const capacity = offset + limit;
+        const heap = Number.isFinite(capacity) ? new BoundedHeap(capacity, compare) : null;
+        const selected = [];
+        let total = 0;
+        let remaining = 0;
+
+        for (const file of candidates) {
+            if (!ranges.every(range => inRange(range, range.getter(file)))) continue;
+            total++;
+
+            const record = toRecord(file);
+            if (cursorRecord && compare(record, cursorRecord) <= 0) continue;
+
+            remaining++;
+            if (heap) {
+                heap.push(record);
+            } else {
+                selected.push(record);
+            }
+        }
+
+        const ordered = heap ? heap.toSortedArray() : selected.sort(compare);
+        const records = ordered.slice(offset, offset + limit);
+
+        return { records, total, hasMore: remaining > offset + records.length };
+    }
+
+    /**
+     * 有范围条件时，先用第一个范围字段的索引缩小候选集
+     */
+    _rangeCandidates(ranges) {
+        const range = ranges[0];
+        if (!range) return this.fileMap.values();
+
+        const items = this.getSorted(range.key);
+        const low = range.min !== null ? this._lowerBound(items, range.getter, range.min) : 0;
+        const high = range.max !== null ? this._upperBound(items, range.getter, range.max) : items.length;
+        return items.slice(low, high);
+    }
+
+    /**
+     * 游标在索引中的位置：after 为 true 时是第一个 > 游标的位置，否则是第一个 >= 游标的位置
+     */
+    _cursorBound(items, getter, cursorKey, after) {
+        let low = 0;
+        let high = items.length;
+
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            const result = compareValues(getter(items[mid]), cursorKey.value) || compareValues(items[mid].path, cursorKey.path);
+            if (result < 0 || (after && result === 0)) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * 第一个 >= value 的位置
+     */
+    _lowerBound(items, getter, value) {
+        let low = 0;
+        let high = items.length;
+
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (getter(items[mid]) < value) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * 第一个 > value 的位置
+     */
+    _upperBound(items, getter, value) {
+        let low = 0;
+        let high = items.length;
+
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (getter(items[mid]) <= value) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    _merge(left, right, compare) {
+        const result = new Array(left.length + right.length);
+        let i = 0;
+        let j = 0;
+        let k = 0;
+
+        while (i < left.length && j < right.length) {
+            result[k++] = compare(left[i], right[j]) <= 0 ? left[i++] : right[j++];
+        }
+        while (i < left.length) result[k++] = left[i++];
+        while (j < right.length) result[k++] = right[j++];
+        return result;
+    }
+}
+
+module.exports = {
+    FileIndex,
+    BoundedHeap,
+    SORT_KEYS: Object.keys(KEY_GETTERS)
+};
@@ -0,0 +1,322 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { verifyDuplicateGroup } = require('./duplicateVerifier');
+const { toRecordPath } = require('./reconcile');
+const { hasLikes } = require('./recordValue');
+const { createTempPath } = require('./atomicWrite');
+const { resolveLogger } = require('./logger');
+
+function createOperationError(code, message, extra = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, extra);
+    return error;
+}
+
+async function pathExists(filePath) {
+    try {
+        await fs.promises.lstat(filePath);
+        return true;
+    } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+    }
+}
+
+/**
+ * 以独占方式（O_EXCL）创建空的占位文件，路径已存在时抛出 EEXIST
+ * 随后的 moveFile 重命名覆盖的只会是自己的占位文件，不会覆盖期间被其他程序创建的同名文件
+ */
+async function reservePath(filePath) {
+    const fileHandle = await fs.promises.open(filePath, 'wx');
+    await fileHandle.close();
+}
+
+/**
+ * 目标目录中不重名的路径：a.mp4 -> a (1).mp4 -> a (2).mp4 ...
+ * 返回的路径已用空的占位文件占用，移动失败时需要删除
+ */
+async function resolveTargetPath(directory, fileName) {
+    const ext = path.extname(fileName);
+    const base = path.basename(fileName, ext);
+
+    for (let index = 0; ; index++) {
+        const candidate = path.join(directory, index === 0 ? fileName : `${base} (${index})${ext}`);
+        try {
+            await reservePath(candidate);
+            return candidate;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+    }
+}
+
+/**
+ * 移动到已用 reservePath / resolveTargetPath 占用的路径；失败时删除占位文件
+ */
+async function moveToReserved(source, target) {
+    try {
+        return await moveFile(source, target);
+    } catch (error) {
+        await fs.promises.unlink(target).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * 移动文件；跨分区（EXDEV）时改为 复制到临时文件 -> 逐块比对 -> 重命名 -> 删除源文件
+ * 比对失败时删除临时文件，源文件保持不变
+ */
+async function moveFile(source, target) {
+    try {
+        await fs.promises.rename(source, target);
+        return { crossDevice: false };
+    } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+    }
+
+    const tempFile = createTempPath(target);
+    try {
+        await fs.promises.copyFile(source, tempFile, fs.constants.COPYFILE_EXCL);
+
+        const stats = await fs.promises.stat(source);
+        const { confirmed } = await verifyDuplicateGroup([
+            { path: source, fullPath: source, size: stats.size },
+            { path: tempFile, fullPath: tempFile, size: (await fs.promises.stat(tempFile)).size }
+        ]);
+        if (confirmed.length !== 1 || confirmed[0].length !== 2) {
+            throw createOperationError('EVERIFY', `复制后内容不一致: ${source}`);
+        }
+
+        await fs.promises.utimes(tempFile, stats.atime, stats.mtime);
+        await fs.promises.rename(tempFile, target);
+    } catch (error) {
+        await fs.promises.unlink(tempFile).catch(() => {});
+        throw error;
+    }
+
+    await fs.promises.unlink(source);
+    return { crossDevice: true };
+}
+
+/**
+ * 文件操作：软删除（移动到 pending_delete_path）与撤销
+ * 见 功能/文件- 待删除.md
+ * - 保护检查：点赞、精品、标签、手动截图 / 手动封面，有任意一项时需要确认（force）
+ * - 移动后原地更新扫描器的 fileMap / filesByCreateTime / hashMap / duplicateFiles，
+ *   并从 files.json 条目的 paths 中移除该路径
+ * - 撤销日志：undo() 按相反顺序把文件移回原位置并恢复索引
+ *
+ * 事件：deleted { path, target, reasons }、restored { path, from }
+ */
+class FileOperations extends EventEmitter {
+    constructor(scanner, store, options = {}) {
+        super();
+        this.scanner = scanner;
+        this.store = store;
+        this.options = {
+            pendingDeletePath: store.getSetting('pending_delete_path', null), // 待删除目录（绝对路径）
+            maxUndo: 50, // 撤销日志长度上限
+            logger: null, // 日志，默认与 store 相同
+            ...options
+        };
+        this.logger = this.options.logger ? resolveLogger(this.options.logger) : store.logger;
+
+        this.journal = [];
+    }
+
+    /**
+     * 删除前的保护检查，返回 { hash, record, reasons }
+     * reasons: [{ type: 'like_count', value } | { type: 'is_favorite' } | { type: 'tags', count, tags }
+     *           | { type: 'screenshots', count } | { type: 'cover' }]
+     */
+    async checkProtection(relativePath) {
+        const hash = this._findHash(relativePath);
+        const record = hash ? this.store.getRecord(hash) : null;
+        const reasons = [];
+
+        if (record) {
+            if (hasLikes(record)) {
+                reasons.push({ type: 'like_count', value: record.like_count });
+            }
+            if (record.is_favorite === true) {
+                reasons.push({ type: 'is_favorite' });
+            }
+            if (Array.isArray(record.tags) && record.tags.length > 0) {
+                reasons.push({ type: 'tags', count: record.tags.length, tags: record.tags.slice() });
+            }
+        }
+
+        if (hash) {
+            const screenshots = await this._countManualScreenshots(hash);
+            if (screenshots > 0) {
+                reasons.push({ type: 'screenshots', count: screenshots });
+            }
+            if (await pathExists(path.join(this.store.dataDir, 'covers', `${this._hashKey(hash)}.webp`))) {
+                reasons.push({ type: 'cover' });
+            }
+        }
+
+        return { hash, record, reasons };
+    }
+
+    /**
+     * 软删除：移动到待删除目录
+     * 有保护项且未传 { force: true } 时抛出 code 为 EPROTECTED 的错误（error.reasons 为保护项），不移动文件
+     * 返回 { path, target, reasons, crossDevice }
+     */
+    async softDelete(relativePath, { force = false } = {}) {
+        const pendingDir = this.options.pendingDeletePath;
+        if (!pendingDir) {
+            throw createOperationError('ENOPENDINGPATH', '未配置 pending_delete_path');
+        }
+        if (!this.scanner.fileSystem.local) {
+            throw createOperationError('ENOTLOCAL', '扫描来源不是本地磁盘（内存目录树、快照或压缩包），不能移动文件');
+        }
+
+        const fileInfo = this.scanner.fileMap.get(relativePath);
+        if (!fileInfo) {
+            throw createOperationError('ENOTINDEXED', `文件不在扫描结果中: ${relativePath}`);
+        }
+
+        const { hash, reasons } = await this.checkProtection(relativePath);
+        if (reasons.length > 0 && !force) {
+            throw createOperationError('EPROTECTED', `文件包含需要确认的数据: ${relativePath}`, { reasons });
+        }
+
+        const source = path.join(this.scanner.rootDir, relativePath);
+        await fs.promises.mkdir(pendingDir, { recursive: true });
+        const target = await resolveTargetPath(pendingDir, path.basename(relativePath));
+        const { crossDevice } = await moveToReserved(source, target);
+
+        const { hashInfo } = this.scanner.removeFile(relativePath);
+        const recordPath = toRecordPath(relativePath);
+        const detached = hash ? this._detachRecordPath(hash, recordPath) : false;
+
+        this.journal.push({
+            type: 'soft-delete',
+            path: relativePath,
+            target,
+            fileInfo,
+            hashInfo,
+            hash,
+            recordPath: detached ? recordPath : null,
+            time: Date.now()
+        });
+        if (this.journal.length > this.options.maxUndo) {
+            this.journal.shift();
+        }
+
+        const result = { path: relativePath, target, reasons, crossDevice };
+        this.emit('deleted', result);
+        return result;
+    }
+
+    /**
+     * 撤销最近一次操作；没有可撤销的操作时返回 null
+     * 原位置已有同名文件时抛出 code 为 EEXIST 的错误，日志保持不变
+     */
+    async undo() {
+        const entry = this.journal[this.journal.length - 1];
+        if (!entry) return null;
+
+        const destination = path.join(this.scanner.rootDir, entry.path);
+        await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+        try {
+            await reservePath(destination);
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+            throw createOperationError('EEXIST', `原位置已存在文件: ${entry.path}`);
+        }
+
+        await moveToReserved(entry.target, destination);
+        this.journal.pop();
+
+        // 内容没有变化，沿用删除前的哈希与容器头信息
+        await this.scanner.indexFile(entry.path, await fs.promises.stat(destination), {
+            hashInfo: entry.hashInfo,
+            media: entry.fileInfo
+        });
+        if (entry.recordPath) {
+            this._attachRecordPath(entry.hash, entry.recordPath);
+        }
+
+        const result = { path: entry.path, from: entry.target };
+        this.emit('restored', result);
+        return result;
+    }
+
+    /**
+     * 撤销日志（最新在后）
+     */
+    getJournal() {
+        return this.journal.map(({ type, path: relativePath, target, hash, time }) => ({ type, path: relativePath, target, hash, time }));
+    }
+
+    // ------------------------------------------------------------------
+
+    /**
+     * 文件的哈希：优先取扫描结果，没有计算哈希时按 files.json 中的路径查找条目
+     */
+    _findHash(relativePath) {
+        const hashInfo = this.scanner.hashMap.get(relativePath);
+        if (hashInfo) return hashInfo.hash;
+
+        const recordPath = toRecordPath(relativePath);
+        const records = this.store.getRecords();
+        return Object.keys(records).find(hash => (records[hash].paths || []).includes(recordPath)) || null;
+    }
+
+    _detachRecordPath(hash, recordPath) {
+        const record = this.store.getRecord(hash);
+        if (!record || !record.paths.includes(recordPath)) return false;
+
+        this.store.updateRecord(hash, current => ({
+            ...current,
+            paths: current.paths.filter(item => item !== recordPath)
+        }));
+        return true;
+    }
+
+    _attachRecordPath(hash, recordPath) {
+        const record = this.store.getRecord(hash);
+        if (!record || record.paths.includes(recordPath)) return;
+
+        this.store.updateRecord(hash, current => ({
+            ...current,
+            paths: [...current.paths, recordPath]
+        }));
+    }
+
+    /**
+     * 截图目录 screenshots/[哈希前两位]/[哈希]/ 中手动截图（_m.webp）的数量
+     */
+    async _countManualScreenshots(hash) {
+        const key = this._hashKey(hash);
+        const dir = path.join(this.store.dataDir, 'screenshots', key.slice(0, 2), key);
+
+        try {
+            const names = await fs.promises.readdir(dir);
+            return names.filter(name => name.endsWith('_m.webp')).length;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.warn(`无法读取截图目录: ${dir}`, error.message);
+            }
+            return 0;
+        }
+    }
+
+    /**
+     * 数据目录中使用的哈希值（去掉 "策略@版本:" 前缀）
+     */
+    _hashKey(hash) {
+        return hash.slice(hash.lastIndexOf(':') + 1);
+    }
+}
+
+module.exports = {
+    FileOperations,
+    moveFile,
+    resolveTargetPath
+};
@@ -0,0 +1,501 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { EventEmitter } = require('events');
+
+const MAX_SYMLINK_HOPS = 40; // 与 Linux 的 ELOOP 上限一致
+
+/**
+ * 文件系统适配器
+ * 扫描、哈希、容器头解析、全量比对与监听只通过适配器访问文件，同一套逻辑可以运行在
+ * 本地磁盘、内存目录树、目录快照清单或 zip 压缩包上。
+ *
+ * 适配器接口（路径为适配器内的绝对路径，用 path.join 拼接）：
+ * - readdir(dirPath)            -> Promise<Dirent[]>   name / isFile() / isDirectory() / isSymbolicLink()
+ * - stat(filePath)              -> Promise<Stats>      跟随符号链接；size、dev、ino、nlink、atime / mtime / ctime / birthtime（及 *Ms）、isFile()、isDirectory()
+ * - open(filePath)              -> Promise<FileHandle> read(buffer, offset, length, position) -> { bytesRead }、stat()、close()
+ * - readFile(filePath, encoding)
+ * - createReadStream(filePath)  -> Readable           可选，未实现时用 open() + read() 分块读取
+ * - readlink(linkPath)          -> Promise<string>     可选，符号链接的目标（followSymlinks 时记录在文件的 linkTarget 上）
+ * - watch(dirPath, { recursive }, listener) 可选，返回带 close() 的 EventEmitter，listener(eventType, filename)
+ * - local: 是否为本地磁盘（移动、删除等文件操作只在本地磁盘上进行）
+ * - readOnly: 是否只读
+ *
+ * 错误与 fs 一致，带 code（ENOENT、ENOTDIR、EISDIR、EROFS 等）
+ */
+
+function createFsError(code, syscall, filePath, message) {
+    const error = new Error(`${code}: ${message}, ${syscall} '${filePath}'`);
+    error.code = code;
+    error.syscall = syscall;
+    error.path = filePath;
+    return error;
+}
+
+/**
+ * 与 fs.Dirent 相同形状的目录项（type: file / directory / symlink）
+ */
+function createDirent(name, type) {
+    return {
+        name,
+        isFile: () => type === 'file',
+        isDirectory: () => type === 'directory',
+        isSymbolicLink: () => type === 'symlink'
+    };
+}
+
+/**
+ * 与 fs.Stats 相同形状的文件属性
+ * times: { birthtimeMs, mtimeMs, ctimeMs, atimeMs }，缺省项取 mtimeMs
+ */
+function createStats(type, { size = 0, dev = 0, ino = 0, nlink = 1, birthtimeMs, mtimeMs = 0, ctimeMs, atimeMs } = {}) {
+    const times = {
+        atimeMs: atimeMs !== undefined ? atimeMs : mtimeMs,
+        mtimeMs,
+        ctimeMs: ctimeMs !== undefined ? ctimeMs : mtimeMs,
+        birthtimeMs: birthtimeMs !== undefined ? birthtimeMs : mtimeMs
+    };
+
+    return {
+        size: type === 'file' ? size : 0,
+        dev,
+        ino,
+        nlink,
+        ...times,
+        atime: new Date(times.atimeMs),
+        mtime: new Date(times.mtimeMs),
+        ctime: new Date(times.ctimeMs),
+        birthtime: new Date(times.birthtimeMs),
+        isFile: () => type === 'file',
+        isDirectory: () => type === 'directory',
+        isSymbolicLink: () => false
+    };
+}
+
+/**
+ * 用 open() + read() 实现的流式读取（没有原生流的适配器使用）
+ */
+function createHandleStream(fileSystem, filePath, chunkSize = 64 * 1024) {
+    async function* chunks() {
+        const fileHandle = await fileSystem.open(filePath);
+
+        try {
+            for (let position = 0; ; ) {
+                const buffer = Buffer.alloc(chunkSize);
+                const { bytesRead } = await fileHandle.read(buffer, 0, chunkSize, position);
+                if (bytesRead === 0) break;
+
+                position += bytesRead;
+                yield buffer.subarray(0, bytesRead);
+            }
+        } finally {
+            await fileHandle.close();
+        }
+    }
+
+    return Readable.from(chunks(), { objectMode: false });
+}
+
+/**
+ * 本地磁盘（fs 模块）
+ */
+class LocalFileSystem {
+    constructor() {
+        this.local = true;
+        this.readOnly = false;
+    }
+
+    readdir(dirPath) {
+        return fs.promises.readdir(dirPath, { withFileTypes: true });
+    }
+
+    stat(filePath) {
+        return fs.promises.stat(filePath);
+    }
+
+    open(filePath) {
+        return fs.promises.open(filePath, 'r');
+    }
+
+    readFile(filePath, encoding) {
+        return fs.promises.readFile(filePath, encoding);
+    }
+
+    readlink(linkPath) {
+        return fs.promises.readlink(linkPath);
+    }
+
+    createReadStream(filePath) {
+        return fs.createReadStream(filePath);
+    }
+
+    watch(dirPath, options, listener) {
+        return fs.watch(dirPath, options, listener);
+    }
+}
+
+const localFileSystem = new LocalFileSystem();
+
+/**
+ * 内存目录树，用于测试与演示：可以精确控制文件大小、时间与内容，也可以在扫描后修改并触发监听事件
+ *
+ * files: { 相对路径: 内容 }，内容为字符串、Buffer 或 { content, size, birthtime, mtime, ctime }
+ * 只给 size 不给 content 时为全零的稀疏文件（不占内存，可以模拟大文件）
+ * symlink / link / mount 构造符号链接、硬链接与挂载边界
+ *
+ *   const memfs = new MemoryFileSystem({ 'Movies/a.mp4': 'aaa', 'Movies/b.mkv': { size: 4 * 1024 ** 3 } }, { root: '/media' });
+ *   new FastDirectoryScanner({ fileSystem: memfs }).scanDirectory('/media');
+ */
+class MemoryFileSystem {
+    constructor(files = {}, { root = path.sep, time = Date.now() } = {}) {
+        this.local = false;
+        this.readOnly = false;
+        this.lastDev = 1; // 最近分配的设备号（mount 时递增）
+        this.nextIno = 1;
+        this.watchers = new Set();
+        this.root = this._createNode('directory', null, { mtimeMs: time });
+
+        Object.entries(files).forEach(([filePath, content]) => {
+            this.writeFile(path.join(root, filePath), content);
+        });
+    }
+
+    // ------------------------------------------------------------------
+    // 适配器接口
+    // ------------------------------------------------------------------
+
+    async readdir(dirPath) {
+        const node = this._getNode(dirPath, 'scandir');
+        if (node.type !== 'directory') {
+            throw createFsError('ENOTDIR', 'scandir', dirPath, 'not a directory');
+        }
+        return Array.from(node.children, ([name, child]) => createDirent(name, child.type));
+    }
+
+    async stat(filePath) {
+        return this._toStats(this._getNode(filePath, 'stat'));
+    }
+
+    async open(filePath) {
+        const node = this._getNode(filePath, 'open');
+        if (node.type !== 'file') {
+            throw createFsError('EISDIR', 'open', filePath, 'illegal operation on a directory');
+        }
+
+        return {
+            read: async (buffer, offset, length, position) => {
+                const end = Math.min(node.size, position + length);
+                const bytesRead = Math.max(0, end - position);
+                if (node.data) {
+                    node.data.copy(buffer, offset, position, position + bytesRead);
+                } else {
+                    buffer.fill(0, offset, offset + bytesRead);
+                }
+                return { bytesRead, buffer };
+            },
+            stat: async () => this._toStats(node),
+            close: async () => {}
+        };
+    }
+
+    async readFile(filePath, encoding) {
+        const node = this._getNode(filePath, 'open');
+        if (node.type !== 'file') {
+            throw createFsError('EISDIR', 'read', filePath, 'illegal operation on a directory');
+        }
+
+        const data = node.data || Buffer.alloc(node.size);
+        return encoding ? data.toString(encoding) : Buffer.from(data);
+    }
+
+    createReadStream(filePath) {
+        return createHandleStream(this, filePath);
+    }
+
+    async readlink(linkPath) {
+        const node = this._getNode(linkPath, 'readlink', false);
+        if (node.type !== 'symlink') {
+            throw createFsError('EINVAL', 'readlink', linkPath, 'invalid argument');
+        }
+        return node.target;
+    }
+
+    /**
+     * 与 fs.watch 相同的回调：listener(eventType, 相对 dirPath 的文件名)
+     */
+    watch(dirPath, { recursive = false } = {}, listener) {
+        const node = this._getNode(dirPath, 'watch');
+        if (node.type !== 'directory') {
+            throw createFsError('ENOTDIR', 'watch', dirPath, 'not a directory');
+        }
+
+        const watcher = new EventEmitter();
+        const entry = { dir: this._normalize(dirPath), recursive, listener };
+        watcher.close = () => this.watchers.delete(entry);
+        this.watchers.add(entry);
+        return watcher;
+    }
+
+    // ------------------------------------------------------------------
+    // 修改（会通知监听器）
+    // ------------------------------------------------------------------
+
+    /**
+     * 写入文件，缺少的父目录自动创建；写入已有文件时原地修改（硬链接的其他路径同时可见）
+     */
+    writeFile(filePath, content, { time = Date.now() } = {}) {
+        const { parent, name } = this._getParent(filePath, 'open', true);
+        let node = parent.children.get(name);
+        if (node && node.type === 'symlink') {
+            node = this._getNode(filePath, 'open');
+        }
+        if (node && node.type === 'directory') {
+            throw createFsError('EISDIR', 'open', filePath, 'illegal operation on a directory');
+        }
+
+        const existing = Boolean(node);
+        const options = typeof content === 'string' || Buffer.isBuffer(content) ? { content } : content;
+        const data = options.content === undefined ? null : Buffer.from(options.content);
+        if (!node) {
+            node = this._createNode('file', parent, { birthtimeMs: toMs(options.birthtime, time) });
+            parent.children.set(name, node);
+        } else if (options.birthtime !== undefined) {
+            node.birthtimeMs = toMs(options.birthtime, time);
+        }
+        node.mtimeMs = toMs(options.mtime, time);
+        node.ctimeMs = toMs(options.ctime, time);
+        node.data = data;
+        node.size = data ? data.length : (options.size || 0);
+
+        parent.mtimeMs = time;
+        this._notify(existing ? 'change' : 'rename', filePath);
+    }
+
+    mkdir(dirPath, { time = Date.now() } = {}) {
+        const { parent, name } = this._getParent(dirPath, 'mkdir', true);
+        if (!parent.children.has(name)) {
+            parent.children.set(name, this._createNode('directory', parent, { mtimeMs: time }));
+            this._notify('rename', dirPath);
+        }
+    }
+
+    /**
+     * 模拟挂载点：目录（不存在时创建）及之后在其下创建的条目使用新的设备号
+     */
+    mount(dirPath) {
+        this.mkdir(dirPath);
+        const node = this._getNode(dirPath, 'mount');
+        node.dev = ++this.lastDev;
+        return node.dev;
+    }
+
+    /**
+     * 创建符号链接，target 可以是绝对路径或相对链接所在目录的路径
+     */
+    symlink(target, linkPath) {
+        const { parent, name } = this._getParent(linkPath, 'symlink', true);
+        if (parent.children.has(name)) {
+            throw createFsError('EEXIST', 'symlink', linkPath, 'file already exists');
+        }
+
+        const node = this._createNode('symlink', parent, { mtimeMs: Date.now() });
+        node.target = target;
+        parent.children.set(name, node);
+        this._notify('rename', linkPath);
+    }
+
+    /**
+     * 创建硬链接（只能链接文件）
+     */
+    link(existingPath, newPath) {
+        const node = this._getNode(existingPath, 'link');
+        if (node.type !== 'file') {
+            throw createFsError('EPERM', 'link', existingPath, 'operation not permitted');
+        }
+
+        const { parent, name } = this._getParent(newPath, 'link', true);
+        if (parent.children.has(name)) {
+            throw createFsError('EEXIST', 'link', newPath, 'file already exists');
+        }
+
+        parent.children.set(name, node);
+        node.nlink++;
+        this._notify('rename', newPath);
+    }
+
+    /**
+     * 删除文件、符号链接或整个目录
+     */
+    rm(filePath) {
+        const { parent, name } = this._getParent(filePath, 'rm');
+        const node = parent.children.get(name);
+        if (!node) {
+            throw createFsError('ENOENT', 'rm', filePath, 'no such file or directory');
+        }
+
+        parent.children.delete(name);
+        if (node.type === 'file') node.nlink--;
+        this._notify('rename', filePath);
+    }
+
+    rename(oldPath, newPath) {
+        const source = this._getParent(oldPath, 'rename');
+        const node = source.parent.children.get(source.name);
+        if (!node) {
+            throw createFsError('ENOENT', 'rename', oldPath, 'no such file or directory');
+        }
+
+        const target = this._getParent(newPath, 'rename', true);
+        source.parent.children.delete(source.name);
+        target.parent.children.set(target.name, node);
+        this._notify('rename', oldPath);
+        this._notify('rename', newPath);
+    }
+
+    // ------------------------------------------------------------------
+
+    /**
+     * 新条目继承父目录的设备号
+     */
+    _createNode(type, parent, times) {
+        const node = {
+            type,
+            dev: parent ? parent.dev : this.lastDev,
+            ino: this.nextIno++,
+            birthtimeMs: times.mtimeMs,
+            mtimeMs: times.mtimeMs,
+            ctimeMs: times.mtimeMs,
+            ...times
+        };
+        if (type === 'directory') node.children = new Map();
+        if (type === 'file') node.nlink = 1;
+        return node;
+    }
+
+    _toStats(node) {
+        return createStats(node.type, {
+            size: node.size,
+            dev: node.dev,
+            ino: node.ino,
+            nlink: node.nlink || 1,
+            birthtimeMs: node.birthtimeMs,
+            mtimeMs: node.mtimeMs,
+            ctimeMs: node.ctimeMs
+        });
+    }
+
+    _normalize(filePath) {
+        return path.resolve(path.sep, filePath);
+    }
+
+    _split(filePath) {
+        return this._normalize(filePath).split(path.sep).filter(Boolean);
+    }
+
+    /**
+     * 逐级查找条目；路径中间的符号链接总是跟随，最后一级由 follow 决定
+     */
+    _getNode(filePath, syscall, follow = true) {
+        let parts = this._split(filePath);
+        let hops = 0;
+
+        for (;;) {
+            let node = this.root;
+            let redirected = false;
+
+            for (let i = 0; i < parts.length; i++) {
+                if (node.type !== 'directory') {
+                    throw createFsError('ENOTDIR', syscall, filePath, 'not a directory');
+                }
+                node = node.children.get(parts[i]);
+                if (!node) {
+                    throw createFsError('ENOENT', syscall, filePath, 'no such file or directory');
+                }
+
+                if (node.type === 'symlink' && (follow || i < parts.length - 1)) {
+                    if (++hops > MAX_SYMLINK_HOPS) {
+                        throw createFsError('ELOOP', syscall, filePath, 'too many symbolic links encountered');
+                    }
+                    const base = path.join(path.sep, ...parts.slice(0, i));
+                    parts = this._split(path.resolve(base, node.target, ...parts.slice(i + 1)));
+                    redirected = true;
+                    break;
+                }
+            }
+
+            if (!redirected) return node;
+        }
+    }
+
+    _getParent(filePath, syscall, createParents = false) {
+        const parts = this._split(filePath);
+        const name = parts.pop();
+        if (!name) {
+            throw createFsError('EPERM', syscall, filePath, 'operation not permitted');
+        }
+
+        let parent = this.root;
+        for (let i = 0; i < parts.length; i++) {
+            let child = parent.children.get(parts[i]);
+            if (!child && createParents) {
+                child = this._createNode('directory', parent, { mtimeMs: Date.now() });
+                parent.children.set(parts[i], child);
+            }
+            if (!child) {
+                throw createFsError('ENOENT', syscall, filePath, 'no such file or directory');
+            }
+            if (child.type === 'symlink') {
+                child = this._getNode(path.join(path.sep, ...parts.slice(0, i + 1)), syscall);
+            }
+            if (child.type !== 'directory') {
+                throw createFsError('ENOTDIR', syscall, filePath, 'not a directory');
+            }
+            parent = child;
+        }
+        return { parent, name };
+    }
+
+    /**
+     * 与 fs.watch 一样异步通知：非递归监听只收到直接子项的事件
+     */
+    _notify(eventType, filePath) {
+        const target = this._normalize(filePath);
+
+        this.watchers.forEach(({ dir, recursive, listener }) => {
+            const relative = path.relative(dir, target);
+            if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return;
+            if (!recursive && relative.includes(path.sep)) return;
+
+            setImmediate(() => listener(eventType, relative));
+        });
+    }
+}
+
+function toMs(time, fallback) {
+    if (time === undefined || time === null) return fallback;
+    return time instanceof Date ? time.getTime() : new Date(time).getTime();
+}
+
+/**
+ * 解析 fileSystem 选项：null 为本地磁盘，否则需要实现适配器接口
+ */
+function resolveFileSystem(fileSystem) {
+    if (!fileSystem) return localFileSystem;
+
+    const missing = ['readdir', 'stat', 'open', 'readFile'].filter(method => typeof fileSystem[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`fileSystem 缺少方法: ${missing.join(', ')}`);
+    }
+    return fileSystem;
+}
+
+module.exports = {
+    LocalFileSystem,
+    MemoryFileSystem,
+    localFileSystem,
+    resolveFileSystem,
+    createFsError,
+    createDirent,
+    createStats,
+    createHandleStream
+};
@@ -0,0 +1,403 @@
+const path = require('path');
+const PINYIN_DICT = require('./pinyinDict');
+const { BoundedHeap } = require('./fileIndex');
+
+// 名称中的分隔符：切分词，本身不参与匹配
+const SEPARATORS = new Set(Array.from(' \t_-.,;:+&#@!~=·，。、；：！？（）()[]【】{}《》<>「」『』"\'“”‘’/\\'));
+
+// 每个查询字符的得分与各项加减分
+const SCORE = {
+    literal: 10, // 字面匹配
+    pinyin: 9, // 完整拼音
+    partial: 7, // 查询末尾只输入了拼音的前几个字母
+    initial: 6, // 拼音首字母
+    adjacent: 4, // 与上一个匹配相邻
+    wordStart: 6, // 从词首开始一段匹配
+    nameStart: 4, // 从名称开头开始匹配
+    gapOpen: 3, // 匹配中途跳过单元
+    gapExtend: 0.5, // 继续跳过
+    typo: 8 // 查询字符没有匹配（容错）
+};
+
+const DIRECTORY_WEIGHT = 0.5; // 目录名匹配的得分折算
+
+let readingMap = null; // 汉字 -> 读音数组，首次使用时由字典反转得到
+
+/**
+ * 汉字的全部读音（不带声调）；不是字典中的汉字时返回 null
+ */
+function getReadings(char) {
+    if (!readingMap) {
+        readingMap = new Map();
+        Object.entries(PINYIN_DICT).forEach(([reading, chars]) => {
+            for (const han of chars) {
+                const readings = readingMap.get(han);
+                if (readings) {
+                    readings.push(reading);
+                } else {
+                    readingMap.set(han, [reading]);
+                }
+            }
+        });
+    }
+    return readingMap.get(char) || null;
+}
+
+function charKind(char) {
+    if (char >= 'a' && char <= 'z') return 'lower';
+    if (char >= 'A' && char <= 'Z') return 'upper';
+    if (char >= '0' && char <= '9') return 'digit';
+    return getReadings(char) ? 'han' : 'other';
+}
+
+/**
+ * 字母占 0~25 位，数字折叠到 26~31 位；用于快速排除不可能匹配的名称
+ */
+function charBit(char) {
+    if (char >= 'a' && char <= 'z') return 1 << (char.charCodeAt(0) - 97);
+    if (char >= '0' && char <= '9') return 1 << (26 + (char.charCodeAt(0) - 48) % 6);
+    return 0;
+}
+
+function countBits(mask) {
+    let count = 0;
+    for (let value = mask >>> 0; value; value &= value - 1) count++;
+    return count;
+}
+
+/**
+ * 名称 -> 匹配单元：每个字符一个单元 { char, readings, wordStart }，分隔符只用来切分词
+ * mask 包含名称中的字母、数字以及汉字读音中的字母
+ */
+function buildUnits(text) {
+    const units = [];
+    let mask = 0;
+    let previous = null;
+
+    for (const raw of text.normalize('NFKC')) {
+        if (SEPARATORS.has(raw)) {
+            previous = null;
+            continue;
+        }
+
+        const kind = charKind(raw);
+        const char = raw.toLowerCase();
+        const readings = kind === 'han' ? getReadings(raw) : null;
+        // 词首：开头或分隔符之后、每个汉字、字母与数字交界、camelCase 的大写字母
+        const wordStart = previous === null || kind === 'han' ||
+            (kind !== previous && !(previous === 'upper' && kind === 'lower'));
+
+        units.push({ char, readings, wordStart });
+        mask |= charBit(char);
+        if (readings) {
+            readings.forEach(reading => {
+                for (const letter of reading) mask |= charBit(letter);
+            });
+        }
+        previous = kind;
+    }
+
+    return { units, mask };
+}
+
+/**
+ * 查询字符串 -> 查询词（空白分隔，各词都要匹配）
+ * 长词允许少量字符没有匹配：5 个字符以上 1 个，10 个字符以上 2 个
+ */
+function parseQuery(query, fuzzy) {
+    return String(query || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .split(/\s+/)
+        .map(word => Array.from(word).filter(char => !SEPARATORS.has(char)))
+        .filter(chars => chars.length > 0)
+        .map(chars => {
+            let mask = 0;
+            chars.forEach(char => {
+                mask |= charBit(char);
+            });
+            return { chars, mask, maxTypos: fuzzy ? Math.min(2, Math.floor(chars.length / 5)) : 0 };
+        });
+}
+
+/**
+ * reading 与 chars[start..] 的公共前缀长度
+ */
+function commonPrefix(reading, chars, start) {
+    let length = 0;
+    while (length < reading.length && start + length < chars.length && reading[length] === chars[start + length]) {
+        length++;
+    }
+    return length;
+}
+
+/**
+ * 单元 unit 能从 chars[j] 开始匹配的方式：写入 lengths / perChars（消耗的查询字符数、每个字符的得分），返回方式数
+ * 字面匹配；汉字还可以按完整拼音、拼音首字母匹配，查询末尾也可以只输入拼音的前几个字母
+ */
+function collectMatches(unit, chars, j, lengths, perChars) {
+    let count = 0;
+
+    if (unit.char === chars[j]) {
+        lengths[count] = 1;
+        perChars[count++] = SCORE.literal;
+    }
+    if (unit.readings) {
+        for (const reading of unit.readings) {
+            if (reading[0] !== chars[j]) continue;
+
+            const length = commonPrefix(reading, chars, j);
+            if (length === reading.length) {
+                lengths[count] = length;
+                perChars[count++] = SCORE.pinyin;
+            } else if (j + length === chars.length && length >= 2) {
+                lengths[count] = length;
+                perChars[count++] = SCORE.partial;
+            }
+            lengths[count] = 1;
+            perChars[count++] = SCORE.initial;
+            // zh / ch / sh 的首字母也可以输入两个字母
+            if (length >= 2 && reading[1] === 'h' && 'zcs'.includes(reading[0])) {
+                lengths[count] = 2;
+                perChars[count++] = SCORE.initial;
+            }
+        }
+    }
+    return count;
+}
+
+let dpBuffer = new Float64Array(4096); // 复用的动态规划表
+const matchLengths = [];
+const matchScores = [];
+
+/**
+ * 把查询词匹配到名称单元上，返回最高得分；无法匹配时返回 -Infinity
+ * 单元之间允许跳过（子序列匹配），连续匹配、从词首开始的匹配加分，中途跳过扣分；
+ * 最多 maxTypos 个查询字符可以不匹配
+ *
+ * 动态规划：状态 (i, j, adjacent, typos) 为从第 i 个单元、第 j 个查询字符开始的最高得分
+ */
+function matchUnits(units, chars, maxTypos) {
+    const n = units.length;
+    const m = chars.length;
+    const typoStates = maxTypos + 1;
+    const adjacentStride = typoStates;
+    const charStride = 2 * typoStates;
+    const unitStride = (m + 1) * charStride;
+
+    const size = (n + 1) * unitStride;
+    if (dpBuffer.length < size) {
+        dpBuffer = new Float64Array(size * 2);
+    }
+    const dp = dpBuffer;
+
+    for (let i = n; i >= 0; i--) {
+        const unit = units[i];
+        const startBonus = i < n ? (unit.wordStart ? SCORE.wordStart : 0) + (i === 0 ? SCORE.nameStart : 0) : 0;
+
+        for (let j = m; j >= 0; j--) {
+            const matchCount = i < n && j < m ? collectMatches(unit, chars, j, matchLengths, matchScores) : 0;
+            const base = i * unitStride + j * charStride;
+
+            for (let typos = maxTypos; typos >= 0; typos--) {
+                for (let adjacent = 0; adjacent < 2; adjacent++) {
+                    let best;
+                    if (j === m) {
+                        best = 0;
+                    } else if (i === n) {
+                        best = m - j <= maxTypos - typos ? -(m - j) * SCORE.typo : -Infinity;
+                    } else {
+                        best = dp[base + unitStride + typos] - (j > 0 ? (adjacent ? SCORE.gapOpen : SCORE.gapExtend) : 0);
+                        if (typos < maxTypos) {
+                            const typo = dp[base + charStride + typos + 1] - SCORE.typo;
+                            if (typo > best) best = typo;
+                        }
+                        for (let k = 0; k < matchCount; k++) {
+                            const length = matchLengths[k];
+                            const value = matchScores[k] * length +
+                                (adjacent ? SCORE.adjacent * length : startBonus) +
+                                dp[base + unitStride + length * charStride + adjacentStride + typos];
+                            if (value > best) best = value;
+                        }
+                    }
+                    dp[base + adjacent * adjacentStride + typos] = best;
+                }
+            }
+        }
+    }
+
+    return dp[0];
+}
+
+function termMatchesMask(term, mask) {
+    return countBits(term.mask & ~mask) <= term.maxTypos;
+}
+
+/**
+ * 文件名搜索索引
+ * 文件名（不含扩展名）与所在目录切分成匹配单元，汉字附带全部读音（拼音字典见 pinyinDict.js）；
+ * 支持字面、模糊（子序列 + 少量容错）、全拼与拼音首字母匹配，结果按得分排序
+ *
+ * 首次搜索时由 fileMap 建立；之后新增 / 删除的文件先记下，下次搜索时合并，扫描期间不产生额外开销
+ */
+class FilenameIndex {
+    constructor(fileMap, options = {}) {
+        this.fileMap = fileMap;
+        this.options = {
+            fuzzy: true, // 长查询词允许少量字符没有匹配
+            ...options
+        };
+        this.entries = null; // [{ path, units, mask, directory }]
+        this.positions = new Map(); // path -> entries 下标
+        this.directories = new Map(); // 目录 -> { units, mask, count }
+        this.pending = new Map(); // 建立后变化的文件：path -> true（新增）/ false（删除）
+    }
+
+    add(fileInfo) {
+        if (this.entries) this.pending.set(fileInfo.path, true);
+    }
+
+    remove(fileInfo) {
+        if (this.entries) this.pending.set(fileInfo.path, false);
+    }
+
+    clear() {
+        this.entries = null;
+        this.positions.clear();
+        this.directories.clear();
+        this.pending.clear();
+    }
+
+    /**
+     * 搜索文件名，空白分隔的多个词需要同时匹配（每个词匹配文件名或所在目录名）
+     * 例：search('zgr 2023')、search('中国')、search('s1e05')
+     * 返回 { items: [{ path, file, score }], total }，items 按得分从高到低，total 为匹配的总数
+     * 长查询词的容错匹配只在不容错的结果不足 limit 个时补充
+     */
+    search(query, { limit = 100 } = {}) {
+        const terms = parseQuery(query, this.options.fuzzy);
+        if (terms.length === 0) return { items: [], total: 0 };
+
+        this._update();
+
+        const heap = new BoundedHeap(limit, (a, b) =>
+            b.score - a.score ||
+            a.entry.units.length - b.entry.units.length ||
+            (a.entry.path < b.entry.path ? -1 : (a.entry.path > b.entry.path ? 1 : 0)));
+
+        // 先按不容错匹配；结果不足 limit 时，再对没有匹配上的文件做容错匹配
+        const exactTerms = terms.map(term => ({ ...term, maxTypos: 0 }));
+        const exact = this._matchEntries(this.entries, exactTerms, heap);
+        let total = exact.total;
+        if (total < limit && terms.some(term => term.maxTypos > 0)) {
+            total += this._matchEntries(exact.rejected, terms, heap).total;
+        }
+
+        return {
+            items: heap.toSortedArray().map(({ entry, score }) => ({
+                path: entry.path,
+                file: this.fileMap.get(entry.path),
+                score: Math.round(score * 10) / 10
+            })),
+            total
+        };
+    }
+
+    /**
+     * 匹配的文件放入 heap，返回 { total, rejected }
+     * 同一目录下的文件共用目录名的得分
+     */
+    _matchEntries(entries, terms, heap) {
+        const directoryScores = new Map();
+        const rejected = [];
+        let total = 0;
+
+        for (const entry of entries) {
+            let dirScores = directoryScores.get(entry.directory);
+            if (!dirScores) {
+                dirScores = this._scoreUnits(this.directories.get(entry.directory), terms);
+                directoryScores.set(entry.directory, dirScores);
+            }
+
+            let score = 0;
+            for (let i = 0; i < terms.length && score !== -Infinity; i++) {
+                const nameScore = termMatchesMask(terms[i], entry.mask)
+                    ? matchUnits(entry.units, terms[i].chars, terms[i].maxTypos)
+                    : -Infinity;
+                score += Math.max(nameScore, dirScores[i] * DIRECTORY_WEIGHT);
+            }
+
+            if (score === -Infinity) {
+                rejected.push(entry);
+            } else {
+                total++;
+                heap.push({ entry, score });
+            }
+        }
+
+        return { total, rejected };
+    }
+
+    /**
+     * 各查询词在单元上的得分；先用字母掩码排除不可能匹配的词
+     */
+    _scoreUnits(target, terms) {
+        return terms.map(term => (termMatchesMask(term, target.mask) ? matchUnits(target.units, term.chars, term.maxTypos) : -Infinity));
+    }
+
+    _update() {
+        if (!this.entries) {
+            this.entries = [];
+            this.fileMap.forEach((fileInfo, relativePath) => this._addEntry(relativePath));
+            return;
+        }
+
+        this.pending.forEach((added, relativePath) => {
+            this._removeEntry(relativePath);
+            if (added && this.fileMap.has(relativePath)) {
+                this._addEntry(relativePath);
+            }
+        });
+        this.pending.clear();
+    }
+
+    _addEntry(relativePath) {
+        const directory = path.dirname(relativePath) === '.' ? '' : path.dirname(relativePath);
+        let dirInfo = this.directories.get(directory);
+        if (!dirInfo) {
+            dirInfo = { ...buildUnits(directory), count: 0 };
+            this.directories.set(directory, dirInfo);
+        }
+        dirInfo.count++;
+
+        const { units, mask } = buildUnits(path.basename(relativePath, path.extname(relativePath)));
+        this.positions.set(relativePath, this.entries.length);
+        this.entries.push({ path: relativePath, units, mask, directory });
+    }
+
+    /**
+     * 与末尾元素交换后删除，O(1)
+     */
+    _removeEntry(relativePath) {
+        const position = this.positions.get(relativePath);
+        if (position === undefined) return;
+
+        const entry = this.entries[position];
+        const last = this.entries.pop();
+        if (last !== entry) {
+            this.entries[position] = last;
+            this.positions.set(last.path, position);
+        }
+        this.positions.delete(relativePath);
+
+        const dirInfo = this.directories.get(entry.directory);
+        if (--dirInfo.count === 0) {
+            this.directories.delete(entry.directory);
+        }
+    }
+}
+
+module.exports = {
+    FilenameIndex,
+    getReadings
+};
@@ -0,0 +1,102 @@
+const JsonFileStore = require('./jsonFileStore');
+const { defaultLogger } = require('./logger');
+
+/**
+ * 文件格式：{ version, savedAt, entries: { 哈希: 毫秒时间戳 } }
+ * 读写、.bak 备份与损坏恢复由 JsonFileStore 负责：主文件损坏时另存为 .corrupt-时间戳 并从 .bak 恢复，不会被随后的保存覆盖
+ */
+const FIRST_SEEN_SCHEMA = {
+    name: '首次发现时间',
+    version: 1,
+    createDefault: () => ({}),
+    unwrap: raw => ({ version: raw && raw.version, data: raw && raw.entries }),
+    wrap: (data, version) => ({ version, savedAt: Date.now(), entries: data }),
+    validate(data) {
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) return 'entries 必须是对象';
+        return null;
+    },
+    migrations: {}
+};
+
+/**
+ * “首次发现”时间：哈希 -> 扫描器第一次见到该内容的时间
+ * 按内容而不是路径记录，文件被移动、重命名或复制后仍保留最初入库的时间（"最新"列表据此排序）
+ * 第一次见到时取文件当时的创建时间（见 timeSource.js）；同一内容的多个副本取最早的一个
+ */
+class FirstSeenStore {
+    constructor(filePath, logger = defaultLogger) {
+        this.filePath = filePath;
+        this.logger = logger;
+        this.store = new JsonFileStore(filePath, FIRST_SEEN_SCHEMA, { logger });
+        this.entries = new Map(); // 哈希 -> 毫秒时间戳
+        this.dirty = false;
+        this.readOnly = false; // 文件由更新版本的程序写入时不保存，避免覆盖
+    }
+
+    /**
+     * 加载（文件不存在时视为空；损坏时从备份恢复，备份也不可用时视为空）
+     */
+    async load() {
+        this.entries.clear();
+        this.dirty = false;
+        this.readOnly = false;
+
+        let data;
+        try {
+            data = await this.store.load();
+        } catch (error) {
+            if (error.code !== 'ENEWERSCHEMA') throw error;
+            this.logger.warn(`首次发现时间由更新版本的程序写入，本次不保存: ${this.filePath}`, error.message);
+            this.readOnly = true;
+            return;
+        }
+
+        for (const [hash, time] of Object.entries(data)) {
+            if (Number.isFinite(time)) this.entries.set(hash, time);
+        }
+    }
+
+    get(hash) {
+        const time = this.entries.get(hash);
+        return time === undefined ? null : new Date(time);
+    }
+
+    /**
+     * 记录一次发现，返回该内容的首次发现时间
+     */
+    observe(hash, time) {
+        const ms = time.getTime();
+        const known = this.entries.get(hash);
+
+        if (known === undefined || ms < known) {
+            this.entries.set(hash, ms);
+            this.dirty = true;
+            return new Date(ms);
+        }
+        return new Date(known);
+    }
+
+    /**
+     * 有变化时保存（原子写，上一版保存为 .bak）
+     * 不删除已消失的哈希：文件暂时移出库后再放回，仍能找回原来的时间
+     */
+    async save() {
+        if (this.readOnly) return;
+        if (!this.dirty) {
+            // 加载时从备份恢复的内容需要写回
+            await this.store.flush();
+            return;
+        }
+
+        this.dirty = false;
+        try {
+            this.store.set(Object.fromEntries(this.entries));
+            await this.store.flush();
+        } catch (error) {
+            this.dirty = true;
+            throw error;
+        }
+    }
+}
+
+module.exports = FirstSeenStore;
@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const { localFileSystem, createHandleStream } = require('./fileSystems');
+
+const FNV_OFFSET_BASIS = 0xcbf29ce484222325n;
+const FNV_PRIME = 0x100000001b3n;
+
+/**
+ * FNV-1a 64-bit 哈希（见 实现/hash算法.md）
+ */
+function fnv1a64(buffer, seed = FNV_OFFSET_BASIS) {
+    let hash = seed;
+
+    for (let i = 0; i < buffer.length; i++) {
+        hash ^= BigInt(buffer[i]);
+        hash = BigInt.asUintN(64, hash * FNV_PRIME);
+    }
+    return hash;
+}
+
+/**
+ * 从指定位置读满 length 字节（read 可能一次读不满）
+ */
+async function readRange(fileHandle, buffer, offset, length, position) {
+    let total = 0;
+
+    while (total < length) {
+        const { bytesRead } = await fileHandle.read(buffer, offset + total, length - total, position + total);
+        if (bytesRead === 0) break;
+        total += bytesRead;
+    }
+    return total;
+}
+
+/**
+ * 按固定顺序读取 头 / 中 / 尾 采样，或在小文件时读取全部内容
+ * 顺序读取保证同一文件每次得到完全相同的字节序列
+ */
+async function readSamples(filePath, fileSize, sampleSize, sampleAll, fileSystem = localFileSystem) {
+    const fileHandle = await fileSystem.open(filePath);
+
+    try {
+        if (sampleAll) {
+            const buffer = Buffer.alloc(fileSize);
+            const bytesRead = await readRange(fileHandle, buffer, 0, fileSize, 0);
+            return buffer.subarray(0, bytesRead);
+        }
+
+        const positions = [
+            0, // 开头
+            Math.max(0, Math.floor(fileSize / 2) - Math.floor(sampleSize / 2)), // 中间
+            Math.max(0, fileSize - sampleSize) // 结尾
+        ];
+        const buffer = Buffer.alloc(sampleSize * positions.length);
+        let length = 0;
+
+        for (const position of positions) {
+            length += await readRange(fileHandle, buffer, length, sampleSize, position);
+        }
+        return buffer.subarray(0, length);
+    } finally {
+        await fileHandle.close();
+    }
+}
+
+/**
+ * 流式读取整个文件计算摘要
+ */
+function digestStream(filePath, algorithm, fileSystem = localFileSystem) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash(algorithm);
+        const stream = fileSystem.createReadStream
+            ? fileSystem.createReadStream(filePath)
+            : createHandleStream(fileSystem, filePath);
+
+        stream.on('data', (data) => {
+            hash.update(data);
+        });
+
+        stream.on('end', () => {
+            resolve(hash.digest('hex'));
+        });
+
+        stream.on('error', reject);
+    });
+}
+
+/**
+ * 为拆分成 sample（读取，I/O）+ digest（计算，CPU）两步的策略补上一步完成的 hash()
+ * 拆分后的策略可以把 digest 交给工作线程执行
+ */
+function withHash(strategy) {
+    if (typeof strategy.hash === 'function') return strategy;
+
+    return {
+        ...strategy,
+        async hash(filePath, fileSize, context) {
+            const { data, method } = await strategy.sample(filePath, fileSize, context);
+            return { digest: await strategy.digest(data, fileSize), method };
+        }
+    };
+}
+
+/**
+ * 内置哈希策略
+ * hash() 返回 { digest, method }，method 为 'full' 或 'sampled'
+ */
+const BUILTIN_STRATEGIES = {
+    /**
+     * 文档方案：头中尾各 2KB（小于阈值时全量）-> FNV-1a 64 -> 混入文件大小 -> 16 位十六进制
+     */
+    'fnv1a64-sampled': withHash({
+        name: 'fnv1a64-sampled',
+        version: 1,
+        async sample(filePath, fileSize, { threshold, sampleSize, fileSystem }) {
+            const sampleAll = fileSize < threshold;
+            return {
+                data: await readSamples(filePath, fileSize, sampleSize, sampleAll, fileSystem),
+                method: sampleAll ? 'full' : 'sampled'
+            };
+        },
+        digest(data, fileSize) {
+            const sizeBuffer = Buffer.alloc(8);
+            sizeBuffer.writeBigUInt64LE(BigInt(fileSize));
+            const hashValue = fnv1a64(sizeBuffer, fnv1a64(data));
+
+            return hashValue.toString(16).padStart(16, '0');
+        }
+    }),
+
+    /**
+     * 头中尾采样的 MD5（与 fnv1a64-sampled 相同，小于阈值时全量）
+     */
+    'md5-sampled': withHash({
+        name: 'md5-sampled',
+        version: 1,
+        async sample(filePath, fileSize, { threshold, sampleSize, fileSystem }) {
+            const sampleAll = fileSize < threshold;
+            return {
+                data: await readSamples(filePath, fileSize, sampleSize, sampleAll, fileSystem),
+                method: sampleAll ? 'full' : 'sampled'
+            };
+        },
+        digest(data) {
+            return crypto.createHash('md5').update(data).digest('hex');
+        }
+    }),
+
+    /**
+     * 全文件 SHA-256，最慢但没有采样误判（流式读取，不拆分）
+     */
+    'sha256-full': {
+        name: 'sha256-full',
+        version: 1,
+        async hash(filePath, fileSize, { fileSystem } = {}) {
+            return {
+                digest: await digestStream(filePath, 'sha256', fileSystem),
+                method: 'full'
+            };
+        }
+    }
+};
+
+/**
+ * 解析 hashStrategy 选项：内置名称、{ name, version, hash } / { name, version, sample, digest } 对象或自定义函数
+ * 自定义函数签名：(filePath, fileSize, { threshold, sampleSize, fileSystem }) => Promise<string>
+ * fileSystem 为扫描器使用的文件系统适配器（见 fileSystems.js），自定义策略应通过它读取文件
+ */
+function resolveHashStrategy(strategy) {
+    if (typeof strategy === 'string') {
+        if (!BUILTIN_STRATEGIES[strategy]) {
+            throw new Error(`未知的哈希策略: ${strategy}`);
+        }
+        return BUILTIN_STRATEGIES[strategy];
+    }
+
+    if (typeof strategy === 'function') {
+        return {
+            name: strategy.name || 'custom',
+            version: 1,
+            async hash(filePath, fileSize, context) {
+                return { digest: await strategy(filePath, fileSize, context), method: 'custom' };
+            }
+        };
+    }
+
+    const isSplit = strategy && typeof strategy.sample === 'function' && typeof strategy.digest === 'function';
+    if (strategy && strategy.name && (typeof strategy.hash === 'function' || isSplit)) {
+        return withHash({ version: 1, ...strategy });
+    }
+
+    throw new Error('hashStrategy 必须是内置策略名、自定义函数、{ name, version, hash } 或 { name, version, sample, digest } 对象');
+}
+
+/**
+ * 是否为可交给工作线程计算的内置策略
+ */
+function isWorkerCapable(strategy) {
+    return BUILTIN_STRATEGIES[strategy.name] === strategy && typeof strategy.digest === 'function';
+}
+
+/**
+ * 策略标签，例如 fnv1a64-sampled@1
+ */
+function getStrategyTag(strategy) {
+    return `${strategy.name}@${strategy.version}`;
+}
+
+/**
+ * 带策略标签的哈希 ID，不同策略得到的哈希永远不会相等
+ */
+function formatHashId(strategy, digest) {
+    return `${getStrategyTag(strategy)}:${digest}`;
+}
+
+/**
+ * 拆分哈希 ID，返回 { tag, digest }；旧格式（无标签）的 tag 为 null
+ */
+function parseHashId(hashId) {
+    const index = hashId.lastIndexOf(':');
+    if (index === -1) {
+        return { tag: null, digest: hashId };
+    }
+    return { tag: hashId.slice(0, index), digest: hashId.slice(index + 1) };
+}
+
+/**
+ * 旧格式哈希（hash算法.md 中无标签的 16 位十六进制）对应的策略标签
+ */
+const LEGACY_HASH_TAG = 'fnv1a64-sampled@1';
+const LEGACY_DIGEST_PATTERN = /^[0-9a-f]{16}$/i;
+
+/**
+ * 统一为带标签的哈希 ID：旧格式的摘要即 fnv1a64-sampled@1 的结果，补上标签
+ * 比较 files.json 的键与扫描得到的哈希前都应先统一
+ */
+function normalizeHashId(hashId) {
+    const { tag, digest } = parseHashId(String(hashId));
+    if (tag === null && LEGACY_DIGEST_PATTERN.test(digest)) {
+        return `${LEGACY_HASH_TAG}:${digest.toLowerCase()}`;
+    }
+    return hashId;
+}
+
+/**
+ * 同一哈希可能出现的全部写法：带标签的 ID，fnv1a64-sampled@1 还包括旧格式的摘要
+ */
+function getHashIdAliases(hashId) {
+    const normalized = normalizeHashId(hashId);
+    const { tag, digest } = parseHashId(normalized);
+    return tag === LEGACY_HASH_TAG ? [normalized, digest] : [normalized];
+}
+
+module.exports = {
+    BUILTIN_STRATEGIES,
+    fnv1a64,
+    readRange,
+    resolveHashStrategy,
+    isWorkerCapable,
+    getStrategyTag,
+    formatHashId,
+    parseHashId,
+    normalizeHashId,
+    getHashIdAliases
+};
@@ -0,0 +1,15 @@
+const { parentPort } = require('worker_threads');
+const { BUILTIN_STRATEGIES } = require('./hashStrategies');
+
+/**
+ * 哈希工作线程：只负责 CPU 计算，采样数据由主线程读取后传入
+ */
+parentPort.on('message', ({ id, strategy, data, fileSize }) => {
+    try {
+        const buffer = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+        const digest = BUILTIN_STRATEGIES[strategy].digest(buffer, fileSize);
+        parentPort.postMessage({ id, digest });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
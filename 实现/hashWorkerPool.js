@@ -0,0 +1,132 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_SCRIPT = path.join(__dirname, 'hashWorker.js');
+
+/**
+ * 默认线程数：可用 CPU 数减去主线程，至少 1 个
+ */
+function getDefaultPoolSize() {
+    const parallelism = typeof os.availableParallelism === 'function'
+        ? os.availableParallelism()
+        : os.cpus().length;
+    return Math.max(1, parallelism - 1);
+}
+
+/**
+ * 哈希计算线程池
+ * 每个线程同时只处理一个任务，其余任务在池中排队
+ */
+class HashWorkerPool {
+    constructor(size = getDefaultPoolSize()) {
+        this.size = size;
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.tasks = new Map(); // 任务 id -> { resolve, reject, worker }
+        this.nextId = 0;
+        this.maxPending = 0; // 观察到的最大排队长度
+        this.closed = false;
+
+        for (let i = 0; i < size; i++) {
+            this._spawn();
+        }
+    }
+
+    /**
+     * 用指定内置策略计算采样数据的摘要
+     */
+    run(strategy, data, fileSize) {
+        if (this.closed) {
+            return Promise.reject(new Error('哈希线程池已关闭'));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.queue.push({ id: this.nextId++, strategy, data, fileSize, resolve, reject });
+            this.maxPending = Math.max(this.maxPending, this.queue.length);
+            this._dispatch();
+        });
+    }
+
+    get pending() {
+        return this.queue.length;
+    }
+
+    async close() {
+        this.closed = true;
+        this.queue.forEach(task => task.reject(new Error('哈希线程池已关闭')));
+        this.queue = [];
+        await Promise.all(this.workers.map(worker => worker.terminate()));
+        this.workers = [];
+        this.idle = [];
+
+        // 终止时仍在计算的任务同样失败，不会一直等待
+        this.tasks.forEach(task => task.reject(new Error('哈希线程池已关闭')));
+        this.tasks.clear();
+    }
+
+    _spawn() {
+        const worker = new Worker(WORKER_SCRIPT);
+
+        worker.on('message', ({ id, digest, error }) => {
+            const task = this.tasks.get(id);
+            if (!task) return;
+            this.tasks.delete(id);
+            this.idle.push(worker);
+
+            if (error) {
+                task.reject(new Error(error));
+            } else {
+                task.resolve(digest);
+            }
+            this._dispatch();
+        });
+
+        // 线程异常退出时让其任务失败，并补充一个新线程
+        worker.on('error', (error) => {
+            this._replace(worker, error);
+        });
+        worker.on('exit', (code) => {
+            if (!this.closed) {
+                this._replace(worker, new Error(`哈希线程退出: ${code}`));
+            }
+        });
+
+        this.workers.push(worker);
+        this.idle.push(worker);
+    }
+
+    _replace(worker, error) {
+        if (!this.workers.includes(worker)) return;
+
+        this.workers = this.workers.filter(item => item !== worker);
+        this.idle = this.idle.filter(item => item !== worker);
+        this.tasks.forEach((task, id) => {
+            if (task.worker === worker) {
+                this.tasks.delete(id);
+                task.reject(error);
+            }
+        });
+
+        if (!this.closed) {
+            this._spawn();
+            this._dispatch();
+        }
+    }
+
+    _dispatch() {
+        while (this.idle.length > 0 && this.queue.length > 0) {
+            const worker = this.idle.shift();
+            const { id, strategy, data, fileSize, resolve, reject } = this.queue.shift();
+
+            this.tasks.set(id, { resolve, reject, worker });
+            worker.postMessage({ id, strategy, data, fileSize });
+        }
+    }
+}
+
+module.exports = {
+    HashWorkerPool,
+    getDefaultPoolSize
+};
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { writeFileAtomic } = require('./atomicWrite');
+const { resolveLogger } = require('./logger');
+
+/**
+ * 单个 JSON 数据文件的读写
+ * - 写入：原子写（临时文件 + fsync + 重命名），写入前把上一版内容保存为 .bak
+ * - 合并：coalesceMs 内的多次修改只写一次
+ * - 版本：schema.unwrap 读出 { version, data }，按 schema.migrations 逐级升级到 schema.version
+ * - 恢复：主文件损坏时改用 .bak，两者都不可用时使用默认值，损坏的文件另存为 .corrupt-时间戳
+ *
+ * schema: {
+ *   name, version,
+ *   createDefault() => data,
+ *   unwrap(raw) => { version, data },       // 从文件内容中取出版本与数据
+ *   wrap(data, version) => raw,             // 写入文件的内容
+ *   validate(data) => 错误信息 | null,
+ *   migrations: { [fromVersion]: data => 下一版本的 data }
+ * }
+ *
+ * 事件：recovered { file, source: 'backup' | 'default', error }、migrated { file, from, to }、error Error
+ */
+class JsonFileStore extends EventEmitter {
+    constructor(filePath, schema, options = {}) {
+        super();
+        this.filePath = filePath;
+        this.backupPath = `${filePath}.bak`;
+        this.schema = schema;
+        this.options = {
+            coalesceMs: 100, // 合并写入的等待时间
+            retryMs: 5000, // 写入失败后的重试间隔
+            logger: null, // 日志，见 logger.js
+            ...options
+        };
+        this.logger = resolveLogger(this.options.logger);
+
+        this.data = schema.createDefault();
+        this.lastWritten = null; // 磁盘上当前版本的文本，写入前作为备份内容
+        this.dirty = false;
+        this.revision = 0; // 每次修改加一，供外部索引判断是否需要重建
+        this.timer = null;
+        this.writing = null;
+        this.waiters = [];
+    }
+
+    /**
+     * 读取文件；主文件不存在时使用默认值
+     */
+    async load() {
+        let primaryError = null;
+        this.revision++;
+
+        try {
+            const text = await fs.promises.readFile(this.filePath, 'utf8');
+            this.data = this._parse(text);
+            this.lastWritten = text;
+            return this.data;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.data = this.schema.createDefault();
+                this.lastWritten = null;
+                return this.data;
+            }
+            // 新版本程序写入的文件不是损坏，不能被降级覆盖
+            if (error.code === 'ENEWERSCHEMA') throw error;
+            primaryError = error;
+        }
+
+        await this._preserveCorrupt();
+
+        try {
+            const text = await fs.promises.readFile(this.backupPath, 'utf8');
+            this.data = this._parse(text);
+            this.lastWritten = null;
+            this.logger.warn(`${this.schema.name} 已损坏，已从备份恢复: ${this.filePath}`, primaryError.message);
+            this.emit('recovered', { file: this.filePath, source: 'backup', error: primaryError });
+        } catch (error) {
+            this.data = this.schema.createDefault();
+            this.lastWritten = null;
+            this.logger.warn(`${this.schema.name} 与备份均不可用，已重置为默认值: ${this.filePath}`, primaryError.message);
+            this.emit('recovered', { file: this.filePath, source: 'default', error: primaryError });
+        }
+
+        // 立即写回，修复主文件
+        this.markDirty();
+        return this.data;
+    }
+
+    /**
+     * 替换全部数据并安排写入
+     */
+    set(data) {
+        this.data = data;
+        this.markDirty();
+    }
+
+    /**
+     * 标记数据已修改，coalesceMs 后写入
+     */
+    markDirty() {
+        this.dirty = true;
+        this.revision++;
+
+        if (!this.timer && !this.writing) {
+            this.timer = setTimeout(() => this._write(), this.options.coalesceMs);
+        }
+    }
+
+    /**
+     * 立即写入尚未保存的修改，等待写入完成
+     */
+    async flush() {
+        if (!this.dirty) {
+            await this.writing;
+            return;
+        }
+
+        const done = new Promise((resolve, reject) => this.waiters.push({ resolve, reject }));
+        if (!this.writing) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this._write();
+        }
+        return done;
+    }
+
+    /**
+     * 写入当前数据；写入期间又有修改时，完成后再写一次
+     */
+    _write() {
+        this.timer = null;
+        this.dirty = false;
+
+        const waiters = this.waiters;
+        this.waiters = [];
+        const text = JSON.stringify(this.schema.wrap(this.data, this.schema.version), null, 2);
+        let failed = false;
+
+        this.writing = this._writeText(text)
+            .then(() => {
+                waiters.forEach(waiter => waiter.resolve());
+            }, (error) => {
+                failed = true;
+                this.logger.warn(`${this.schema.name} 写入失败: ${this.filePath}`, error.message);
+                this.dirty = true;
+                waiters.forEach(waiter => waiter.reject(error));
+                if (waiters.length === 0 && this.listenerCount('error') > 0) {
+                    this.emit('error', error);
+                }
+            })
+            .finally(() => {
+                this.writing = null;
+                if (this.waiters.length > 0) {
+                    this._write();
+                } else if (failed) {
+                    this.timer = setTimeout(() => this._write(), this.options.retryMs);
+                    this.timer.unref();
+                } else if (this.dirty) {
+                    this.markDirty();
+                }
+            });
+    }
+
+    async _writeText(text) {
+        if (this.lastWritten !== null && this.lastWritten !== text) {
+            await writeFileAtomic(this.backupPath, this.lastWritten);
+        }
+        await writeFileAtomic(this.filePath, text);
+        this.lastWritten = text;
+    }
+
+    _parse(text) {
+        const { version, data } = this.schema.unwrap(JSON.parse(text));
+
+        if (version > this.schema.version) {
+            const error = new Error(`${this.schema.name} 版本 ${version} 高于当前支持的版本 ${this.schema.version}`);
+            error.code = 'ENEWERSCHEMA';
+            throw error;
+        }
+
+        let migrated = data;
+        for (let from = version; from < this.schema.version; from++) {
+            const migrate = this.schema.migrations[from];
+            if (!migrate) {
+                throw new Error(`${this.schema.name} 缺少从版本 ${from} 升级的迁移函数`);
+            }
+            migrated = migrate(migrated);
+        }
+
+        const invalid = this.schema.validate(migrated);
+        if (invalid) {
+            throw new Error(`${this.schema.name} 格式错误: ${invalid}`);
+        }
+
+        if (version < this.schema.version) {
+            this.emit('migrated', { file: this.filePath, from: version, to: this.schema.version });
+            this.markDirty();
+        }
+        return migrated;
+    }
+
+    /**
+     * 损坏的主文件另存一份，避免被随后的写入覆盖
+     */
+    async _preserveCorrupt() {
+        try {
+            await fs.promises.rename(this.filePath, `${this.filePath}.corrupt-${Date.now()}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.warn(`无法另存损坏的文件: ${this.filePath}`, error.message);
+            }
+        }
+    }
+
+    /**
+     * 写入未保存的修改并停止计时器
+     */
+    async close() {
+        await this.flush();
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = JsonFileStore;
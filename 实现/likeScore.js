@@ -0,0 +1,234 @@
+const { toRecordPath, findRecordFiles } = require('./reconcile');
+
+const DEFAULT_DECAY_RATE = 0.2;
+const BAND_COUNT = 10;
+
+/**
+ * 分数保留 6 位小数，避免 5.8 - 0.2 = 5.6000000000000005 这类误差逐次累积
+ */
+function roundScore(score) {
+    return Math.round(score * 1e6) / 1e6;
+}
+
+/**
+ * 点赞：+1
+ */
+function applyLike(score) {
+    return roundScore(score + 1);
+}
+
+/**
+ * 不喜欢：1 <= 分数 < 2 时直接归零（避免出现 0.x），否则 -1，没有下限
+ */
+function applyDislike(score) {
+    if (score >= 1 && score < 2) return 0;
+    return roundScore(score - 1);
+}
+
+/**
+ * 会话内未评分时的衰减：只对大于 1 的分数生效，最低衰减到 1
+ */
+function applyDecay(score, decayRate = DEFAULT_DECAY_RATE) {
+    if (score <= 1) return score;
+    return Math.max(1, roundScore(score - decayRate));
+}
+
+/**
+ * UI 显示：向下取整的绝对值与三态
+ */
+function getDisplayState(score) {
+    if (score > 0) return { state: 'positive', icon: 'up', value: Math.floor(score) };
+    if (score < 0) return { state: 'negative', icon: 'down', value: Math.floor(Math.abs(score)) };
+    return { state: 'neutral', icon: 'up', value: null };
+}
+
+/**
+ * 把 [low, high] 平均分成 10 段，返回分数所在段（0 为最靠近 0 的一段）
+ */
+function bandIndex(distance, span) {
+    if (span <= 0) return 0;
+    return Math.min(BAND_COUNT - 1, Math.max(0, Math.floor(distance / (span / BAND_COUNT))));
+}
+
+/**
+ * 动态分段：正分 [1, Max] 与负分 [Min, -1] 各 10 段，空段不返回
+ * items: [{ score, ... }]；返回按 正分段（高 -> 低）、负分段（-1 -> Min）排列的
+ * [{ sign, index, from, to, label, items }]，段内按分数降序
+ * from 为靠近 0 的边界，label 形如 "90 ~ 100"、"-1 ~ -10"；区间较小时边界带小数（与分数相同的精度），如 "1.08 ~ 1.16"
+ */
+function computeBands(items) {
+    const positive = items.filter(item => item.score > 0);
+    const negative = items.filter(item => item.score < 0);
+    const bands = [];
+
+    if (positive.length > 0) {
+        const max = Math.max(1, ...positive.map(item => item.score));
+        bands.push(...buildBands(positive, 1, max - 1, 1));
+    }
+    if (negative.length > 0) {
+        const min = Math.min(-1, ...negative.map(item => item.score));
+        bands.push(...buildBands(negative, -1, -1 - min, -1));
+    }
+    return bands;
+}
+
+/**
+ * origin 为靠近 0 的边界（1 或 -1），span 为区间长度，sign 为方向
+ */
+function buildBands(items, origin, span, sign) {
+    const groups = Array.from({ length: BAND_COUNT }, () => []);
+
+    items.forEach((item) => {
+        // (0, 1) 与 (-1, 0) 之间的分数归入最靠近 0 的一段
+        const distance = Math.max(0, (item.score - origin) * sign);
+        groups[bandIndex(distance, span)].push(item);
+    });
+
+    const width = span / BAND_COUNT;
+    const bands = groups.map((group, index) => {
+        const from = roundScore(origin + sign * width * index);
+        const to = roundScore(origin + sign * width * (index + 1));
+        return {
+            sign: sign > 0 ? 'positive' : 'negative',
+            index,
+            from,
+            to,
+            label: `${from} ~ ${to}`,
+            items: group.sort((a, b) => b.score - a.score)
+        };
+    }).filter(band => band.items.length > 0);
+
+    // 正分段从高到低；负分段从 -1 到 Min
+    return sign > 0 ? bands.reverse() : bands;
+}
+
+/**
+ * 点赞分数引擎
+ * 分数保存在 files.json 的 like_count（通过 MetadataStore 读写，分数归零且无其他价值时条目自动移除），
+ * 以扫描器的文件哈希为键
+ */
+class LikeScoreEngine {
+    constructor(store, scanner, options = {}) {
+        this.store = store;
+        this.scanner = scanner;
+        this.options = {
+            decayRate: store.getSetting('like_decay_rate', DEFAULT_DECAY_RATE), // setting.json: like_decay_rate
+            ...options
+        };
+        this.session = null; // { hash, interacted }
+    }
+
+    getScore(hash) {
+        const record = this.store.getRecord(hash);
+        return record && typeof record.like_count === 'number' ? record.like_count : 0;
+    }
+
+    /**
+     * 开始播放一个视频；上一个会话先结算衰减
+     */
+    startSession(hash) {
+        this.endSession();
+        this.session = { hash, interacted: false };
+    }
+
+    /**
+     * 结束当前会话（播放结束或切换视频）：未评分且分数大于 1 时衰减
+     * 返回 { hash, before, after }，没有会话时返回 null
+     */
+    endSession() {
+        const session = this.session;
+        if (!session) return null;
+        this.session = null;
+
+        const before = this.getScore(session.hash);
+        const after = session.interacted ? before : applyDecay(before, this.options.decayRate);
+        if (after !== before) {
+            this._setScore(session.hash, after);
+        }
+        return { hash: session.hash, before, after };
+    }
+
+    like(hash) {
+        return this._rate(hash, applyLike);
+    }
+
+    dislike(hash) {
+        return this._rate(hash, applyDislike);
+    }
+
+    _rate(hash, apply) {
+        const score = apply(this.getScore(hash));
+        this._setScore(hash, score);
+
+        if (this.session && this.session.hash === hash) {
+            this.session.interacted = true;
+        }
+        return score;
+    }
+
+    _setScore(hash, score) {
+        this.store.updateRecord(hash, record => ({
+            ...(record || { paths: this._diskPaths(hash) }),
+            like_count: score
+        }));
+    }
+
+    /**
+     * 扫描结果中该哈希对应的文件路径（files.json 格式）
+     */
+    _diskPaths(hash) {
+        return this.scanner ? this.scanner.getFilesByHash(hash).map(toRecordPath) : [];
+    }
+
+    /**
+     * 全库非零分数，与扫描结果关联：files 为磁盘上对应的文件，missing 表示文件已不存在
+     */
+    getScoredItems() {
+        const items = [];
+
+        Object.entries(this.store.getRecords()).forEach(([hash, record]) => {
+            const score = typeof record.like_count === 'number' ? record.like_count : 0;
+            if (score === 0) return;
+
+            const files = this._findFiles(hash, record);
+            items.push({
+                hash,
+                score,
+                display: getDisplayState(score),
+                record,
+                files,
+                missing: files.length === 0
+            });
+        });
+        return items;
+    }
+
+    /**
+     * 点赞列表的分段结果
+     */
+    getBands() {
+        return computeBands(this.getScoredItems());
+    }
+
+    /**
+     * 优先按哈希匹配；扫描未计算哈希时按记录中的路径匹配
+     */
+    _findFiles(hash, record) {
+        const scanner = this.scanner;
+        if (!scanner) return [];
+
+        return findRecordFiles(scanner, hash, record)
+            .map(file => scanner.fileMap.get(file))
+            .filter(Boolean);
+    }
+}
+
+module.exports = {
+    LikeScoreEngine,
+    applyLike,
+    applyDislike,
+    applyDecay,
+    computeBands,
+    getDisplayState,
+    roundScore
+};
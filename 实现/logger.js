@@ -0,0 +1,95 @@
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: Infinity
+};
+
+/**
+ * 分级日志
+ * 各模块通过 options.logger 注入，默认输出到 console；level: 'silent' 时不输出任何内容
+ * sink 为 { debug, info, warn, error } 形式的输出目标（默认 console），参数与 console 方法相同
+ */
+class Logger {
+    constructor(options = {}) {
+        this.options = {
+            level: 'info', // debug / info / warn / error / silent
+            sink: console,
+            ...options
+        };
+
+        if (!(this.options.level in LEVELS)) {
+            throw new Error(`未知的日志级别: ${this.options.level}`);
+        }
+        this.threshold = LEVELS[this.options.level];
+    }
+
+    get level() {
+        return this.options.level;
+    }
+
+    setLevel(level) {
+        if (!(level in LEVELS)) {
+            throw new Error(`未知的日志级别: ${level}`);
+        }
+        this.options.level = level;
+        this.threshold = LEVELS[level];
+    }
+
+    isEnabled(level) {
+        return LEVELS[level] >= this.threshold;
+    }
+
+    debug(...args) {
+        this._write('debug', args);
+    }
+
+    info(...args) {
+        this._write('info', args);
+    }
+
+    warn(...args) {
+        this._write('warn', args);
+    }
+
+    error(...args) {
+        this._write('error', args);
+    }
+
+    _write(level, args) {
+        if (!this.isEnabled(level)) return;
+
+        const sink = this.options.sink;
+        const write = sink[level] || sink.log;
+        write.apply(sink, args);
+    }
+}
+
+const defaultLogger = new Logger();
+
+/**
+ * 把 options.logger 统一成日志对象
+ * - 未传：默认日志（console，info 级别）
+ * - 'silent' 或其他级别名：对应级别的默认日志
+ * - false：不输出
+ * - 带 debug / info / warn / error 方法的对象：直接使用（如 pino、winston 实例）
+ */
+function resolveLogger(logger) {
+    if (logger === undefined || logger === null || logger === true) return defaultLogger;
+    if (logger === false) return new Logger({ level: 'silent' });
+    if (typeof logger === 'string') return new Logger({ level: logger });
+
+    const missing = ['debug', 'info', 'warn', 'error'].filter(method => typeof logger[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`logger 缺少方法: ${missing.join(', ')}`);
+    }
+    return logger;
+}
+
+module.exports = {
+    Logger,
+    LEVELS,
+    defaultLogger,
+    resolveLogger
+};
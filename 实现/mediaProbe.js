@@ -0,0 +1,568 @@
+const { localFileSystem } = require('./fileSystems');
+const { readRange } = require('./hashStrategies');
+
+/**
+ * 写入文件记录的媒体字段
+ */
+const MEDIA_FIELDS = ['container', 'duration', 'width', 'height', 'videoCodec', 'audioCodec', 'rotation'];
+
+const MAX_ELEMENT_READ = 64 * 1024 * 1024; // moov / Tracks 等元素的读取上限
+const EBML_HEAD_READ = 64 * 1024;
+
+const MP4_CODECS = {
+    avc1: 'h264',
+    avc3: 'h264',
+    hvc1: 'hevc',
+    hev1: 'hevc',
+    av01: 'av1',
+    vp08: 'vp8',
+    vp09: 'vp9',
+    mp4v: 'mpeg4',
+    jpeg: 'mjpeg',
+    apcn: 'prores',
+    apch: 'prores',
+    apcs: 'prores',
+    mp4a: 'aac',
+    'ac-3': 'ac3',
+    'ec-3': 'eac3',
+    Opus: 'opus',
+    fLaC: 'flac',
+    alac: 'alac',
+    '.mp3': 'mp3',
+    sowt: 'pcm',
+    twos: 'pcm'
+};
+
+const MATROSKA_CODECS = {
+    'V_MPEG4/ISO/AVC': 'h264',
+    'V_MPEGH/ISO/HEVC': 'hevc',
+    'V_MPEG4/ISO/ASP': 'mpeg4',
+    V_MPEG2: 'mpeg2video',
+    V_VP8: 'vp8',
+    V_VP9: 'vp9',
+    V_AV1: 'av1',
+    A_AAC: 'aac',
+    A_OPUS: 'opus',
+    A_VORBIS: 'vorbis',
+    A_AC3: 'ac3',
+    A_EAC3: 'eac3',
+    A_FLAC: 'flac',
+    A_DTS: 'dts',
+    'A_MPEG/L3': 'mp3',
+    'A_PCM/INT/LIT': 'pcm'
+};
+
+// Matroska 元素 ID
+const EBML = {
+    Header: 0x1A45DFA3,
+    DocType: 0x4282,
+    Segment: 0x18538067,
+    SeekHead: 0x114D9B74,
+    Seek: 0x4DBB,
+    SeekID: 0x53AB,
+    SeekPosition: 0x53AC,
+    Info: 0x1549A966,
+    TimecodeScale: 0x2AD7B1,
+    Duration: 0x4489,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackType: 0x83,
+    CodecID: 0x86,
+    Video: 0xE0,
+    PixelWidth: 0xB0,
+    PixelHeight: 0xBA,
+    Projection: 0x7670,
+    ProjectionPoseRoll: 0x7675,
+    Cluster: 0x1F43B675
+};
+
+function createMediaInfo(container) {
+    return {
+        container,
+        duration: null, // 秒
+        width: null,
+        height: null,
+        videoCodec: null,
+        audioCodec: null,
+        rotation: 0 // 顺时针角度：0 / 90 / 180 / 270
+    };
+}
+
+/**
+ * 角度吸附到 90 的倍数并归一到 [0, 360)
+ */
+function normalizeRotation(degrees) {
+    const rotation = Math.round(degrees / 90) * 90;
+    return ((rotation % 360) + 360) % 360;
+}
+
+function mapCodec(table, id) {
+    if (!id) return null;
+    if (table[id]) return table[id];
+
+    // A_AAC/MPEG4/LC 之类的子类型
+    const prefix = Object.keys(table).find(key => id.startsWith(`${key}/`));
+    return prefix ? table[prefix] : id.trim().toLowerCase();
+}
+
+// ---------------------------------------------------------------------------
+// MP4 / MOV
+// ---------------------------------------------------------------------------
+
+/**
+ * 遍历 buffer 中 [start, end) 范围内的 box
+ */
+function* iterateBoxes(buffer, start = 0, end = buffer.length) {
+    let position = start;
+
+    while (position + 8 <= end) {
+        let size = buffer.readUInt32BE(position);
+        const type = buffer.toString('latin1', position + 4, position + 8);
+        let headerSize = 8;
+
+        if (size === 1) {
+            size = Number(buffer.readBigUInt64BE(position + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - position;
+        }
+
+        if (size < headerSize || position + size > end) {
+            throw new Error(`MP4 box 越界: ${type} @ ${position}`);
+        }
+
+        yield { type, start: position + headerSize, end: position + size };
+        position += size;
+    }
+}
+
+function findBox(buffer, parent, ...types) {
+    let box = parent;
+
+    for (const type of types) {
+        let found = null;
+        for (const child of iterateBoxes(buffer, box.start, box.end)) {
+            if (child.type === type) {
+                found = child;
+                break;
+            }
+        }
+        if (!found) return null;
+        box = found;
+    }
+    return box;
+}
+
+/**
+ * mvhd / mdhd 的时长（秒）
+ */
+function readMp4Duration(buffer, box) {
+    const version = buffer[box.start];
+    const timescale = buffer.readUInt32BE(box.start + (version === 1 ? 20 : 12));
+    const duration = version === 1
+        ? Number(buffer.readBigUInt64BE(box.start + 24))
+        : buffer.readUInt32BE(box.start + 16);
+
+    // 0xFFFFFFFF 表示时长未知
+    if (timescale === 0 || (version !== 1 && duration === 0xFFFFFFFF)) return null;
+    return duration / timescale;
+}
+
+/**
+ * tkhd：变换矩阵（旋转）与显示宽高（16.16 定点数）
+ */
+function readTrackHeader(buffer, box) {
+    const version = buffer[box.start];
+    const matrix = box.start + (version === 1 ? 52 : 40);
+    const a = buffer.readInt32BE(matrix) / 65536;
+    const b = buffer.readInt32BE(matrix + 4) / 65536;
+
+    return {
+        rotation: normalizeRotation(Math.atan2(b, a) * 180 / Math.PI),
+        width: Math.round(buffer.readUInt32BE(matrix + 36) / 65536),
+        height: Math.round(buffer.readUInt32BE(matrix + 40) / 65536)
+    };
+}
+
+/**
+ * 解析 moov box 的内容
+ */
+function parseMoov(buffer) {
+    const moov = { start: 0, end: buffer.length };
+    const info = createMediaInfo('mp4');
+
+    const mvhd = findBox(buffer, moov, 'mvhd');
+    if (mvhd) {
+        info.duration = readMp4Duration(buffer, mvhd);
+    }
+
+    for (const trak of iterateBoxes(buffer, moov.start, moov.end)) {
+        if (trak.type !== 'trak') continue;
+
+        const hdlr = findBox(buffer, trak, 'mdia', 'hdlr');
+        const handler = hdlr ? buffer.toString('latin1', hdlr.start + 8, hdlr.start + 12) : null;
+        const stsd = findBox(buffer, trak, 'mdia', 'minf', 'stbl', 'stsd');
+        // stsd: version/flags(4) + entry_count(4)，随后是第一个样本描述 box
+        const entry = stsd && stsd.end - stsd.start >= 16 ? stsd.start + 8 : null;
+        const format = entry !== null ? buffer.toString('latin1', entry + 4, entry + 8) : null;
+
+        if (handler === 'vide' && !info.videoCodec) {
+            info.videoCodec = mapCodec(MP4_CODECS, format);
+
+            const tkhd = findBox(buffer, trak, 'tkhd');
+            if (tkhd) {
+                Object.assign(info, readTrackHeader(buffer, tkhd));
+            }
+            // tkhd 未填写宽高时，取视频样本描述中的编码宽高
+            if ((!info.width || !info.height) && entry !== null && entry + 36 <= stsd.end) {
+                info.width = buffer.readUInt16BE(entry + 32);
+                info.height = buffer.readUInt16BE(entry + 34);
+            }
+        } else if (handler === 'soun' && !info.audioCodec) {
+            info.audioCodec = mapCodec(MP4_CODECS, format);
+        }
+
+        if (info.duration === null && handler === 'vide') {
+            const mdhd = findBox(buffer, trak, 'mdia', 'mdhd');
+            if (mdhd) info.duration = readMp4Duration(buffer, mdhd);
+        }
+    }
+
+    return info;
+}
+
+/**
+ * 顺着顶层 box 头部跳转，只读取 moov
+ */
+async function probeMp4(fileHandle, fileSize) {
+    const header = Buffer.alloc(16);
+    let position = 0;
+
+    while (position + 8 <= fileSize) {
+        const read = await readRange(fileHandle, header, 0, 16, position);
+        if (read < 8) break;
+        let size = header.readUInt32BE(0);
+        const type = header.toString('latin1', 4, 8);
+        let headerSize = 8;
+
+        if (size === 1) {
+            if (read < 16) break;
+            size = Number(header.readBigUInt64BE(8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = fileSize - position;
+        }
+
+        if (size < headerSize) {
+            throw new Error(`MP4 box 大小无效: ${type} @ ${position}`);
+        }
+
+        if (type === 'moov') {
+            const body = await readElementBody(fileHandle, position + headerSize, size - headerSize, 'moov');
+            return parseMoov(body);
+        }
+        position += size;
+    }
+
+    throw new Error('未找到 moov box');
+}
+
+// ---------------------------------------------------------------------------
+// Matroska / WebM
+// ---------------------------------------------------------------------------
+
+/**
+ * EBML 变长整数；keepMarker 为 true 时保留长度标记位（元素 ID）
+ * 返回 { value, length, unknown }，数据不足时返回 null
+ */
+function readVint(buffer, offset, keepMarker = false) {
+    if (offset >= buffer.length) return null;
+
+    const first = buffer[offset];
+    let length = 1;
+    let mask = 0x80;
+    while (length <= 8 && !(first & mask)) {
+        mask >>= 1;
+        length++;
+    }
+    if (length > 8) {
+        throw new Error(`EBML 变长整数无效 @ ${offset}`);
+    }
+    if (offset + length > buffer.length) return null;
+
+    let value = keepMarker ? first : first & (mask - 1);
+    let unknown = (first & (mask - 1)) === mask - 1;
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + buffer[offset + i];
+        if (buffer[offset + i] !== 0xFF) unknown = false;
+    }
+
+    return { value, length, unknown: !keepMarker && unknown };
+}
+
+/**
+ * 元素头：{ id, size（未知大小为 null）, dataStart }
+ */
+function readElementHeader(buffer, offset) {
+    const id = readVint(buffer, offset, true);
+    if (!id) return null;
+    const size = readVint(buffer, offset + id.length);
+    if (!size) return null;
+
+    return {
+        id: id.value,
+        size: size.unknown ? null : size.value,
+        dataStart: offset + id.length + size.length
+    };
+}
+
+/**
+ * 遍历 buffer 中 [start, end) 范围内的子元素
+ */
+function* iterateElements(buffer, start = 0, end = buffer.length) {
+    let position = start;
+
+    while (position < end) {
+        const header = readElementHeader(buffer, position);
+        if (!header) return;
+
+        const dataEnd = header.size === null ? end : header.dataStart + header.size;
+        if (dataEnd > end) {
+            throw new Error(`EBML 元素越界: 0x${header.id.toString(16)} @ ${position}`);
+        }
+
+        yield { id: header.id, start: header.dataStart, end: dataEnd };
+        position = dataEnd;
+    }
+}
+
+function readUnsigned(buffer, element) {
+    let value = 0;
+    for (let i = element.start; i < element.end; i++) {
+        value = value * 256 + buffer[i];
+    }
+    return value;
+}
+
+function readFloat(buffer, element) {
+    const length = element.end - element.start;
+    if (length === 4) return buffer.readFloatBE(element.start);
+    if (length === 8) return buffer.readDoubleBE(element.start);
+    return null;
+}
+
+function readString(buffer, element) {
+    return buffer.toString('utf8', element.start, element.end).replace(/\0+$/, '');
+}
+
+/**
+ * Segment Info：TimecodeScale（纳秒，默认 1ms）与 Duration（以 TimecodeScale 为单位）
+ */
+function parseMatroskaInfo(buffer, info) {
+    let timecodeScale = 1000000;
+    let duration = null;
+
+    for (const element of iterateElements(buffer)) {
+        if (element.id === EBML.TimecodeScale) {
+            timecodeScale = readUnsigned(buffer, element);
+        } else if (element.id === EBML.Duration) {
+            duration = readFloat(buffer, element);
+        }
+    }
+
+    if (duration !== null) {
+        info.duration = duration * timecodeScale / 1e9;
+    }
+}
+
+/**
+ * Tracks：取第一条视频轨与第一条音频轨
+ */
+function parseMatroskaTracks(buffer, info) {
+    for (const entry of iterateElements(buffer)) {
+        if (entry.id !== EBML.TrackEntry) continue;
+
+        let trackType = null;
+        let codecId = null;
+        let video = null;
+
+        for (const element of iterateElements(buffer, entry.start, entry.end)) {
+            if (element.id === EBML.TrackType) trackType = readUnsigned(buffer, element);
+            else if (element.id === EBML.CodecID) codecId = readString(buffer, element);
+            else if (element.id === EBML.Video) video = element;
+        }
+
+        if (trackType === 1 && !info.videoCodec) {
+            info.videoCodec = mapCodec(MATROSKA_CODECS, codecId);
+            if (video) parseMatroskaVideo(buffer, video, info);
+        } else if (trackType === 2 && !info.audioCodec) {
+            info.audioCodec = mapCodec(MATROSKA_CODECS, codecId);
+        }
+    }
+}
+
+function parseMatroskaVideo(buffer, video, info) {
+    for (const element of iterateElements(buffer, video.start, video.end)) {
+        if (element.id === EBML.PixelWidth) {
+            info.width = readUnsigned(buffer, element);
+        } else if (element.id === EBML.PixelHeight) {
+            info.height = readUnsigned(buffer, element);
+        } else if (element.id === EBML.Projection) {
+            for (const child of iterateElements(buffer, element.start, element.end)) {
+                if (child.id === EBML.ProjectionPoseRoll) {
+                    // Roll 为逆时针角度
+                    info.rotation = normalizeRotation(-readFloat(buffer, child));
+                }
+            }
+        }
+    }
+}
+
+/**
+ * SeekHead：元素 ID -> Segment 数据区内的偏移
+ */
+function parseSeekHead(buffer) {
+    const positions = new Map();
+
+    for (const seek of iterateElements(buffer)) {
+        if (seek.id !== EBML.Seek) continue;
+
+        let id = null;
+        let position = null;
+        for (const element of iterateElements(buffer, seek.start, seek.end)) {
+            if (element.id === EBML.SeekID) id = readUnsigned(buffer, element);
+            else if (element.id === EBML.SeekPosition) position = readUnsigned(buffer, element);
+        }
+        if (id !== null && position !== null) positions.set(id, position);
+    }
+    return positions;
+}
+
+async function readElementHeaderAt(fileHandle, position) {
+    const buffer = Buffer.alloc(16);
+    const read = await readRange(fileHandle, buffer, 0, 16, position);
+    const header = readElementHeader(buffer.subarray(0, read), 0);
+    if (!header) return null;
+
+    return { ...header, dataStart: position + header.dataStart };
+}
+
+/**
+ * 读取 Segment 下的 Info 与 Tracks；遇到 Cluster 仍未找到时按 SeekHead 跳转
+ */
+async function probeMatroska(fileHandle, fileSize) {
+    const head = Buffer.alloc(Math.min(EBML_HEAD_READ, fileSize));
+    await readRange(fileHandle, head, 0, head.length, 0);
+
+    const ebml = readElementHeader(head, 0);
+    if (!ebml || ebml.id !== EBML.Header || ebml.size === null) {
+        throw new Error('EBML 头无效');
+    }
+
+    let container = 'matroska';
+    for (const element of iterateElements(head, ebml.dataStart, Math.min(head.length, ebml.dataStart + ebml.size))) {
+        if (element.id === EBML.DocType && readString(head, element) === 'webm') {
+            container = 'webm';
+        }
+    }
+
+    const segment = await readElementHeaderAt(fileHandle, ebml.dataStart + ebml.size);
+    if (!segment || segment.id !== EBML.Segment) {
+        throw new Error('未找到 Matroska Segment');
+    }
+
+    const segmentStart = segment.dataStart;
+    const segmentEnd = segment.size === null ? fileSize : Math.min(fileSize, segmentStart + segment.size);
+    const bodies = new Map();
+    let seekPositions = new Map();
+    let position = segmentStart;
+
+    while (position < segmentEnd && !(bodies.has(EBML.Info) && bodies.has(EBML.Tracks))) {
+        const element = await readElementHeaderAt(fileHandle, position);
+        if (!element || element.id === EBML.Cluster || element.size === null) break;
+
+        if (element.id === EBML.Info || element.id === EBML.Tracks || element.id === EBML.SeekHead) {
+            const body = await readElementBody(fileHandle, element.dataStart, element.size, 'EBML');
+            if (element.id === EBML.SeekHead) {
+                seekPositions = parseSeekHead(body);
+            } else {
+                bodies.set(element.id, body);
+            }
+        }
+        position = element.dataStart + element.size;
+    }
+
+    for (const id of [EBML.Info, EBML.Tracks]) {
+        if (bodies.has(id) || !seekPositions.has(id)) continue;
+
+        const element = await readElementHeaderAt(fileHandle, segmentStart + seekPositions.get(id));
+        if (element && element.id === id && element.size !== null) {
+            bodies.set(id, await readElementBody(fileHandle, element.dataStart, element.size, 'EBML'));
+        }
+    }
+
+    if (!bodies.has(EBML.Info) && !bodies.has(EBML.Tracks)) {
+        throw new Error('未找到 Matroska Info / Tracks');
+    }
+
+    const info = createMediaInfo(container);
+    if (bodies.has(EBML.Info)) parseMatroskaInfo(bodies.get(EBML.Info), info);
+    if (bodies.has(EBML.Tracks)) parseMatroskaTracks(bodies.get(EBML.Tracks), info);
+    return info;
+}
+
+async function readElementBody(fileHandle, position, size, name) {
+    if (size > MAX_ELEMENT_READ) {
+        throw new Error(`${name} 元素过大: ${size} 字节`);
+    }
+
+    const body = Buffer.alloc(size);
+    const read = await readRange(fileHandle, body, 0, size, position);
+    if (read < size) {
+        throw new Error(`${name} 元素不完整（文件被截断）`);
+    }
+    return body;
+}
+
+// ---------------------------------------------------------------------------
+
+/**
+ * 按文件头识别容器格式
+ */
+function detectContainer(head) {
+    if (head.length >= 4 && head.readUInt32BE(0) === EBML.Header) return 'matroska';
+    if (head.length >= 8 && ['ftyp', 'moov', 'mdat', 'free', 'skip', 'wide'].includes(head.toString('latin1', 4, 8))) return 'mp4';
+    return null;
+}
+
+/**
+ * 解析视频容器头，只读取需要的字节范围
+ * 返回 { container, duration, width, height, videoCodec, audioCodec, rotation }；
+ * 不是可识别的容器时返回 null，结构损坏时抛出错误
+ * fileSystem: 文件系统适配器（见 fileSystems.js），默认本地磁盘
+ */
+async function probeMedia(filePath, fileSystem = localFileSystem) {
+    const fileHandle = await fileSystem.open(filePath);
+
+    try {
+        const { size } = await fileHandle.stat();
+        const head = Buffer.alloc(Math.min(12, size));
+        await readRange(fileHandle, head, 0, head.length, 0);
+
+        const container = detectContainer(head);
+        if (container === 'mp4') return await probeMp4(fileHandle, size);
+        if (container === 'matroska') return await probeMatroska(fileHandle, size);
+        return null;
+    } finally {
+        await fileHandle.close();
+    }
+}
+
+module.exports = {
+    MEDIA_FIELDS,
+    probeMedia,
+    parseMoov,
+    parseMatroskaInfo,
+    parseMatroskaTracks,
+    normalizeRotation
+};
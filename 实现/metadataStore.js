@@ -0,0 +1,400 @@
+const path = require('path');
+const { EventEmitter } = require('events');
+const JsonFileStore = require('./jsonFileStore');
+const { isValuableRecord } = require('./recordValue');
+const { resolveLogger } = require('./logger');
+const { applyChanges, toRecordPath } = require('./reconcile');
+const { getHashIdAliases, normalizeHashId } = require('./hashStrategies');
+
+const VERSION_KEY = '_schema_version';
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 对象形式的文件在顶层用 _schema_version 记录版本，没有该字段的视为版本 1
+ */
+function unwrapObject(raw) {
+    if (!isPlainObject(raw)) {
+        return { version: 1, data: raw };
+    }
+
+    const { [VERSION_KEY]: version, ...data } = raw;
+    return { version: version || 1, data };
+}
+
+function wrapObject(data, version) {
+    return { [VERSION_KEY]: version, ...data };
+}
+
+/**
+ * 条目的键统一为带标签的哈希 ID（normalizeHashId，旧格式的摘要同时转为小写）
+ * 旧键与带标签的键同时存在时合并：带标签的条目（新写入的）优先，路径取并集
+ */
+function normalizeRecordKeys(data) {
+    const result = {};
+
+    for (const [hash, record] of Object.entries(data)) {
+        const key = normalizeHashId(hash);
+        const existing = result[key];
+        result[key] = !existing ? record : {
+            ...(key === hash ? existing : record),
+            ...(key === hash ? record : existing),
+            paths: Array.from(new Set([...(existing.paths || []), ...(record.paths || [])]))
+        };
+    }
+    return result;
+}
+
+/**
+ * files.json：哈希 -> 条目
+ * v1：文档中的原始格式，条目可能只有 file_path 单个路径
+ * v2：统一为 paths 数组（./ 开头、正斜杠、去重）
+ * v3：键统一为带策略标签的哈希 ID（旧格式的 16 位十六进制补上 fnv1a64-sampled@1:）
+ */
+const FILES_SCHEMA = {
+    name: 'files.json',
+    version: 3,
+    createDefault: () => ({}),
+    unwrap: unwrapObject,
+    wrap: wrapObject,
+    validate(data) {
+        if (!isPlainObject(data)) return '顶层必须是对象';
+
+        for (const [hash, record] of Object.entries(data)) {
+            if (!isPlainObject(record)) return `条目 ${hash} 不是对象`;
+            if (!Array.isArray(record.paths)) return `条目 ${hash} 缺少 paths`;
+        }
+        return null;
+    },
+    migrations: {
+        1(data) {
+            const result = {};
+
+            for (const [hash, record] of Object.entries(data)) {
+                const { file_path: filePath, ...rest } = record;
+                const paths = Array.isArray(record.paths) ? record.paths : (filePath ? [filePath] : []);
+                result[hash] = { ...rest, paths: Array.from(new Set(paths.map(toRecordPath))) };
+            }
+            return result;
+        },
+        2: normalizeRecordKeys
+    }
+};
+
+/**
+ * Recent.json：最近播放的路径列表（最新在前），保持数组格式
+ */
+const RECENT_SCHEMA = {
+    name: 'Recent.json',
+    version: 1,
+    createDefault: () => [],
+    unwrap: raw => ({ version: 1, data: raw }),
+    wrap: data => data,
+    validate(data) {
+        if (!Array.isArray(data)) return '顶层必须是数组';
+        if (data.some(item => typeof item !== 'string')) return '列表中只能是路径字符串';
+        return null;
+    },
+    migrations: {}
+};
+
+/**
+ * setting.json：全局配置
+ */
+const SETTINGS_SCHEMA = {
+    name: 'setting.json',
+    version: 1,
+    createDefault: () => ({}),
+    unwrap: unwrapObject,
+    wrap: wrapObject,
+    validate: data => (isPlainObject(data) ? null : '顶层必须是对象'),
+    migrations: {}
+};
+
+/**
+ * tags.json：分组名 -> [{ id, texts, description? }]
+ * texts[0] 为标签名，其余为同义关键词；图片为 tag_images/[id].webp，不记录路径
+ * 顶层的 _last_tag_id 记录已分配过的最大 ID，保证删除后 ID 不被复用
+ * 内存中的数据为 { groups, lastId }
+ */
+const LAST_TAG_ID_KEY = '_last_tag_id';
+
+const TAGS_SCHEMA = {
+    name: 'tags.json',
+    version: 1,
+    createDefault: () => ({ groups: {}, lastId: 0 }),
+    unwrap(raw) {
+        if (!isPlainObject(raw)) {
+            return { version: 1, data: raw };
+        }
+
+        const { [VERSION_KEY]: version, [LAST_TAG_ID_KEY]: lastId, ...groups } = raw;
+        const maxId = Object.values(groups)
+            .filter(Array.isArray)
+            .reduce((max, tags) => tags.reduce((groupMax, tag) => Math.max(groupMax, Number(tag && tag.id) || 0), max), 0);
+
+        return { version: version || 1, data: { groups, lastId: Math.max(lastId || 0, maxId) } };
+    },
+    wrap: (data, version) => ({ [VERSION_KEY]: version, [LAST_TAG_ID_KEY]: data.lastId, ...data.groups }),
+    validate(data) {
+        if (!isPlainObject(data) || !isPlainObject(data.groups)) return '顶层必须是对象';
+
+        for (const [group, tags] of Object.entries(data.groups)) {
+            if (!Array.isArray(tags)) return `分组 ${group} 不是数组`;
+
+            for (const tag of tags) {
+                if (!isPlainObject(tag) || !Number.isInteger(tag.id)) return `分组 ${group} 中有缺少 id 的标签`;
+                if (!Array.isArray(tag.texts) || tag.texts.length === 0) return `标签 ${tag.id} 缺少 texts`;
+            }
+        }
+        return null;
+    },
+    migrations: {}
+};
+
+/**
+ * 用户数据读写层：files.json / Recent.json / setting.json / tags.json
+ * 见 实现/用户数据读写抽象层.md
+ */
+class MetadataStore extends EventEmitter {
+    constructor(dataDir, options = {}) {
+        super();
+        this.dataDir = dataDir;
+        this.options = {
+            filesFileName: 'files.json',
+            recentFileName: 'Recent.json',
+            settingsFileName: 'setting.json',
+            tagsFileName: 'tags.json',
+            maxRecent: 50, // 最近播放列表长度上限
+            coalesceMs: 100, // 合并写入的等待时间
+            logger: null, // 日志，见 logger.js
+            ...options
+        };
+        this.logger = resolveLogger(this.options.logger);
+
+        const storeOptions = { coalesceMs: this.options.coalesceMs, logger: this.logger };
+        this.files = new JsonFileStore(path.join(dataDir, this.options.filesFileName), FILES_SCHEMA, storeOptions);
+        this.recent = new JsonFileStore(path.join(dataDir, this.options.recentFileName), RECENT_SCHEMA, storeOptions);
+        this.settings = new JsonFileStore(path.join(dataDir, this.options.settingsFileName), SETTINGS_SCHEMA, storeOptions);
+        this.tags = new JsonFileStore(path.join(dataDir, this.options.tagsFileName), TAGS_SCHEMA, storeOptions);
+
+        for (const store of this._stores()) {
+            store.on('recovered', event => this.emit('recovered', event));
+            store.on('migrated', event => this.emit('migrated', event));
+            store.on('error', (error) => {
+                if (this.listenerCount('error') > 0) this.emit('error', error);
+            });
+        }
+    }
+
+    async load() {
+        await Promise.all(this._stores().map(store => store.load()));
+        return this;
+    }
+
+    // ------------------------------------------------------------------
+    // files.json
+    // ------------------------------------------------------------------
+
+    getRecord(hash) {
+        const key = this._findRecordKey(hash);
+        return key === null ? null : this.files.data[key];
+    }
+
+    /**
+     * 全部条目（hash -> 条目），可直接传给 scanner.reconcile()
+     */
+    getRecords() {
+        return this.files.data;
+    }
+
+    /**
+     * files.json 的修改版本号，每次修改都会变化
+     */
+    getRecordsRevision() {
+        return this.files.revision;
+    }
+
+    /**
+     * 哈希在 files.json 中对应的键：已有条目的键（同一哈希的任意写法都能找到），否则为统一后的带标签哈希 ID
+     * updateRecord 写入的就是这个键，按哈希建立的索引应使用它
+     */
+    getRecordKey(hash) {
+        const key = this._findRecordKey(hash);
+        return key !== null ? key : normalizeHashId(hash);
+    }
+
+    /**
+     * 更新条目：update 为要合并的字段，或 (当前条目 | null) => 新条目 | null
+     * 更新后失去全部价值的条目会被移除，返回最终条目或 null
+     */
+    updateRecord(hash, update) {
+        // 已有条目保留原来的键；新条目的键与迁移后的 files.json 一致（带标签、小写）
+        hash = this.getRecordKey(hash);
+
+        const current = this.files.data[hash] || null;
+        const next = typeof update === 'function'
+            ? update(current ? { ...current } : null)
+            : { paths: [], ...current, ...update };
+
+        if (!next || !isValuableRecord(next)) {
+            if (current) {
+                delete this.files.data[hash];
+                this.files.markDirty();
+            }
+            return null;
+        }
+
+        this.files.data[hash] = { ...next, paths: Array.isArray(next.paths) ? next.paths : [] };
+        this.files.markDirty();
+        return this.files.data[hash];
+    }
+
+    removeRecord(hash) {
+        const key = this._findRecordKey(hash);
+        if (key === null) return false;
+
+        delete this.files.data[key];
+        this.files.markDirty();
+        return true;
+    }
+
+    /**
+     * 整体替换条目（只保留有价值的条目，键统一为带标签的哈希 ID）
+     */
+    replaceRecords(records) {
+        const result = {};
+        Object.entries(normalizeRecordKeys(records)).forEach(([hash, record]) => {
+            if (isValuableRecord(record)) result[hash] = record;
+        });
+        this.files.set(result);
+    }
+
+    /**
+     * 移除已失去全部价值的条目，返回被移除的哈希
+     */
+    pruneRecords() {
+        const removed = Object.keys(this.files.data).filter(hash => !isValuableRecord(this.files.data[hash]));
+
+        if (removed.length > 0) {
+            removed.forEach(hash => delete this.files.data[hash]);
+            this.files.markDirty();
+        }
+        return removed;
+    }
+
+    /**
+     * 应用 scanner.reconcile() 的变更集（移动 / 删除），并清理无价值条目
+     */
+    applyReconcile(changes) {
+        this.replaceRecords(applyChanges(this.files.data, changes));
+    }
+
+    // ------------------------------------------------------------------
+    // Recent.json
+    // ------------------------------------------------------------------
+
+    getRecent() {
+        return this.recent.data.slice();
+    }
+
+    /**
+     * 记录一次播放：已存在时移到最前，超出上限时移除最早的条目
+     */
+    addRecent(filePath) {
+        const list = [filePath, ...this.recent.data.filter(item => item !== filePath)];
+        this.recent.set(list.slice(0, this.options.maxRecent));
+    }
+
+    /**
+     * 移除无效条目：predicate(path) 返回 true 的条目被移除，返回移除数量
+     */
+    removeRecent(predicate) {
+        const list = this.recent.data.filter(item => !predicate(item));
+        const removed = this.recent.data.length - list.length;
+
+        if (removed > 0) {
+            this.recent.set(list);
+        }
+        return removed;
+    }
+
+    // ------------------------------------------------------------------
+    // setting.json
+    // ------------------------------------------------------------------
+
+    getSettings() {
+        return this.settings.data;
+    }
+
+    getSetting(key, defaultValue = undefined) {
+        return key in this.settings.data ? this.settings.data[key] : defaultValue;
+    }
+
+    /**
+     * 合并更新顶层配置项
+     */
+    updateSettings(patch) {
+        this.settings.set({ ...this.settings.data, ...patch });
+    }
+
+    // ------------------------------------------------------------------
+    // tags.json
+    // ------------------------------------------------------------------
+
+    /**
+     * 标签库 { groups, lastId }，修改后调用 saveTagData()
+     */
+    getTagData() {
+        return this.tags.data;
+    }
+
+    saveTagData(data = this.tags.data) {
+        this.tags.set(data);
+    }
+
+    getTagDataRevision() {
+        return this.tags.revision;
+    }
+
+    getTagImagePath(tagId) {
+        return path.join(this.dataDir, 'tag_images', `${tagId}.webp`);
+    }
+
+    // ------------------------------------------------------------------
+
+    /**
+     * 立即写入所有未保存的修改
+     */
+    async flush() {
+        await Promise.all(this._stores().map(store => store.flush()));
+    }
+
+    async close() {
+        await Promise.all(this._stores().map(store => store.close()));
+    }
+
+    /**
+     * 条目在 files.json 中的键：带标签的哈希与旧格式（无标签）的摘要视为同一个，不存在时返回 null
+     * 加载时的迁移已经统一了键，这里兼容 replaceRecords() 等直接写入的旧格式键
+     */
+    _findRecordKey(hash) {
+        if (Object.prototype.hasOwnProperty.call(this.files.data, hash)) return hash;
+
+        return getHashIdAliases(hash).find(alias => Object.prototype.hasOwnProperty.call(this.files.data, alias)) || null;
+    }
+
+    _stores() {
+        return [this.files, this.recent, this.settings, this.tags];
+    }
+}
+
+module.exports = {
+    MetadataStore,
+    FILES_SCHEMA,
+    RECENT_SCHEMA,
+    SETTINGS_SCHEMA,
+    TAGS_SCHEMA
+};
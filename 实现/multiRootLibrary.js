@@ -0,0 +1,490 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const FastDirectoryScanner = require('./testHighPerformance');
+const { FileIndex } = require('./fileIndex');
+const { FilenameIndex } = require('./filenameIndex');
+const { verifyDuplicateGroup } = require('./duplicateVerifier');
+const { resolveLogger } = require('./logger');
+
+function createLibraryError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * 限定路径：根目录名 + 路径分隔符 + 根目录内的相对路径，如 movies/2023/a.mp4
+ * 根目录名不含路径分隔符，因此不同根目录下相同的相对路径不会冲突
+ */
+function qualifyPath(rootName, relativePath) {
+    return `${rootName}${path.sep}${relativePath}`;
+}
+
+function parseQualifiedPath(qualifiedPath) {
+    const index = qualifiedPath.indexOf(path.sep);
+    if (index <= 0) {
+        throw createLibraryError('EINVALIDPATH', `不是限定路径: ${qualifiedPath}`);
+    }
+    return { root: qualifiedPath.slice(0, index), path: qualifiedPath.slice(index + 1) };
+}
+
+/**
+ * 比较重叠用的根目录路径：本地磁盘上解析符号链接，Windows 上不区分大小写
+ */
+function comparableRootPath(rootPath, fileSystem) {
+    let resolved = rootPath;
+    if (fileSystem.local) {
+        try {
+            resolved = fs.realpathSync.native(rootPath);
+        } catch (error) {
+            // 目录不存在时按原路径比较，扫描时再报错
+        }
+    }
+    return process.platform === 'win32' ? resolved.toLowerCase() : resolved;
+}
+
+/**
+ * 两个路径相同，或其中一个位于另一个之内
+ */
+function isSameOrNested(a, b) {
+    const inside = relative => relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+    return inside(path.relative(a, b)) || inside(path.relative(b, a));
+}
+
+function formatFileSize(bytes) {
+    if (bytes === 0) return '0 B';
+
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const exponent = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+    return `${(bytes / Math.pow(1024, exponent)).toFixed(2)} ${units[exponent]}`;
+}
+
+/**
+ * 多根目录媒体库
+ * 每个根目录 { name, path, options } 由独立的 FastDirectoryScanner 扫描（并发、过滤、哈希等选项各自设置，
+ * 未设置的使用 defaults），扫描结果合并到一个以限定路径为键的索引中：
+ * - fileMap / hashMap / duplicateFiles 跨根目录，重复文件可以分布在不同根目录
+ *   （哈希策略不同的根目录之间哈希值不可比，不会被判为重复）
+ * - 添加、删除、重新扫描某个根目录只更新该根目录的条目，不需要重新扫描其他根目录
+ *
+ * fileMap 中的文件记录是各根目录扫描结果的副本：path 为限定路径，另有 root、relativePath
+ *
+ * 事件：progress { root, ... }、error { root, stage, path, error }（仅在有监听器时发出）、
+ *       root-added { name, path }、root-removed { name, path }
+ */
+class MultiRootLibrary extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = {
+            roots: [], // [{ name, path, options }]
+            defaults: {}, // 各根目录共用的扫描选项
+            parallel: true, // 同时扫描全部根目录（位于不同磁盘时更快）；false 时逐个扫描
+            logger: null,
+            ...options
+        };
+        this.logger = resolveLogger(this.options.logger);
+
+        this.roots = new Map(); // 名称 -> { name, path, scanner, keys, results, error, scanning }
+        this.fileMap = new Map();
+        this.hashMap = new Map();
+        this.duplicateFiles = new Map(); // 哈希 -> 限定路径列表
+        this.fileIndex = new FileIndex(this.fileMap);
+        this.nameIndex = new FilenameIndex(this.fileMap);
+        this.verifiedDuplicates = null;
+
+        this.options.roots.forEach(root => this.addRoot(root));
+    }
+
+    // ------------------------------------------------------------------
+    // 根目录
+    // ------------------------------------------------------------------
+
+    /**
+     * 添加根目录（不会自动扫描，之后调用 scanRoot(name)）
+     * options 为该根目录的扫描选项，覆盖 defaults 中的同名项
+     * 与同一文件系统上已有的根目录相同或互相包含时抛出 EROOTOVERLAP：
+     * 同一个文件会以两个路径出现并被当作重复文件，删除其中一个就删掉了唯一的副本
+     */
+    addRoot({ name, path: rootPath, options = {} }) {
+        if (typeof name !== 'string' || name === '' || /[\\/]/.test(name)) {
+            throw createLibraryError('EINVALIDROOT', `根目录名不能为空或包含路径分隔符: ${name}`);
+        }
+        if (!rootPath) {
+            throw createLibraryError('EINVALIDROOT', `根目录 ${name} 缺少 path`);
+        }
+        if (this.roots.has(name)) {
+            throw createLibraryError('EROOTEXISTS', `根目录已存在: ${name}`);
+        }
+
+        const scanner = new FastDirectoryScanner({ logger: this.logger, ...this.options.defaults, ...options });
+        const resolvedPath = path.resolve(rootPath);
+        const comparablePath = comparableRootPath(resolvedPath, scanner.fileSystem);
+        for (const existing of this.roots.values()) {
+            if (existing.scanner.fileSystem !== scanner.fileSystem) continue;
+            if (isSameOrNested(comparableRootPath(existing.path, existing.scanner.fileSystem), comparablePath)) {
+                throw createLibraryError('EROOTOVERLAP', `根目录 ${name} 与 ${existing.name} 重叠: ${resolvedPath}, ${existing.path}`);
+            }
+        }
+
+        scanner.on('progress', progress => this.emit('progress', { root: name, ...progress }));
+        scanner.on('error', event => {
+            if (this.listenerCount('error') > 0) {
+                this.emit('error', { root: name, ...event });
+            }
+        });
+
+        const root = {
+            name,
+            path: resolvedPath,
+            scanner,
+            keys: new Set(), // 该根目录在合并索引中的限定路径
+            results: null,
+            error: null,
+            scanning: false,
+            watcher: null
+        };
+        this.roots.set(name, root);
+        this.emit('root-added', { name, path: root.path });
+        return root;
+    }
+
+    /**
+     * 删除根目录：从合并索引中移除它的全部文件，停止监听
+     */
+    async removeRoot(name) {
+        const root = this._getRoot(name);
+        if (root.scanning) {
+            throw createLibraryError('EROOTBUSY', `根目录正在扫描: ${name}`);
+        }
+
+        if (root.watcher) {
+            await root.watcher.close();
+        }
+        this._dropRootFiles(root);
+        root.scanner.removeAllListeners();
+        this.roots.delete(name);
+        this.emit('root-removed', { name, path: root.path });
+    }
+
+    getRootNames() {
+        return Array.from(this.roots.keys());
+    }
+
+    /**
+     * 扫描（或重新扫描）一个根目录，完成后替换合并索引中该根目录的条目
+     */
+    async scanRoot(name, { signal } = {}) {
+        const root = this._getRoot(name);
+        if (root.scanning) {
+            throw createLibraryError('EROOTBUSY', `根目录正在扫描: ${name}`);
+        }
+
+        root.scanning = true;
+        try {
+            root.results = await root.scanner.scanDirectory(root.path, { signal });
+            root.error = null;
+        } catch (error) {
+            root.error = error;
+            throw error;
+        } finally {
+            root.scanning = false;
+        }
+
+        this._importRoot(root);
+        return root.results;
+    }
+
+    /**
+     * 扫描全部根目录
+     * 单个根目录失败不影响其他根目录，失败原因见 getResults().roots[name].error；取消时抛出 AbortError
+     */
+    async scanAll({ signal } = {}) {
+        const names = this.getRootNames();
+        const scanOne = name => this.scanRoot(name, { signal }).catch(error => {
+            if (error.name === 'AbortError') throw error;
+            this.logger.warn(`根目录扫描失败: ${name}`, error.message);
+        });
+
+        if (this.options.parallel) {
+            const outcomes = await Promise.allSettled(names.map(scanOne));
+            const aborted = outcomes.find(outcome => outcome.status === 'rejected');
+            if (aborted) throw aborted.reason;
+        } else {
+            for (const name of names) {
+                await scanOne(name);
+            }
+        }
+
+        return this.getResults();
+    }
+
+    /**
+     * 监听一个根目录（需先扫描），文件变化增量同步到合并索引
+     */
+    async watchRoot(name, options = {}) {
+        const root = this._getRoot(name);
+        if (root.watcher) return root.watcher;
+
+        const watcher = await root.scanner.watch(options);
+        const refresh = relativePath => {
+            this._removeFile(root, qualifyPath(name, relativePath));
+            this._addFile(root, relativePath);
+        };
+        watcher.on('added', ({ path: relativePath }) => refresh(relativePath));
+        watcher.on('changed', ({ path: relativePath }) => refresh(relativePath));
+        watcher.on('removed', ({ path: relativePath }) => this._removeFile(root, qualifyPath(name, relativePath)));
+        watcher.on('renamed', ({ from, to }) => {
+            this._removeFile(root, qualifyPath(name, from));
+            this._addFile(root, to);
+        });
+
+        const close = watcher.close.bind(watcher);
+        watcher.close = async () => {
+            root.watcher = null;
+            await close();
+        };
+        root.watcher = watcher;
+        return watcher;
+    }
+
+    // ------------------------------------------------------------------
+    // 查询
+    // ------------------------------------------------------------------
+
+    /**
+     * 限定路径 -> 绝对路径
+     */
+    resolvePath(qualifiedPath) {
+        const { root: name, path: relativePath } = parseQualifiedPath(qualifiedPath);
+        return path.join(this._getRoot(name).path, relativePath);
+    }
+
+    /**
+     * 与 scanner.query 相同，作用于全部根目录；可按 root 区分时用 items[i].root
+     */
+    query(options = {}) {
+        return this.fileIndex.query(options);
+    }
+
+    /**
+     * 最新的文件：有首次发现时间的按首次发现时间，其余按创建时间
+     */
+    getLatestFiles(count = 100) {
+        return this.query({ sortBy: 'firstSeen', order: 'desc', limit: count }).items;
+    }
+
+    getLargestFiles(count = 10) {
+        return this.query({ sortBy: 'size', order: 'desc', limit: count }).items
+            .map(file => ({ ...file, formattedSize: formatFileSize(file.size) }));
+    }
+
+    searchFiles(query, options = {}) {
+        return this.nameIndex.search(query, options);
+    }
+
+    getFilesByHash(hash) {
+        return this.duplicateFiles.get(hash) || [];
+    }
+
+    /**
+     * 全部重复文件分组（可跨根目录），指向同一文件的硬链接只保留一个路径
+     */
+    getAllDuplicateFiles() {
+        const duplicates = [];
+
+        this.duplicateFiles.forEach((allFiles, hash) => {
+            const files = this._getDistinctFiles(allFiles);
+            if (files.length < 2) return;
+
+            duplicates.push({
+                hash,
+                roots: Array.from(new Set(files.map(file => this.fileMap.get(file).root))),
+                files: files.map(file => {
+                    const fileInfo = this.fileMap.get(file);
+                    return {
+                        path: file,
+                        root: fileInfo.root,
+                        relativePath: fileInfo.relativePath,
+                        size: fileInfo.size,
+                        formattedSize: formatFileSize(fileInfo.size)
+                    };
+                })
+            });
+        });
+
+        return duplicates;
+    }
+
+    /**
+     * 逐块比对重复候选组（跨根目录），返回 [{ hash, confirmed, falsePositives }]
+     */
+    async verifyDuplicates({ chunkSize = 1024 * 1024 } = {}) {
+        const groups = [];
+
+        for (const [hash, allFiles] of this.duplicateFiles) {
+            const files = this._getDistinctFiles(allFiles);
+            if (files.length < 2) continue;
+
+            const candidates = files.map(file => {
+                const fileInfo = this.fileMap.get(file);
+                return {
+                    path: file,
+                    fullPath: this.resolvePath(file),
+                    size: fileInfo.size,
+                    fileSystem: this.roots.get(fileInfo.root).scanner.fileSystem // 各根目录的来源可以不同
+                };
+            });
+
+            try {
+                const { confirmed, falsePositives } = await verifyDuplicateGroup(candidates, { chunkSize });
+                groups.push({ hash, confirmed, falsePositives });
+            } catch (error) {
+                this.logger.warn(`重复文件比对失败: ${hash}`, error.message);
+            }
+        }
+
+        this.verifiedDuplicates = groups;
+        return groups;
+    }
+
+    /**
+     * 合并统计与各根目录明细
+     * roots[name]: { path, totalFiles, totalSize, formattedTotalSize, duplicateFiles, scanned, error, results }
+     * results 为该根目录扫描器的完整结果（未扫描时为 null）
+     */
+    getResults() {
+        const groups = this.getAllDuplicateFiles();
+        const duplicatesByRoot = new Map();
+        groups.forEach(group => group.files.forEach(file => {
+            duplicatesByRoot.set(file.root, (duplicatesByRoot.get(file.root) || 0) + 1);
+        }));
+
+        const roots = {};
+        this.roots.forEach(root => {
+            const size = this._sumSize(this._getDistinctFiles(root.keys));
+
+            roots[root.name] = {
+                path: root.path,
+                totalFiles: root.keys.size,
+                totalSize: size,
+                formattedTotalSize: formatFileSize(size),
+                duplicateFiles: duplicatesByRoot.get(root.name) || 0,
+                scanned: root.results !== null,
+                error: root.error ? root.error.message : null,
+                results: root.results
+            };
+        });
+
+        const totalSize = this._sumSize(this._getDistinctFiles(this.fileMap.keys()));
+
+        return {
+            totalFiles: this.fileMap.size,
+            totalSize,
+            formattedTotalSize: formatFileSize(totalSize),
+            duplicateGroups: groups.length,
+            duplicateFiles: groups.reduce((sum, group) => sum + group.files.length, 0),
+            crossRootDuplicateGroups: groups.filter(group => group.roots.length > 1).length,
+            errors: Object.entries(roots).flatMap(([name, root]) =>
+                (root.results ? root.results.errors : []).map(entry => ({ root: name, ...entry }))),
+            roots
+        };
+    }
+
+    // ------------------------------------------------------------------
+
+    /**
+     * 去掉指向同一文件的其他路径（同一文件系统适配器上 inode 相同），硬链接跨根目录时只保留一个
+     * 只能识别扫描器记录了 inode 的文件（nlink > 1，或启用 followSymlinks）；根目录重叠已由 addRoot 拒绝
+     */
+    _getDistinctFiles(files) {
+        const seen = new Map(); // 文件系统适配器 -> 已出现的 inode
+        const distinct = [];
+
+        for (const file of files) {
+            const fileInfo = this.fileMap.get(file);
+            if (fileInfo.inode) {
+                const fileSystem = this.roots.get(fileInfo.root).scanner.fileSystem;
+                if (!seen.has(fileSystem)) seen.set(fileSystem, new Set());
+
+                const inodes = seen.get(fileSystem);
+                if (inodes.has(fileInfo.inode)) continue;
+                inodes.add(fileInfo.inode);
+            }
+            distinct.push(file);
+        }
+        return distinct;
+    }
+
+    _sumSize(files) {
+        return files.reduce((sum, file) => sum + this.fileMap.get(file).size, 0);
+    }
+
+    _getRoot(name) {
+        const root = this.roots.get(name);
+        if (!root) {
+            throw createLibraryError('EROOTNOTFOUND', `根目录不存在: ${name}`);
+        }
+        return root;
+    }
+
+    /**
+     * 用根目录扫描器的当前结果替换合并索引中该根目录的条目
+     */
+    _importRoot(root) {
+        this._dropRootFiles(root);
+        root.scanner.fileMap.forEach((fileInfo, relativePath) => this._addFile(root, relativePath));
+        this.verifiedDuplicates = null;
+    }
+
+    _dropRootFiles(root) {
+        Array.from(root.keys).forEach(key => this._removeFile(root, key));
+        this.verifiedDuplicates = null;
+    }
+
+    _addFile(root, relativePath) {
+        const source = root.scanner.fileMap.get(relativePath);
+        if (!source) return;
+
+        const key = qualifyPath(root.name, relativePath);
+        const fileInfo = { ...source, path: key, root: root.name, relativePath };
+        this.fileMap.set(key, fileInfo);
+        this.fileIndex.add(fileInfo);
+        this.nameIndex.add(fileInfo);
+        root.keys.add(key);
+
+        const hashInfo = root.scanner.hashMap.get(relativePath);
+        if (hashInfo) {
+            this.hashMap.set(key, hashInfo);
+            if (!this.duplicateFiles.has(hashInfo.hash)) {
+                this.duplicateFiles.set(hashInfo.hash, []);
+            }
+            this.duplicateFiles.get(hashInfo.hash).push(key);
+        }
+    }
+
+    _removeFile(root, key) {
+        const fileInfo = this.fileMap.get(key);
+        if (!fileInfo) return;
+
+        this.fileMap.delete(key);
+        this.fileIndex.remove(fileInfo);
+        this.nameIndex.remove(fileInfo);
+        root.keys.delete(key);
+
+        const hashInfo = this.hashMap.get(key);
+        if (hashInfo) {
+            this.hashMap.delete(key);
+            const files = this.duplicateFiles.get(hashInfo.hash);
+            const index = files ? files.indexOf(key) : -1;
+            if (index !== -1) files.splice(index, 1);
+            if (files && files.length === 0) this.duplicateFiles.delete(hashInfo.hash);
+        }
+    }
+}
+
+module.exports = {
+    MultiRootLibrary,
+    qualifyPath,
+    parseQualifiedPath
+};
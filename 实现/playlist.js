@@ -0,0 +1,376 @@
+const path = require('path');
+const { EventEmitter } = require('events');
+const { fromRecordPath, findRecordFiles } = require('./reconcile');
+
+const RANDOM_MODE = 'random';
+
+/**
+ * 可复现的伪随机数（mulberry32），相同种子得到相同的播放顺序
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 洗牌袋：一轮内每个文件只抽一次，抽完再整体重新洗牌
+ */
+class ShuffleBag {
+    constructor(random) {
+        this.random = random;
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    refill(items) {
+        this.items = Array.from(items);
+
+        // Fisher-Yates
+        for (let i = this.items.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [this.items[i], this.items[j]] = [this.items[j], this.items[i]];
+        }
+    }
+
+    /**
+     * 新文件插入本轮剩余部分的随机位置
+     */
+    add(item) {
+        const index = Math.floor(this.random() * (this.items.length + 1));
+        this.items.splice(index, 0, item);
+    }
+
+    remove(item) {
+        const index = this.items.indexOf(item);
+        if (index !== -1) this.items.splice(index, 1);
+    }
+
+    rename(from, to) {
+        const index = this.items.indexOf(from);
+        if (index !== -1) this.items[index] = to;
+    }
+
+    /**
+     * 从袋尾取出第一个满足 accept 的文件；isValid 为 false 的文件直接丢弃
+     */
+    draw(accept, isValid) {
+        for (let i = this.items.length - 1; i >= 0; i--) {
+            const item = this.items[i];
+
+            if (!isValid(item)) {
+                this.items.splice(i, 1);
+            } else if (accept(item)) {
+                this.items.splice(i, 1);
+                return item;
+            }
+        }
+        return null;
+    }
+}
+
+/**
+ * 播放列表：基于扫描结果（fileMap 相对路径）
+ * - 随机模式：全库洗牌袋，本轮抽完前不重复，避开最近播放过的文件，且不会抽到当前文件
+ * - 列表模式：最新 / 最近 / 精品 / 点赞 / 搜索结果等有序列表，按顺序播放到列表结束
+ * - 前进 / 后退：播放历史栈，后退后再前进会重放历史，显式播放新文件时丢弃前进部分
+ * - 文件被删除或移动时（handleRemoved / handleRenamed，或 attach(watcher)）同步更新袋、列表与历史
+ *
+ * 事件：change { path, file, mode, source }（source 为 random / list / history / play）
+ */
+class Playlist extends EventEmitter {
+    constructor(scanner, options = {}) {
+        super();
+        this.scanner = scanner;
+        this.options = {
+            seed: Date.now(), // 随机种子，相同种子与相同文件集得到相同顺序
+            recentExclusion: 20, // 随机模式避开最近播放的文件数
+            maxHistory: 500, // 历史栈上限
+            ...options
+        };
+
+        this.seed = this.options.seed;
+        this.bag = new ShuffleBag(createRandom(this.seed));
+        this.mode = RANDOM_MODE;
+        this.listName = null;
+        this.items = []; // 列表模式下的有序文件
+        this.listIndex = -1;
+        this.history = [];
+        this.position = -1;
+    }
+
+    /**
+     * 当前文件的相对路径
+     */
+    get current() {
+        return this.position >= 0 ? this.history[this.position] : null;
+    }
+
+    getCurrentFile() {
+        return this.current ? this.scanner.fileMap.get(this.current) || null : null;
+    }
+
+    /**
+     * 切回全库随机（保留历史）
+     */
+    useRandom() {
+        this.mode = RANDOM_MODE;
+        this.listName = null;
+        this.items = [];
+        this.listIndex = -1;
+    }
+
+    /**
+     * 切换到有序列表；startPath 为列表中开始播放的文件（双击的那一项），不传时从第一项开始
+     * 返回 startPath 对应的文件，未传 startPath 时返回 null（调用 next() 播放第一项）
+     */
+    useList(name, paths, startPath = null) {
+        this.mode = 'list';
+        this.listName = name;
+        this.items = Array.from(paths);
+        this.listIndex = -1;
+
+        return startPath === null ? null : this.play(startPath);
+    }
+
+    /**
+     * 显式播放某个文件（双击、启动恢复等）
+     */
+    play(relativePath) {
+        const file = this.scanner.fileMap.get(relativePath);
+        if (!file) return null;
+
+        if (this.mode !== RANDOM_MODE) {
+            const index = this.items.indexOf(relativePath);
+            if (index !== -1) this.listIndex = index;
+        }
+
+        this._push(relativePath);
+        this.emit('change', { path: relativePath, file, mode: this.mode, source: 'play' });
+        return file;
+    }
+
+    /**
+     * 下一个：历史中有前进记录时先重放历史，否则按当前模式选取
+     * 列表播放到末尾时返回 null
+     */
+    next() {
+        for (let i = this.position + 1; i < this.history.length; i++) {
+            if (this.scanner.fileMap.has(this.history[i])) {
+                return this._moveTo(i);
+            }
+        }
+
+        const nextPath = this.mode === RANDOM_MODE ? this._drawRandom() : this._nextInList();
+        if (nextPath === null) return null;
+
+        this._push(nextPath);
+        const file = this.scanner.fileMap.get(nextPath);
+        this.emit('change', { path: nextPath, file, mode: this.mode, source: this.mode === RANDOM_MODE ? 'random' : 'list' });
+        return file;
+    }
+
+    /**
+     * 上一个：沿历史后退，跳过已不存在的文件；没有更早的记录时返回 null
+     */
+    previous() {
+        for (let i = this.position - 1; i >= 0; i--) {
+            if (this.scanner.fileMap.has(this.history[i])) {
+                return this._moveTo(i);
+            }
+        }
+        return null;
+    }
+
+    _moveTo(index) {
+        this.position = index;
+        const relativePath = this.history[index];
+
+        if (this.mode !== RANDOM_MODE) {
+            const listIndex = this.items.indexOf(relativePath);
+            if (listIndex !== -1) this.listIndex = listIndex;
+        }
+
+        const file = this.scanner.fileMap.get(relativePath);
+        this.emit('change', { path: relativePath, file, mode: this.mode, source: 'history' });
+        return file;
+    }
+
+    _push(relativePath) {
+        // 后退后播放新文件：丢弃前进部分
+        this.history.splice(this.position + 1);
+        this.history.push(relativePath);
+
+        const overflow = this.history.length - this.options.maxHistory;
+        if (overflow > 0) {
+            this.history.splice(0, overflow);
+        }
+        this.position = this.history.length - 1;
+    }
+
+    _nextInList() {
+        for (let i = this.listIndex + 1; i < this.items.length; i++) {
+            if (this.scanner.fileMap.has(this.items[i])) {
+                this.listIndex = i;
+                return this.items[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 随机选取：先避开最近播放的文件；不够时只避开当前文件；本轮抽完后重新洗牌
+     * 全库只有当前一个文件时返回它本身
+     */
+    _drawRandom() {
+        const current = this.current;
+        const recent = new Set(this.history.slice(-this.options.recentExclusion));
+        const isValid = file => this.scanner.fileMap.has(file);
+        const strict = file => file !== current && !recent.has(file);
+        const loose = file => file !== current;
+
+        let picked = this.bag.draw(strict, isValid) || this.bag.draw(loose, isValid);
+        if (picked === null) {
+            this.bag.refill(this.scanner.fileMap.keys());
+            picked = this.bag.draw(strict, isValid) || this.bag.draw(loose, isValid);
+        }
+
+        if (picked === null && current !== null && isValid(current)) {
+            return current;
+        }
+        return picked;
+    }
+
+    // ------------------------------------------------------------------
+    // 文件变化
+    // ------------------------------------------------------------------
+
+    /**
+     * 新增文件加入本轮随机袋（有序列表不变，由调用方重新生成）
+     */
+    handleAdded(relativePath) {
+        if (this.bag.size > 0) {
+            this.bag.add(relativePath);
+        }
+    }
+
+    /**
+     * 文件被删除：从袋、列表与历史中移除；当前文件被删除时，next() 播放其后的文件
+     */
+    handleRemoved(relativePath) {
+        this.bag.remove(relativePath);
+
+        for (let i = this.items.length - 1; i >= 0; i--) {
+            if (this.items[i] !== relativePath) continue;
+            this.items.splice(i, 1);
+            if (i <= this.listIndex) this.listIndex--;
+        }
+
+        for (let i = this.history.length - 1; i >= 0; i--) {
+            if (this.history[i] !== relativePath) continue;
+            this.history.splice(i, 1);
+            if (i <= this.position) this.position--;
+        }
+    }
+
+    /**
+     * 文件被移动或重命名：原位置替换为新路径
+     */
+    handleRenamed(from, to) {
+        this.bag.rename(from, to);
+        this.items = this.items.map(item => (item === from ? to : item));
+        this.history = this.history.map(item => (item === from ? to : item));
+    }
+
+    /**
+     * 订阅 scanner.watch() 返回的监听器，返回取消订阅的函数
+     */
+    attach(watcher) {
+        const onAdded = ({ path: relativePath }) => this.handleAdded(relativePath);
+        const onRemoved = ({ path: relativePath }) => this.handleRemoved(relativePath);
+        const onRenamed = ({ from, to }) => this.handleRenamed(from, to);
+
+        watcher.on('added', onAdded);
+        watcher.on('removed', onRemoved);
+        watcher.on('renamed', onRenamed);
+
+        return () => {
+            watcher.off('added', onAdded);
+            watcher.off('removed', onRemoved);
+            watcher.off('renamed', onRenamed);
+        };
+    }
+}
+
+// ----------------------------------------------------------------------
+// 有序列表的数据来源（返回 fileMap 相对路径）
+// ----------------------------------------------------------------------
+
+/**
+ * 最新：创建时间倒序前 count 个
+ */
+function getLatestPaths(scanner, count = 100) {
+    return scanner.getLatestFiles(count).map(file => file.path);
+}
+
+/**
+ * 最近：Recent.json 的顺序（最新在前），跳过磁盘上已不存在的文件
+ * Recent.json 中可以是绝对路径或 files.json 格式的相对路径
+ */
+function getRecentPaths(scanner, store) {
+    return store.getRecent()
+        .map(item => (path.isAbsolute(item) ? path.relative(scanner.rootDir, item) : fromRecordPath(item)))
+        .filter(relativePath => scanner.fileMap.has(relativePath));
+}
+
+/**
+ * 精品：is_favorite 为 true 的条目，按创建时间倒序
+ */
+function getFavoritePaths(scanner, store) {
+    const paths = collectRecordPaths(scanner, store, record => record.is_favorite === true);
+    return paths.sort((a, b) => scanner.fileMap.get(b).createTime - scanner.fileMap.get(a).createTime);
+}
+
+/**
+ * 点赞：like_count 大于 0 的条目，按分数降序（与点赞页面的分段顺序一致）
+ */
+function getLikedPaths(scanner, store) {
+    const scores = new Map();
+    const paths = collectRecordPaths(scanner, store, record => typeof record.like_count === 'number' && record.like_count > 0, (file, record) => {
+        scores.set(file, record.like_count);
+    });
+    return paths.sort((a, b) => scores.get(b) - scores.get(a));
+}
+
+function collectRecordPaths(scanner, store, predicate, onMatch = null) {
+    const paths = new Set();
+
+    Object.entries(store.getRecords()).forEach(([hash, record]) => {
+        if (!predicate(record)) return;
+
+        findRecordFiles(scanner, hash, record).forEach((file) => {
+            paths.add(file);
+            if (onMatch) onMatch(file, record);
+        });
+    });
+    return Array.from(paths);
+}
+
+module.exports = {
+    Playlist,
+    ShuffleBag,
+    createRandom,
+    getLatestPaths,
+    getRecentPaths,
+    getFavoritePaths,
+    getLikedPaths
+};
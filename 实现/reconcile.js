@@ -0,0 +1,180 @@
+const path = require('path');
+const { isValuableRecord } = require('./recordValue');
+const { normalizeHashId } = require('./hashStrategies');
+
+/**
+ * 统一为 files.json 中的路径格式（./a/b.mp4，正斜杠）
+ */
+function toRecordPath(filePath) {
+    const normalized = String(filePath).replace(/\\/g, '/').replace(/^(\.\/)+/, '');
+    return `./${normalized}`;
+}
+
+/**
+ * files.json 中的路径转换为扫描结果（fileMap）中的相对路径
+ */
+function fromRecordPath(recordPath) {
+    return String(recordPath).replace(/^(\.\/)+/, '').split('/').join(path.sep);
+}
+
+/**
+ * 条目在扫描结果中对应的文件（fileMap 相对路径）
+ * 优先按哈希匹配（旧格式的键视为 fnv1a64-sampled@1）；扫描未计算哈希时按条目中的路径匹配
+ */
+function findRecordFiles(scanner, hash, record) {
+    if (scanner.hashMap.size > 0) {
+        return scanner.getFilesByHash(normalizeHashId(hash));
+    }
+
+    const paths = Array.isArray(record.paths) ? record.paths : (record.file_path ? [record.file_path] : []);
+    return paths.map(fromRecordPath).filter(file => scanner.fileMap.has(file));
+}
+
+/**
+ * 把 files.json 对象（hash -> 条目）或条目数组统一成 [{ hash, paths, record }]
+ */
+function normalizeRecords(records) {
+    const entries = Array.isArray(records)
+        ? records.map(record => [record.hash, record])
+        : Object.entries(records || {});
+
+    return entries.map(([hash, record]) => {
+        let paths = [];
+        if (Array.isArray(record.paths)) {
+            paths = record.paths;
+        } else if (record.file_path) {
+            paths = [record.file_path];
+        }
+
+        return {
+            hash: hash,
+            paths: paths.map(toRecordPath),
+            record: record
+        };
+    });
+}
+
+/**
+ * 将扫描结果与 files.json 记录比对，按“文件 - 刷新”中的四种情况分类
+ * - relocate: 哈希命中但路径变化（移动/重命名）
+ * - drop: 文件已删除/内容变化，或条目已失去全部价值
+ * - newFiles: 磁盘上有但记录中没有的文件
+ * - collisions: 同一哈希在磁盘上对应多个文件，需要用户决定
+ */
+function reconcile(scanner, records) {
+    if (scanner.fileMap.size > 0 && scanner.hashMap.size === 0) {
+        throw new Error('比对需要哈希：请在启用 enableHash 的情况下扫描');
+    }
+
+    // 磁盘侧索引：哈希 -> 路径列表，路径 -> 哈希
+    const diskByHash = new Map();
+    const diskPaths = new Map();
+    scanner.fileMap.forEach((fileInfo, relativePath) => {
+        const hashInfo = scanner.hashMap.get(relativePath);
+        const recordPath = toRecordPath(relativePath);
+        const hash = hashInfo ? hashInfo.hash : null;
+
+        diskPaths.set(recordPath, hash);
+        if (hash) {
+            if (!diskByHash.has(hash)) {
+                diskByHash.set(hash, []);
+            }
+            diskByHash.get(hash).push(recordPath);
+        }
+    });
+
+    const changes = {
+        unchanged: [],
+        relocate: [],
+        drop: [],
+        newFiles: [],
+        collisions: []
+    };
+    const knownHashes = new Set();
+    const knownPaths = new Set();
+
+    for (const { hash, paths, record } of normalizeRecords(records)) {
+        // 变更集中保留条目原来的键，比较时统一为带标签的哈希
+        const hashId = normalizeHashId(hash);
+        knownHashes.add(hashId);
+        paths.forEach(recordPath => knownPaths.add(recordPath));
+
+        if (!isValuableRecord(record)) {
+            changes.drop.push({ hash, paths, record, reason: 'no-value' });
+            continue;
+        }
+
+        const found = diskByHash.get(hashId) || [];
+
+        if (found.length === 0) {
+            // 路径还在但哈希对不上，说明内容被修改过
+            const modified = paths.some(recordPath => diskPaths.has(recordPath) && diskPaths.get(recordPath) !== null);
+            changes.drop.push({ hash, paths, record, reason: modified ? 'modified' : 'missing' });
+        } else if (found.length > 1) {
+            const settled = found.length === paths.length && found.every(diskPath => paths.includes(diskPath));
+            if (settled) {
+                // 多路径条目已经记录了全部副本
+                changes.unchanged.push({ hash, paths: found });
+            } else {
+                changes.collisions.push({ hash, record, recordPaths: paths, diskPaths: found });
+            }
+        } else if (paths.length === 1 && paths[0] === found[0]) {
+            changes.unchanged.push({ hash, paths: found });
+        } else {
+            changes.relocate.push({ hash, record, from: paths, to: found });
+        }
+    }
+
+    diskPaths.forEach((hash, recordPath) => {
+        const known = hash ? knownHashes.has(hash) : knownPaths.has(recordPath);
+        if (!known) {
+            changes.newFiles.push({ path: recordPath, hash });
+        }
+    });
+
+    changes.stats = {
+        unchanged: changes.unchanged.length,
+        relocate: changes.relocate.length,
+        drop: changes.drop.length,
+        newFiles: changes.newFiles.length,
+        collisions: changes.collisions.length
+    };
+
+    return changes;
+}
+
+/**
+ * 将变更集应用到 files.json 对象，返回新对象
+ * collisions 需要用户决定，保持原样
+ */
+function applyChanges(records, changes) {
+    const result = {};
+
+    for (const { hash, record } of normalizeRecords(records)) {
+        result[hash] = record;
+    }
+
+    changes.drop.forEach(({ hash }) => {
+        delete result[hash];
+    });
+
+    changes.relocate.forEach(({ hash, to }) => {
+        if (!result[hash]) return;
+
+        const updated = { ...result[hash], paths: [...to] };
+        if ('file_path' in updated) {
+            updated.file_path = to[0];
+        }
+        result[hash] = updated;
+    });
+
+    return result;
+}
+
+module.exports = {
+    reconcile,
+    applyChanges,
+    toRecordPath,
+    fromRecordPath,
+    findRecordFiles
+};
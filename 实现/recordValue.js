@@ -0,0 +1,65 @@
+/**
+ * files.json 条目的“价值”判定
+ * 只有用户投入过精力的数据才值得持久化，见 功能/文件 - 刷新.md 3.1
+ */
+
+/**
+ * 条目是否有点赞：like_count > 0（功能/文件 - 刷新.md 3.1、功能/文件- 待删除.md 3.1）
+ */
+function hasLikes(record) {
+    return Boolean(record) && typeof record.like_count === 'number' && record.like_count > 0;
+}
+
+/**
+ * 条目是否被“不喜欢”（like_count < 0）：不触发删除保护，但负分段列表需要保留这个分数（功能/列表 - 点赞.md）
+ */
+function hasDislikes(record) {
+    return Boolean(record) && typeof record.like_count === 'number' && record.like_count < 0;
+}
+
+/**
+ * 列出条目中仍然有效的价值项
+ */
+function getValueReasons(record) {
+    if (!record) return [];
+
+    const reasons = [];
+
+    if (hasLikes(record)) {
+        reasons.push('like_count');
+    }
+    if (hasDislikes(record)) {
+        reasons.push('dislike');
+    }
+    if (record.is_favorite === true) {
+        reasons.push('is_favorite');
+    }
+    if (Array.isArray(record.tags) && record.tags.length > 0) {
+        reasons.push('tags');
+    }
+    if (typeof record.rotation === 'number' && record.rotation !== 0) {
+        reasons.push('rotation');
+    }
+    if (record.screenshot_rotation !== undefined && record.screenshot_rotation !== null) {
+        reasons.push('screenshot_rotation');
+    }
+    if (Array.isArray(record.crop_history) && record.crop_history.length > 0) {
+        reasons.push('crop_history');
+    }
+
+    return reasons;
+}
+
+/**
+ * 条目是否还有任意一项价值数据
+ */
+function isValuableRecord(record) {
+    return getValueReasons(record).length > 0;
+}
+
+module.exports = {
+    hasLikes,
+    hasDislikes,
+    getValueReasons,
+    isValuableRecord
+};
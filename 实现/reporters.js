@@ -0,0 +1,267 @@
+const fs = require('fs');
+const { once } = require('events');
+const { MEDIA_FIELDS } = require('./mediaProbe');
+const { createTempPath } = require('./atomicWrite');
+
+/**
+ * 扫描报告输出
+ *
+ * reporter 接口：{ name, extension, async write(report, output) }
+ * - report：scanner.getReport() 的结果
+ *   { generatedAt, rootDir, summary, timeDistribution, largestFiles, duplicates, files() }
+ *   files() 返回文件记录的迭代器 { path, size, createTime, createTimeSource, firstSeen, modifyTime, hash, hashMethod, linkTarget, hardlinkOf, ...媒体字段 }
+ * - output：{ write(text) } ，write 返回 Promise，按写入顺序输出
+ *
+ * 内置：json（完整报告）、ndjson（每行一个文件）、csv（文件列表）、html（单文件可视化报告）
+ */
+
+const FILE_COLUMNS = ['path', 'size', 'createTime', 'createTimeSource', 'firstSeen', 'modifyTime', 'hash', 'hashMethod', 'linkTarget', 'hardlinkOf', ...MEDIA_FIELDS, 'probeError'];
+
+const jsonReporter = {
+    name: 'json',
+    extension: '.json',
+    async write(report, output) {
+        const { files, ...rest } = report;
+        const head = JSON.stringify(rest, null, 2);
+
+        // 文件列表逐条写出，避免大库一次性拼接整个字符串
+        await output.write(`${head.slice(0, -2)},\n  "files": [`);
+        let first = true;
+        for (const record of files()) {
+            await output.write(`${first ? '\n' : ',\n'}    ${JSON.stringify(record)}`);
+            first = false;
+        }
+        await output.write(first ? ']\n}\n' : '\n  ]\n}\n');
+    }
+};
+
+const ndjsonReporter = {
+    name: 'ndjson',
+    extension: '.ndjson',
+    async write(report, output) {
+        for (const record of report.files()) {
+            await output.write(`${JSON.stringify(record)}\n`);
+        }
+    }
+};
+
+function escapeCsv(value) {
+    if (value === null || value === undefined) return '';
+
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvReporter = {
+    name: 'csv',
+    extension: '.csv',
+    async write(report, output) {
+        // BOM：Excel 按 UTF-8 打开中文路径
+        await output.write(`\uFEFF${FILE_COLUMNS.join(',')}\r\n`);
+        for (const record of report.files()) {
+            await output.write(`${FILE_COLUMNS.map(column => escapeCsv(record[column])).join(',')}\r\n`);
+        }
+    }
+};
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatSize(bytes) {
+    if (bytes === 0) return '0 B';
+
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const index = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+    return `${(bytes / Math.pow(1024, index)).toFixed(2)} ${units[index]}`;
+}
+
+const HTML_STYLE = `
+body { font-family: -apple-system, "Segoe UI", "Microsoft YaHei", sans-serif; margin: 24px; color: #222; }
+h1 { font-size: 20px; } h2 { font-size: 16px; margin-top: 28px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+table { border-collapse: collapse; font-size: 13px; }
+th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; }
+th { background: #f5f5f5; }
+td.num { text-align: right; white-space: nowrap; }
+.bar { background: #4a90d9; height: 12px; }
+.group { margin: 8px 0 16px; }
+.muted { color: #888; }
+`;
+
+const htmlReporter = {
+    name: 'html',
+    extension: '.html',
+    async write(report, output) {
+        const { summary } = report;
+        const duplicateGroups = report.duplicates;
+        const duplicateFiles = duplicateGroups.reduce((sum, group) => sum + group.files.length, 0);
+
+        const summaryRows = [
+            ['扫描目录', report.rootDir],
+            ['生成时间', report.generatedAt],
+            ['文件总数', summary.totalFiles],
+            ['总大小', summary.formattedTotalSize],
+            ['总耗时', summary.scanDuration],
+            ['扫描目录数', summary.stats.directoriesScanned],
+            ['计算哈希的文件数', summary.stats.filesWithHash],
+            ['读取失败', summary.stats.errorCount || 0],
+            ['重复文件', `${duplicateGroups.length} 组 / ${duplicateFiles} 个文件`]
+        ];
+
+        const maxCount = Math.max(1, ...report.timeDistribution.map(item => item.count));
+
+        await output.write(`<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<title>扫描报告 - ${escapeHtml(report.rootDir)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>扫描报告</h1>
+<table>
+${summaryRows.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+
+<h2>文件创建时间分布</h2>
+<table>
+<tr><th>时间段</th><th>文件数</th><th>占比</th><th></th></tr>
+${report.timeDistribution.map(item => `<tr><td>${escapeHtml(item.period)}</td><td class="num">${item.count}</td><td class="num">${item.percentage.toFixed(1)}%</td><td style="width:240px"><div class="bar" style="width:${(item.count / maxCount * 100).toFixed(1)}%"></div></td></tr>`).join('\n')}
+</table>
+
+<h2>最大的文件</h2>
+<table>
+<tr><th>#</th><th>大小</th><th>创建时间</th><th>路径</th></tr>
+${report.largestFiles.map((file, index) => `<tr><td class="num">${index + 1}</td><td class="num">${formatSize(file.size)}</td><td>${escapeHtml(file.createTime)}</td><td>${escapeHtml(file.path)}</td></tr>`).join('\n')}
+</table>
+
+<h2>重复文件（${duplicateGroups.length} 组）</h2>
+`);
+
+        if (duplicateGroups.length === 0) {
+            await output.write('<p class="muted">未发现重复文件</p>\n');
+        }
+        for (const group of duplicateGroups) {
+            await output.write(`<div class="group"><div class="muted">${escapeHtml(group.hash)}</div>
+<table>
+${group.files.map(file => `<tr><td class="num">${escapeHtml(file.formattedSize)}</td><td>${escapeHtml(file.path)}</td></tr>`).join('\n')}
+</table></div>
+`);
+        }
+
+        await output.write('</body>\n</html>\n');
+    }
+};
+
+const reporters = new Map();
+
+/**
+ * 注册自定义报告格式
+ */
+function registerReporter(reporter) {
+    if (!reporter || !reporter.name || typeof reporter.write !== 'function') {
+        throw new Error('reporter 需要 name 与 write(report, output)');
+    }
+    reporters.set(reporter.name, reporter);
+}
+
+[jsonReporter, ndjsonReporter, csvReporter, htmlReporter].forEach(registerReporter);
+
+function getReporter(format) {
+    if (typeof format === 'object' && format !== null) return format;
+
+    const reporter = reporters.get(format);
+    if (!reporter) {
+        throw new Error(`未知的报告格式: ${format}（可用: ${Array.from(reporters.keys()).join(', ')}）`);
+    }
+    return reporter;
+}
+
+/**
+ * 包装可写流：write 遵守背压，流出错时 write / done 拒绝
+ */
+function createStreamOutput(stream) {
+    const failed = once(stream, 'error').then(([error]) => { throw error; });
+    failed.catch(() => {});
+
+    return {
+        failed,
+        async write(text) {
+            if (!stream.write(text)) {
+                await Promise.race([once(stream, 'drain'), failed]);
+            }
+        }
+    };
+}
+
+/**
+ * 把报告写入任意可写流（如 process.stdout），不关闭流
+ */
+async function streamReport(report, format, stream) {
+    const reporter = getReporter(format);
+    const output = createStreamOutput(stream);
+    await Promise.race([reporter.write(report, output), output.failed]);
+}
+
+/**
+ * 写入文件的输出：内容先写入同目录下的临时文件，commit() 后重命名为目标文件，abort() 删除临时文件
+ * 写入或扫描失败时目标文件保持原样，不会留下半个报告
+ */
+function createFileOutput(outputFile) {
+    const tempFile = createTempPath(outputFile);
+    const stream = fs.createWriteStream(tempFile, { encoding: 'utf8' });
+    const output = createStreamOutput(stream);
+
+    return {
+        ...output,
+        stream,
+        async commit() {
+            stream.end();
+            await Promise.race([once(stream, 'close'), output.failed]);
+            await fs.promises.rename(tempFile, outputFile);
+        },
+        async abort() {
+            // 流在打开文件前被销毁时仍会创建文件，等流关闭后再删除
+            if (!stream.closed) {
+                const closed = once(stream, 'close').catch(() => {});
+                stream.destroy();
+                await closed;
+            }
+            await fs.promises.unlink(tempFile).catch(() => {});
+        }
+    };
+}
+
+/**
+ * 把报告写入文件（经临时文件重命名，见 createFileOutput）
+ * 写入时遵守流的背压
+ */
+async function writeReport(report, format, outputFile) {
+    const reporter = getReporter(format);
+    const output = createFileOutput(outputFile);
+
+    try {
+        await Promise.race([reporter.write(report, output), output.failed]);
+        await output.commit();
+    } catch (error) {
+        await output.abort();
+        throw error;
+    }
+    return outputFile;
+}
+
+module.exports = {
+    FILE_COLUMNS,
+    registerReporter,
+    getReporter,
+    createStreamOutput,
+    createFileOutput,
+    escapeCsv,
+    streamReport,
+    writeReport
+};
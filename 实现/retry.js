@@ -0,0 +1,71 @@
+const { setTimeout: sleep } = require('timers/promises');
+
+// 资源暂时不足或被占用，稍后重试通常能成功
+const TRANSIENT_ERROR_CODES = ['EMFILE', 'ENFILE', 'EBUSY', 'EAGAIN'];
+
+/**
+ * 临时性错误的重试策略：指数退避 + 抖动，整次扫描共享一个重试预算
+ * 预算用完后不再重试，避免大量文件同时失败时扫描被退避拖住
+ */
+class RetryPolicy {
+    constructor(options = {}) {
+        this.options = {
+            retries: 4, // 单个操作的最大重试次数
+            baseDelay: 50, // 首次重试前的等待（毫秒），之后每次翻倍
+            maxDelay: 2000, // 单次等待上限（毫秒）
+            budget: 500, // 整次扫描的重试总次数上限
+            codes: TRANSIENT_ERROR_CODES, // 视为临时性错误的 code
+            ...options
+        };
+        this.codes = new Set(this.options.codes);
+        this.used = 0;
+    }
+
+    reset() {
+        this.used = 0;
+    }
+
+    isTransient(error) {
+        return Boolean(error && this.codes.has(error.code));
+    }
+
+    /**
+     * 第 attempt 次失败后的等待时间：上限的一半固定，另一半随机，错开同时失败的任务
+     */
+    getDelay(attempt) {
+        const ceiling = Math.min(this.options.maxDelay, this.options.baseDelay * Math.pow(2, attempt - 1));
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    /**
+     * 执行 operation，临时性错误按策略重试
+     * 最终失败时抛出最后一次的错误，error.attempts 为尝试次数
+     * shouldStop() 返回 true 时（如扫描已中止）不再重试
+     */
+    async run(operation, { shouldStop = null, onRetry = null } = {}) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await operation();
+            } catch (error) {
+                const canRetry = this.isTransient(error) &&
+                    attempt <= this.options.retries &&
+                    this.used < this.options.budget &&
+                    !(shouldStop && shouldStop());
+                if (!canRetry) {
+                    error.attempts = attempt;
+                    throw error;
+                }
+
+                this.used++;
+                const delay = this.getDelay(attempt);
+                if (onRetry) onRetry(error, attempt, delay);
+                await sleep(delay);
+            }
+        }
+    }
+}
+
+module.exports = {
+    RetryPolicy,
+    TRANSIENT_ERROR_CODES
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./atomicWrite');
+const { defaultLogger } = require('./logger');
+
+const CACHE_VERSION = 1;
+
+/**
+ * 扫描快照缓存
+ * 记录上一次扫描得到的文件属性（大小、修改时间、dev/inode）与哈希，
+ * 刷新时文件属性未变化则直接复用哈希，避免重复读取大文件
+ */
+class ScanCache {
+    constructor(cacheFile, hashConfig, logger = defaultLogger) {
+        this.cacheFile = cacheFile;
+        this.hashConfig = hashConfig; // 哈希参数签名，参数变化后旧哈希全部作废
+        this.logger = logger;
+        this.previous = new Map(); // 上次扫描的快照
+        this.current = new Map(); // 本次扫描写入的快照
+    }
+
+    /**
+     * 加载快照（文件不存在或损坏时视为空快照）
+     */
+    async load(rootDir) {
+        this.previous.clear();
+        this.current.clear();
+        this.rootDir = path.resolve(rootDir);
+
+        let snapshot;
+        try {
+            snapshot = JSON.parse(await fs.promises.readFile(this.cacheFile, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.warn(`扫描快照无法读取，将重新建立: ${this.cacheFile}`, error.message);
+            }
+            return;
+        }
+
+        // 版本或根目录不一致时，相对路径已无意义
+        if (!snapshot || snapshot.version !== CACHE_VERSION || snapshot.root !== this.rootDir) {
+            return;
+        }
+
+        const hashValid = snapshot.hashConfig === this.hashConfig;
+        for (const [relativePath, entry] of Object.entries(snapshot.entries || {})) {
+            this.previous.set(relativePath, hashValid ? entry : { ...entry, hash: null, method: null });
+        }
+    }
+
+    /**
+     * 上次扫描是否见过该文件
+     */
+    has(relativePath) {
+        return this.previous.has(relativePath);
+    }
+
+    /**
+     * 查找可复用的缓存条目：大小、修改时间、dev/inode 均未变化且已有哈希
+     */
+    lookup(relativePath, stats) {
+        const entry = this.previous.get(relativePath);
+        if (!entry || !entry.hash || !this._isUnchanged(entry, stats)) {
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * 记录本次扫描结果
+     */
+    record(relativePath, stats, hashInfo) {
+        let hash = hashInfo ? hashInfo.hash : null;
+        let method = hashInfo ? hashInfo.method : null;
+
+        // 未启用哈希时，保留未变化文件的旧哈希，下次启用时仍可复用
+        if (!hash) {
+            const entry = this.previous.get(relativePath);
+            if (entry && entry.hash && this._isUnchanged(entry, stats)) {
+                hash = entry.hash;
+                method = entry.method;
+            }
+        }
+
+        this.current.set(relativePath, {
+            size: stats.size,
+            mtimeMs: stats.mtimeMs,
+            dev: stats.dev,
+            ino: stats.ino,
+            hash: hash,
+            method: method
+        });
+    }
+
+    /**
+     * 保存快照（先写临时文件再重命名，避免中途退出留下半个文件）
+     */
+    async save() {
+        const snapshot = {
+            version: CACHE_VERSION,
+            root: this.rootDir,
+            hashConfig: this.hashConfig,
+            savedAt: Date.now(),
+            entries: Object.fromEntries(this.current)
+        };
+
+        await writeFileAtomic(this.cacheFile, JSON.stringify(snapshot));
+    }
+
+    _isUnchanged(entry, stats) {
+        return entry.size === stats.size &&
+            entry.mtimeMs === stats.mtimeMs &&
+            entry.dev === stats.dev &&
+            entry.ino === stats.ino;
+    }
+}
+
+module.exports = ScanCache;
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./atomicWrite');
+const { defaultLogger } = require('./logger');
+
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * 扫描断点
+ * 保存尚未完成的目录队列与已完成的文件记录，中断的（带哈希的）长时间扫描可以从断点继续
+ */
+class ScanCheckpoint {
+    constructor(checkpointFile, scanConfig, logger = defaultLogger) {
+        this.checkpointFile = checkpointFile;
+        this.scanConfig = scanConfig; // 影响扫描结果的参数签名（哈希、过滤、遍历等），变化后断点作废
+        this.logger = logger;
+    }
+
+    /**
+     * 读取断点，根目录或扫描参数不一致时返回 null
+     */
+    async load(rootDir) {
+        let checkpoint;
+        try {
+            checkpoint = JSON.parse(await fs.promises.readFile(this.checkpointFile, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.warn(`扫描断点无法读取，将从头扫描: ${this.checkpointFile}`, error.message);
+            }
+            return null;
+        }
+
+        if (!checkpoint ||
+            checkpoint.version !== CHECKPOINT_VERSION ||
+            checkpoint.root !== path.resolve(rootDir) ||
+            checkpoint.scanConfig !== this.scanConfig) {
+            return null;
+        }
+
+        return {
+            pendingDirectories: checkpoint.pendingDirectories || [],
+            records: checkpoint.records || []
+        };
+    }
+
+    /**
+     * 写入断点
+     * records: [{ path, size, birthtimeMs, mtimeMs, atimeMs, dev, ino, hash, method }]
+     */
+    async save(rootDir, pendingDirectories, records) {
+        const checkpoint = {
+            version: CHECKPOINT_VERSION,
+            root: path.resolve(rootDir),
+            scanConfig: this.scanConfig,
+            savedAt: Date.now(),
+            pendingDirectories: pendingDirectories,
+            records: records
+        };
+
+        await writeFileAtomic(this.checkpointFile, JSON.stringify(checkpoint));
+    }
+
+    /**
+     * 扫描完成后删除断点
+     */
+    async clear() {
+        try {
+            await fs.promises.unlink(this.checkpointFile);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+}
+
+module.exports = ScanCheckpoint;
@@ -0,0 +1,239 @@
+const path = require('path');
+const { resolveLogger } = require('./logger');
+const { resolveFileSystem } = require('./fileSystems');
+
+/**
+ * 常见视频扩展名，可直接用作 extensions 选项
+ */
+const VIDEO_EXTENSIONS = ['mp4', 'mkv', 'webm', 'avi', 'mov', 'wmv', 'flv', 'm4v', 'ts', 'mpg', 'mpeg'];
+
+const CASE_INSENSITIVE = process.platform === 'win32';
+
+/**
+ * glob 转正则：支持 **、*、?、[...]
+ */
+function globToRegExp(glob) {
+    let source = '';
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === '*') {
+            if (glob[i + 1] === '*') {
+                // "**/" 匹配零或多级目录，单独的 "**" 匹配任意内容
+                if (glob[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i += 1;
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = glob.indexOf(']', i + 1);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                let body = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+                if (body.startsWith('!')) {
+                    body = '^' + body.slice(1);
+                }
+                source += `[${body}]`;
+                i = end;
+            }
+        } else {
+            source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`, CASE_INSENSITIVE ? 'i' : '');
+}
+
+/**
+ * 编译一条 gitignore 风格的规则
+ * - "!" 开头：取反（重新包含）
+ * - "/" 结尾：只匹配目录
+ * - 含 "/"：相对 base 目录匹配完整路径；否则匹配任意层级的文件名
+ */
+function compilePattern(pattern, base = '') {
+    let text = pattern;
+    const negate = text.startsWith('!');
+    if (negate) text = text.slice(1);
+
+    const dirOnly = text.endsWith('/');
+    if (dirOnly) text = text.slice(0, -1);
+
+    const anchored = text.includes('/');
+    if (text.startsWith('/')) text = text.slice(1);
+
+    return {
+        pattern,
+        base,
+        negate,
+        dirOnly,
+        anchored,
+        regex: globToRegExp(text)
+    };
+}
+
+/**
+ * 解析忽略文件内容（# 注释、空行忽略，"\#"、"\!" 转义）
+ */
+function parseIgnoreFile(content, base) {
+    return content
+        .split(/\r?\n/)
+        .map(line => line.replace(/\s+$/, ''))
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => compilePattern(line.replace(/^\\([#!])/, '$1'), base));
+}
+
+/**
+ * 判断路径是否命中规则（relativePath 使用正斜杠）
+ */
+function matchRule(rule, relativePath, isDirectory) {
+    if (rule.dirOnly && !isDirectory) return false;
+
+    let target = relativePath;
+    if (rule.base) {
+        if (!relativePath.startsWith(`${rule.base}/`)) return false;
+        target = relativePath.slice(rule.base.length + 1);
+    }
+
+    if (!rule.anchored) {
+        target = target.slice(target.lastIndexOf('/') + 1);
+    }
+    return rule.regex.test(target);
+}
+
+function toPosix(relativePath) {
+    return relativePath.split(path.sep).join('/');
+}
+
+function normalizeAbsolute(fullPath) {
+    const resolved = path.resolve(fullPath);
+    return CASE_INSENSITIVE ? resolved.toLowerCase() : resolved;
+}
+
+/**
+ * 扫描过滤器
+ * 目录在入队前判断（被排除的目录不会 readdir），文件在 stat 前判断
+ * check* 方法返回命中的规则类别，未命中返回 null
+ */
+class ScanFilter {
+    constructor(options = {}) {
+        this.excludePaths = (options.excludePaths || []).filter(Boolean).map(normalizeAbsolute);
+        this.include = (options.include || []).map(pattern => compilePattern(pattern));
+        this.exclude = (options.exclude || []).map(pattern => compilePattern(pattern));
+        this.extensions = options.extensions
+            ? new Set(options.extensions.map(ext => ext.replace(/^\./, '').toLowerCase()))
+            : null;
+        this.ignoreFileName = options.ignoreFileName || null;
+        this.fileSystem = resolveFileSystem(options.fileSystem); // 读取忽略文件
+        this.logger = resolveLogger(options.logger);
+    }
+
+    /**
+     * 当前目录含忽略文件时，读取并追加到继承下来的规则之后
+     */
+    async extendIgnoreRules(currentPath, relativePath, items, parentRules) {
+        if (!this.ignoreFileName) return parentRules;
+
+        const hasIgnoreFile = items.some(item => item.isFile() && item.name === this.ignoreFileName);
+        if (!hasIgnoreFile) return parentRules;
+
+        const ignoreFile = path.join(currentPath, this.ignoreFileName);
+        try {
+            const content = await this.fileSystem.readFile(ignoreFile, 'utf8');
+            return [...parentRules, ...parseIgnoreFile(content, toPosix(relativePath))];
+        } catch (error) {
+            this.logger.warn(`无法读取忽略文件: ${ignoreFile}`, error.message);
+            return parentRules;
+        }
+    }
+
+    /**
+     * 从根目录逐级读取忽略文件，得到某个目录生效的规则（断点续扫时使用）
+     */
+    async loadIgnoreRules(rootDir, relativeDir) {
+        let rules = [];
+        if (!this.ignoreFileName) return rules;
+
+        const parts = relativeDir ? relativeDir.split(path.sep) : [];
+        for (let i = 0; i <= parts.length; i++) {
+            const dir = parts.slice(0, i).join(path.sep);
+            try {
+                const content = await this.fileSystem.readFile(path.join(rootDir, dir, this.ignoreFileName), 'utf8');
+                rules = [...rules, ...parseIgnoreFile(content, toPosix(dir))];
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    this.logger.warn(`无法读取忽略文件: ${path.join(rootDir, dir, this.ignoreFileName)}`, error.message);
+                }
+            }
+        }
+        return rules;
+    }
+
+    checkDirectory(fullPath, relativePath, ignoreRules) {
+        if (this._isExcludedPath(fullPath)) return 'excludePaths';
+
+        const posixPath = toPosix(relativePath);
+        if (this.exclude.some(rule => matchRule(rule, posixPath, true))) return 'exclude';
+        if (this._isIgnored(ignoreRules, posixPath, true)) return 'ignoreFile';
+
+        return null;
+    }
+
+    checkFile(fullPath, relativePath, ignoreRules) {
+        if (this._isExcludedPath(fullPath)) return 'excludePaths';
+
+        const name = path.basename(relativePath);
+        if (this.ignoreFileName && name === this.ignoreFileName) return 'ignoreFile';
+
+        if (this.extensions) {
+            const ext = path.extname(name).slice(1).toLowerCase();
+            if (!this.extensions.has(ext)) return 'extensions';
+        }
+
+        const posixPath = toPosix(relativePath);
+        if (this.include.length > 0 && !this.include.some(rule => matchRule(rule, posixPath, false))) return 'include';
+        if (this.exclude.some(rule => matchRule(rule, posixPath, false))) return 'exclude';
+        if (this._isIgnored(ignoreRules, posixPath, false)) return 'ignoreFile';
+
+        return null;
+    }
+
+    _isExcludedPath(fullPath) {
+        if (this.excludePaths.length === 0) return false;
+
+        const target = normalizeAbsolute(fullPath);
+        return this.excludePaths.some(excluded =>
+            target === excluded || target.startsWith(excluded.endsWith(path.sep) ? excluded : excluded + path.sep)
+        );
+    }
+
+    /**
+     * gitignore 语义：最后一条命中的规则生效
+     */
+    _isIgnored(rules, posixPath, isDirectory) {
+        let ignored = false;
+
+        for (const rule of rules) {
+            if (matchRule(rule, posixPath, isDirectory)) {
+                ignored = !rule.negate;
+            }
+        }
+        return ignored;
+    }
+}
+
+module.exports = {
+    ScanFilter,
+    VIDEO_EXTENSIONS,
+    globToRegExp,
+    compilePattern,
+    parseIgnoreFile
+};
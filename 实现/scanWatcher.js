@@ -0,0 +1,317 @@
+const path = require('path');
+const { EventEmitter } = require('events');
+const { parseIgnoreFile } = require('./scanFilters');
+
+/**
+ * 扫描结果的实时监听
+ * 在 scanDirectory 完成后基于文件系统适配器的 watch（本地磁盘为 fs.watch）监听根目录，去抖后增量更新扫描器的
+ * fileMap / filesByCreateTime / hashMap / duplicateFiles，并发出事件：
+ * - added    { path, file }
+ * - removed  { path, file }
+ * - changed  { path, file, previous }
+ * - renamed  { from, to, file }（删除与新增的文件大小、哈希一致）
+ * - error    Error（没有监听者时只记录日志）
+ */
+class ScanWatcher extends EventEmitter {
+    constructor(scanner, options = {}) {
+        super();
+        this.scanner = scanner;
+        this.rootDir = scanner.rootDir;
+        this.fileSystem = scanner.fileSystem;
+        this.logger = scanner.logger;
+        this.options = {
+            debounceMs: 300, // 去抖时间
+            recursive: 'auto', // true: 递归监听；false: 每个目录单独监听；auto: 优先递归
+            ...options
+        };
+
+        this.watchers = new Map(); // 相对目录 -> FSWatcher
+        this.pending = new Set(); // 待处理的相对路径
+        this.ignoreRuleCache = new Map(); // 相对目录 -> 忽略规则
+        this.timer = null;
+        this.flushing = null;
+        this.closed = false;
+    }
+
+    /**
+     * 开始监听
+     */
+    async start() {
+        if (this.options.recursive !== false) {
+            try {
+                this._watchDirectory('', true);
+                this.recursive = true;
+                return this;
+            } catch (error) {
+                if (this.options.recursive === true) throw error;
+            }
+        }
+
+        this.recursive = false;
+        await this._watchTree('');
+        return this;
+    }
+
+    /**
+     * 停止监听
+     */
+    close() {
+        this.closed = true;
+        clearTimeout(this.timer);
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers.clear();
+        this.pending.clear();
+    }
+
+    /**
+     * 记录错误；有 error 监听者时才发出事件，避免未监听的 error 事件抛出异常
+     */
+    _emitError(message, relativePath, error) {
+        this.logger.warn(`${message}: ${relativePath || '.'}`, error.message);
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        }
+    }
+
+    _watchDirectory(relativeDir, recursive) {
+        if (this.watchers.has(relativeDir)) return;
+
+        const watcher = this.fileSystem.watch(path.join(this.rootDir, relativeDir), { recursive }, (eventType, filename) => {
+            if (!filename) return;
+            this._enqueue(path.join(relativeDir, filename.toString()));
+        });
+        watcher.on('error', error => this._emitError('监听出错', relativeDir, error));
+        this.watchers.set(relativeDir, watcher);
+    }
+
+    /**
+     * 逐目录监听（不支持递归监听的平台）
+     */
+    async _watchTree(relativeDir) {
+        this._watchDirectory(relativeDir, false);
+
+        const items = await this.fileSystem.readdir(path.join(this.rootDir, relativeDir));
+        for (const item of items) {
+            if (!item.isDirectory()) continue;
+
+            const itemRelativePath = path.join(relativeDir, item.name);
+            if (await this._isDirectoryExcluded(itemRelativePath)) continue;
+            await this._watchTree(itemRelativePath);
+        }
+    }
+
+    _unwatchTree(relativeDir) {
+        const prefix = relativeDir + path.sep;
+
+        this.watchers.forEach((watcher, watchedDir) => {
+            if (watchedDir === relativeDir || watchedDir.startsWith(prefix)) {
+                watcher.close();
+                this.watchers.delete(watchedDir);
+            }
+        });
+    }
+
+    _enqueue(relativePath) {
+        if (this.closed) return;
+
+        // 忽略文件变化后，相关目录的规则需要重新读取
+        if (path.basename(relativePath) === this.scanner.scanFilter.ignoreFileName) {
+            this.ignoreRuleCache.clear();
+        }
+
+        this.pending.add(relativePath);
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this._scheduleFlush(), this.options.debounceMs);
+    }
+
+    _scheduleFlush() {
+        if (this.flushing) {
+            // 上一轮仍在处理，结束后再处理新积累的事件
+            this.flushing.then(() => this._scheduleFlush());
+            return;
+        }
+
+        this.flushing = this._flush()
+            .catch(error => this._emitError('处理文件变化失败', '', error))
+            .finally(() => {
+                this.flushing = null;
+            });
+    }
+
+    /**
+     * 处理一批去抖后的路径变化
+     */
+    async _flush() {
+        const paths = Array.from(this.pending);
+        this.pending.clear();
+
+        const removedPaths = new Set();
+        const added = new Map(); // 相对路径 -> stats
+        const changed = new Map();
+
+        for (const relativePath of paths) {
+            if (this.closed) return;
+
+            const fullPath = path.join(this.rootDir, relativePath);
+            let stats = null;
+            try {
+                stats = await this.fileSystem.stat(fullPath);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    this._emitError('无法读取文件信息', relativePath, error);
+                    continue;
+                }
+            }
+
+            if (!stats) {
+                // 文件或整个目录被删除/移走
+                this._filesUnder(relativePath).forEach(file => removedPaths.add(file));
+                if (!this.recursive) this._unwatchTree(relativePath);
+            } else if (stats.isDirectory()) {
+                if (await this._isDirectoryExcluded(relativePath)) continue;
+
+                const files = await this._walk(relativePath);
+                files.forEach((fileStats, file) => {
+                    if (!this.scanner.fileMap.has(file)) added.set(file, fileStats);
+                });
+                if (!this.recursive) await this._watchTree(relativePath);
+            } else if (stats.isFile()) {
+                if (await this._isFileExcluded(relativePath)) continue;
+
+                const previous = this.scanner.fileMap.get(relativePath);
+                if (!previous) {
+                    added.set(relativePath, stats);
+                } else if (previous.size !== stats.size || previous.modifyTime.getTime() !== stats.mtime.getTime()) {
+                    changed.set(relativePath, stats);
+                }
+            }
+        }
+
+        const removed = [];
+        removedPaths.forEach(relativePath => {
+            const entry = this.scanner.removeFile(relativePath);
+            if (entry) removed.push({ path: relativePath, ...entry });
+        });
+
+        for (const [relativePath, stats] of changed) {
+            const { fileInfo: previous } = this.scanner.removeFile(relativePath);
+            const file = await this.scanner.indexFile(relativePath, stats);
+            this.emit('changed', { path: relativePath, file, previous });
+        }
+
+        for (const [relativePath, stats] of added) {
+            const file = await this.scanner.indexFile(relativePath, stats);
+            const hashInfo = this.scanner.hashMap.get(relativePath);
+
+            // 大小与哈希一致的 删除+新增 视为重命名/移动
+            const matchIndex = hashInfo
+                ? removed.findIndex(entry => entry.hashInfo && entry.hashInfo.hash === hashInfo.hash && entry.fileInfo.size === file.size)
+                : -1;
+
+            if (matchIndex !== -1) {
+                const [source] = removed.splice(matchIndex, 1);
+                this.emit('renamed', { from: source.path, to: relativePath, file });
+            } else {
+                this.emit('added', { path: relativePath, file });
+            }
+        }
+
+        removed.forEach(entry => {
+            this.emit('removed', { path: entry.path, file: entry.fileInfo });
+        });
+
+        // 新出现的内容写入首次发现时间（未启用时不做任何事）
+        await this.scanner.saveFirstSeen();
+    }
+
+    /**
+     * 路径本身或其下的所有已索引文件
+     */
+    _filesUnder(relativePath) {
+        if (this.scanner.fileMap.has(relativePath)) {
+            return [relativePath];
+        }
+
+        const prefix = relativePath + path.sep;
+        return Array.from(this.scanner.fileMap.keys()).filter(file => file.startsWith(prefix));
+    }
+
+    /**
+     * 遍历新出现的目录（例如整个文件夹被拖入）
+     */
+    async _walk(relativeDir, result = new Map()) {
+        const items = await this.fileSystem.readdir(path.join(this.rootDir, relativeDir));
+
+        for (const item of items) {
+            const itemRelativePath = path.join(relativeDir, item.name);
+
+            if (item.isDirectory()) {
+                if (!(await this._isDirectoryExcluded(itemRelativePath))) {
+                    await this._walk(itemRelativePath, result);
+                }
+            } else if (item.isFile() && !(await this._isFileExcluded(itemRelativePath))) {
+                result.set(itemRelativePath, await this.fileSystem.stat(path.join(this.rootDir, itemRelativePath)));
+            }
+        }
+        return result;
+    }
+
+    async _isDirectoryExcluded(relativePath) {
+        return this._isExcluded(relativePath, true);
+    }
+
+    async _isFileExcluded(relativePath) {
+        return this._isExcluded(relativePath, false);
+    }
+
+    /**
+     * 递归监听会收到被排除目录内的事件，需要连同祖先目录一起检查
+     */
+    async _isExcluded(relativePath, isDirectory) {
+        const parts = relativePath.split(path.sep);
+
+        for (let i = 1; i < parts.length; i++) {
+            if (await this._checkEntry(parts.slice(0, i).join(path.sep), true)) return true;
+        }
+        return this._checkEntry(relativePath, isDirectory);
+    }
+
+    async _checkEntry(relativePath, isDirectory) {
+        const filter = this.scanner.scanFilter;
+        const fullPath = path.join(this.rootDir, relativePath);
+        const rules = await this._getIgnoreRules(path.dirname(relativePath));
+
+        const skippedBy = isDirectory
+            ? filter.checkDirectory(fullPath, relativePath, rules)
+            : filter.checkFile(fullPath, relativePath, rules);
+        return skippedBy !== null;
+    }
+
+    /**
+     * 目录生效的忽略规则：父目录规则 + 本目录的忽略文件
+     */
+    async _getIgnoreRules(relativeDir) {
+        const dir = relativeDir === '.' ? '' : relativeDir;
+        if (this.ignoreRuleCache.has(dir)) {
+            return this.ignoreRuleCache.get(dir);
+        }
+
+        const parentRules = dir ? await this._getIgnoreRules(path.dirname(dir)) : [];
+        const ignoreFileName = this.scanner.scanFilter.ignoreFileName;
+        let rules = parentRules;
+
+        if (ignoreFileName) {
+            try {
+                const content = await this.fileSystem.readFile(path.join(this.rootDir, dir, ignoreFileName), 'utf8');
+                rules = [...parentRules, ...parseIgnoreFile(content, dir.split(path.sep).join('/'))];
+            } catch (error) {
+                if (error.code !== 'ENOENT') this._emitError('无法读取忽略文件', dir, error);
+            }
+        }
+
+        this.ignoreRuleCache.set(dir, rules);
+        return rules;
+    }
+}
+
+module.exports = ScanWatcher;
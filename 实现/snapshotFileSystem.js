@@ -0,0 +1,290 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { writeFileAtomic } = require('./atomicWrite');
+const { localFileSystem, createFsError, createDirent, createStats, createHandleStream } = require('./fileSystems');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * 需要保存的字节范围：与哈希采样（hashStrategies.js 的 readSamples）读取的范围一致，
+ * 小于阈值的文件保存全部内容（也包括 .reelignore 等小文件）
+ */
+function getSampleRanges(size, sampleSize, threshold) {
+    if (size < threshold) {
+        return size > 0 ? [[0, size]] : [];
+    }
+
+    const positions = [
+        0,
+        Math.max(0, Math.floor(size / 2) - Math.floor(sampleSize / 2)),
+        Math.max(0, size - sampleSize)
+    ];
+    const ranges = [];
+
+    for (const position of positions) {
+        const end = Math.min(size, position + sampleSize);
+        const last = ranges[ranges.length - 1];
+        if (last && position <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            ranges.push([position, end]);
+        }
+    }
+    return ranges;
+}
+
+function toPosix(relativePath) {
+    return relativePath.split(path.sep).join('/');
+}
+
+/**
+ * 生成目录快照清单：目录结构、文件属性与哈希采样需要的字节
+ * 驱动器拔下后，用 SnapshotFileSystem 加载清单仍可以扫描、计算采样哈希、查找重复文件
+ *
+ * options:
+ * - fileSystem: 读取来源（默认本地磁盘）
+ * - sampleSize / threshold: 与扫描时的 hashSampleSize / hashThreshold 一致，采样哈希才能离线复现
+ * - samples: false 时只记录目录结构与属性（清单约小两个数量级，但离线时无法计算哈希）
+ *
+ * 无法读取的目录和文件记录在清单的 errors 中，不中断生成
+ */
+async function createSnapshot(rootDir, options = {}) {
+    const {
+        fileSystem = localFileSystem,
+        sampleSize = 2 * 1024,
+        threshold = 10 * 1024,
+        samples = true
+    } = options;
+    const root = path.resolve(rootDir);
+    const entries = [];
+    const errors = [];
+
+    const addEntry = (relativePath, type, stats, ranges) => {
+        entries.push({
+            path: toPosix(relativePath),
+            type,
+            size: type === 'file' ? stats.size : 0,
+            dev: stats.dev,
+            ino: stats.ino,
+            nlink: stats.nlink,
+            birthtimeMs: stats.birthtimeMs,
+            mtimeMs: stats.mtimeMs,
+            ctimeMs: stats.ctimeMs,
+            ...(ranges ? { ranges } : {})
+        });
+    };
+
+    const readRanges = async (fullPath, size) => {
+        const fileHandle = await fileSystem.open(fullPath);
+        try {
+            const ranges = [];
+            for (const [start, end] of getSampleRanges(size, sampleSize, threshold)) {
+                const buffer = Buffer.alloc(end - start);
+                let total = 0;
+                while (total < buffer.length) {
+                    const { bytesRead } = await fileHandle.read(buffer, total, buffer.length - total, start + total);
+                    if (bytesRead === 0) break;
+                    total += bytesRead;
+                }
+                ranges.push([start, buffer.subarray(0, total).toString('base64')]);
+            }
+            return ranges;
+        } finally {
+            await fileHandle.close();
+        }
+    };
+
+    const walk = async relativeDir => {
+        const dirPath = path.join(root, relativeDir);
+        let items;
+        try {
+            addEntry(relativeDir, 'directory', await fileSystem.stat(dirPath));
+            items = await fileSystem.readdir(dirPath);
+        } catch (error) {
+            errors.push({ path: toPosix(relativeDir), code: error.code || null, message: error.message });
+            return;
+        }
+
+        for (const item of items) {
+            const itemRelativePath = path.join(relativeDir, item.name);
+
+            if (item.isDirectory()) {
+                await walk(itemRelativePath);
+            } else if (item.isFile()) {
+                try {
+                    const fullPath = path.join(root, itemRelativePath);
+                    const stats = await fileSystem.stat(fullPath);
+                    addEntry(itemRelativePath, 'file', stats, samples ? await readRanges(fullPath, stats.size) : []);
+                } catch (error) {
+                    errors.push({ path: toPosix(itemRelativePath), code: error.code || null, message: error.message });
+                }
+            }
+        }
+    };
+
+    await walk('');
+
+    return {
+        version: SNAPSHOT_VERSION,
+        root,
+        createdAt: Date.now(),
+        sampleSize,
+        threshold,
+        entries,
+        errors
+    };
+}
+
+/**
+ * 保存快照清单，文件名以 .gz 结尾时 gzip 压缩
+ */
+async function saveSnapshot(manifest, filePath) {
+    const data = Buffer.from(JSON.stringify(manifest));
+    await writeFileAtomic(filePath, filePath.endsWith('.gz') ? await gzip(data) : data);
+}
+
+/**
+ * 目录快照（只读）
+ * 挂载在 root（默认为生成快照时的根目录）下，扫描时使用同样的根目录即可：
+ *
+ *   const snapshot = await SnapshotFileSystem.load('D-drive.snapshot.json.gz');
+ *   await new FastDirectoryScanner({ fileSystem: snapshot, enableHash: true }).scanDirectory(snapshot.root);
+ *
+ * 只能读取清单中保存的字节范围，其余读取抛出 code 为 ENODATA 的错误：
+ * 采样哈希可以复现，全量哈希、全量比对与容器头解析会失败（记入 errors / probeError）
+ */
+class SnapshotFileSystem {
+    constructor(manifest, { root = manifest.root } = {}) {
+        if (!manifest || manifest.version !== SNAPSHOT_VERSION || !Array.isArray(manifest.entries)) {
+            throw new Error(`不支持的快照版本: ${manifest ? manifest.version : manifest}`);
+        }
+
+        this.local = false;
+        this.readOnly = true;
+        this.root = path.resolve(root);
+        this.manifest = manifest;
+        this.entries = new Map(); // posix 相对路径 -> 条目
+        this.children = new Map(); // posix 相对目录 -> 子项名称
+
+        manifest.entries.forEach(entry => {
+            this.entries.set(entry.path, entry);
+            this.children.set(entry.path, this.children.get(entry.path) || []);
+            if (entry.path === '') return;
+
+            const parent = path.posix.dirname(entry.path);
+            const dir = parent === '.' ? '' : parent;
+            if (!this.children.has(dir)) this.children.set(dir, []);
+            this.children.get(dir).push(path.posix.basename(entry.path));
+        });
+    }
+
+    /**
+     * 加载快照文件（自动识别 gzip）
+     */
+    static async load(filePath, options = {}) {
+        let data = await fs.promises.readFile(filePath);
+        if (data[0] === 0x1f && data[1] === 0x8b) {
+            data = await gunzip(data);
+        }
+        return new SnapshotFileSystem(JSON.parse(data.toString('utf8')), options);
+    }
+
+    async readdir(dirPath) {
+        const entry = this._getEntry(dirPath, 'scandir');
+        if (entry.type !== 'directory') {
+            throw createFsError('ENOTDIR', 'scandir', dirPath, 'not a directory');
+        }
+
+        const prefix = entry.path ? `${entry.path}/` : '';
+        return this.children.get(entry.path).map(name => createDirent(name, this.entries.get(prefix + name).type));
+    }
+
+    async stat(filePath) {
+        return this._toStats(this._getEntry(filePath, 'stat'));
+    }
+
+    async open(filePath) {
+        const entry = this._getEntry(filePath, 'open');
+        if (entry.type !== 'file') {
+            throw createFsError('EISDIR', 'open', filePath, 'illegal operation on a directory');
+        }
+
+        return {
+            read: async (buffer, offset, length, position) => {
+                const end = Math.min(entry.size, position + length);
+                if (end <= position) return { bytesRead: 0, buffer };
+
+                const data = this._findRange(entry, position, end);
+                if (!data) {
+                    throw createFsError('ENODATA', 'read', filePath, `快照中没有 ${position}-${end} 字节的数据`);
+                }
+                data.copy(buffer, offset);
+                return { bytesRead: data.length, buffer };
+            },
+            stat: async () => this._toStats(entry),
+            close: async () => {}
+        };
+    }
+
+    async readFile(filePath, encoding) {
+        const entry = this._getEntry(filePath, 'open');
+        if (entry.type !== 'file') {
+            throw createFsError('EISDIR', 'read', filePath, 'illegal operation on a directory');
+        }
+
+        const data = entry.size === 0 ? Buffer.alloc(0) : this._findRange(entry, 0, entry.size);
+        if (!data) {
+            throw createFsError('ENODATA', 'read', filePath, '快照中没有完整的文件内容');
+        }
+        return encoding ? data.toString(encoding) : data;
+    }
+
+    createReadStream(filePath) {
+        return createHandleStream(this, filePath);
+    }
+
+    // ------------------------------------------------------------------
+
+    _getEntry(filePath, syscall) {
+        const relative = path.relative(this.root, path.resolve(filePath));
+        const entry = relative.startsWith('..') || path.isAbsolute(relative)
+            ? null
+            : this.entries.get(toPosix(relative));
+
+        if (!entry) {
+            throw createFsError('ENOENT', syscall, filePath, 'no such file or directory');
+        }
+        return entry;
+    }
+
+    /**
+     * 完整覆盖 [start, end) 的已保存范围中对应的字节，没有时返回 null
+     */
+    _findRange(entry, start, end) {
+        for (const [position, data] of entry.ranges || []) {
+            if (position > start) continue;
+
+            const buffer = Buffer.from(data, 'base64');
+            if (position + buffer.length >= end) {
+                return buffer.subarray(start - position, end - position);
+            }
+        }
+        return null;
+    }
+
+    _toStats(entry) {
+        return createStats(entry.type, entry);
+    }
+}
+
+module.exports = {
+    SnapshotFileSystem,
+    createSnapshot,
+    saveSnapshot,
+    getSampleRanges
+};
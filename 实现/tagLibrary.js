@@ -0,0 +1,467 @@
+const fs = require('fs');
+const { findRecordFiles, toRecordPath } = require('./reconcile');
+const { resolveLogger } = require('./logger');
+const { normalizeHashId } = require('./hashStrategies');
+
+/**
+ * 带 code 的错误，便于界面区分提示
+ */
+function createTagError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function normalizeText(text) {
+    return String(text).trim().toLowerCase();
+}
+
+/**
+ * 标签库：标签与分组的增删改（tags.json）、标签分配（files.json 的 tags 数组）
+ * 以及 标签 -> 哈希集合 的倒排索引，多标签 AND 查询从最小的集合开始求交集
+ *
+ * 标签对象：{ id, group, texts, description }，texts[0] 为标签名
+ * files.json 被其他模块修改（点赞裁剪、刷新移动等）后，下次查询时自动重建索引
+ */
+class TagLibrary {
+    constructor(store, scanner = null, options = {}) {
+        this.store = store;
+        this.scanner = scanner;
+        this.logger = options.logger ? resolveLogger(options.logger) : store.logger;
+
+        this.tagIndex = new Map(); // 标签 ID -> { group, tag }
+        this.fileIndex = new Map(); // 标签 ID -> Set<哈希>
+        this.indexRevision = -1;
+        this.tagsRevision = -1;
+    }
+
+    // ------------------------------------------------------------------
+    // 分组
+    // ------------------------------------------------------------------
+
+    /**
+     * 全部分组（按 tags.json 中的顺序）：[{ name, tags }]
+     */
+    getGroups() {
+        return Object.entries(this._groups()).map(([name, tags]) => ({
+            name,
+            tags: tags.map(tag => this._toTag(name, tag))
+        }));
+    }
+
+    createGroup(name) {
+        const groupName = this._validateGroupName(name);
+        const groups = this._groups();
+
+        if (groupName in groups) {
+            throw createTagError('EGROUPEXISTS', `分组已存在: ${groupName}`);
+        }
+
+        groups[groupName] = [];
+        this._saveTags();
+        return groupName;
+    }
+
+    renameGroup(from, to) {
+        const groupName = this._validateGroupName(to);
+        const groups = this._requireGroup(from);
+        if (from === groupName) return groupName;
+
+        if (groupName in groups) {
+            throw createTagError('EGROUPEXISTS', `分组已存在: ${groupName}`);
+        }
+
+        // 保持分组顺序
+        const renamed = {};
+        Object.entries(groups).forEach(([name, tags]) => {
+            renamed[name === from ? groupName : name] = tags;
+        });
+        this.store.getTagData().groups = renamed;
+        this._saveTags();
+        return groupName;
+    }
+
+    /**
+     * 删除分组；分组内还有标签时需要 { deleteTags: true }，标签会一并删除
+     */
+    async deleteGroup(name, { deleteTags = false } = {}) {
+        const groups = this._requireGroup(name);
+        const tags = groups[name];
+
+        if (tags.length > 0 && !deleteTags) {
+            throw createTagError('EGROUPNOTEMPTY', `分组 ${name} 中还有 ${tags.length} 个标签`);
+        }
+
+        for (const tag of tags.slice()) {
+            await this.deleteTag(tag.id);
+        }
+        delete this._groups()[name];
+        this._saveTags();
+    }
+
+    // ------------------------------------------------------------------
+    // 标签
+    // ------------------------------------------------------------------
+
+    getTag(id) {
+        this._ensureTagIndex();
+        const entry = this.tagIndex.get(id);
+        return entry ? this._toTag(entry.group, entry.tag) : null;
+    }
+
+    /**
+     * 按名称查找（不区分大小写，匹配任意一个关键词）
+     */
+    findTagByText(text) {
+        const target = normalizeText(text);
+        this._ensureTagIndex();
+
+        for (const { group, tag } of this.tagIndex.values()) {
+            if (tag.texts.some(item => normalizeText(item) === target)) {
+                return this._toTag(group, tag);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 新建标签：ID 为已分配过的最大 ID + 1，永不复用；分组不存在时自动创建
+     * 封面图片由调用方写入 store.getTagImagePath(id)
+     */
+    createTag({ texts, description = '', group }) {
+        const groupName = this._validateGroupName(group);
+        const cleanTexts = this._validateTexts(texts);
+        const data = this.store.getTagData();
+
+        const tag = { id: data.lastId + 1, texts: cleanTexts };
+        if (description) tag.description = String(description);
+
+        data.lastId = tag.id;
+        if (!(groupName in data.groups)) {
+            data.groups[groupName] = [];
+        }
+        data.groups[groupName].push(tag);
+        this._saveTags();
+        return this._toTag(groupName, tag);
+    }
+
+    /**
+     * 修改标签的关键词、描述或所属分组
+     */
+    updateTag(id, { texts, description, group } = {}) {
+        const entry = this._requireTag(id);
+        const { tag } = entry;
+
+        if (texts !== undefined) {
+            tag.texts = this._validateTexts(texts, id);
+        }
+        if (description !== undefined) {
+            if (description) {
+                tag.description = String(description);
+            } else {
+                delete tag.description;
+            }
+        }
+        if (group !== undefined && group !== entry.group) {
+            const groupName = this._validateGroupName(group);
+            const groups = this._groups();
+            groups[entry.group] = groups[entry.group].filter(item => item !== tag);
+            if (!(groupName in groups)) groups[groupName] = [];
+            groups[groupName].push(tag);
+        }
+
+        this._saveTags();
+        return this.getTag(id);
+    }
+
+    /**
+     * 删除标签：从 tags.json 与所有视频的 tags 中移除，并删除封面图片
+     */
+    async deleteTag(id) {
+        const entry = this._requireTag(id);
+        const groups = this._groups();
+        groups[entry.group] = groups[entry.group].filter(tag => tag !== entry.tag);
+        this._saveTags();
+
+        this._ensureFileIndex();
+        const hashes = Array.from(this.fileIndex.get(id) || []);
+        hashes.forEach(hash => this.removeTag(hash, id));
+        this.fileIndex.delete(id);
+
+        try {
+            await fs.promises.unlink(this.store.getTagImagePath(id));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.warn(`无法删除标签图片: ${id}`, error.message);
+            }
+        }
+    }
+
+    /**
+     * 关键词过滤：匹配标签关键词与描述（不区分大小写），excludedIds 中的标签不返回
+     * 返回按分组组织的 [{ name, tags }]，没有匹配标签的分组不返回
+     */
+    filterTags(keyword = '', { excludedIds = [] } = {}) {
+        const target = normalizeText(keyword);
+        const excluded = new Set(excludedIds);
+
+        return this.getGroups()
+            .map(group => ({
+                name: group.name,
+                tags: group.tags.filter(tag => !excluded.has(tag.id) && (
+                    target === ''
+                    || tag.texts.some(text => normalizeText(text).includes(target))
+                    || normalizeText(tag.description).includes(target)
+                ))
+            }))
+            .filter(group => group.tags.length > 0);
+    }
+
+    /**
+     * 分组过滤：名称包含关键词的分组名
+     */
+    filterGroups(keyword = '') {
+        const target = normalizeText(keyword);
+        return Object.keys(this._groups()).filter(name => normalizeText(name).includes(target));
+    }
+
+    // ------------------------------------------------------------------
+    // 分配
+    // ------------------------------------------------------------------
+
+    getFileTags(hash) {
+        const record = this.store.getRecord(hash);
+        return record && Array.isArray(record.tags) ? record.tags.slice() : [];
+    }
+
+    /**
+     * 设置视频的完整标签列表（分配对话框确认时写入最终状态）
+     * 条目不存在时按扫描结果中的路径新建；清空标签后若条目失去全部价值会被移除
+     * hash 可以是同一哈希的任意写法（旧格式摘要、大小写），索引与 rebuildIndex 一样使用条目的键
+     */
+    setFileTags(hash, tagIds) {
+        const ids = Array.from(new Set(tagIds));
+        ids.forEach(id => this._requireTag(id));
+
+        this._ensureFileIndex();
+        const key = this.store.getRecordKey(hash);
+        const previous = this.getFileTags(key);
+
+        this.store.updateRecord(key, record => ({
+            ...(record || { paths: this._diskPaths(key) }),
+            tags: ids
+        }));
+
+        previous.forEach(id => this._unindex(id, key));
+        ids.forEach(id => this._index(id, key));
+        this.indexRevision = this.store.getRecordsRevision();
+        return ids;
+    }
+
+    addTag(hash, id) {
+        const tags = this.getFileTags(hash);
+        if (tags.includes(id)) return tags;
+        return this.setFileTags(hash, [...tags, id]);
+    }
+
+    removeTag(hash, id) {
+        const tags = this.getFileTags(hash);
+        if (!tags.includes(id)) return tags;
+
+        this._ensureFileIndex();
+        const key = this.store.getRecordKey(hash);
+        const next = tags.filter(item => item !== id);
+        this.store.updateRecord(key, record => (record ? { ...record, tags: next } : null));
+        this._unindex(id, key);
+        this.indexRevision = this.store.getRecordsRevision();
+        return next;
+    }
+
+    // ------------------------------------------------------------------
+    // 查询
+    // ------------------------------------------------------------------
+
+    /**
+     * 同时拥有全部 tagIds 的视频哈希
+     */
+    search(tagIds) {
+        const ids = Array.from(new Set(tagIds));
+        if (ids.length === 0) return [];
+
+        this._ensureFileIndex();
+        const sets = ids.map(id => this.fileIndex.get(id) || new Set());
+        sets.sort((a, b) => a.size - b.size);
+
+        const [smallest, ...others] = sets;
+        const result = [];
+        for (const hash of smallest) {
+            if (others.every(set => set.has(hash))) {
+                result.push(hash);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * search() 的结果关联到扫描结果：[{ hash, record, files, missing }]
+     * 按最新文件的创建时间倒序，磁盘上已不存在的排在最后
+     */
+    searchFiles(tagIds) {
+        const items = this.search(tagIds).map((hash) => {
+            const record = this.store.getRecord(hash);
+            const files = this.scanner
+                ? findRecordFiles(this.scanner, hash, record).map(file => this.scanner.fileMap.get(file)).filter(Boolean)
+                : [];
+            return { hash, record, files, missing: files.length === 0 };
+        });
+
+        const newest = item => item.files.reduce((max, file) => Math.max(max, file.createTime.getTime()), -Infinity);
+        return items.sort((a, b) => newest(b) - newest(a));
+    }
+
+    /**
+     * 每个标签的使用次数（标签 ID -> 视频数），未使用的标签为 0
+     */
+    getUsageCounts() {
+        this._ensureTagIndex();
+        this._ensureFileIndex();
+
+        const counts = new Map();
+        this.tagIndex.forEach((entry, id) => {
+            counts.set(id, (this.fileIndex.get(id) || new Set()).size);
+        });
+        return counts;
+    }
+
+    getUsageCount(id) {
+        this._ensureFileIndex();
+        return (this.fileIndex.get(id) || new Set()).size;
+    }
+
+    // ------------------------------------------------------------------
+    // 索引
+    // ------------------------------------------------------------------
+
+    /**
+     * 从 files.json 全量重建倒排索引
+     */
+    rebuildIndex() {
+        this.fileIndex.clear();
+
+        Object.entries(this.store.getRecords()).forEach(([hash, record]) => {
+            if (!Array.isArray(record.tags)) return;
+            record.tags.forEach(id => this._index(id, hash));
+        });
+        this.indexRevision = this.store.getRecordsRevision();
+    }
+
+    _ensureFileIndex() {
+        if (this.indexRevision !== this.store.getRecordsRevision()) {
+            this.rebuildIndex();
+        }
+    }
+
+    _ensureTagIndex() {
+        const revision = this.store.getTagDataRevision();
+        if (this.tagsRevision === revision) return;
+
+        this.tagIndex.clear();
+        Object.entries(this._groups()).forEach(([group, tags]) => {
+            tags.forEach(tag => this.tagIndex.set(tag.id, { group, tag }));
+        });
+        this.tagsRevision = revision;
+    }
+
+    _index(id, hash) {
+        if (!this.fileIndex.has(id)) {
+            this.fileIndex.set(id, new Set());
+        }
+        this.fileIndex.get(id).add(hash);
+    }
+
+    _unindex(id, hash) {
+        const hashes = this.fileIndex.get(id);
+        if (!hashes) return;
+
+        hashes.delete(hash);
+        if (hashes.size === 0) this.fileIndex.delete(id);
+    }
+
+    // ------------------------------------------------------------------
+
+    _groups() {
+        return this.store.getTagData().groups;
+    }
+
+    _saveTags() {
+        this.store.saveTagData();
+        this._ensureTagIndex();
+    }
+
+    _toTag(group, tag) {
+        return {
+            id: tag.id,
+            group,
+            texts: tag.texts.slice(),
+            description: tag.description || ''
+        };
+    }
+
+    _requireTag(id) {
+        this._ensureTagIndex();
+        const entry = this.tagIndex.get(id);
+        if (!entry) {
+            throw createTagError('ETAGNOTFOUND', `标签不存在: ${id}`);
+        }
+        return entry;
+    }
+
+    _requireGroup(name) {
+        const groups = this._groups();
+        if (!(name in groups)) {
+            throw createTagError('EGROUPNOTFOUND', `分组不存在: ${name}`);
+        }
+        return groups;
+    }
+
+    _validateGroupName(name) {
+        const groupName = String(name || '').trim();
+        if (!groupName) {
+            throw createTagError('EINVALIDTAG', '必须指定分组');
+        }
+        // 下划线开头的键保留给 tags.json 的元数据
+        if (groupName.startsWith('_')) {
+            throw createTagError('EINVALIDTAG', `分组名不能以下划线开头: ${groupName}`);
+        }
+        return groupName;
+    }
+
+    /**
+     * 关键词去空白、去重，且在整个标签库中唯一（不区分大小写）
+     */
+    _validateTexts(texts, selfId = null) {
+        const list = (Array.isArray(texts) ? texts : [texts])
+            .map(text => String(text).trim())
+            .filter(Boolean);
+        const unique = list.filter((text, index) => list.findIndex(item => normalizeText(item) === normalizeText(text)) === index);
+
+        if (unique.length === 0) {
+            throw createTagError('EINVALIDTAG', '标签关键词不能为空');
+        }
+
+        this._ensureTagIndex();
+        for (const text of unique) {
+            const existing = this.findTagByText(text);
+            if (existing && existing.id !== selfId) {
+                throw createTagError('ETAGEXISTS', `关键词已被标签 ${existing.id} 使用: ${text}`);
+            }
+        }
+        return unique;
+    }
+
+    _diskPaths(hash) {
+        return this.scanner ? this.scanner.getFilesByHash(normalizeHashId(hash)).map(toRecordPath) : [];
+    }
+}
+
+module.exports = TagLibrary;
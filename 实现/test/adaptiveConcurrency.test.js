@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AdaptiveConcurrencyController = require('../adaptiveConcurrency');
+const FastDirectoryScanner = require('../testHighPerformance');
+const { MemoryFileSystem } = require('../fileSystems');
+
+/**
+ * 用可控的时钟喂入一个窗口：operations 次操作、每次 latency 毫秒、窗口共耗时 elapsed 毫秒
+ */
+function createClock(t) {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+    return {
+        feed(controller, { operations, latency, elapsed }) {
+            now += elapsed;
+            for (let i = 0; i < operations; i++) controller.record(latency);
+        }
+    };
+}
+
+function createController(options = {}) {
+    return new AdaptiveConcurrencyController({
+        initialConcurrency: 100,
+        initialBatchSize: 50,
+        windowSize: 10,
+        ...options
+    });
+}
+
+test('吞吐量不下降时加性增大', (t) => {
+    const clock = createClock(t);
+    const controller = createController();
+
+    clock.feed(controller, { operations: 10, latency: 2, elapsed: 100 });
+    clock.feed(controller, { operations: 10, latency: 2, elapsed: 100 });
+
+    assert.deepStrictEqual(controller.history.map(entry => entry.action), ['increase', 'increase']);
+    assert.strictEqual(controller.concurrency, 116);
+    assert.strictEqual(controller.batchSize, 70);
+});
+
+test('延迟升高且吞吐量没有提升时乘性减小', (t) => {
+    const clock = createClock(t);
+    const controller = createController();
+
+    clock.feed(controller, { operations: 10, latency: 2, elapsed: 100 });
+    clock.feed(controller, { operations: 10, latency: 10, elapsed: 200 });
+
+    assert.deepStrictEqual(controller.history.map(entry => entry.action), ['increase', 'decrease']);
+    assert.strictEqual(controller.concurrency, Math.floor(108 * 0.7));
+    assert.strictEqual(controller.batchSize, Math.floor(60 * 0.7));
+});
+
+test('吞吐量下降但延迟正常时保持不变', (t) => {
+    const clock = createClock(t);
+    const controller = createController();
+
+    clock.feed(controller, { operations: 10, latency: 2, elapsed: 100 });
+    clock.feed(controller, { operations: 10, latency: 2, elapsed: 200 });
+
+    assert.strictEqual(controller.history[1].action, 'hold');
+    assert.strictEqual(controller.concurrency, 108);
+});
+
+test('取值限制在上下限之间', (t) => {
+    const clock = createClock(t);
+    const controller = createController({ minConcurrency: 90, maxConcurrency: 104, minBatchSize: 45, maxBatchSize: 55 });
+
+    clock.feed(controller, { operations: 10, latency: 2, elapsed: 100 });
+    assert.strictEqual(controller.concurrency, 104);
+    assert.strictEqual(controller.batchSize, 55);
+
+    clock.feed(controller, { operations: 10, latency: 10, elapsed: 200 });
+    assert.strictEqual(controller.concurrency, 90);
+    assert.strictEqual(controller.batchSize, 45);
+});
+
+test('最佳取值为产生最高吞吐量的窗口', (t) => {
+    const clock = createClock(t);
+    const controller = createController();
+
+    clock.feed(controller, { operations: 10, latency: 2, elapsed: 100 }); // 100/50 -> 108/60
+    clock.feed(controller, { operations: 10, latency: 2, elapsed: 50 }); // 108/60 吞吐量最高 -> 116/70
+    clock.feed(controller, { operations: 10, latency: 10, elapsed: 200 }); // 116/70 过载
+
+    const report = controller.getReport();
+    assert.strictEqual(report.bestConcurrency, 108);
+    assert.strictEqual(report.bestBatchSize, 60);
+    assert.strictEqual(report.bestThroughput, 200);
+});
+
+test('扫描器的 stat 并发跟随自适应批大小', async () => {
+    const files = {};
+    for (let i = 0; i < 100; i++) files[`d${i % 5}/f${i}.txt`] = String(i);
+    const fileSystem = new MemoryFileSystem(files, { root: '/media' });
+    const scanner = new FastDirectoryScanner({
+        fileSystem,
+        logger: false,
+        statConcurrency: 64,
+        batchSize: 20,
+        adaptiveConcurrency: { windowSize: 10, minBatchSize: 10, maxBatchSize: 500 }
+    });
+
+    const results = await scanner.scanDirectory('/media');
+
+    assert.ok(results.adaptiveConcurrency.history.length > 0);
+    assert.strictEqual(scanner.statLimiter.limit, results.adaptiveConcurrency.batchSize);
+    assert.notStrictEqual(scanner.statLimiter.limit, 64);
+});
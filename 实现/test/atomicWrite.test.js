@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeFileAtomic } = require('../atomicWrite');
+
+function createDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'atomic-write-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('写入后只留下目标文件', async (t) => {
+    const dir = createDir(t);
+    const filePath = path.join(dir, 'a.json');
+
+    await writeFileAtomic(filePath, 'old');
+    await writeFileAtomic(filePath, 'new');
+
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'new');
+    assert.deepStrictEqual(fs.readdirSync(dir), ['a.json']);
+});
+
+test('写入失败时删除临时文件，目标文件保持原样', async (t) => {
+    const dir = createDir(t);
+    const filePath = path.join(dir, 'a.json');
+    await writeFileAtomic(filePath, 'old');
+
+    // 非法数据使 writeFile 抛出，模拟 ENOSPC 等写入错误
+    await assert.rejects(writeFileAtomic(filePath, 123));
+
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'old');
+    assert.deepStrictEqual(fs.readdirSync(dir), ['a.json']);
+});
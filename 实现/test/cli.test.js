@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main, EXIT_OK, EXIT_DUPLICATES, EXIT_USAGE } = require('../cli');
+
+function createLibrary(t, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const root = path.join(dir, 'library');
+    fs.mkdirSync(root);
+    for (const [name, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(root, name), content);
+    }
+    return { dir, root };
+}
+
+/**
+ * 执行命令行并捕获标准错误（参数错误的提示）
+ */
+async function run(t, argv) {
+    const error = t.mock.method(console, 'error', () => {});
+    const code = await main([...argv, '--quiet']);
+    error.mock.restore();
+    return code;
+}
+
+test('--fail-on-dupes 自动启用哈希', async (t) => {
+    const { dir, root } = createLibrary(t, { 'a.mp4': 'same', 'b.mp4': 'same' });
+    const output = path.join(dir, 'summary.txt');
+
+    assert.strictEqual(await run(t, ['scan', root, '--fail-on-dupes', '-o', output]), EXIT_DUPLICATES);
+    assert.match(fs.readFileSync(output, 'utf8'), /重复文件: 1 组 \/ 2 个文件/);
+    assert.strictEqual(await run(t, ['largest', root, '--fail-on-dupes', '-o', output]), EXIT_DUPLICATES);
+    assert.strictEqual(await run(t, ['scan', root, '-o', output]), EXIT_OK);
+});
+
+test('扫描失败时不截断已有的输出文件', async (t) => {
+    const { dir, root } = createLibrary(t, { 'a.mp4': 'a' });
+    const output = path.join(dir, 'out.json');
+
+    assert.strictEqual(await run(t, ['scan', root, '-f', 'json', '-o', output]), EXIT_OK);
+    const previous = fs.readFileSync(output, 'utf8');
+    assert.ok(previous.length > 0);
+
+    assert.strictEqual(await run(t, ['scan', path.join(dir, 'nope'), '-f', 'json', '-o', output]), EXIT_USAGE);
+    assert.strictEqual(fs.readFileSync(output, 'utf8'), previous);
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['library', 'out.json']);
+});
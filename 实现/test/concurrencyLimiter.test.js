@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ConcurrencyLimiter = require('../concurrencyLimiter');
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 提交 count 个任务，记录同时执行的最大数量
+ */
+async function runTasks(limiter, count) {
+    const counter = { active: 0, max: 0 };
+    const results = await Promise.all(Array.from({ length: count }, (_, i) => limiter.run(async () => {
+        counter.active++;
+        counter.max = Math.max(counter.max, counter.active);
+        await delay(1);
+        counter.active--;
+        return i;
+    })));
+    return { results, max: counter.max };
+}
+
+test('同时执行的任务数不超过 limit，排队长度记入 maxPending', async () => {
+    const limiter = new ConcurrencyLimiter(3);
+
+    const { results, max } = await runTasks(limiter, 10);
+
+    assert.deepStrictEqual(results, Array.from({ length: 10 }, (_, i) => i));
+    assert.strictEqual(max, 3);
+    assert.strictEqual(limiter.maxPending, 7);
+    assert.strictEqual(limiter.active, 0);
+    assert.strictEqual(limiter.pending, 0);
+});
+
+test('任务失败不影响其他任务', async () => {
+    const limiter = new ConcurrencyLimiter(1);
+
+    const failed = limiter.run(async () => {
+        throw new Error('boom');
+    });
+    const ok = limiter.run(async () => 'ok');
+
+    await assert.rejects(failed, /boom/);
+    assert.strictEqual(await ok, 'ok');
+});
+
+test('setLimit 在运行时调整并发上限', async () => {
+    const limiter = new ConcurrencyLimiter(1);
+    assert.strictEqual((await runTasks(limiter, 5)).max, 1);
+
+    limiter.setLimit(4);
+    assert.strictEqual((await runTasks(limiter, 8)).max, 4);
+
+    limiter.setLimit(0);
+    assert.strictEqual(limiter.limit, 1);
+});
+
+test('waitForPendingBelow 等到排队长度降下来', async () => {
+    const limiter = new ConcurrencyLimiter(1);
+    const tasks = Array.from({ length: 5 }, () => limiter.run(() => delay(1)));
+    assert.strictEqual(limiter.pending, 4);
+
+    await limiter.waitForPendingBelow(2);
+
+    assert.ok(limiter.pending < 2);
+    await Promise.all(tasks);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FastDirectoryScanner = require('../testHighPerformance');
+const { MemoryFileSystem } = require('../fileSystems');
+const { verifyDuplicateGroup } = require('../duplicateVerifier');
+
+const SIZE = 20000;
+
+/**
+ * 大小相同、头中尾 2KB 采样相同，只在采样之外的第 15000 字节不同
+ */
+function createContent(marker) {
+    const buffer = Buffer.alloc(SIZE, 'a');
+    buffer[15000] = marker.charCodeAt(0);
+    return buffer;
+}
+
+/**
+ * 记录同时打开的句柄数
+ */
+function trackOpenHandles(fileSystem) {
+    const counter = { open: 0, max: 0 };
+    const tracked = Object.create(fileSystem);
+    tracked.open = async (filePath) => {
+        const handle = await fileSystem.open(filePath);
+        counter.open++;
+        counter.max = Math.max(counter.max, counter.open);
+        return {
+            ...handle,
+            close: async () => {
+                counter.open--;
+                await handle.close();
+            }
+        };
+    };
+    return { tracked, counter };
+}
+
+test('采样哈希相同但尾部之前的内容不同的文件被拆开', async () => {
+    const fileSystem = new MemoryFileSystem({
+        'a1.mp4': createContent('x'),
+        'a2.mp4': createContent('x'),
+        'b.mp4': createContent('y')
+    }, { root: '/media' });
+    const scanner = new FastDirectoryScanner({ fileSystem, logger: false, enableHash: true, verifyDuplicates: true });
+
+    await scanner.scanDirectory('/media');
+
+    assert.strictEqual(scanner.getAllDuplicateFiles()[0].files.length, 3);
+    const [group] = scanner.getVerifiedDuplicates();
+    assert.deepStrictEqual(group.confirmed.map(members => members.sort()), [['a1.mp4', 'a2.mp4']]);
+    assert.deepStrictEqual(group.falsePositives, ['b.mp4']);
+    assert.strictEqual(scanner.stats.hashCollisions, 1);
+});
+
+test('大小不同的候选直接判为误判，不读取内容', async () => {
+    const fileSystem = new MemoryFileSystem({ 'a.mp4': 'aaaa', 'b.mp4': 'aaaaa' }, { root: '/media' });
+    const files = ['a.mp4', 'b.mp4'].map(name => ({ path: name, fullPath: `/media/${name}`, size: name === 'a.mp4' ? 4 : 5 }));
+
+    const result = await verifyDuplicateGroup(files, { fileSystem });
+
+    assert.deepStrictEqual(result, { confirmed: [], falsePositives: ['a.mp4', 'b.mp4'], bytesRead: 0 });
+});
+
+test('大分组同时打开的句柄数不超过 maxOpenFiles', async () => {
+    const contents = {};
+    for (let i = 0; i < 6; i++) contents[`f${i}.mp4`] = createContent(i % 2 === 0 ? 'x' : 'y');
+    const { tracked, counter } = trackOpenHandles(new MemoryFileSystem(contents, { root: '/media' }));
+    const files = Object.keys(contents).map(name => ({ path: name, fullPath: `/media/${name}`, size: SIZE }));
+
+    const result = await verifyDuplicateGroup(files, { fileSystem: tracked, chunkSize: 4096, maxOpenFiles: 2 });
+
+    assert.deepStrictEqual(result.confirmed.map(members => members.sort()), [
+        ['f0.mp4', 'f2.mp4', 'f4.mp4'],
+        ['f1.mp4', 'f3.mp4', 'f5.mp4']
+    ]);
+    assert.deepStrictEqual(result.falsePositives, []);
+    assert.ok(counter.max <= 2, `同时打开 ${counter.max} 个句柄`);
+    assert.strictEqual(counter.open, 0);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FileIndex } = require('../fileIndex');
+
+function createIndex(count) {
+    const fileMap = new Map();
+    const index = new FileIndex(fileMap);
+
+    for (let i = 0; i < count; i++) {
+        const time = new Date(Date.UTC(2020, 0, 1) + (i % 7) * 1000);
+        const fileInfo = {
+            path: `dir${i % 3}/file${String(i).padStart(3, '0')}.mp4`,
+            size: (i * 37) % 11, // 大量相同的值，依赖 path 决胜
+            createTime: time,
+            modifyTime: time,
+            accessTime: time
+        };
+        fileMap.set(fileInfo.path, fileInfo);
+        index.add(fileInfo);
+    }
+    return { fileMap, index };
+}
+
+function expected(fileMap, order, predicate = () => true) {
+    const direction = order === 'desc' ? -1 : 1;
+    return Array.from(fileMap.values())
+        .filter(predicate)
+        .sort((a, b) => ((a.size - b.size) || (a.path < b.path ? -1 : 1)) * direction)
+        .map(file => file.path);
+}
+
+function collectPages(index, options) {
+    const paths = [];
+    let cursor = null;
+    let pages = 0;
+
+    do {
+        const page = index.query({ ...options, cursor });
+        paths.push(...page.items.map(file => file.path));
+        cursor = page.nextCursor;
+        pages++;
+    } while (cursor && pages < 100);
+    return paths;
+}
+
+test('游标分页按 (字段值, path) 连续、不重复', () => {
+    const { fileMap, index } = createIndex(100);
+
+    for (const order of ['asc', 'desc']) {
+        assert.deepStrictEqual(collectPages(index, { sortBy: 'size', order, limit: 7 }), expected(fileMap, order));
+    }
+});
+
+test('游标分页与范围过滤同时使用', () => {
+    const { fileMap, index } = createIndex(100);
+    const start = Date.UTC(2020, 0, 1) + 2000;
+    const options = {
+        sortBy: 'size',
+        order: 'desc',
+        limit: 6,
+        filter: { size: { min: 2, max: 8 }, createTime: { min: start } }
+    };
+    const want = expected(fileMap, 'desc', file => file.size >= 2 && file.size <= 8 && file.createTime.getTime() >= start);
+
+    assert.deepStrictEqual(collectPages(index, options), want);
+    assert.strictEqual(index.query(options).total, want.length);
+});
+
+test('total 不受游标影响，最后一页没有 nextCursor', () => {
+    const { index } = createIndex(20);
+    const first = index.query({ sortBy: 'size', limit: 15 });
+    const last = index.query({ sortBy: 'size', limit: 15, cursor: first.nextCursor });
+
+    assert.strictEqual(first.total, 20);
+    assert.strictEqual(last.total, 20);
+    assert.strictEqual(last.items.length, 5);
+    assert.strictEqual(last.nextCursor, null);
+});
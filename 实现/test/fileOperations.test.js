@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FastDirectoryScanner = require('../testHighPerformance');
+const { MetadataStore } = require('../metadataStore');
+const { FileOperations, resolveTargetPath } = require('../fileOperations');
+const { getValueReasons } = require('../recordValue');
+
+async function setup(t, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-ops-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const root = path.join(dir, 'library');
+    const pending = path.join(dir, 'pending');
+    for (const [name, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+        fs.writeFileSync(path.join(root, name), content);
+    }
+
+    const scanner = new FastDirectoryScanner({ enableHash: true, logger: false });
+    await scanner.scanDirectory(root);
+    const store = await new MetadataStore(path.join(dir, 'data'), { logger: false }).load();
+    t.after(() => store.close());
+
+    return { root, pending, scanner, operations: new FileOperations(scanner, store, { pendingDeletePath: pending }) };
+}
+
+test('resolveTargetPath 占用不重名的路径', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'target-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, 'a.mp4'), 'existing');
+
+    const targets = await Promise.all([1, 2, 3].map(() => resolveTargetPath(dir, 'a.mp4')));
+
+    assert.deepStrictEqual(targets.map(target => path.basename(target)).sort(), ['a (1).mp4', 'a (2).mp4', 'a (3).mp4']);
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'a.mp4'), 'utf8'), 'existing');
+});
+
+test('同时软删除同名文件不会互相覆盖', async (t) => {
+    const { pending, operations } = await setup(t, { 'x/a.mp4': 'one', 'y/a.mp4': 'two', 'z/a.mp4': 'three' });
+
+    const results = await Promise.all(['x/a.mp4', 'y/a.mp4', 'z/a.mp4'].map(file => operations.softDelete(path.normalize(file))));
+
+    assert.strictEqual(new Set(results.map(result => result.target)).size, 3);
+    assert.deepStrictEqual(fs.readdirSync(pending).map(name => fs.readFileSync(path.join(pending, name), 'utf8')).sort(), ['one', 'three', 'two']);
+});
+
+test('撤销时原位置已有文件则抛出 EEXIST，不覆盖', async (t) => {
+    const { root, pending, scanner, operations } = await setup(t, { 'a.mp4': 'original' });
+
+    const { target } = await operations.softDelete('a.mp4');
+    fs.writeFileSync(path.join(root, 'a.mp4'), 'new file');
+
+    await assert.rejects(operations.undo(), { code: 'EEXIST' });
+    assert.strictEqual(fs.readFileSync(path.join(root, 'a.mp4'), 'utf8'), 'new file');
+    assert.strictEqual(fs.readFileSync(target, 'utf8'), 'original');
+
+    fs.unlinkSync(path.join(root, 'a.mp4'));
+    await operations.undo();
+    assert.strictEqual(fs.readFileSync(path.join(root, 'a.mp4'), 'utf8'), 'original');
+    assert.deepStrictEqual(fs.readdirSync(pending), []);
+    assert.ok(scanner.fileMap.has('a.mp4'));
+});
+
+test('只有 like_count > 0 才算点赞保护', async (t) => {
+    const { scanner, operations } = await setup(t, { 'liked.mp4': 'liked', 'disliked.mp4': 'disliked' });
+    operations.store.updateRecord(scanner.hashMap.get('liked.mp4').hash, { like_count: 5 });
+    operations.store.updateRecord(scanner.hashMap.get('disliked.mp4').hash, { like_count: -3, is_favorite: true });
+
+    const liked = await operations.checkProtection('liked.mp4');
+    const disliked = await operations.checkProtection('disliked.mp4');
+
+    assert.deepStrictEqual(liked.reasons, [{ type: 'like_count', value: 5 }]);
+    assert.deepStrictEqual(disliked.reasons, [{ type: 'is_favorite' }]);
+    assert.deepStrictEqual(getValueReasons({ like_count: -3 }), ['dislike']);
+});
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FastDirectoryScanner = require('../testHighPerformance');
+const { MemoryFileSystem } = require('../fileSystems');
+const { ZipFileSystem } = require('../zipFileSystem');
+const { SnapshotFileSystem, createSnapshot } = require('../snapshotFileSystem');
+
+// 压缩包样本由 fixtures/makeArchiveFixtures.js 生成，条目内容也从那里读取
+const { OUTPUT_DIR, LIBRARY_ENTRIES, ZIP64_ENTRIES, EXTENDED_MTIME } = require('./fixtures/makeArchiveFixtures');
+
+const LIBRARY_ZIP = path.join(OUTPUT_DIR, 'library.zip');
+const ZIP64_ZIP = path.join(OUTPUT_DIR, 'zip64.zip');
+
+/**
+ * 压缩包中应出现的文件：相对路径（本机分隔符） -> 内容
+ */
+function expectedFiles(entries) {
+    const files = {};
+    entries
+        .filter(entry => entry.path && entry.data)
+        .forEach(entry => {
+            files[entry.path.split('/').join(path.sep)] = entry.data;
+        });
+    return files;
+}
+
+function createLocalTree(t, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'filesystems-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    for (const [relativePath, data] of Object.entries(files)) {
+        fs.mkdirSync(path.join(dir, path.dirname(relativePath)), { recursive: true });
+        fs.writeFileSync(path.join(dir, relativePath), data);
+    }
+    return dir;
+}
+
+/**
+ * 扫描结果中与文件系统无关的部分：路径、大小、哈希与重复组
+ */
+async function scanSummary(rootDir, options = {}) {
+    const scanner = new FastDirectoryScanner({ logger: false, enableHash: true, ...options });
+    const results = await scanner.scanDirectory(rootDir);
+
+    return {
+        errors: results.errors,
+        files: Array.from(scanner.fileMap.values())
+            .map(file => [file.path, file.size, scanner.hashMap.get(file.path).hash])
+            .sort((a, b) => a[0].localeCompare(b[0])),
+        duplicates: scanner.getAllDuplicateFiles()
+            .map(group => group.files.map(file => file.path).sort())
+            .sort((a, b) => a[0].localeCompare(b[0]))
+    };
+}
+
+test('本地磁盘、内存目录树、zip 与快照的扫描结果一致', async (t) => {
+    const files = expectedFiles(LIBRARY_ENTRIES);
+    const dir = createLocalTree(t, files);
+    const memoryRoot = path.resolve('/media');
+
+    const local = await scanSummary(dir);
+    assert.deepStrictEqual(local.errors, []);
+    assert.deepStrictEqual(local.files.map(([file]) => file).sort(), Object.keys(files).sort());
+    assert.deepStrictEqual(local.duplicates, [
+        [path.join('Movies', 'a.mp4'), path.join('Movies', 'copy of a.mp4')],
+        [path.join('Shows', 's01e01 copy.mkv'), path.join('Shows', 's01e01.mkv')]
+    ]);
+
+    const memory = await scanSummary(memoryRoot, { fileSystem: new MemoryFileSystem(files, { root: memoryRoot }) });
+    assert.deepStrictEqual(memory, local);
+
+    const zip = new ZipFileSystem(LIBRARY_ZIP);
+    t.after(() => zip.close());
+    assert.deepStrictEqual(await scanSummary(LIBRARY_ZIP, { fileSystem: zip }), local);
+
+    // 快照只保存采样范围，恰好等于阈值的文件也要能离线复现采样哈希
+    const snapshot = new SnapshotFileSystem(await createSnapshot(dir));
+    assert.deepStrictEqual(await scanSummary(snapshot.root, { fileSystem: snapshot }), local);
+});
+
+test('全量哈希经流式读取时各适配器一致', async (t) => {
+    const files = expectedFiles(LIBRARY_ENTRIES);
+    const dir = createLocalTree(t, files);
+    const zip = new ZipFileSystem(LIBRARY_ZIP);
+    t.after(() => zip.close());
+
+    const options = { hashStrategy: 'sha256-full' };
+    assert.deepStrictEqual(await scanSummary(LIBRARY_ZIP, { fileSystem: zip, ...options }), await scanSummary(dir, options));
+});
+
+test('ZIP64 压缩包读取扩展字段中的大小与偏移', async (t) => {
+    const dir = createLocalTree(t, expectedFiles(ZIP64_ENTRIES));
+    const zip = new ZipFileSystem(ZIP64_ZIP);
+    t.after(() => zip.close());
+
+    const local = await scanSummary(dir);
+    assert.deepStrictEqual(await scanSummary(ZIP64_ZIP, { fileSystem: zip }), local);
+    assert.deepStrictEqual(local.duplicates, [[path.join('big', 'deflate.mp4'), path.join('big', 'stored.mp4')]]);
+});
+
+test('zip 文件名、目录条目、时间戳与 ../ 条目', async (t) => {
+    const zip = new ZipFileSystem(LIBRARY_ZIP, { root: '/archive' });
+    t.after(() => zip.close());
+    const root = path.resolve('/archive');
+
+    const names = (await zip.readdir(root)).map(dirent => [dirent.name, dirent.isDirectory()]).sort();
+    assert.deepStrictEqual(names, [
+        ['Empty', true], ['Movies', true], ['Shows', true], ['small.mp4', false], ['中文', true], ['日本', true]
+    ]);
+    assert.deepStrictEqual(await zip.readdir(path.join(root, 'Empty')), []);
+
+    // GBK 文件名（未设置 UTF-8 标志）与 UTF-8 文件名
+    const gbk = LIBRARY_ENTRIES.find(entry => entry.path === '中文/视频.mp4');
+    assert.deepStrictEqual(await zip.readFile(path.join(root, '中文', '视频.mp4')), gbk.data);
+    assert.strictEqual((await zip.readdir(path.join(root, '日本')))[0].name, '動画.mp4');
+
+    const stats = await zip.stat(path.join(root, 'Movies', 'a.mp4'));
+    assert.strictEqual(stats.mtimeMs, EXTENDED_MTIME * 1000);
+    assert.strictEqual(stats.size, 16 * 1024);
+
+    // 含 .. 的条目不会出现在压缩包之外或之内
+    await assert.rejects(zip.stat(path.join(root, '..', 'evil.mp4')), { code: 'ENOENT' });
+    await assert.rejects(zip.stat(path.join(root, 'evil.mp4')), { code: 'ENOENT' });
+    await assert.rejects(zip.readdir(path.join(root, 'small.mp4')), { code: 'ENOTDIR' });
+});
+
+test('存储条目按偏移读取，deflate 条目解压后缓存', async (t) => {
+    const zip = new ZipFileSystem(LIBRARY_ZIP, { root: '/archive', cacheSize: 1 });
+    t.after(() => zip.close());
+    const root = path.resolve('/archive');
+    const data = relativePath => LIBRARY_ENTRIES.find(entry => entry.path === relativePath).data;
+
+    const handle = await zip.open(path.join(root, 'Movies', 'copy of a.mp4'));
+    const buffer = Buffer.alloc(100);
+    const { bytesRead } = await handle.read(buffer, 0, 100, 16 * 1024 - 50);
+    assert.strictEqual(bytesRead, 50);
+    assert.deepStrictEqual(buffer.subarray(0, 50), data('Movies/copy of a.mp4').subarray(-50));
+    assert.strictEqual(zip.inflated.size, 0);
+
+    assert.deepStrictEqual(await zip.readFile(path.join(root, 'Shows', 's01e01.mkv')), data('Shows/s01e01.mkv'));
+    assert.deepStrictEqual(await zip.readFile(path.join(root, 'Movies', 'a.mp4')), data('Movies/a.mp4'));
+    assert.strictEqual(zip.inflated.size, 1);
+});
+
+test('超过 maxInflateSize 的 deflate 条目读取时报 EFBIG，扫描记入 errors', async (t) => {
+    const zip = new ZipFileSystem(LIBRARY_ZIP, { maxInflateSize: 5000 });
+    t.after(() => zip.close());
+
+    await assert.rejects(zip.readFile(path.join(LIBRARY_ZIP, 'Movies', 'a.mp4')), { code: 'EFBIG' });
+
+    const scanner = new FastDirectoryScanner({ logger: false, enableHash: true, fileSystem: zip });
+    const results = await scanner.scanDirectory(LIBRARY_ZIP);
+    assert.deepStrictEqual(results.errors.map(entry => [entry.path, entry.stage, entry.code]), [
+        [path.join('Movies', 'a.mp4'), 'hash', 'EFBIG']
+    ]);
+    assert.strictEqual(results.totalFiles, Object.keys(expectedFiles(LIBRARY_ENTRIES)).length);
+    assert.strictEqual(scanner.stats.filesWithHash, results.totalFiles - 1);
+});
+
+test('损坏的压缩包报 EBADZIP，只读来源不支持监听', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'filesystems-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const truncated = path.join(dir, 'truncated.zip');
+    fs.writeFileSync(truncated, fs.readFileSync(LIBRARY_ZIP).subarray(0, 1000));
+    const broken = new ZipFileSystem(truncated);
+    await assert.rejects(broken.readdir(truncated), { code: 'EBADZIP' });
+
+    const zip = new ZipFileSystem(LIBRARY_ZIP);
+    t.after(() => zip.close());
+    const scanner = new FastDirectoryScanner({ logger: false, fileSystem: zip });
+    await scanner.scanDirectory(LIBRARY_ZIP);
+    await assert.rejects(scanner.watch(), { code: 'ENOTSUP' });
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { FilenameIndex, getReadings } = require('../filenameIndex');
+const { MemoryFileSystem } = require('../fileSystems');
+const FastDirectoryScanner = require('../testHighPerformance');
+
+function createIndex(paths, options) {
+    const fileMap = new Map(paths.map(relativePath => [relativePath, { path: relativePath }]));
+    return { fileMap, index: new FilenameIndex(fileMap, options) };
+}
+
+function searchPaths(index, query, options) {
+    return index.search(query, options).items.map(item => item.path);
+}
+
+const LIBRARY = [
+    path.join('旅行', '中国长城.mp4'),
+    path.join('旅行', '日本京都.mp4'),
+    '中国人在海外.mkv',
+    'zhongguo_notes.mp4',
+    path.join('Shows', 'Breaking.Bad.S01E05.mkv'),
+    path.join('Shows', 'Better Call Saul S01E05.mkv'),
+    'holiday-2023.mp4'
+];
+
+test('汉字读音来自内置字典，多音字返回全部读音', () => {
+    assert.deepStrictEqual(getReadings('中'), ['zhong']);
+    assert.deepStrictEqual(getReadings('频').slice().sort(), ['bin', 'pin']);
+    assert.strictEqual(getReadings('a'), null);
+});
+
+test('按汉字、全拼与拼音首字母匹配中文名', () => {
+    const { index } = createIndex(LIBRARY);
+    const china = [path.join('旅行', '中国长城.mp4'), '中国人在海外.mkv'];
+
+    for (const query of ['中国', 'zhongguo', 'zg', 'zhongg', 'zhong国']) {
+        const found = searchPaths(index, query);
+        china.forEach(file => assert.ok(found.includes(file), `${query} 应匹配 ${file}`));
+    }
+
+    assert.deepStrictEqual(searchPaths(index, 'zgr'), ['中国人在海外.mkv']);
+    assert.deepStrictEqual(searchPaths(index, 'changcheng'), [path.join('旅行', '中国长城.mp4')]);
+    assert.deepStrictEqual(searchPaths(index, '京都'), [path.join('旅行', '日本京都.mp4')]);
+});
+
+test('字面匹配排在拼音匹配之前，连续匹配排在分散匹配之前', () => {
+    const { index } = createIndex(LIBRARY);
+
+    const zhongguo = searchPaths(index, 'zhongguo');
+    assert.strictEqual(zhongguo[0], 'zhongguo_notes.mp4');
+
+    const s01e05 = index.search('s01e05').items;
+    assert.strictEqual(s01e05.length, 2);
+    assert.ok(s01e05.every((item, i) => i === 0 || item.score <= s01e05[i - 1].score));
+
+    const bb = searchPaths(index, 'bb');
+    assert.strictEqual(bb[0], path.join('Shows', 'Breaking.Bad.S01E05.mkv'));
+});
+
+test('多个查询词都要匹配，可以匹配目录名', () => {
+    const { index } = createIndex(LIBRARY);
+
+    assert.deepStrictEqual(searchPaths(index, 'lx 长城'), [path.join('旅行', '中国长城.mp4')]);
+    assert.deepStrictEqual(searchPaths(index, '旅行').sort(), [path.join('旅行', '中国长城.mp4'), path.join('旅行', '日本京都.mp4')].sort());
+    assert.deepStrictEqual(searchPaths(index, 'shows saul'), [path.join('Shows', 'Better Call Saul S01E05.mkv')]);
+    assert.deepStrictEqual(searchPaths(index, '2023 holiday'), ['holiday-2023.mp4']);
+});
+
+test('长查询词容错，短查询词与关闭 fuzzy 时不容错', () => {
+    const { index } = createIndex(LIBRARY);
+    const { index: strict } = createIndex(LIBRARY, { fuzzy: false });
+
+    assert.deepStrictEqual(searchPaths(index, 'holyday'), ['holiday-2023.mp4']);
+    assert.deepStrictEqual(searchPaths(strict, 'holyday'), []);
+    assert.deepStrictEqual(searchPaths(index, 'hxl'), []);
+});
+
+test('limit 限制返回数量，total 为全部匹配数', () => {
+    const { index } = createIndex(LIBRARY);
+    const result = index.search('s', { limit: 1 });
+
+    assert.strictEqual(result.items.length, 1);
+    assert.ok(result.total > 1);
+    assert.deepStrictEqual(index.search('   ').items, []);
+});
+
+test('建立索引后增删文件，下次搜索时生效', () => {
+    const { fileMap, index } = createIndex(LIBRARY);
+    assert.strictEqual(searchPaths(index, 'zgr').length, 1);
+
+    const removed = fileMap.get('中国人在海外.mkv');
+    fileMap.delete('中国人在海外.mkv');
+    index.remove(removed);
+    assert.deepStrictEqual(searchPaths(index, 'zgr'), []);
+
+    const moved = path.join('归档', '中国人在海外.mkv');
+    fileMap.set(moved, { path: moved });
+    index.add(fileMap.get(moved));
+    assert.deepStrictEqual(searchPaths(index, 'zgr'), [moved]);
+    assert.deepStrictEqual(searchPaths(index, 'guidang'), [moved]);
+
+    // 删除目录中的最后一个文件后，目录名不再匹配
+    for (const file of [path.join('旅行', '中国长城.mp4'), path.join('旅行', '日本京都.mp4')]) {
+        index.remove(fileMap.get(file));
+        fileMap.delete(file);
+    }
+    assert.deepStrictEqual(searchPaths(index, '旅行'), []);
+    assert.strictEqual(index.search('mp4 zhongguo').total, 0);
+    assert.deepStrictEqual(searchPaths(index, 'zhongguo'), ['zhongguo_notes.mp4', moved]);
+});
+
+test('扫描器的 searchFiles 跟随 removeFile / indexFile 更新', async () => {
+    const root = path.resolve('/media');
+    const memfs = new MemoryFileSystem({ '电影/中国合伙人.mp4': 'a', 'other.mp4': 'b' }, { root });
+    const scanner = new FastDirectoryScanner({ logger: false, fileSystem: memfs });
+    await scanner.scanDirectory(root);
+
+    const original = path.join('电影', '中国合伙人.mp4');
+    assert.deepStrictEqual(scanner.searchFiles('zghhr').items.map(item => item.path), [original]);
+    assert.strictEqual(scanner.searchFiles('zghhr').items[0].file, scanner.fileMap.get(original));
+
+    scanner.removeFile(original);
+    assert.strictEqual(scanner.searchFiles('zghhr').total, 0);
+
+    await scanner.indexFile('合伙人.mp4', await memfs.stat(path.join(root, '电影', '中国合伙人.mp4')));
+    assert.deepStrictEqual(scanner.searchFiles('hhr').items.map(item => item.path), ['合伙人.mp4']);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FirstSeenStore = require('../firstSeenStore');
+
+const silent = { debug() {}, info() {}, warn() {}, error() {} };
+
+function createFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'first-seen-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return { dir, filePath: path.join(dir, 'first_seen.json') };
+}
+
+test('同一内容取最早的时间，保存后可以重新加载', async (t) => {
+    const { filePath } = createFile(t);
+    const store = new FirstSeenStore(filePath, silent);
+    await store.load();
+
+    store.observe('h:a', new Date(2000));
+    assert.strictEqual(store.observe('h:a', new Date(1000)).getTime(), 1000);
+    assert.strictEqual(store.observe('h:a', new Date(3000)).getTime(), 1000);
+    await store.save();
+
+    const reloaded = new FirstSeenStore(filePath, silent);
+    await reloaded.load();
+    assert.strictEqual(reloaded.get('h:a').getTime(), 1000);
+});
+
+test('主文件损坏时保留 .corrupt 副本并从 .bak 恢复', async (t) => {
+    const { dir, filePath } = createFile(t);
+    const store = new FirstSeenStore(filePath, silent);
+    await store.load();
+    store.observe('h:a', new Date(1000));
+    await store.save();
+    store.observe('h:b', new Date(2000));
+    await store.save(); // 上一版（只有 h:a）成为 .bak
+
+    fs.writeFileSync(filePath, '{"version":1,"entries":{"h:a":10');
+
+    const recovered = new FirstSeenStore(filePath, silent);
+    await recovered.load();
+    assert.strictEqual(recovered.get('h:a').getTime(), 1000);
+
+    recovered.observe('h:c', new Date(3000));
+    await recovered.save();
+
+    const names = fs.readdirSync(dir);
+    const corrupt = names.find(name => name.startsWith('first_seen.json.corrupt-'));
+    assert.ok(corrupt);
+    assert.strictEqual(fs.readFileSync(path.join(dir, corrupt), 'utf8'), '{"version":1,"entries":{"h:a":10');
+
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    assert.deepStrictEqual(saved.entries, { 'h:a': 1000, 'h:c': 3000 });
+});
+
+test('更新版本的程序写入的文件不被覆盖', async (t) => {
+    const { filePath } = createFile(t);
+    const content = JSON.stringify({ version: 99, entries: { 'h:a': 1 } });
+    fs.writeFileSync(filePath, content);
+
+    const store = new FirstSeenStore(filePath, silent);
+    await store.load();
+    store.observe('h:b', new Date(2000));
+    await store.save();
+
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), content);
+});
@@ -0,0 +1,185 @@
+/**
+ * 生成 ZipFileSystem 测试用的压缩包样本（fileSystems.test.js 使用）
+ * 用法：node test/fixtures/makeArchiveFixtures.js
+ *
+ * library.zip：存储 / deflate 条目、重复内容、恰好等于哈希阈值的文件、目录条目、
+ *              GBK 与 UTF-8 文件名、扩展时间戳，以及应被忽略的 ../ 条目
+ * zip64.zip：同样的条目写成 ZIP64（大小与偏移放在扩展字段，带 ZIP64 结束记录）
+ */
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const OUTPUT_DIR = path.join(__dirname, 'archive');
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+const UINT16_MAX = 0xffff;
+const UINT32_MAX = 0xffffffff;
+
+// 条目的 MS-DOS 时间：2020-01-02 03:04:06（本地时间）
+const DOS_TIME = (3 << 11) | (4 << 5) | 3;
+const DOS_DATE = ((2020 - 1980) << 9) | (1 << 5) | 2;
+
+const EXTENDED_MTIME = 1600000000; // 扩展时间戳（0x5455，秒）
+
+/**
+ * 可复现的伪随机内容（线性同余），deflate 压缩不了，采样的头 / 中 / 尾各不相同
+ */
+function pseudoRandom(seed, size) {
+    const buffer = Buffer.alloc(size);
+    let state = seed;
+    for (let i = 0; i < size; i++) {
+        state = (state * 1103515245 + 12345) % 0x80000000;
+        buffer[i] = state >>> 16;
+    }
+    return buffer;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(data) {
+    let crc = UINT32_MAX;
+    for (const byte of data) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ UINT32_MAX) >>> 0;
+}
+
+function uint16(value) {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16LE(value);
+    return buffer;
+}
+
+function uint32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(value);
+    return buffer;
+}
+
+function uint64(value) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64LE(BigInt(value));
+    return buffer;
+}
+
+function extraField(id, ...payloads) {
+    const body = Buffer.concat(payloads);
+    return Buffer.concat([uint16(id), uint16(body.length), body]);
+}
+
+// "中文/视频.mp4" 的 GBK 编码，不设置 UTF-8 标志
+const GBK_NAME = Buffer.from([0xd6, 0xd0, 0xce, 0xc4, 0x2f, 0xca, 0xd3, 0xc6, 0xb5, 0x2e, 0x6d, 0x70, 0x34]);
+
+const MOVIE = pseudoRandom(1, 16 * 1024);
+const EPISODE = pseudoRandom(5, 4000);
+
+/**
+ * 条目：name（字符串或编码后的文件名）、path（解码后的相对路径，null 表示应被忽略）、data、method
+ */
+const LIBRARY_ENTRIES = [
+    { name: 'Movies/', path: 'Movies' },
+    { name: 'Movies/a.mp4', path: 'Movies/a.mp4', data: MOVIE, method: METHOD_DEFLATE, mtime: EXTENDED_MTIME },
+    { name: 'Movies/copy of a.mp4', path: 'Movies/copy of a.mp4', data: MOVIE, method: METHOD_STORED },
+    { name: 'Movies/threshold.mp4', path: 'Movies/threshold.mp4', data: pseudoRandom(3, 10 * 1024), method: METHOD_STORED },
+    { name: 'Shows/s01e01.mkv', path: 'Shows/s01e01.mkv', data: EPISODE, method: METHOD_DEFLATE },
+    { name: 'Shows/s01e01 copy.mkv', path: 'Shows/s01e01 copy.mkv', data: EPISODE, method: METHOD_DEFLATE },
+    { name: 'small.mp4', path: 'small.mp4', data: Buffer.from('tiny'), method: METHOD_STORED },
+    { name: GBK_NAME, path: '中文/视频.mp4', data: pseudoRandom(7, 500), method: METHOD_STORED },
+    { name: '日本/動画.mp4', path: '日本/動画.mp4', data: pseudoRandom(9, 600), method: METHOD_DEFLATE, utf8: true },
+    { name: 'Empty/', path: 'Empty' },
+    { name: '../evil.mp4', path: null, data: Buffer.from('outside'), method: METHOD_STORED }
+];
+
+const ZIP64_ENTRIES = [
+    { name: 'big/stored.mp4', path: 'big/stored.mp4', data: MOVIE, method: METHOD_STORED },
+    { name: 'big/deflate.mp4', path: 'big/deflate.mp4', data: MOVIE, method: METHOD_DEFLATE },
+    { name: 'other.mkv', path: 'other.mkv', data: EPISODE, method: METHOD_DEFLATE }
+];
+
+function createZip(entries, { zip64 = false } = {}) {
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.isBuffer(entry.name) ? entry.name : Buffer.from(entry.name, 'utf8');
+        const data = entry.data || Buffer.alloc(0);
+        const method = entry.method || METHOD_STORED;
+        const compressed = method === METHOD_DEFLATE ? zlib.deflateRawSync(data) : data;
+        const flags = entry.utf8 ? 0x800 : 0;
+        const version = zip64 ? 45 : 20;
+        const crc = crc32(data);
+
+        const localExtra = zip64 ? extraField(0x0001, uint64(data.length), uint64(compressed.length)) : Buffer.alloc(0);
+        const localHeader = Buffer.concat([
+            uint32(0x04034b50), uint16(version), uint16(flags), uint16(method),
+            uint16(DOS_TIME), uint16(DOS_DATE), uint32(crc),
+            uint32(zip64 ? UINT32_MAX : compressed.length), uint32(zip64 ? UINT32_MAX : data.length),
+            uint16(name.length), uint16(localExtra.length)
+        ]);
+        parts.push(localHeader, name, localExtra, compressed);
+
+        const centralExtra = Buffer.concat([
+            zip64 ? extraField(0x0001, uint64(data.length), uint64(compressed.length), uint64(offset)) : Buffer.alloc(0),
+            entry.mtime ? extraField(0x5455, Buffer.from([1]), uint32(entry.mtime)) : Buffer.alloc(0)
+        ]);
+        directory.push(Buffer.concat([
+            uint32(0x02014b50), uint16(version), uint16(version), uint16(flags), uint16(method),
+            uint16(DOS_TIME), uint16(DOS_DATE), uint32(crc),
+            uint32(zip64 ? UINT32_MAX : compressed.length), uint32(zip64 ? UINT32_MAX : data.length),
+            uint16(name.length), uint16(centralExtra.length), uint16(0),
+            uint16(0), uint16(0), uint32(0),
+            uint32(zip64 ? UINT32_MAX : offset)
+        ]), name, centralExtra);
+
+        offset += localHeader.length + name.length + localExtra.length + compressed.length;
+    }
+
+    const directoryData = Buffer.concat(directory);
+    const directoryOffset = offset;
+    const end = [];
+
+    if (zip64) {
+        const zip64EndOffset = directoryOffset + directoryData.length;
+        end.push(
+            uint32(0x06064b50), uint64(44), uint16(45), uint16(45), uint32(0), uint32(0),
+            uint64(entries.length), uint64(entries.length), uint64(directoryData.length), uint64(directoryOffset),
+            uint32(0x07064b50), uint32(0), uint64(zip64EndOffset), uint32(1)
+        );
+    }
+    end.push(
+        uint32(0x06054b50), uint16(0), uint16(0),
+        uint16(zip64 ? UINT16_MAX : entries.length), uint16(zip64 ? UINT16_MAX : entries.length),
+        uint32(zip64 ? UINT32_MAX : directoryData.length), uint32(zip64 ? UINT32_MAX : directoryOffset),
+        uint16(0)
+    );
+
+    return Buffer.concat([...parts, directoryData, ...end]);
+}
+
+const FIXTURES = {
+    'library.zip': createZip(LIBRARY_ENTRIES),
+    'zip64.zip': createZip(ZIP64_ENTRIES, { zip64: true })
+};
+
+if (require.main === module) {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    for (const [name, data] of Object.entries(FIXTURES)) {
+        fs.writeFileSync(path.join(OUTPUT_DIR, name), data);
+    }
+}
+
+module.exports = {
+    OUTPUT_DIR,
+    LIBRARY_ENTRIES,
+    ZIP64_ENTRIES,
+    EXTENDED_MTIME
+};
@@ -0,0 +1,204 @@
+/**
+ * 生成 mediaProbe 测试用的最小容器头样本（只有头部结构，没有可播放的数据）
+ * 用法：node test/fixtures/makeMediaFixtures.js
+ */
+const fs = require('fs');
+const path = require('path');
+
+const OUTPUT_DIR = path.join(__dirname, 'media');
+
+// ---------------------------------------------------------------------------
+// MP4 / MOV
+// ---------------------------------------------------------------------------
+
+function box(type, ...payloads) {
+    const body = Buffer.concat(payloads);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(body.length + 8, 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, body]);
+}
+
+function fullBox(type, version, ...payloads) {
+    return box(type, Buffer.from([version, 0, 0, 0]), ...payloads);
+}
+
+function uint32(...values) {
+    const buffer = Buffer.alloc(values.length * 4);
+    values.forEach((value, i) => buffer.writeInt32BE(value | 0, i * 4));
+    return buffer;
+}
+
+function uint64(value) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(value));
+    return buffer;
+}
+
+const FIXED_ONE = 0x00010000;
+
+// 变换矩阵 [a b u; c d v; x y w]，a/b/c/d 为 16.16 定点数
+function matrix(a, b, c, d) {
+    return uint32(a, b, 0, c, d, 0, 0, 0, 0x40000000);
+}
+
+function mvhd(version, timescale, duration) {
+    const times = version === 1
+        ? Buffer.concat([uint64(0), uint64(0), uint32(timescale), uint64(duration)])
+        : uint32(0, 0, timescale, duration);
+    return fullBox('mvhd', version, times, uint32(FIXED_ONE), Buffer.alloc(12), matrix(FIXED_ONE, 0, 0, FIXED_ONE), Buffer.alloc(24), uint32(2));
+}
+
+function tkhd(trackMatrix, width, height) {
+    return fullBox('tkhd', 0, uint32(0, 0, 1, 0, 0), Buffer.alloc(8), Buffer.alloc(8), trackMatrix, uint32(width * FIXED_ONE, height * FIXED_ONE));
+}
+
+function hdlr(handler) {
+    return fullBox('hdlr', 0, uint32(0), Buffer.from(handler, 'latin1'), Buffer.alloc(12), Buffer.from([0]));
+}
+
+function videoEntry(format, width, height) {
+    const size = Buffer.alloc(4);
+    size.writeUInt16BE(width, 0);
+    size.writeUInt16BE(height, 2);
+    // reserved(6) data_reference_index(2) pre_defined/reserved(16) width height 其余字段(50)
+    return box(format, Buffer.alloc(6), Buffer.from([0, 1]), Buffer.alloc(16), size, Buffer.alloc(50));
+}
+
+function audioEntry(format) {
+    return box(format, Buffer.alloc(6), Buffer.from([0, 1]), Buffer.alloc(20));
+}
+
+function trak({ handler, header, entry }) {
+    const stsd = fullBox('stsd', 0, uint32(1), entry);
+    const mdia = box('mdia', fullBox('mdhd', 0, uint32(0, 0, 1000, 0)), hdlr(handler), box('minf', box('stbl', stsd)));
+    return box('trak', ...(header ? [header] : []), mdia);
+}
+
+function ftyp(brand) {
+    return box('ftyp', Buffer.from(brand, 'latin1'), uint32(0x200), Buffer.from(`${brand}avc1`, 'latin1'));
+}
+
+// 竖拍手机视频：moov 在 mdat 之后，视频轨旋转 90°，12.5 秒，h264 + aac
+const rotatedMp4 = Buffer.concat([
+    ftyp('isom'),
+    box('mdat', Buffer.alloc(64)),
+    box('moov',
+        mvhd(0, 1000, 12500),
+        trak({ handler: 'vide', header: tkhd(matrix(0, FIXED_ONE, -FIXED_ONE, 0), 1920, 1080), entry: videoEntry('avc1', 1920, 1080) }),
+        trak({ handler: 'soun', entry: audioEntry('mp4a') }))
+]);
+
+// QuickTime：64 位 mvhd，30.25 秒，tkhd 未填写宽高（取样本描述中的宽高），ProRes，无音轨
+const landscapeMov = Buffer.concat([
+    ftyp('qt  '),
+    box('moov',
+        mvhd(1, 600, 18150),
+        trak({ handler: 'vide', header: tkhd(matrix(FIXED_ONE, 0, 0, FIXED_ONE), 0, 0), entry: videoEntry('apcn', 640, 480) }))
+]);
+
+// 文件被截断：moov 声明的大小超出文件末尾
+const truncatedMp4 = Buffer.concat([ftyp('isom'), uint32(4096), Buffer.from('moov', 'latin1'), Buffer.alloc(32)]);
+
+// ---------------------------------------------------------------------------
+// Matroska / WebM
+// ---------------------------------------------------------------------------
+
+function idBytes(id) {
+    const bytes = [];
+    for (let value = id; value > 0; value = Math.floor(value / 256)) bytes.unshift(value % 256);
+    return Buffer.from(bytes);
+}
+
+function sizeBytes(size) {
+    let length = 1;
+    while (size >= 2 ** (7 * length) - 1) length++;
+
+    const bytes = Buffer.alloc(length);
+    let value = size;
+    for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = value % 256;
+        value = Math.floor(value / 256);
+    }
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+}
+
+function element(id, ...payloads) {
+    const body = Buffer.concat(payloads);
+    return Buffer.concat([idBytes(id), sizeBytes(body.length), body]);
+}
+
+function unsigned(id, value, width = 0) {
+    const bytes = [];
+    for (let rest = value; rest > 0 || bytes.length === 0; rest = Math.floor(rest / 256)) bytes.unshift(rest % 256);
+    while (bytes.length < width) bytes.unshift(0);
+    return element(id, Buffer.from(bytes));
+}
+
+function float64(id, value) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeDoubleBE(value);
+    return element(id, buffer);
+}
+
+function float32(id, value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeFloatBE(value);
+    return element(id, buffer);
+}
+
+function string(id, value) {
+    return element(id, Buffer.from(value, 'utf8'));
+}
+
+function ebmlHeader(docType) {
+    return element(0x1A45DFA3, unsigned(0x4286, 1), string(0x4282, docType));
+}
+
+function trackEntry(number, type, codecId, video) {
+    return element(0xAE, unsigned(0xD7, number), unsigned(0x83, type), string(0x86, codecId), ...(video ? [video] : []));
+}
+
+// Matroska：Tracks 位于第一个 Cluster 之后，只能通过 SeekHead 找到；90.5 秒，4K HEVC（Roll 90°）+ Opus
+const mkvInfo = element(0x1549A966, unsigned(0x2AD7B1, 1000000), float64(0x4489, 90500));
+const mkvCluster = element(0x1F43B675, unsigned(0xE7, 0));
+const mkvTracks = element(0x1654AE6B,
+    trackEntry(1, 1, 'V_MPEGH/ISO/HEVC', element(0xE0,
+        unsigned(0xB0, 3840),
+        unsigned(0xBA, 2160),
+        element(0x7670, float32(0x7675, 90)))),
+    trackEntry(2, 2, 'A_OPUS'));
+const seekHead = position => element(0x114D9B74, element(0x4DBB, unsigned(0x53AB, 0x1654AE6B), unsigned(0x53AC, position, 4)));
+const mkvSegmentBody = Buffer.concat([
+    seekHead(seekHead(0).length + mkvInfo.length + mkvCluster.length),
+    mkvInfo,
+    mkvCluster,
+    mkvTracks
+]);
+const sampleMkv = Buffer.concat([ebmlHeader('matroska'), element(0x18538067, mkvSegmentBody)]);
+
+// WebM：未知大小的 Segment，默认 TimecodeScale，4 秒，VP9 + Vorbis
+const sampleWebm = Buffer.concat([
+    ebmlHeader('webm'),
+    idBytes(0x18538067), Buffer.from([0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]),
+    element(0x1549A966, float32(0x4489, 4000)),
+    element(0x1654AE6B,
+        trackEntry(1, 1, 'V_VP9', element(0xE0, unsigned(0xB0, 1280), unsigned(0xBA, 720))),
+        trackEntry(2, 2, 'A_VORBIS')),
+    mkvCluster
+]);
+
+const FIXTURES = {
+    'rotated.mp4': rotatedMp4,
+    'landscape.mov': landscapeMov,
+    'truncated.mp4': truncatedMp4,
+    'sample.mkv': sampleMkv,
+    'sample.webm': sampleWebm,
+    'not-video.mp4': Buffer.from('plain text, not a container\n')
+};
+
+fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+for (const [name, data] of Object.entries(FIXTURES)) {
+    fs.writeFileSync(path.join(OUTPUT_DIR, name), data);
+}
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { BUILTIN_STRATEGIES } = require('../hashStrategies');
+const { MemoryFileSystem } = require('../fileSystems');
+
+const THRESHOLD = 1024;
+const SAMPLE_SIZE = 64;
+
+test('采样策略对阈值边界的判定一致：小于阈值全量，等于阈值采样', async () => {
+    const fileSystem = new MemoryFileSystem({
+        'below.bin': 'a'.repeat(THRESHOLD - 1),
+        'exact.bin': 'a'.repeat(THRESHOLD)
+    }, { root: '/data' });
+    const context = { threshold: THRESHOLD, sampleSize: SAMPLE_SIZE, fileSystem };
+
+    for (const name of ['fnv1a64-sampled', 'md5-sampled']) {
+        const strategy = BUILTIN_STRATEGIES[name];
+        const below = await strategy.hash('/data/below.bin', THRESHOLD - 1, context);
+        const exact = await strategy.hash('/data/exact.bin', THRESHOLD, context);
+
+        assert.strictEqual(below.method, 'full', name);
+        assert.strictEqual(exact.method, 'sampled', name);
+    }
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { HashWorkerPool } = require('../hashWorkerPool');
+const { BUILTIN_STRATEGIES } = require('../hashStrategies');
+const FastDirectoryScanner = require('../testHighPerformance');
+const { MemoryFileSystem } = require('../fileSystems');
+
+function createPool(t, size) {
+    const pool = new HashWorkerPool(size);
+    t.after(() => pool.close());
+    return pool;
+}
+
+test('线程池的摘要与主线程计算的结果相同', async (t) => {
+    const pool = createPool(t, 2);
+    const samples = [Buffer.alloc(0), Buffer.from('hello world'), crypto.randomBytes(6144)];
+
+    for (const strategy of ['fnv1a64-sampled', 'md5-sampled']) {
+        for (const data of samples) {
+            const fileSize = data.length * 3 + 1;
+            const expected = BUILTIN_STRATEGIES[strategy].digest(data, fileSize);
+            assert.strictEqual(await pool.run(strategy, data, fileSize), expected, strategy);
+        }
+    }
+});
+
+test('扫描器使用线程池与在主线程计算得到相同的哈希', async () => {
+    const files = {};
+    for (let i = 0; i < 20; i++) files[`f${i}.bin`] = crypto.randomBytes(i * 1500);
+    const fileSystem = new MemoryFileSystem(files, { root: '/media' });
+
+    const hashes = async (hashWorkers) => {
+        const scanner = new FastDirectoryScanner({ fileSystem, logger: false, enableHash: true, hashWorkers });
+        await scanner.scanDirectory('/media');
+        return Object.fromEntries(Array.from(scanner.hashMap, ([file, info]) => [file, info.hash]));
+    };
+
+    assert.deepStrictEqual(await hashes(2), await hashes(0));
+});
+
+test('线程崩溃只让它正在处理的任务失败，线程池继续工作', async (t) => {
+    const pool = createPool(t, 2);
+    const data = crypto.randomBytes(64 * 1024);
+    const expected = BUILTIN_STRATEGIES['fnv1a64-sampled'].digest(data, data.length);
+
+    const crashed = pool.run('fnv1a64-sampled', data, data.length);
+    const survivor = pool.run('fnv1a64-sampled', data, data.length);
+    // 两个任务已分派到不同的线程，终止第一个任务所在的线程
+    await pool.tasks.get(0).worker.terminate();
+
+    await assert.rejects(crashed, /哈希线程退出/);
+    assert.strictEqual(await survivor, expected);
+    assert.strictEqual(pool.workers.length, 2);
+    assert.strictEqual(await pool.run('fnv1a64-sampled', data, data.length), expected);
+});
+
+test('关闭时进行中、排队中的任务与之后的新任务都被拒绝', async () => {
+    const pool = new HashWorkerPool(1);
+    const data = Buffer.from('x');
+    const running = assert.rejects(pool.run('md5-sampled', data, 1), /已关闭/);
+    const queued = assert.rejects(pool.run('md5-sampled', data, 1), /已关闭/);
+
+    await pool.close();
+
+    await running;
+    await queued;
+    await assert.rejects(pool.run('md5-sampled', data, 1), /已关闭/);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MetadataStore } = require('../metadataStore');
+const { LikeScoreEngine, applyLike, applyDislike, applyDecay, computeBands } = require('../likeScore');
+
+test('点赞 +1，不喜欢 -1 且没有下限', () => {
+    assert.strictEqual(applyLike(0), 1);
+    assert.strictEqual(applyLike(-0.4), 0.6);
+    assert.strictEqual(applyDislike(3.5), 2.5);
+    assert.strictEqual(applyDislike(0), -1);
+    assert.strictEqual(applyDislike(-41), -42);
+});
+
+test('不喜欢：1 <= 分数 < 2 时直接归零', () => {
+    assert.strictEqual(applyDislike(1), 0);
+    assert.strictEqual(applyDislike(1.8), 0);
+    assert.strictEqual(applyDislike(2), 1);
+});
+
+test('衰减只对大于 1 的分数生效，最低到 1', () => {
+    assert.strictEqual(applyDecay(5.8), 5.6);
+    assert.strictEqual(applyDecay(1.1), 1);
+    assert.strictEqual(applyDecay(1), 1);
+    assert.strictEqual(applyDecay(0.5), 0.5);
+    assert.strictEqual(applyDecay(-3), -3);
+    assert.strictEqual(applyDecay(3, 0.5), 2.5);
+
+    // 逐次衰减不累积浮点误差
+    let score = 5.8;
+    for (let i = 0; i < 4; i++) score = applyDecay(score);
+    assert.strictEqual(score, 5);
+});
+
+test('分段按当前极值平均分成 10 段，落在边界上的分数归入离 0 更远的一段', () => {
+    const items = [1, 10, 11, 100, 91, 90.9, -1, -5.5, -10].map(score => ({ score }));
+    const bands = computeBands(items);
+    const summary = bands.map(band => [band.label, band.items.map(item => item.score)]);
+
+    assert.deepStrictEqual(summary, [
+        ['90.1 ~ 100', [100, 91, 90.9]],
+        ['10.9 ~ 20.8', [11]],
+        ['1 ~ 10.9', [10, 1]],
+        ['-1 ~ -1.9', [-1]],
+        ['-5.5 ~ -6.4', [-5.5]],
+        ['-9.1 ~ -10', [-10]]
+    ]);
+});
+
+test('小区间的段标签带小数，不重复', () => {
+    const bands = computeBands([1, 1.2, 1.5, 1.8].map(score => ({ score })));
+    const labels = bands.map(band => band.label);
+
+    assert.deepStrictEqual(labels, ['1.72 ~ 1.8', '1.48 ~ 1.56', '1.16 ~ 1.24', '1 ~ 1.08']);
+    assert.strictEqual(new Set(labels).size, labels.length);
+});
+
+test('(0, 1) 与 (-1, 0) 的分数归入最靠近 0 的一段', () => {
+    const bands = computeBands([0.5, 3, -0.5].map(score => ({ score })));
+
+    assert.deepStrictEqual(bands.map(band => [band.sign, band.index, band.items.map(item => item.score)]), [
+        ['positive', 9, [3]],
+        ['positive', 0, [0.5]],
+        ['negative', 0, [-0.5]]
+    ]);
+});
+
+test('会话内未评分时衰减，评分后不衰减；缺失的文件被标记', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'likes-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const store = await new MetadataStore(dir, { logger: false }).load();
+    const scanner = { hashMap: new Map([['a.mp4', {}]]), fileMap: new Map([['a.mp4', { path: 'a.mp4' }]]), getFilesByHash: hash => (hash === 'h:a' ? ['a.mp4'] : []) };
+    const engine = new LikeScoreEngine(store, scanner);
+
+    engine.like('h:a');
+    engine.like('h:a');
+    engine.startSession('h:a');
+    assert.deepStrictEqual(engine.endSession(), { hash: 'h:a', before: 2, after: 1.8 });
+
+    engine.startSession('h:a');
+    engine.like('h:a');
+    assert.deepStrictEqual(engine.endSession(), { hash: 'h:a', before: 2.8, after: 2.8 });
+
+    engine.dislike('h:gone');
+    const items = engine.getScoredItems();
+    assert.deepStrictEqual(items.map(item => [item.hash, item.score, item.missing]), [['h:a', 2.8, false], ['h:gone', -1, true]]);
+    assert.deepStrictEqual(store.getRecord('h:a').paths, ['./a.mp4']);
+    await store.close();
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FastDirectoryScanner = require('../testHighPerformance');
+
+/**
+ * a/x.mp4 与 y.mp4 为同一文件的两个硬链接，copy.mp4 内容相同但是独立的副本
+ * a/loop 指回根目录，形成符号链接循环
+ */
+function createTree(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'links-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    fs.mkdirSync(path.join(dir, 'a'));
+    fs.writeFileSync(path.join(dir, 'a', 'x.mp4'), 'x'.repeat(100));
+    fs.linkSync(path.join(dir, 'a', 'x.mp4'), path.join(dir, 'y.mp4'));
+    fs.writeFileSync(path.join(dir, 'copy.mp4'), 'x'.repeat(100));
+    fs.symlinkSync('..', path.join(dir, 'a', 'loop'));
+    return dir;
+}
+
+async function scan(dir, options = {}) {
+    const scanner = new FastDirectoryScanner({ logger: false, enableHash: true, ...options });
+    const results = await scanner.scanDirectory(dir);
+    return { scanner, results };
+}
+
+test('硬链接只计一次大小，不算作重复文件', async (t) => {
+    const { scanner, results } = await scan(createTree(t));
+    const xPath = path.join('a', 'x.mp4');
+
+    assert.strictEqual(results.totalFiles, 3);
+    assert.strictEqual(results.totalSize, 200);
+    assert.strictEqual(scanner.stats.hardlinks, 1);
+    assert.strictEqual(scanner.stats.hardlinkBytes, 100);
+    assert.strictEqual(results.stats.skipped.symlink, 1);
+
+    const [primary, secondary] = scanner.getHardlinkGroups()[0].paths;
+    assert.deepStrictEqual([primary, secondary].sort(), [xPath, 'y.mp4']);
+    assert.strictEqual(scanner.fileMap.get(primary).hardlinkOf, null);
+    assert.strictEqual(scanner.fileMap.get(secondary).hardlinkOf, primary);
+
+    // 三个路径内容相同，但只有两份数据
+    const groups = scanner.getAllDuplicateFiles();
+    assert.strictEqual(groups.length, 1);
+    assert.strictEqual(groups[0].files.length, 2);
+    assert.strictEqual(scanner.stats.duplicateCount, 2);
+});
+
+test('跟随符号链接时循环只进入一次', async (t) => {
+    const { scanner, results } = await scan(createTree(t), { followSymlinks: true });
+
+    assert.strictEqual(results.totalFiles, 3);
+    assert.strictEqual(results.totalSize, 200);
+    assert.strictEqual(results.stats.skipped.visitedDirectory, 1);
+    assert.strictEqual(scanner.stats.hardlinks, 1);
+});
+
+test('移除主路径后剩余路径成为主路径', async (t) => {
+    const { scanner } = await scan(createTree(t));
+    const [primary, secondary] = scanner.getHardlinkGroups()[0].paths;
+
+    scanner.removeFile(primary);
+
+    assert.strictEqual(scanner.fileMap.get(secondary).hardlinkOf, null);
+    assert.strictEqual(scanner.stats.hardlinks, 0);
+    assert.strictEqual(scanner.stats.hardlinkBytes, 0);
+    assert.strictEqual(scanner._getScanResults().totalSize, 200);
+    assert.strictEqual(scanner.totalFiles, 2);
+    assert.deepStrictEqual(scanner.getAllDuplicateFiles()[0].files.map(file => file.path).sort(), ['copy.mp4', secondary].sort());
+});
+
+test('同一路径重新加入索引不会重复计数', async (t) => {
+    const dir = createTree(t);
+    const { scanner } = await scan(dir);
+
+    for (const file of ['copy.mp4', 'y.mp4']) {
+        await scanner.indexFile(file, await fs.promises.stat(path.join(dir, file)));
+    }
+
+    assert.strictEqual(scanner.totalFiles, 3);
+    assert.strictEqual(scanner._getScanResults().totalSize, 200);
+    assert.strictEqual(scanner.stats.hardlinks, 1);
+    assert.strictEqual(scanner.stats.duplicateCount, 2);
+});
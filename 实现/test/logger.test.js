@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Logger, defaultLogger, resolveLogger } = require('../logger');
+const FastDirectoryScanner = require('../testHighPerformance');
+
+/**
+ * 记录每次调用的输出目标
+ */
+function createSink() {
+    const calls = [];
+    const sink = {};
+    for (const level of ['debug', 'info', 'warn', 'error']) {
+        sink[level] = (...args) => calls.push([level, ...args]);
+    }
+    return { sink, calls };
+}
+
+test('只输出不低于当前级别的日志', () => {
+    const { sink, calls } = createSink();
+    const logger = new Logger({ level: 'warn', sink });
+
+    logger.debug('d');
+    logger.info('i');
+    logger.warn('w', 1);
+    logger.error('e');
+
+    assert.deepStrictEqual(calls, [['warn', 'w', 1], ['error', 'e']]);
+    assert.strictEqual(logger.isEnabled('info'), false);
+    assert.strictEqual(logger.isEnabled('error'), true);
+});
+
+test('setLevel 切换级别，silent 不输出任何内容', () => {
+    const { sink, calls } = createSink();
+    const logger = new Logger({ level: 'silent', sink });
+
+    logger.error('hidden');
+    logger.setLevel('debug');
+    logger.debug('shown');
+
+    assert.strictEqual(logger.level, 'debug');
+    assert.deepStrictEqual(calls, [['debug', 'shown']]);
+});
+
+test('未知级别报错', () => {
+    assert.throws(() => new Logger({ level: 'verbose' }), /未知的日志级别: verbose/);
+    assert.throws(() => new Logger().setLevel('loud'), /未知的日志级别: loud/);
+});
+
+test('输出目标缺少对应方法时使用 log', () => {
+    const lines = [];
+    const logger = new Logger({ level: 'debug', sink: { log: (...args) => lines.push(args) } });
+
+    logger.warn('a', 'b');
+
+    assert.deepStrictEqual(lines, [['a', 'b']]);
+});
+
+test('resolveLogger 统一各种写法', () => {
+    const { sink } = createSink();
+
+    assert.strictEqual(resolveLogger(), defaultLogger);
+    assert.strictEqual(resolveLogger(null), defaultLogger);
+    assert.strictEqual(resolveLogger(true), defaultLogger);
+    assert.strictEqual(resolveLogger(false).level, 'silent');
+    assert.strictEqual(resolveLogger('error').level, 'error');
+    assert.strictEqual(resolveLogger(sink), sink);
+    assert.throws(() => resolveLogger({ info() {} }), /logger 缺少方法: debug, warn, error/);
+});
+
+test('扫描器的输出全部经过注入的日志，logger: false 时不写 console', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, 'a.mp4'), 'same');
+    fs.writeFileSync(path.join(dir, 'b.mp4'), 'same');
+
+    const consoleCalls = [];
+    for (const method of ['log', 'debug', 'info', 'warn', 'error']) {
+        t.mock.method(console, method, (...args) => consoleCalls.push(args));
+    }
+
+    const { sink, calls } = createSink();
+    await new FastDirectoryScanner({ logger: new Logger({ level: 'debug', sink }), enableHash: true }).scanDirectory(dir);
+    await new FastDirectoryScanner({ logger: false, enableHash: true }).scanDirectory(dir);
+
+    assert.ok(calls.length > 0);
+    assert.deepStrictEqual(consoleCalls, []);
+});
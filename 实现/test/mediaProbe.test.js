@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const FastDirectoryScanner = require('../testHighPerformance');
+const { probeMedia, normalizeRotation } = require('../mediaProbe');
+
+// 样本由 fixtures/makeMediaFixtures.js 生成
+const FIXTURES = path.join(__dirname, 'fixtures', 'media');
+
+const probe = name => probeMedia(path.join(FIXTURES, name));
+
+test('MP4：moov 位于 mdat 之后，tkhd 矩阵旋转 90°', async () => {
+    assert.deepStrictEqual(await probe('rotated.mp4'), {
+        container: 'mp4',
+        duration: 12.5,
+        width: 1920,
+        height: 1080,
+        videoCodec: 'h264',
+        audioCodec: 'aac',
+        rotation: 90
+    });
+});
+
+test('MOV：64 位 mvhd，tkhd 没有宽高时取样本描述中的宽高', async () => {
+    assert.deepStrictEqual(await probe('landscape.mov'), {
+        container: 'mp4',
+        duration: 30.25,
+        width: 640,
+        height: 480,
+        videoCodec: 'prores',
+        audioCodec: null,
+        rotation: 0
+    });
+});
+
+test('MKV：Cluster 之后的 Tracks 通过 SeekHead 找到，Projection Roll 转为顺时针角度', async () => {
+    assert.deepStrictEqual(await probe('sample.mkv'), {
+        container: 'matroska',
+        duration: 90.5,
+        width: 3840,
+        height: 2160,
+        videoCodec: 'hevc',
+        audioCodec: 'opus',
+        rotation: 270
+    });
+});
+
+test('WebM：未知大小的 Segment，默认 TimecodeScale', async () => {
+    assert.deepStrictEqual(await probe('sample.webm'), {
+        container: 'webm',
+        duration: 4,
+        width: 1280,
+        height: 720,
+        videoCodec: 'vp9',
+        audioCodec: 'vorbis',
+        rotation: 0
+    });
+});
+
+test('不是容器格式时返回 null，结构损坏时抛出错误', async () => {
+    assert.strictEqual(await probe('not-video.mp4'), null);
+    await assert.rejects(probe('truncated.mp4'), /moov 元素不完整/);
+});
+
+test('rotation 吸附到 90 的倍数', () => {
+    assert.strictEqual(normalizeRotation(-90), 270);
+    assert.strictEqual(normalizeRotation(178.6), 180);
+    assert.strictEqual(normalizeRotation(450), 90);
+});
+
+test('扫描时解析失败记录在文件的 probeError 上，不中断扫描', async () => {
+    const scanner = new FastDirectoryScanner({ probe: true, logger: false });
+    const results = await scanner.scanDirectory(FIXTURES);
+
+    assert.strictEqual(results.totalFiles, 6);
+    assert.strictEqual(results.stats.probedFiles, 4);
+    assert.strictEqual(results.stats.probeErrors, 1);
+    assert.match(scanner.fileMap.get('truncated.mp4').probeError, /moov 元素不完整/);
+    assert.strictEqual(scanner.fileMap.get('not-video.mp4').probeError, undefined);
+    assert.strictEqual(scanner.fileMap.get('sample.mkv').duration, 90.5);
+    assert.strictEqual(scanner.fileMap.get('rotated.mp4').rotation, 90);
+});
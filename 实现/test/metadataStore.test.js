@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MetadataStore } = require('../metadataStore');
+
+const DIGEST = '9825e1bcb22046d3';
+const HASH_ID = `fnv1a64-sampled@1:${DIGEST}`;
+
+function createDataDir(t, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, 'files.json'), JSON.stringify(files));
+    return dir;
+}
+
+test('旧版 files.json 的键迁移为带标签的哈希 ID', async (t) => {
+    const dir = createDataDir(t, {
+        [DIGEST]: { file_path: 'a/z.mp4', like_count: 3 },
+        'md5-sampled@1:0123': { paths: ['./b.mp4'], is_favorite: true }
+    });
+    const store = await new MetadataStore(dir, { logger: false }).load();
+
+    assert.deepStrictEqual(store.getRecords(), {
+        [HASH_ID]: { paths: ['./a/z.mp4'], like_count: 3 },
+        'md5-sampled@1:0123': { paths: ['./b.mp4'], is_favorite: true }
+    });
+
+    await store.close();
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'files.json'), 'utf8'));
+    assert.strictEqual(saved._schema_version, 3);
+    assert.ok(HASH_ID in saved && !(DIGEST in saved));
+});
+
+test('新旧两个键同时存在时合并，带标签的条目优先', async (t) => {
+    const dir = createDataDir(t, {
+        _schema_version: 2,
+        [DIGEST]: { paths: ['./old.mp4'], like_count: 1, tags: [3] },
+        [HASH_ID]: { paths: ['./new.mp4'], like_count: 5 }
+    });
+    const store = await new MetadataStore(dir, { logger: false }).load();
+
+    assert.deepStrictEqual(store.getRecords(), {
+        [HASH_ID]: { paths: ['./old.mp4', './new.mp4'], like_count: 5, tags: [3] }
+    });
+    await store.close();
+});
+
+test('查找、更新与删除接受两种写法', async (t) => {
+    const dir = createDataDir(t, {});
+    const store = await new MetadataStore(dir, { logger: false }).load();
+    store.replaceRecords({ [DIGEST]: { paths: ['./z.mp4'], like_count: 2 } });
+
+    assert.strictEqual(store.getRecord(HASH_ID).like_count, 2);
+    store.updateRecord(HASH_ID, { is_favorite: true });
+    assert.deepStrictEqual(Object.keys(store.getRecords()), [HASH_ID]);
+    assert.strictEqual(store.getRecord(DIGEST).is_favorite, true);
+
+    assert.strictEqual(store.removeRecord(HASH_ID), true);
+    assert.strictEqual(store.getRecord(DIGEST), null);
+    await store.close();
+});
+
+test('大写的旧格式键在迁移、整体替换与新建条目时统一为小写的带标签键', async (t) => {
+    const upper = DIGEST.toUpperCase();
+    const dir = createDataDir(t, { _schema_version: 2, [upper]: { paths: ['./a.mp4'], like_count: 1 } });
+    const store = await new MetadataStore(dir, { logger: false }).load();
+
+    assert.deepStrictEqual(Object.keys(store.getRecords()), [HASH_ID]);
+    assert.strictEqual(store.getRecord(upper).like_count, 1);
+
+    store.replaceRecords({ [upper]: { paths: ['./b.mp4'], like_count: 2 } });
+    assert.deepStrictEqual(Object.keys(store.getRecords()), [HASH_ID]);
+
+    store.removeRecord(HASH_ID);
+    store.updateRecord(upper, { is_favorite: true });
+    assert.deepStrictEqual(Object.keys(store.getRecords()), [HASH_ID]);
+    assert.strictEqual(store.getRecord(DIGEST).is_favorite, true);
+    await store.close();
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MultiRootLibrary } = require('../multiRootLibrary');
+const { MemoryFileSystem } = require('../fileSystems');
+
+function createMemoryLibrary(files) {
+    const fileSystem = new MemoryFileSystem(files, { root: '/m' });
+    return { fileSystem, library: new MultiRootLibrary({ defaults: { fileSystem, enableHash: true, logger: false } }) };
+}
+
+test('拒绝嵌套的根目录', () => {
+    const { library } = createMemoryLibrary({ 'a/sub/y.mp4': 'y'.repeat(50) });
+    library.addRoot({ name: 'a', path: '/m/a' });
+
+    assert.throws(() => library.addRoot({ name: 'sub', path: '/m/a/sub' }), { code: 'EROOTOVERLAP' });
+    assert.throws(() => library.addRoot({ name: 'm', path: '/m' }), { code: 'EROOTOVERLAP' });
+    assert.deepStrictEqual(library.getRootNames(), ['a']);
+});
+
+test('拒绝以另一个名称重复添加同一路径', () => {
+    const { library } = createMemoryLibrary({ 'a/x.mp4': 'x' });
+    library.addRoot({ name: 'a', path: '/m/a' });
+
+    assert.throws(() => library.addRoot({ name: 'again', path: '/m/a/' }), { code: 'EROOTOVERLAP' });
+});
+
+test('拒绝经符号链接指向已有根目录之内的本地路径', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'multi-root-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.mkdirSync(path.join(dir, 'a', 'sub'), { recursive: true });
+    fs.symlinkSync(path.join(dir, 'a', 'sub'), path.join(dir, 'link'));
+
+    const library = new MultiRootLibrary({ defaults: { logger: false } });
+    library.addRoot({ name: 'a', path: path.join(dir, 'a') });
+
+    assert.throws(() => library.addRoot({ name: 'link', path: path.join(dir, 'link') }), { code: 'EROOTOVERLAP' });
+});
+
+test('相邻的根目录可以添加，硬链接跨根目录只计一次', async () => {
+    const { fileSystem, library } = createMemoryLibrary({
+        'a/x.mp4': 'x'.repeat(100),
+        'ab/z.mp4': 'z'.repeat(50)
+    });
+    fileSystem.link('/m/a/x.mp4', '/m/ab/x.mp4');
+    library.addRoot({ name: 'a', path: '/m/a' });
+    library.addRoot({ name: 'ab', path: '/m/ab' });
+
+    await library.scanAll();
+    const results = library.getResults();
+
+    assert.strictEqual(results.totalFiles, 3);
+    assert.strictEqual(results.totalSize, 150);
+});
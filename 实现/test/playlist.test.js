@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Playlist } = require('../playlist');
+
+/**
+ * 只有 fileMap 的扫描器
+ */
+function createScanner(count) {
+    const fileMap = new Map();
+    for (let i = 0; i < count; i++) {
+        fileMap.set(`v${i}.mp4`, { path: `v${i}.mp4` });
+    }
+    return { fileMap };
+}
+
+function draw(playlist, count) {
+    return Array.from({ length: count }, () => playlist.next().path);
+}
+
+function remove(scanner, playlist, relativePath) {
+    scanner.fileMap.delete(relativePath);
+    playlist.handleRemoved(relativePath);
+}
+
+function rename(scanner, playlist, from, to) {
+    scanner.fileMap.set(to, { path: to });
+    scanner.fileMap.delete(from);
+    playlist.handleRenamed(from, to);
+}
+
+test('相同种子得到相同的随机顺序', () => {
+    const scanner = createScanner(20);
+    const order = seed => draw(new Playlist(scanner, { seed }), 50);
+
+    assert.deepStrictEqual(order(42), order(42));
+    assert.notDeepStrictEqual(order(42), order(43));
+});
+
+test('一轮之内不重复，每轮覆盖全部文件', () => {
+    const scanner = createScanner(10);
+    const playlist = new Playlist(scanner, { seed: 7, recentExclusion: 0 });
+
+    for (let round = 0; round < 3; round++) {
+        assert.strictEqual(new Set(draw(playlist, 10)).size, 10);
+    }
+});
+
+test('不会连续抽到当前文件，并避开最近播放的文件', () => {
+    const scanner = createScanner(10);
+    const playlist = new Playlist(scanner, { seed: 1, recentExclusion: 5 });
+    const played = draw(playlist, 200);
+
+    played.forEach((file, i) => {
+        assert.ok(!played.slice(Math.max(0, i - 5), i).includes(file), `第 ${i} 个 ${file} 在最近 5 个之内`);
+    });
+
+    // 只剩两个文件时也不会重复当前文件
+    const pair = new Playlist(createScanner(2), { seed: 1 });
+    const alternating = draw(pair, 10);
+    alternating.slice(1).forEach((file, i) => assert.notStrictEqual(file, alternating[i]));
+});
+
+test('前进 / 后退沿历史移动，后退后显式播放会丢弃前进部分', () => {
+    const scanner = createScanner(10);
+    const playlist = new Playlist(scanner, { seed: 3 });
+    const [a, b, c] = draw(playlist, 3);
+
+    assert.strictEqual(playlist.previous().path, b);
+    assert.strictEqual(playlist.previous().path, a);
+    assert.strictEqual(playlist.previous(), null);
+    assert.strictEqual(playlist.next().path, b);
+    assert.strictEqual(playlist.next().path, c);
+
+    const d = playlist.next().path;
+    assert.ok(![a, b, c].includes(d));
+
+    playlist.previous();
+    playlist.previous();
+    playlist.play('v9.mp4');
+    assert.deepStrictEqual(playlist.history, [a, b, 'v9.mp4']);
+    assert.strictEqual(playlist.previous().path, b);
+});
+
+test('列表模式按顺序播放到末尾', () => {
+    const scanner = createScanner(5);
+    const playlist = new Playlist(scanner, { seed: 1 });
+
+    playlist.useList('latest', ['v3.mp4', 'v1.mp4', 'v4.mp4'], 'v1.mp4');
+
+    assert.strictEqual(playlist.current, 'v1.mp4');
+    assert.strictEqual(playlist.next().path, 'v4.mp4');
+    assert.strictEqual(playlist.next(), null);
+    assert.strictEqual(playlist.previous().path, 'v1.mp4');
+});
+
+test('删除当前文件后 next() 播放其后的文件，删除排队中的文件后跳过它', () => {
+    const scanner = createScanner(5);
+    const playlist = new Playlist(scanner, { seed: 1 });
+    playlist.useList('list', ['v0.mp4', 'v1.mp4', 'v2.mp4', 'v3.mp4']);
+    playlist.next();
+    playlist.next();
+
+    remove(scanner, playlist, 'v1.mp4');
+    assert.strictEqual(playlist.current, 'v0.mp4');
+    assert.strictEqual(playlist.next().path, 'v2.mp4');
+
+    remove(scanner, playlist, 'v3.mp4');
+    assert.strictEqual(playlist.next(), null);
+    assert.strictEqual(playlist.previous().path, 'v0.mp4');
+});
+
+test('随机模式下被删除的文件不会再被抽到', () => {
+    const scanner = createScanner(10);
+    const playlist = new Playlist(scanner, { seed: 5, recentExclusion: 0 });
+    const first = draw(playlist, 3);
+
+    const removed = Array.from(scanner.fileMap.keys()).filter(file => !first.includes(file)).slice(0, 2);
+    removed.forEach(file => remove(scanner, playlist, file));
+    const rest = draw(playlist, 5);
+
+    assert.deepStrictEqual(new Set([...first, ...rest]).size, 8);
+    assert.ok(rest.every(file => !removed.includes(file)));
+});
+
+test('重命名当前文件与排队中的文件后历史和列表跟随新路径', () => {
+    const scanner = createScanner(5);
+    const playlist = new Playlist(scanner, { seed: 1 });
+    playlist.useList('list', ['v0.mp4', 'v1.mp4', 'v2.mp4']);
+    playlist.next();
+    playlist.next();
+
+    rename(scanner, playlist, 'v1.mp4', 'moved/v1.mp4');
+    rename(scanner, playlist, 'v2.mp4', 'moved/v2.mp4');
+
+    assert.strictEqual(playlist.current, 'moved/v1.mp4');
+    assert.strictEqual(playlist.getCurrentFile().path, 'moved/v1.mp4');
+    assert.strictEqual(playlist.next().path, 'moved/v2.mp4');
+    assert.strictEqual(playlist.previous().path, 'moved/v1.mp4');
+    assert.strictEqual(playlist.previous().path, 'v0.mp4');
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FastDirectoryScanner = require('../testHighPerformance');
+const { MemoryFileSystem } = require('../fileSystems');
+const { reconcile, findRecordFiles } = require('../reconcile');
+const { parseHashId, normalizeHashId } = require('../hashStrategies');
+
+async function scanMemory(files) {
+    const fileSystem = new MemoryFileSystem(files, { root: '/media' });
+    const scanner = new FastDirectoryScanner({ fileSystem, enableHash: true, logger: false });
+    await scanner.scanDirectory('/media');
+    return scanner;
+}
+
+test('无标签的旧格式哈希视为 fnv1a64-sampled@1', () => {
+    assert.strictEqual(normalizeHashId('9825E1BCB22046D3'), 'fnv1a64-sampled@1:9825e1bcb22046d3');
+    assert.strictEqual(normalizeHashId('md5-sampled@1:abc'), 'md5-sampled@1:abc');
+    assert.strictEqual(normalizeHashId('not-a-digest'), 'not-a-digest');
+});
+
+test('reconcile 把旧格式键的条目与未修改的文件对应', async () => {
+    const scanner = await scanMemory({ 'z.txt': 'hello world' });
+    const hashId = scanner.hashMap.get('z.txt').hash;
+    const { tag, digest } = parseHashId(hashId);
+    assert.strictEqual(tag, 'fnv1a64-sampled@1');
+
+    const changes = reconcile(scanner, { [digest]: { paths: ['z.txt'], like_count: 3 } });
+
+    assert.deepStrictEqual(changes.drop, []);
+    assert.deepStrictEqual(changes.newFiles, []);
+    assert.deepStrictEqual(changes.unchanged, [{ hash: digest, paths: ['./z.txt'] }]);
+});
+
+test('reconcile 识别旧格式键条目的移动', async () => {
+    const scanner = await scanMemory({ 'moved/z.txt': 'hello world' });
+    const { digest } = parseHashId(scanner.hashMap.get('moved/z.txt').hash);
+
+    const changes = reconcile(scanner, { [digest]: { paths: ['./z.txt'], is_favorite: true } });
+
+    assert.strictEqual(changes.relocate.length, 1);
+    assert.strictEqual(changes.relocate[0].hash, digest);
+    assert.deepStrictEqual(changes.relocate[0].to, ['./moved/z.txt']);
+});
+
+test('findRecordFiles 按旧格式键找到文件', async () => {
+    const scanner = await scanMemory({ 'a.txt': 'same', 'b.txt': 'same' });
+    const { digest } = parseHashId(scanner.hashMap.get('a.txt').hash);
+
+    assert.deepStrictEqual(findRecordFiles(scanner, digest, { paths: [] }).sort(), ['a.txt', 'b.txt']);
+});
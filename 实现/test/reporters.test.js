@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FastDirectoryScanner = require('../testHighPerformance');
+const { FILE_COLUMNS, escapeCsv, getReporter, registerReporter, writeReport } = require('../reporters');
+
+// 需要转义的文件名：CSV 中的逗号、引号、换行，HTML 中的标签与实体
+const NAMES = ['a,b.mp4', 'say "hi".mp4', 'line\nbreak.mp4', '<b>&amp;.mp4', "it's.mp4"];
+
+async function scanLibrary(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reporters-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const root = path.join(dir, 'library');
+    fs.mkdirSync(root);
+    NAMES.forEach((name, i) => fs.writeFileSync(path.join(root, name), i < 2 ? 'same' : `unique ${i}`));
+
+    const scanner = new FastDirectoryScanner({ logger: false, enableHash: true });
+    await scanner.scanDirectory(root);
+    return { dir, scanner };
+}
+
+async function exportText(scanner, dir, format) {
+    const outputFile = path.join(dir, `report.${format}`);
+    await scanner.exportReport(format, outputFile);
+    return fs.readFileSync(outputFile, 'utf8');
+}
+
+/**
+ * 按 RFC 4180 解析 CSV（引号内可以有逗号、换行，"" 表示一个引号）
+ */
+function parseCsv(text) {
+    const rows = [[]];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            rows[rows.length - 1].push(field);
+            field = '';
+        } else if (char === '\r' && text[i + 1] === '\n') {
+            rows[rows.length - 1].push(field);
+            rows.push([]);
+            field = '';
+            i++;
+        } else {
+            field += char;
+        }
+    }
+    rows.pop();
+    return rows;
+}
+
+test('escapeCsv 转义逗号、引号和换行', () => {
+    const cases = [
+        [null, ''],
+        [undefined, ''],
+        [42, '42'],
+        ['plain.mp4', 'plain.mp4'],
+        ['a,b.mp4', '"a,b.mp4"'],
+        ['say "hi".mp4', '"say ""hi"".mp4"'],
+        ['line\nbreak.mp4', '"line\nbreak.mp4"'],
+        ['cr\r.mp4', '"cr\r.mp4"']
+    ];
+    for (const [value, expected] of cases) {
+        assert.strictEqual(escapeCsv(value), expected, JSON.stringify(value));
+    }
+});
+
+test('json 报告包含汇总、重复组与全部文件', async (t) => {
+    const { dir, scanner } = await scanLibrary(t);
+    const report = JSON.parse(await exportText(scanner, dir, 'json'));
+
+    assert.strictEqual(report.summary.totalFiles, NAMES.length);
+    assert.deepStrictEqual(report.files.map(file => file.path).sort(), NAMES.slice().sort());
+    assert.strictEqual(report.duplicates.length, 1);
+    assert.deepStrictEqual(report.duplicates[0].files.map(file => file.path).sort(), ['a,b.mp4', 'say "hi".mp4']);
+    assert.strictEqual(report.largestFiles.length, NAMES.length);
+    assert.ok(report.files.every(file => file.hash));
+});
+
+test('json 报告在没有文件时仍是合法 JSON', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reporters-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const scanner = new FastDirectoryScanner({ logger: false });
+    await scanner.scanDirectory(dir);
+    const report = JSON.parse(await exportText(scanner, dir, 'json'));
+
+    assert.deepStrictEqual(report.files, []);
+    assert.deepStrictEqual(report.duplicates, []);
+});
+
+test('ndjson 报告每行一个文件', async (t) => {
+    const { dir, scanner } = await scanLibrary(t);
+    const text = await exportText(scanner, dir, 'ndjson');
+
+    assert.ok(text.endsWith('\n'));
+    const records = text.slice(0, -1).split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(records.map(record => record.path).sort(), NAMES.slice().sort());
+});
+
+test('csv 报告带 BOM 与表头，特殊字符的文件名可以原样解析回来', async (t) => {
+    const { dir, scanner } = await scanLibrary(t);
+    const text = await exportText(scanner, dir, 'csv');
+
+    assert.ok(text.startsWith('﻿'));
+    const [header, ...rows] = parseCsv(text.slice(1));
+    assert.deepStrictEqual(header, FILE_COLUMNS);
+    assert.ok(rows.every(row => row.length === FILE_COLUMNS.length));
+
+    const pathIndex = FILE_COLUMNS.indexOf('path');
+    const sizeIndex = FILE_COLUMNS.indexOf('size');
+    assert.deepStrictEqual(rows.map(row => row[pathIndex]).sort(), NAMES.slice().sort());
+    assert.ok(rows.every(row => Number(row[sizeIndex]) > 0));
+});
+
+test('html 报告转义文件名', async (t) => {
+    const { dir, scanner } = await scanLibrary(t);
+    const html = await exportText(scanner, dir, 'html');
+
+    assert.ok(html.startsWith('<!DOCTYPE html>'));
+    assert.ok(html.includes('&lt;b&gt;&amp;amp;.mp4'));
+    assert.ok(!html.includes('<b>'));
+    assert.ok(html.includes('say &quot;hi&quot;.mp4'));
+    assert.ok(html.includes('it&#39;s.mp4'));
+    assert.match(html, /重复文件（1 组）/);
+});
+
+test('写入失败时保留原文件且不留下临时文件', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reporters-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const outputFile = path.join(dir, 'report.txt');
+    fs.writeFileSync(outputFile, 'previous');
+    const failing = {
+        name: 'failing',
+        async write(report, output) {
+            await output.write('partial');
+            throw new Error('boom');
+        }
+    };
+
+    await assert.rejects(writeReport({}, failing, outputFile), /boom/);
+    assert.strictEqual(fs.readFileSync(outputFile, 'utf8'), 'previous');
+    assert.deepStrictEqual(fs.readdirSync(dir), ['report.txt']);
+});
+
+test('注册自定义格式，未知格式报错', () => {
+    const reporter = { name: 'test-count', extension: '.txt', async write() {} };
+    registerReporter(reporter);
+
+    assert.strictEqual(getReporter('test-count'), reporter);
+    assert.throws(() => registerReporter({ name: 'no-write' }), /write/);
+    assert.throws(() => getReporter('nope'), /未知的报告格式: nope/);
+});
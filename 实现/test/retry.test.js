@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { RetryPolicy } = require('../retry');
+const { MemoryFileSystem } = require('../fileSystems');
+const FastDirectoryScanner = require('../testHighPerformance');
+
+const ROOT = path.resolve('/media');
+const FAST_RETRY = { baseDelay: 1, maxDelay: 2 };
+
+function createError(code) {
+    const error = new Error(`${code}: simulated`);
+    error.code = code;
+    return error;
+}
+
+/**
+ * 在内存目录树外包一层：failures 中的 "操作:相对路径" 先失败 times 次再正常执行
+ * times 为 Infinity 时一直失败
+ */
+function createFlakyFileSystem(files, failures) {
+    const memfs = new MemoryFileSystem(files, { root: ROOT });
+    const flaky = Object.create(memfs);
+    const calls = {};
+
+    for (const method of ['readdir', 'stat', 'open']) {
+        flaky[method] = async (filePath, ...args) => {
+            const key = `${method}:${path.relative(ROOT, filePath)}`;
+            calls[key] = (calls[key] || 0) + 1;
+
+            const failure = failures[key];
+            if (failure && calls[key] <= failure.times) {
+                throw createError(failure.code);
+            }
+            return memfs[method](filePath, ...args);
+        };
+    }
+    return { fileSystem: flaky, calls };
+}
+
+async function scan(fileSystem, options = {}) {
+    const scanner = new FastDirectoryScanner({ logger: false, fileSystem, retry: FAST_RETRY, ...options });
+    const results = await scanner.scanDirectory(ROOT);
+    return { scanner, results };
+}
+
+test('临时性错误重试后成功，非临时性错误不重试', async () => {
+    const policy = new RetryPolicy(FAST_RETRY);
+    const retried = [];
+    let calls = 0;
+
+    const value = await policy.run(async () => {
+        if (++calls <= 2) throw createError('EBUSY');
+        return 'ok';
+    }, { onRetry: (error, attempt) => retried.push([error.code, attempt]) });
+
+    assert.strictEqual(value, 'ok');
+    assert.deepStrictEqual(retried, [['EBUSY', 1], ['EBUSY', 2]]);
+    assert.strictEqual(policy.used, 2);
+
+    const error = await policy.run(async () => { throw createError('EACCES'); }).catch(e => e);
+    assert.strictEqual(error.code, 'EACCES');
+    assert.strictEqual(error.attempts, 1);
+    assert.strictEqual(policy.used, 2);
+});
+
+test('超过单次重试次数或重试预算后抛出最后一次的错误', async () => {
+    const policy = new RetryPolicy({ ...FAST_RETRY, retries: 3, budget: 5 });
+    const alwaysBusy = async () => { throw createError('EMFILE'); };
+
+    const first = await policy.run(alwaysBusy).catch(e => e);
+    assert.strictEqual(first.attempts, 4);
+    assert.strictEqual(policy.used, 3);
+
+    const second = await policy.run(alwaysBusy).catch(e => e);
+    assert.strictEqual(second.attempts, 3);
+    assert.strictEqual(policy.used, 5);
+
+    policy.reset();
+    assert.strictEqual(policy.used, 0);
+});
+
+test('shouldStop 为 true 时不再重试', async () => {
+    const policy = new RetryPolicy(FAST_RETRY);
+    const error = await policy.run(async () => { throw createError('EAGAIN'); }, { shouldStop: () => true }).catch(e => e);
+
+    assert.strictEqual(error.attempts, 1);
+    assert.strictEqual(policy.used, 0);
+});
+
+test('退避时间指数增长，不超过上限', (t) => {
+    const policy = new RetryPolicy({ baseDelay: 50, maxDelay: 300 });
+
+    t.mock.method(Math, 'random', () => 0);
+    assert.deepStrictEqual([1, 2, 3, 4, 5].map(attempt => policy.getDelay(attempt)), [25, 50, 100, 150, 150]);
+
+    t.mock.method(Math, 'random', () => 0.999999);
+    assert.deepStrictEqual([1, 2, 3, 4, 5].map(attempt => policy.getDelay(attempt)), [50, 100, 200, 300, 300]);
+});
+
+test('扫描时 stat / readdir / 哈希读取的临时性错误重试后照常索引', async () => {
+    const { fileSystem, calls } = createFlakyFileSystem({ 'a.mp4': 'aaa', 'sub/b.mp4': 'bbb' }, {
+        'stat:a.mp4': { code: 'EBUSY', times: 2 },
+        'readdir:sub': { code: 'EMFILE', times: 1 },
+        'open:sub/b.mp4': { code: 'EAGAIN', times: 1 }
+    });
+    const { scanner, results } = await scan(fileSystem, { enableHash: true });
+
+    assert.strictEqual(results.totalFiles, 2);
+    assert.deepStrictEqual(results.errors, []);
+    assert.strictEqual(scanner.stats.retries, 4);
+    assert.strictEqual(scanner.stats.filesWithHash, 2);
+    assert.strictEqual(calls['stat:a.mp4'], 3);
+});
+
+test('最终失败的操作记入 errors，其余文件照常返回', async () => {
+    const { fileSystem } = createFlakyFileSystem({ 'a.mp4': 'aaa', 'locked/b.mp4': 'bbb', 'sub/c.mp4': 'ccc' }, {
+        'readdir:locked': { code: 'EMFILE', times: Infinity },
+        'stat:sub/c.mp4': { code: 'EACCES', times: Infinity }
+    });
+    const { scanner, results } = await scan(fileSystem, { retry: { ...FAST_RETRY, retries: 2 } });
+
+    assert.deepStrictEqual(Array.from(scanner.fileMap.keys()), ['a.mp4']);
+    assert.deepStrictEqual(results.errors.sort((a, b) => a.path.localeCompare(b.path)), [
+        { path: 'locked', stage: 'readdir', code: 'EMFILE', message: 'EMFILE: simulated', attempts: 3 },
+        { path: path.join('sub', 'c.mp4'), stage: 'stat', code: 'EACCES', message: 'EACCES: simulated', attempts: 1 }
+    ]);
+    assert.strictEqual(results.stats.errorCount, 2);
+    assert.strictEqual(results.stats.retries, 2);
+});
+
+test('retry: false 时不重试', async () => {
+    const { fileSystem, calls } = createFlakyFileSystem({ 'a.mp4': 'aaa' }, {
+        'stat:a.mp4': { code: 'EBUSY', times: 1 }
+    });
+    const { results } = await scan(fileSystem, { retry: false });
+
+    assert.strictEqual(results.totalFiles, 0);
+    assert.strictEqual(results.errors[0].attempts, 1);
+    assert.strictEqual(calls['stat:a.mp4'], 1);
+});
+
+test('重试预算由整次扫描共享', async () => {
+    const files = {};
+    const failures = {};
+    for (let i = 0; i < 5; i++) {
+        files[`v${i}.mp4`] = 'x';
+        failures[`stat:v${i}.mp4`] = { code: 'EBUSY', times: Infinity };
+    }
+    const { fileSystem } = createFlakyFileSystem(files, failures);
+    const { results } = await scan(fileSystem, { retry: { ...FAST_RETRY, budget: 3 } });
+
+    assert.strictEqual(results.stats.retries, 3);
+    assert.strictEqual(results.errors.length, 5);
+    assert.strictEqual(results.errors.reduce((sum, entry) => sum + entry.attempts, 0), 5 + 3);
+});
+
+test('strict 模式下出现错误时扫描失败（ESCANFAILED）', async () => {
+    const { fileSystem } = createFlakyFileSystem({ 'a.mp4': 'aaa', 'sub/b.mp4': 'bbb' }, {
+        'readdir:sub': { code: 'EACCES', times: Infinity }
+    });
+    const scanner = new FastDirectoryScanner({ logger: false, fileSystem, retry: FAST_RETRY, strict: true });
+
+    await assert.rejects(scanner.scanDirectory(ROOT), (error) => {
+        assert.strictEqual(error.code, 'ESCANFAILED');
+        assert.strictEqual(error.cause.code, 'EACCES');
+        assert.deepStrictEqual(error.errors.map(entry => [entry.path, entry.stage]), [['sub', 'readdir']]);
+        return true;
+    });
+
+    // 临时性错误重试成功时不算失败
+    const { fileSystem: flaky } = createFlakyFileSystem({ 'a.mp4': 'aaa' }, {
+        'stat:a.mp4': { code: 'EBUSY', times: 1 }
+    });
+    const { results } = await scan(flaky, { strict: true });
+    assert.strictEqual(results.totalFiles, 1);
+});
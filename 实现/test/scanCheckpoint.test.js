@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FastDirectoryScanner = require('../testHighPerformance');
+const ScanCheckpoint = require('../scanCheckpoint');
+const { MemoryFileSystem } = require('../fileSystems');
+
+/**
+ * 按 options 扫描一次并写入断点（模拟扫描中断后留下的断点）
+ */
+async function saveCheckpoint(fileSystem, checkpointFile, options) {
+    const scanner = new FastDirectoryScanner({ fileSystem, logger: false, ...options });
+    await scanner.scanDirectory('/media');
+
+    scanner.checkpoint = new ScanCheckpoint(checkpointFile, scanner._getCheckpointConfigKey(), scanner.logger);
+    await scanner._saveCheckpoint();
+}
+
+test('断点参数变化后断点作废，文件重新处理', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const checkpointFile = path.join(dir, 'scan.checkpoint.json');
+    const fileSystem = new MemoryFileSystem({ 'a.txt': 'same', 'b.txt': 'same', 'c.mp4': 'video' }, { root: '/media' });
+
+    await saveCheckpoint(fileSystem, checkpointFile, { enableHash: false });
+    const hashed = new FastDirectoryScanner({ fileSystem, logger: false, enableHash: true, checkpointFile });
+    await hashed.scanDirectory('/media');
+    assert.strictEqual(hashed.hashMap.size, 3);
+    assert.strictEqual(hashed.getAllDuplicateFiles().length, 1);
+
+    await saveCheckpoint(fileSystem, checkpointFile, { extensions: ['mp4'] });
+    const unfiltered = new FastDirectoryScanner({ fileSystem, logger: false, checkpointFile });
+    await unfiltered.scanDirectory('/media');
+    assert.strictEqual(unfiltered.fileMap.size, 3);
+});
+
+test('参数相同时从断点恢复', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const checkpointFile = path.join(dir, 'scan.checkpoint.json');
+    const fileSystem = new MemoryFileSystem({ 'a.txt': 'a' }, { root: '/media' });
+
+    await saveCheckpoint(fileSystem, checkpointFile, { enableHash: true });
+    await fileSystem.writeFile('/media/b.txt', 'b');
+
+    const resumed = new FastDirectoryScanner({ fileSystem, logger: false, enableHash: true, checkpointFile });
+    const results = await resumed.scanDirectory('/media');
+    // 断点中根目录已完成，新文件不会被扫描到
+    assert.strictEqual(results.totalFiles, 1);
+    assert.ok(resumed.hashMap.has('a.txt'));
+});
+
+test('scan() 迭代器也能拿到从断点恢复的文件', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const checkpointFile = path.join(dir, 'scan.checkpoint.json');
+    const fileSystem = new MemoryFileSystem({ 'a.txt': 'a', 'sub/b.txt': 'b' }, { root: '/media' });
+
+    await saveCheckpoint(fileSystem, checkpointFile, { enableHash: true });
+
+    const resumed = new FastDirectoryScanner({ fileSystem, logger: false, enableHash: true, checkpointFile });
+    const files = [];
+    for await (const file of resumed.scan('/media')) {
+        files.push(file);
+    }
+
+    assert.strictEqual(resumed.stats.checkpointRestored, 2);
+    assert.deepStrictEqual(files.map(file => file.path).sort(), ['a.txt', path.join('sub', 'b.txt')]);
+    assert.ok(files.every(file => file.hash));
+});
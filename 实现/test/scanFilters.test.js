@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { ScanFilter, parseIgnoreFile, globToRegExp } = require('../scanFilters');
+const FastDirectoryScanner = require('../testHighPerformance');
+const { MemoryFileSystem } = require('../fileSystems');
+
+const ROOT = path.resolve('/media');
+
+function checkFile(filter, relativePath, rules = []) {
+    return filter.checkFile(path.join(ROOT, relativePath), path.normalize(relativePath), rules);
+}
+
+function checkDirectory(filter, relativePath, rules = []) {
+    return filter.checkDirectory(path.join(ROOT, relativePath), path.normalize(relativePath), rules);
+}
+
+test('glob：* 不跨目录，** 匹配零或多级目录，? 与 [...]', () => {
+    const cases = [
+        ['*.mp4', 'a.mp4', true],
+        ['*.mp4', 'x/a.mp4', false],
+        ['**/*.mp4', 'a.mp4', true],
+        ['**/*.mp4', 'x/y/a.mp4', true],
+        ['a/**/b', 'a/b', true],
+        ['a/**/b', 'a/x/y/b', true],
+        ['a/**', 'a/x/y', true],
+        ['?.mkv', 'a.mkv', true],
+        ['?.mkv', 'ab.mkv', false],
+        ['[ab].ts', 'b.ts', true],
+        ['[!ab].ts', 'b.ts', false],
+        ['[!ab].ts', 'c.ts', true],
+        ['a+b.mp4', 'a+b.mp4', true]
+    ];
+
+    for (const [glob, target, expected] of cases) {
+        assert.strictEqual(globToRegExp(glob).test(target), expected, `${glob} ~ ${target}`);
+    }
+});
+
+test('忽略文件：注释、取反、锚定、只匹配目录，最后一条命中的规则生效', () => {
+    const rules = parseIgnoreFile([
+        '# 注释',
+        '',
+        '*.part',
+        '!keep.part',
+        '/top.mp4',
+        'cache/',
+        'docs/*.txt',
+        '\\#literal.mp4',
+        'trailing.mp4   '
+    ].join('\n'), '');
+    const filter = new ScanFilter({ logger: false });
+
+    const cases = [
+        ['file', 'a.part', 'ignoreFile'],
+        ['file', 'x/a.part', 'ignoreFile'],
+        ['file', 'x/keep.part', null],
+        ['file', 'top.mp4', 'ignoreFile'],
+        ['file', 'x/top.mp4', null],
+        ['directory', 'cache', 'ignoreFile'],
+        ['directory', 'x/cache', 'ignoreFile'],
+        ['file', 'cache', null],
+        ['file', 'docs/a.txt', 'ignoreFile'],
+        ['file', 'x/docs/a.txt', null],
+        ['file', '#literal.mp4', 'ignoreFile'],
+        ['file', 'trailing.mp4', 'ignoreFile'],
+        ['file', 'a.mp4', null]
+    ];
+
+    for (const [type, relativePath, expected] of cases) {
+        const check = type === 'file' ? checkFile : checkDirectory;
+        assert.strictEqual(check(filter, relativePath, rules), expected, `${type} ${relativePath}`);
+    }
+});
+
+test('子目录的忽略文件只作用于该目录，并能重新包含上级排除的文件', () => {
+    const rules = [
+        ...parseIgnoreFile('*.tmp\n/root-only.mp4', ''),
+        ...parseIgnoreFile('!wanted.tmp\n/local.mp4', 'sub')
+    ];
+    const filter = new ScanFilter({ logger: false });
+
+    assert.strictEqual(checkFile(filter, 'a.tmp', rules), 'ignoreFile');
+    assert.strictEqual(checkFile(filter, 'sub/a.tmp', rules), 'ignoreFile');
+    assert.strictEqual(checkFile(filter, 'sub/wanted.tmp', rules), null);
+    assert.strictEqual(checkFile(filter, 'wanted.tmp', rules), 'ignoreFile');
+    assert.strictEqual(checkFile(filter, 'sub/local.mp4', rules), 'ignoreFile');
+    assert.strictEqual(checkFile(filter, 'local.mp4', rules), null);
+    assert.strictEqual(checkFile(filter, 'sub/root-only.mp4', rules), null);
+});
+
+test('扩展名白名单、include 与 exclude', () => {
+    const filter = new ScanFilter({
+        logger: false,
+        extensions: ['.MP4', 'mkv'],
+        include: ['movies/**'],
+        exclude: ['**/sample/', '*.trailer.mp4'],
+        ignoreFileName: '.reelignore'
+    });
+
+    const cases = [
+        ['file', 'movies/a.mp4', null],
+        ['file', 'movies/A.MKV', null],
+        ['file', 'movies/a.avi', 'extensions'],
+        ['file', 'shows/a.mp4', 'include'],
+        ['file', 'movies/a.trailer.mp4', 'exclude'],
+        ['directory', 'movies/x/sample', 'exclude'],
+        ['directory', 'movies/x', null],
+        ['file', 'movies/.reelignore', 'ignoreFile']
+    ];
+
+    for (const [type, relativePath, expected] of cases) {
+        const check = type === 'file' ? checkFile : checkDirectory;
+        assert.strictEqual(check(filter, relativePath), expected, `${type} ${relativePath}`);
+    }
+});
+
+test('excludePaths：待删除目录及其子路径被排除，同名前缀的目录不受影响', () => {
+    const filter = new ScanFilter({ logger: false, excludePaths: [path.join(ROOT, 'pending'), null] });
+
+    assert.strictEqual(checkDirectory(filter, 'pending'), 'excludePaths');
+    assert.strictEqual(checkFile(filter, 'pending/a.mp4'), 'excludePaths');
+    assert.strictEqual(checkDirectory(filter, 'pending-old'), null);
+    assert.strictEqual(checkFile(filter, 'a.mp4'), null);
+});
+
+test('扫描时不读取 pending_delete_path / processed_path，也应用各级忽略文件', async () => {
+    const fileSystem = new MemoryFileSystem({
+        'a.mp4': 'a',
+        'pending/deleted.mp4': 'd',
+        'processed/done.mp4': 'p',
+        '.reelignore': '*.part\n',
+        'sub/.reelignore': '!keep.part\n',
+        'sub/x.part': 'x',
+        'sub/keep.part': 'k',
+        'y.part': 'y'
+    }, { root: '/media' });
+    const scanner = new FastDirectoryScanner({
+        fileSystem,
+        logger: false,
+        excludePaths: [path.join(ROOT, 'pending'), path.join(ROOT, 'processed')]
+    });
+
+    await scanner.scanDirectory(ROOT);
+
+    assert.deepStrictEqual(Array.from(scanner.fileMap.keys()).sort(), ['a.mp4', path.join('sub', 'keep.part')]);
+    assert.strictEqual(scanner.stats.skipped.excludePaths, 2);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FastDirectoryScanner = require('../testHighPerformance');
+const { MemoryFileSystem } = require('../fileSystems');
+
+// 20 个目录 × 10 个文件
+function createFileSystem() {
+    const files = {};
+    for (let d = 0; d < 20; d++) {
+        for (let f = 0; f < 10; f++) files[`d${d}/f${f}.txt`] = `${d}-${f}`;
+    }
+    return new MemoryFileSystem(files, { root: '/media' });
+}
+
+function createScanner(options = {}) {
+    return new FastDirectoryScanner({ fileSystem: createFileSystem(), logger: false, batchSize: 2, maxConcurrency: 1, ...options });
+}
+
+// 后台扫描结束（scanDirectory 的 finally 已执行）
+async function waitForScanEnd(scanner) {
+    while (scanner.signal) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+test('消费慢于扫描时按 highWaterMark 暂停，迭代结束后全部文件都已产出', async () => {
+    const scanner = createScanner({ statConcurrency: 1 });
+    let emitted = 0;
+    let consumed = 0;
+    let maxAhead = 0;
+    let pausedSeen = false;
+    scanner.on('file', () => {
+        emitted++;
+        maxAhead = Math.max(maxAhead, emitted - consumed);
+    });
+
+    const iterator = scanner.scan('/media', { highWaterMark: 5 });
+    for await (const file of iterator) {
+        assert.ok(file.path);
+        consumed++;
+        pausedSeen = pausedSeen || scanner.pauseReasons.has('backpressure');
+        await new Promise(resolve => setTimeout(resolve, 1));
+    }
+
+    assert.strictEqual(consumed, 200);
+    assert.ok(pausedSeen);
+    // 暂停后只有进行中的一个批次还会产出
+    assert.ok(maxAhead <= 5 + 2, `最多积压 ${maxAhead} 条`);
+    assert.strictEqual(scanner.pauseReasons.size, 0);
+});
+
+test('迭代结束的返回值为扫描结果', async () => {
+    const scanner = createScanner();
+    const iterator = scanner.scan('/media');
+    let step;
+    let count = 0;
+    while (!(step = await iterator.next()).done) count++;
+
+    assert.strictEqual(count, 200);
+    assert.strictEqual(step.value.totalFiles, 200);
+});
+
+test('提前 break 取消后台扫描', async () => {
+    const scanner = createScanner();
+    let count = 0;
+    for await (const file of scanner.scan('/media', { highWaterMark: 5 })) {
+        assert.ok(file);
+        if (++count === 3) break;
+    }
+    await waitForScanEnd(scanner);
+
+    assert.ok(scanner.stats.filesScanned < 200, `已扫描 ${scanner.stats.filesScanned} 个文件`);
+    assert.strictEqual(scanner.pauseReasons.size, 0);
+});
+
+test('外部 signal 中止时迭代抛出 AbortError', async () => {
+    const scanner = createScanner();
+    const controller = new AbortController();
+    let count = 0;
+
+    await assert.rejects(async () => {
+        for await (const file of scanner.scan('/media', { signal: controller.signal, highWaterMark: 5 })) {
+            assert.ok(file);
+            if (++count === 1) controller.abort();
+        }
+    }, { name: 'AbortError' });
+    await waitForScanEnd(scanner);
+    assert.ok(scanner.stats.filesScanned < 200);
+});
+
+test('signal 已中止时不开始扫描', async () => {
+    const scanner = createScanner();
+    const controller = new AbortController();
+    controller.abort();
+
+    await assert.rejects(async () => {
+        for await (const file of scanner.scan('/media', { signal: controller.signal })) {
+            assert.fail(`不应产出 ${file.path}`);
+        }
+    }, { name: 'AbortError' });
+    assert.strictEqual(scanner.stats.filesScanned, 0);
+});
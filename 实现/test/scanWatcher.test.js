@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setTimeout: sleep } = require('timers/promises');
+const FastDirectoryScanner = require('../testHighPerformance');
+const { MemoryFileSystem, createFsError } = require('../fileSystems');
+
+function createLogger() {
+    const warnings = [];
+    return { warnings, debug() {}, info() {}, error() {}, warn: (...args) => warnings.push(args.join(' ')) };
+}
+
+test('没有 error 监听者时，处理变化出错只记录日志', async () => {
+    const fileSystem = new MemoryFileSystem({ 'a.txt': 'a' }, { root: '/media' });
+    const logger = createLogger();
+    const scanner = new FastDirectoryScanner({ fileSystem, logger });
+    await scanner.scanDirectory('/media');
+
+    const watcher = await scanner.watch({ debounceMs: 5 });
+    const stat = fileSystem.stat.bind(fileSystem);
+    fileSystem.stat = async (filePath) => {
+        if (filePath.endsWith('b.txt')) throw createFsError('EIO', 'stat', filePath, 'i/o error');
+        return stat(filePath);
+    };
+
+    await fileSystem.writeFile('/media/b.txt', 'b');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await watcher.flushing;
+    watcher.close();
+
+    assert.ok(logger.warnings.some(message => message.includes('b.txt') && message.includes('i/o error')));
+    assert.ok(!scanner.fileMap.has('b.txt'));
+});
+
+test('有 error 监听者时发出 error 事件', async () => {
+    const fileSystem = new MemoryFileSystem({ 'a.txt': 'a' }, { root: '/media' });
+    const scanner = new FastDirectoryScanner({ fileSystem, logger: false });
+    await scanner.scanDirectory('/media');
+
+    const watcher = await scanner.watch({ debounceMs: 5 });
+    const errors = [];
+    watcher.on('error', error => errors.push(error));
+    fileSystem.stat = async (filePath) => {
+        throw createFsError('EIO', 'stat', filePath, 'i/o error');
+    };
+
+    await fileSystem.writeFile('/media/b.txt', 'b');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await watcher.flushing;
+    watcher.close();
+
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].code, 'EIO');
+});
+
+/**
+ * 在临时目录上扫描并开始监听，记录 added / removed / changed / renamed 事件
+ */
+async function watchTempDir(t, options) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watcher-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, 'a.mp4'), 'aaa');
+    fs.mkdirSync(path.join(dir, 'old'));
+    fs.writeFileSync(path.join(dir, 'old', 'b.mp4'), 'bbb');
+
+    const scanner = new FastDirectoryScanner({ logger: false, enableHash: true });
+    await scanner.scanDirectory(dir);
+    const watcher = await scanner.watch({ debounceMs: 20, ...options });
+    t.after(() => watcher.close());
+
+    const events = [];
+    for (const type of ['added', 'removed', 'changed', 'renamed']) {
+        watcher.on(type, event => events.push({ type, ...event }));
+    }
+    return { dir, scanner, watcher, events };
+}
+
+/**
+ * 等待事件出现（最多 5 秒），返回并清空已记录的事件
+ */
+async function waitForEvents(watcher, events, predicate) {
+    const deadline = Date.now() + 5000;
+    while (!predicate(events)) {
+        if (Date.now() > deadline) {
+            assert.fail(`等待监听事件超时: ${JSON.stringify(events.map(({ type, path: file, from, to }) => ({ type, file, from, to })))}`);
+        }
+        await sleep(10);
+    }
+    await watcher.flushing;
+    return events.splice(0);
+}
+
+for (const recursive of ['auto', false]) {
+    test(`本地目录的新增 / 修改 / 重命名 / 删除 (recursive: ${recursive})`, async (t) => {
+        const { dir, scanner, watcher, events } = await watchTempDir(t, { recursive });
+        if (recursive === false) {
+            assert.strictEqual(watcher.recursive, false);
+            assert.deepStrictEqual(Array.from(watcher.watchers.keys()).sort(), ['', 'old']);
+        }
+
+        fs.writeFileSync(path.join(dir, 'c.mp4'), 'ccc');
+        let batch = await waitForEvents(watcher, events, list => list.some(event => event.type === 'added'));
+        assert.deepStrictEqual(batch.map(event => [event.type, event.path]), [['added', 'c.mp4']]);
+        assert.ok(scanner.hashMap.has('c.mp4'));
+
+        fs.writeFileSync(path.join(dir, 'c.mp4'), 'cccc');
+        batch = await waitForEvents(watcher, events, list => list.some(event => event.type === 'changed'));
+        assert.deepStrictEqual(batch.map(event => [event.type, event.path]), [['changed', 'c.mp4']]);
+        assert.strictEqual(scanner.fileMap.get('c.mp4').size, 4);
+
+        fs.renameSync(path.join(dir, 'c.mp4'), path.join(dir, 'd.mp4'));
+        batch = await waitForEvents(watcher, events, list => list.some(event => event.type === 'renamed'));
+        assert.deepStrictEqual(batch.map(event => [event.type, event.from, event.to]), [['renamed', 'c.mp4', 'd.mp4']]);
+        assert.ok(!scanner.fileMap.has('c.mp4'));
+
+        fs.unlinkSync(path.join(dir, 'd.mp4'));
+        batch = await waitForEvents(watcher, events, list => list.some(event => event.type === 'removed'));
+        assert.deepStrictEqual(batch.map(event => [event.type, event.path]), [['removed', 'd.mp4']]);
+        assert.deepStrictEqual(Array.from(scanner.fileMap.keys()).sort(), ['a.mp4', path.join('old', 'b.mp4')]);
+    });
+
+    test(`目录的移入、重命名与删除 (recursive: ${recursive})`, async (t) => {
+        const { dir, scanner, watcher, events } = await watchTempDir(t, { recursive });
+        const newFile = path.join('new', 'sub', 'e.mp4');
+
+        // 新目录：逐目录监听时需要为它及子目录新建监听
+        fs.mkdirSync(path.join(dir, 'new', 'sub'), { recursive: true });
+        fs.writeFileSync(path.join(dir, newFile), 'eee');
+        let batch = await waitForEvents(watcher, events, list => list.some(event => event.path === newFile));
+        assert.deepStrictEqual(batch.map(event => [event.type, event.path]), [['added', newFile]]);
+        if (recursive === false) {
+            assert.deepStrictEqual(Array.from(watcher.watchers.keys()).sort(), ['', 'new', path.join('new', 'sub'), 'old']);
+        }
+
+        fs.writeFileSync(path.join(dir, 'new', 'sub', 'f.mp4'), 'fff');
+        batch = await waitForEvents(watcher, events, list => list.some(event => event.type === 'added'));
+        assert.deepStrictEqual(batch.map(event => [event.type, event.path]), [['added', path.join('new', 'sub', 'f.mp4')]]);
+
+        // 目录重命名：其下文件逐个识别为重命名
+        fs.renameSync(path.join(dir, 'old'), path.join(dir, 'moved'));
+        batch = await waitForEvents(watcher, events, list => list.some(event => event.type === 'renamed'));
+        assert.deepStrictEqual(batch.map(event => [event.type, event.from, event.to]), [['renamed', path.join('old', 'b.mp4'), path.join('moved', 'b.mp4')]]);
+        if (recursive === false) {
+            assert.ok(!watcher.watchers.has('old'));
+            assert.ok(watcher.watchers.has('moved'));
+        }
+
+        // 删除目录：其下文件全部移除，逐目录监听时同时停止监听
+        fs.rmSync(path.join(dir, 'new'), { recursive: true });
+        batch = await waitForEvents(watcher, events, list => list.filter(event => event.type === 'removed').length === 2);
+        assert.deepStrictEqual(batch.map(event => event.path).sort(), [newFile, path.join('new', 'sub', 'f.mp4')].sort());
+        if (recursive === false) {
+            assert.deepStrictEqual(Array.from(watcher.watchers.keys()).sort(), ['', 'moved']);
+        }
+        assert.deepStrictEqual(Array.from(scanner.fileMap.keys()).sort(), ['a.mp4', path.join('moved', 'b.mp4')]);
+    });
+}
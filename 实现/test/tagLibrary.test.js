@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MetadataStore } = require('../metadataStore');
+const TagLibrary = require('../tagLibrary');
+
+const DIGEST = '9825e1bcb22046d3';
+const HASH_ID = `fnv1a64-sampled@1:${DIGEST}`;
+const OTHER_ID = 'fnv1a64-sampled@1:0000000000000001';
+
+async function setup(t, files = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tags-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, 'files.json'), JSON.stringify(files));
+
+    const store = await new MetadataStore(dir, { logger: false }).load();
+    t.after(() => store.close());
+    const library = new TagLibrary(store);
+    const outdoor = library.createTag({ texts: ['户外'], group: '场景' });
+    const night = library.createTag({ texts: ['夜景', 'night'], group: '场景' });
+    return { store, library, outdoor, night };
+}
+
+/**
+ * 增量维护的索引应与全量重建的结果相同
+ */
+function assertIndexConsistent(library, tagIds) {
+    const incremental = library.search(tagIds).sort();
+    library.rebuildIndex();
+    assert.deepStrictEqual(library.search(tagIds).sort(), incremental);
+}
+
+test('多标签 AND 查询与使用次数', async (t) => {
+    const { library, outdoor, night } = await setup(t);
+
+    library.setFileTags(HASH_ID, [outdoor.id, night.id]);
+    library.setFileTags(OTHER_ID, [outdoor.id]);
+
+    assert.deepStrictEqual(library.search([outdoor.id, night.id]), [HASH_ID]);
+    assert.deepStrictEqual(library.search([outdoor.id]).sort(), [HASH_ID, OTHER_ID].sort());
+    assert.strictEqual(library.getUsageCount(outdoor.id), 2);
+
+    library.removeTag(HASH_ID, night.id);
+    assert.deepStrictEqual(library.search([outdoor.id, night.id]), []);
+    assert.strictEqual(library.getUsageCount(night.id), 0);
+    assertIndexConsistent(library, [outdoor.id]);
+});
+
+test('用旧格式或大写的哈希分配标签时按条目的键索引', async (t) => {
+    const { store, library, outdoor, night } = await setup(t, {
+        _schema_version: 2,
+        [DIGEST]: { paths: ['./a.mp4'], like_count: 1 }
+    });
+    library.setFileTags(HASH_ID, [outdoor.id]);
+    assert.deepStrictEqual(library.search([outdoor.id]), [HASH_ID]);
+
+    library.setFileTags(DIGEST.toUpperCase(), [outdoor.id, night.id]);
+
+    assert.deepStrictEqual(Object.keys(store.getRecords()), [HASH_ID]);
+    assert.deepStrictEqual(library.search([outdoor.id, night.id]), [HASH_ID]);
+    assert.strictEqual(library.getUsageCount(outdoor.id), 1);
+    assertIndexConsistent(library, [outdoor.id, night.id]);
+
+    library.removeTag(DIGEST, night.id);
+    assert.deepStrictEqual(library.search([night.id]), []);
+    assert.deepStrictEqual(library.getFileTags(HASH_ID), [outdoor.id]);
+});
+
+test('其他模块修改 files.json 后查询时重建索引', async (t) => {
+    const { store, library, outdoor } = await setup(t);
+    library.setFileTags(HASH_ID, [outdoor.id]);
+    assert.deepStrictEqual(library.search([outdoor.id]), [HASH_ID]);
+
+    store.updateRecord(OTHER_ID, { paths: ['./b.mp4'], tags: [outdoor.id] });
+
+    assert.deepStrictEqual(library.search([outdoor.id]).sort(), [HASH_ID, OTHER_ID].sort());
+});
+
+test('标签关键词不能重复，分配不存在的标签时报错', async (t) => {
+    const { library } = await setup(t);
+
+    assert.throws(() => library.createTag({ texts: ['NIGHT'], group: '其他' }), { code: 'ETAGEXISTS' });
+    assert.throws(() => library.setFileTags(HASH_ID, [999]));
+});
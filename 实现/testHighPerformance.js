@@ -1,23 +1,113 @@
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto'); // 新增：用于计算哈希
+const { EventEmitter } = require('events');
 const { setImmediate } = require('timers');
+const ScanCache = require('./scanCache');
+const { reconcile } = require('./reconcile');
+const { resolveHashStrategy, isWorkerCapable, getStrategyTag, formatHashId } = require('./hashStrategies');
+const { HashWorkerPool, getDefaultPoolSize } = require('./hashWorkerPool');
+const ConcurrencyLimiter = require('./concurrencyLimiter');
+const AdaptiveConcurrencyController = require('./adaptiveConcurrency');
+const { FileIndex } = require('./fileIndex');
+const { FilenameIndex } = require('./filenameIndex');
+const { probeMedia, MEDIA_FIELDS } = require('./mediaProbe');
+const { verifyDuplicateGroup } = require('./duplicateVerifier');
+const { ScanFilter } = require('./scanFilters');
+const ScanWatcher = require('./scanWatcher');
+const ScanCheckpoint = require('./scanCheckpoint');
+const { resolveLogger } = require('./logger');
+const { RetryPolicy } = require('./retry');
+const { normalizeTimeSource, resolveCreateTime } = require('./timeSource');
+const FirstSeenStore = require('./firstSeenStore');
+const { resolveFileSystem } = require('./fileSystems');
+const { writeReport } = require('./reporters');
 
-class FastDirectoryScanner {
+/**
+ * 高性能目录扫描器
+ * 
+ * 事件：
+ * - directory { path, fullPath, entries }   读取完一个目录
+ * - file      (fileInfo, hashInfo)          一个文件处理完成（含哈希）
+ * - hash      { path, hash, method, hashTime, cached }
+ * - error     { stage, path, error }        仅在有监听器时发出
+ * - progress  { directoriesScanned, filesScanned, bytesScanned, queueDepth, ... }（节流）
+ *
+ * readdir / stat / 哈希读取失败记录在扫描结果的 errors 中：{ path, stage, code, message, attempts }
+ * EMFILE、EBUSY 等临时性错误先按 retry 选项退避重试；strict 为 true 时出现错误即中止扫描并抛出
+ */
+class FastDirectoryScanner extends EventEmitter {
     constructor(options = {}) {
+        super();
         this.options = {
-            maxConcurrency: 200,
+            maxConcurrency: 200, // 目录读取（readdir）并发数
             batchSize: 50,
+            statConcurrency: 64, // 文件 stat 并发数（启用 adaptiveConcurrency 时跟随 batchSize 调整）
+            hashReadConcurrency: 16, // 哈希采样读取并发数
+            hashWorkers: 'auto', // 哈希计算线程数：'auto' 按 CPU 数，0 表示在主线程计算
+            maxPendingHashes: 2000, // 排队中的哈希任务超过该值时暂停 stat，避免积压
+            adaptiveConcurrency: false, // 运行时自动调整 maxConcurrency 与 batchSize：true 或 { minConcurrency, maxConcurrency, minBatchSize, maxBatchSize, ... }
             hashThreshold: 10 * 1024, // 10KB阈值
             hashSampleSize: 2 * 1024, // 2KB采样大小
             enableHash: false, // 是否启用哈希计算
+            hashStrategy: 'fnv1a64-sampled', // 哈希策略：内置名称、自定义函数或 { name, version, hash }
+            cacheFile: null, // 扫描快照文件路径，设置后启用增量扫描
+            verifyDuplicates: false, // 是否对哈希相同的候选文件做全量内容比对
+            verifyChunkSize: 1024 * 1024, // 全量比对每次读取的块大小
+            verifyMaxOpenFiles: 16, // 全量比对时同时打开的文件数上限
+            excludePaths: [], // 绝对路径黑名单（如 pending_delete_path、processed_path），命中的目录不会被读取
+            include: [], // 文件 glob 白名单（相对扫描根目录），为空表示不限制
+            exclude: [], // 文件/目录 glob 黑名单
+            extensions: null, // 扩展名白名单，如 ['mp4', 'mkv']，null 表示不限制
+            ignoreFileName: '.reelignore', // 每个目录下的忽略文件（gitignore 语法），null 表示禁用
+            progressInterval: 100, // progress 事件的最小间隔（毫秒）
+            checkpointFile: null, // 断点文件路径，设置后中断的扫描可以从断点继续
+            checkpointInterval: 10000, // 扫描期间写入断点的间隔（毫秒）
+            probe: false, // 是否解析视频容器头（时长、分辨率、编码、旋转）
+            probeExtensions: ['mp4', 'm4v', 'mov', 'mkv', 'webm'], // 需要解析的扩展名
+            probeConcurrency: 8, // 容器头解析并发数
+            logger: null, // 日志：null 为 console（info 级别）、级别名（如 'silent'）或带 debug/info/warn/error 方法的对象
+            retry: {}, // 临时性错误的重试：{ retries, baseDelay, maxDelay, budget, codes }，false 表示不重试
+            strict: false, // 为 true 时任何 readdir / stat / 哈希错误都使扫描失败（code 为 ESCANFAILED），不返回部分结果
+            createTimeSource: ['birthtime', 'mtime', 'ctime'], // 创建时间的候选顺序（跳过不可信的值），或 'earliest' 取可信候选中最早的
+            firstSeenFile: null, // 首次发现时间文件路径（按哈希记录，需要 enableHash），设置后"最新"按首次发现时间排序
+            fileSystem: null, // 文件系统适配器（见 fileSystems.js）：null 为本地磁盘，也可以是内存目录树、目录快照或 zip 压缩包
+            followSymlinks: false, // 跟随符号链接（文件与目录），按 dev/inode 检测循环；false 时跳过符号链接
+            oneFileSystem: false, // 不进入根目录所在文件系统以外的目录（挂载点），类似 find -xdev
+            detectHardlinks: true, // 按 (dev, inode) 识别硬链接：totalSize 只计一次，也不算作重复文件
             ...options
         };
         
+        this.logger = resolveLogger(this.options.logger);
+        if (this.options.firstSeenFile && !this.options.enableHash) {
+            throw new Error('firstSeenFile 按哈希记录首次发现时间，需要启用 enableHash');
+        }
+        this.timeSource = normalizeTimeSource(this.options.createTimeSource);
+        this.hashStrategy = resolveHashStrategy(this.options.hashStrategy);
+        this.fileSystem = resolveFileSystem(this.options.fileSystem);
+        this.scanFilter = new ScanFilter({ ...this.options, fileSystem: this.fileSystem, logger: this.logger });
+        this.statLimiter = new ConcurrencyLimiter(this.options.statConcurrency);
+        this.hashReadLimiter = new ConcurrencyLimiter(this.options.hashReadConcurrency);
+        this.probeLimiter = new ConcurrencyLimiter(this.options.probeConcurrency);
+        this.retryPolicy = new RetryPolicy(this.options.retry === false ? { retries: 0 } : this.options.retry);
+        this.probeExtensions = new Set(this.options.probeExtensions.map(ext => ext.replace(/^\./, '').toLowerCase()));
+        this.hashPool = null; // 扫描期间的哈希线程池
+        this.hashTasks = new Set(); // 进行中的后台哈希任务（含目录完成标记）
+        this.hashPending = new Set(); // 已 stat、哈希尚未完成的文件
+        this.stageStats = this._createStageStats();
+        this.maxDirectoryQueueDepth = 0;
+        this.adaptive = null; // 自适应并发控制器（adaptiveConcurrency 启用时）
+        
         this.fileMap = new Map();
+        this.fileIndex = new FileIndex(this.fileMap); // 排序 / 范围查询索引
+        this.nameIndex = new FilenameIndex(this.fileMap); // 文件名搜索索引
         this.filesByCreateTime = [];
         this.hashMap = new Map(); // 新增：存储文件哈希值
         this.duplicateFiles = new Map(); // 新增：存储重复文件
+        this.verifiedDuplicates = null; // 全量比对后的重复文件分组
+        this.inodes = new Map(); // 'dev:ino' -> 指向同一文件的路径（硬链接，或经符号链接到达）
+        this.visitedDirectories = new Set(); // 已入队目录的 'dev:ino'（followSymlinks 时检测循环）
+        this.rootDevice = null; // 根目录的设备号（oneFileSystem 时）
+        this.rootDir = null;
         this.totalFiles = 0;
         this.totalSize = 0;
         this.scanStartTime = 0;
@@ -25,6 +115,20 @@ class FastDirectoryScanner {
         this.statTime = 0;
         this.sortTime = 0;
         this.hashTime = 0; // 新增：哈希计算总时间
+        this.scanCache = null; // 增量扫描快照
+        this.firstSeen = null; // 首次发现时间（firstSeenFile 启用时）
+        this.currentQueue = null; // 当前扫描的目录任务队列
+        this.currentDirectory = '';
+        this.lastProgressTime = 0;
+        this.pauseReasons = new Set(); // 暂停派发新任务的原因（如迭代器背压）
+        this.resumeDispatch = null;
+        this.pauseWaiters = [];
+        this.signal = null; // 当前扫描的 AbortSignal
+        this.pendingDirectories = new Set(); // 已入队但尚未处理完的目录（断点内容）
+        this.checkpoint = null;
+        this.checkpointWriting = null;
+        this.scanErrors = []; // 本次扫描的错误记录
+        this.fatalError = null; // strict 模式下使扫描失败的错误
         
         this.stats = {
             directoriesScanned: 0,
@@ -33,23 +137,119 @@ class FastDirectoryScanner {
             maxConcurrent: 0,
             filesWithHash: 0, // 新增：计算哈希的文件数量
             duplicateCount: 0, // 新增：重复文件数量
-            hashErrors: 0 // 新增：哈希计算错误数量
+            hashErrors: 0, // 新增：哈希计算错误数量
+            cacheReused: 0, // 复用快照哈希的文件数量
+            cacheRehashed: 0, // 快照中存在但已变化、重新计算哈希的文件数量
+            cacheNewFiles: 0, // 快照中不存在的新文件数量
+            confirmedDuplicateCount: 0, // 全量比对确认的重复文件数量
+            hashCollisions: 0, // 采样哈希相同但内容不同的文件数量
+            verifyTime: 0, // 全量比对耗时（毫秒）
+            verifyBytesRead: 0, // 全量比对读取的字节数
+            skipped: this._createSkippedStats(), // 各过滤规则跳过的条目数
+            checkpointRestored: 0, // 从断点恢复的文件数量
+            probedFiles: 0, // 成功解析容器头的文件数量
+            probeErrors: 0, // 容器头解析失败的文件数量
+            errorCount: 0, // readdir / stat / 哈希最终失败的次数
+            retries: 0, // 临时性错误的重试次数
+            hardlinks: 0, // 指向已计入文件的额外路径数（硬链接，不占额外空间）
+            hardlinkBytes: 0 // 额外路径的大小之和（未计入 totalSize）
         };
     }
 
     /**
      * 高性能扫描主函数
+     * signal: AbortSignal，中止后不再派发新任务，等进行中的任务结束后抛出 AbortError
      */
-    async scanDirectory(rootDir) {
-        console.log(`🚀🚀 开始高性能扫描目录: ${path.resolve(rootDir)}`);
+    async scanDirectory(rootDir, { signal } = {}) {
+        if (signal && signal.aborted) {
+            throw this._createAbortError(signal);
+        }
+        
+        this.logger.info(`🚀🚀 开始高性能扫描目录: ${path.resolve(rootDir)}`);
         if (this.options.enableHash) {
-            console.log(`🔢🔢 启用文件哈希计算 (阈值: ${this._formatFileSize(this.options.hashThreshold)})`);
+            this.logger.info(`🔢🔢 启用文件哈希计算 (策略: ${getStrategyTag(this.hashStrategy)}, 阈值: ${this._formatFileSize(this.options.hashThreshold)})`);
         }
         this._resetStats();
+        this.rootDir = rootDir;
         this.scanStartTime = Date.now();
+        this.signal = signal || null;
+        
+        const onAbort = () => this._onAbort();
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+        let checkpointTimer = null;
         
         try {
-            await this._scanWithConcurrencyQueue(rootDir, '');
+            this.scanCache = this.options.cacheFile
+                ? new ScanCache(this.options.cacheFile, this._getHashConfigKey(), this.logger)
+                : null;
+            if (this.scanCache) {
+                await this.scanCache.load(rootDir);
+            }
+            
+            this.firstSeen = this.options.firstSeenFile
+                ? new FirstSeenStore(this.options.firstSeenFile, this.logger)
+                : null;
+            if (this.firstSeen) {
+                await this.firstSeen.load();
+            }
+            
+            // 存在有效断点时，恢复已完成的记录并只扫描未完成的目录
+            let startDirectories = [''];
+            this.checkpoint = this.options.checkpointFile
+                ? new ScanCheckpoint(this.options.checkpointFile, this._getCheckpointConfigKey(), this.logger)
+                : null;
+            if (this.checkpoint) {
+                const saved = await this.checkpoint.load(rootDir);
+                if (saved) {
+                    saved.records.forEach(record => this._restoreCheckpointRecord(record));
+                    startDirectories = saved.pendingDirectories;
+                    this.logger.info(`⏯⏯️  从断点继续: 已恢复 ${saved.records.length} 个文件，剩余 ${startDirectories.length} 个目录`);
+                }
+                
+                checkpointTimer = setInterval(() => this._saveCheckpoint(), this.options.checkpointInterval);
+                checkpointTimer.unref();
+            }
+            
+            this.hashPool = this._createHashPool();
+            this.adaptive = this._createAdaptiveController();
+            this._syncStatLimit();
+            
+            if (this.options.followSymlinks || this.options.oneFileSystem) {
+                const rootStats = await this.fileSystem.stat(rootDir);
+                this.rootDevice = rootStats.dev;
+                this.visitedDirectories.add(`${rootStats.dev}:${rootStats.ino}`);
+            }
+            
+            await this._scanWithConcurrencyQueue(rootDir, startDirectories);
+            
+            // 目录遍历结束后，等待后台哈希任务全部完成
+            while (this.hashTasks.size > 0) {
+                await Promise.all(Array.from(this.hashTasks));
+            }
+            
+            if (this._isAborted()) {
+                if (this.checkpoint) {
+                    await this._saveCheckpoint();
+                }
+                throw this.fatalError || this._createAbortError(signal);
+            }
+            
+            if (this.checkpoint) {
+                clearInterval(checkpointTimer);
+                await this.checkpointWriting;
+                await this.checkpoint.clear();
+            }
+            
+            if (this.scanCache) {
+                await this.scanCache.save();
+            }
+            await this.saveFirstSeen();
+            
+            if (this.options.enableHash && this.options.verifyDuplicates) {
+                await this.verifyDuplicates();
+            }
             
             // 统计排序时间
             const sortStart = Date.now();
@@ -57,20 +257,222 @@ class FastDirectoryScanner {
             this.sortTime = Date.now() - sortStart;
             
             this.scanEndTime = Date.now();
+            this._emitProgress(true);
             
             this._printResults();
             return this._getScanResults();
             
         } catch (error) {
-            console.error('扫描错误:', error);
+            // strict 模式的失败原因已逐条输出过警告
+            if (error.name !== 'AbortError' && error !== this.fatalError) {
+                this.logger.error('扫描错误:', error);
+            }
             throw error;
+        } finally {
+            if (this.hashPool) {
+                await this.hashPool.close();
+                this.hashPool = null;
+            }
+            clearInterval(checkpointTimer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            this.signal = null;
+        }
+    }
+
+    /**
+     * 启用哈希且策略支持时创建哈希线程池
+     */
+    _createHashPool() {
+        const { enableHash, hashWorkers } = this.options;
+        if (!enableHash || !hashWorkers || !isWorkerCapable(this.hashStrategy)) {
+            return null;
+        }
+        
+        return new HashWorkerPool(hashWorkers === 'auto' ? getDefaultPoolSize() : hashWorkers);
+    }
+
+    /**
+     * 以 maxConcurrency / batchSize 为初始值创建自适应并发控制器
+     */
+    _createAdaptiveController() {
+        const { adaptiveConcurrency, maxConcurrency, batchSize } = this.options;
+        if (!adaptiveConcurrency) return null;
+        
+        return new AdaptiveConcurrencyController({
+            initialConcurrency: maxConcurrency,
+            initialBatchSize: batchSize,
+            ...(typeof adaptiveConcurrency === 'object' ? adaptiveConcurrency : {})
+        });
+    }
+
+    /**
+     * stat 并发上限：启用自适应并发时等于当前批大小（一个批次的文件同时 stat），否则为 statConcurrency
+     */
+    _syncStatLimit() {
+        const limit = this.adaptive ? this.adaptive.batchSize : this.options.statConcurrency;
+        if (this.statLimiter.limit !== limit) {
+            this.statLimiter.setLimit(limit);
+        }
+    }
+
+    /**
+     * 当前目录并发窗口
+     */
+    _getConcurrency() {
+        return this.adaptive ? this.adaptive.concurrency : this.options.maxConcurrency;
+    }
+
+    /**
+     * 当前文件批大小
+     */
+    _getBatchSize() {
+        return this.adaptive ? this.adaptive.batchSize : this.options.batchSize;
+    }
+
+    /**
+     * 暂停扫描：不再派发新的目录任务和文件批次，进行中的任务继续完成
+     */
+    pause() {
+        this._setPaused('user', true);
+    }
+
+    /**
+     * 恢复扫描
+     */
+    resume() {
+        this._setPaused('user', false);
+    }
+
+    get isPaused() {
+        return this.pauseReasons.has('user');
+    }
+
+    _isAborted() {
+        return Boolean(this.fatalError || (this.signal && this.signal.aborted));
+    }
+
+    _createAbortError(signal) {
+        if (signal && signal.reason instanceof Error) {
+            return signal.reason;
+        }
+        
+        const error = new Error('扫描已取消');
+        error.name = 'AbortError';
+        error.code = 'ABORT_ERR';
+        return error;
+    }
+
+    /**
+     * 中止时唤醒暂停中的任务，让队列尽快收尾
+     */
+    _onAbort() {
+        const waiters = this.pauseWaiters;
+        this.pauseWaiters = [];
+        waiters.forEach(resolve => resolve());
+        
+        if (this.resumeDispatch) {
+            this.resumeDispatch();
+        }
+    }
+
+    /**
+     * 写入断点（串行执行，避免定时写入与中止时的写入交错）
+     */
+    _saveCheckpoint() {
+        const previous = this.checkpointWriting || Promise.resolve();
+        
+        this.checkpointWriting = previous.then(() => {
+            // 哈希尚未完成的文件不写入断点，续扫时重新处理
+            const records = Array.from(this.fileMap.entries())
+                .filter(([relativePath]) => !this.hashPending.has(relativePath))
+                .map(([relativePath, fileInfo]) => this._toCheckpointRecord(relativePath, fileInfo));
+            return this.checkpoint.save(this.rootDir, Array.from(this.pendingDirectories), records);
+        }).catch(error => {
+            this.logger.warn(`写入扫描断点失败: ${this.options.checkpointFile}`, error.message);
+        });
+        
+        return this.checkpointWriting;
+    }
+
+    _toCheckpointRecord(relativePath, fileInfo) {
+        const cacheEntry = this.scanCache ? this.scanCache.current.get(relativePath) : null;
+        const hashInfo = this.hashMap.get(relativePath);
+        
+        return {
+            path: relativePath,
+            size: fileInfo.size,
+            birthtimeMs: fileInfo.createTime.getTime(),
+            createTimeSource: fileInfo.createTimeSource,
+            mtimeMs: cacheEntry ? cacheEntry.mtimeMs : fileInfo.modifyTime.getTime(),
+            atimeMs: fileInfo.accessTime.getTime(),
+            dev: cacheEntry ? cacheEntry.dev : null,
+            ino: cacheEntry ? cacheEntry.ino : null,
+            hash: hashInfo ? hashInfo.hash : null,
+            method: hashInfo ? hashInfo.method : null,
+            linkCount: fileInfo.linkCount,
+            inode: fileInfo.inode,
+            linkTarget: fileInfo.linkTarget,
+            media: this._getMediaFields(fileInfo)
+        };
+    }
+
+    /**
+     * 把断点中的记录恢复到各索引
+     */
+    _restoreCheckpointRecord(record) {
+        const stats = {
+            size: record.size,
+            birthtime: new Date(record.birthtimeMs),
+            mtime: new Date(record.mtimeMs),
+            atime: new Date(record.atimeMs),
+            mtimeMs: record.mtimeMs,
+            dev: record.dev,
+            ino: record.ino,
+            nlink: record.linkCount
+        };
+        
+        // 断点中记录的已经是按策略取得的创建时间
+        this._addFileInfo(record.path, stats, 0, { inode: record.inode, linkTarget: record.linkTarget });
+        this.stats.filesScanned++;
+        this.stats.checkpointRestored++;
+        
+        const fileInfo = this.fileMap.get(record.path);
+        if (record.createTimeSource) {
+            fileInfo.createTimeSource = record.createTimeSource;
+        }
+        if (record.media) {
+            Object.assign(fileInfo, record.media);
+        }
+        
+        let hashInfo = null;
+        if (record.hash) {
+            hashInfo = {
+                hash: record.hash,
+                hashTime: 0,
+                method: record.method,
+                strategy: getStrategyTag(this.hashStrategy),
+                cached: true
+            };
+            this.hashMap.set(record.path, hashInfo);
+            this.stats.filesWithHash++;
+            this._checkDuplicateFiles(record.path, record.hash);
+            this._applyFirstSeen(record.path, record.hash);
+        }
+        
+        if (this.scanCache && record.dev !== null) {
+            this.scanCache.record(record.path, stats, hashInfo);
         }
+        
+        // 与新扫描到的文件一样发出 file 事件，scan() 迭代器等监听者才能拿到恢复的记录
+        this.emit('file', fileInfo, hashInfo);
     }
 
     /**
      * 使用并发队列控制扫描
      */
-    async _scanWithConcurrencyQueue(rootDir, relativePath) {
+    async _scanWithConcurrencyQueue(rootDir, startDirectories) {
         const queue = [];
         let activePromises = 0;
         let resolveFinish;
@@ -82,250 +484,928 @@ class FastDirectoryScanner {
         });
         
         const processQueue = async () => {
-            while (queue.length > 0 && activePromises < this.options.maxConcurrency) {
+            while (queue.length > 0 &&
+                activePromises < this._getConcurrency() &&
+                this.pauseReasons.size === 0 &&
+                !this._isAborted()) {
                 activePromises++;
                 this.stats.concurrentOperations = activePromises;
                 this.stats.maxConcurrent = Math.max(this.stats.maxConcurrent, activePromises);
                 
+                this.maxDirectoryQueueDepth = Math.max(this.maxDirectoryQueueDepth, queue.length);
                 const task = queue.shift();
                 task().finally(() => {
                     activePromises--;
                     processQueue();
-                    
-                    // 检查是否所有任务都完成
-                    if (activePromises === 0 && queue.length === 0) {
-                        resolveFinish();
-                    }
                 }).catch(rejectFinish);
             }
+            
+            // 检查是否所有任务都完成（中止后只等待进行中的任务）
+            if (activePromises === 0 && (queue.length === 0 || this._isAborted())) {
+                resolveFinish();
+            }
         };
         
-        // 添加根目录任务
-        queue.push(() => this._processDirectory(rootDir, '', queue));
+        // 添加起始目录任务（通常是根目录，断点续扫时为未完成的目录）
+        this.pendingDirectories.clear();
+        for (const relativePath of startDirectories) {
+            const parentDir = path.dirname(relativePath);
+            const parentRules = relativePath
+                ? await this.scanFilter.loadIgnoreRules(rootDir, parentDir === '.' ? '' : parentDir)
+                : [];
+            this.pendingDirectories.add(relativePath);
+            queue.push(() => this._processDirectory(path.join(rootDir, relativePath), relativePath, queue, parentRules));
+        }
+        this.currentQueue = queue;
+        this.resumeDispatch = processQueue;
         processQueue();
         
         // 等待所有任务完成
-        await finishPromise;
+        try {
+            await finishPromise;
+        } finally {
+            this.currentQueue = null;
+            this.resumeDispatch = null;
+        }
+    }
+
+    /**
+     * 暂停/恢复派发新任务；进行中的任务继续执行
+     */
+    _setPaused(reason, paused) {
+        if (paused) {
+            this.pauseReasons.add(reason);
+            return;
+        }
+        
+        if (!this.pauseReasons.delete(reason) || this.pauseReasons.size > 0) return;
+        
+        const waiters = this.pauseWaiters;
+        this.pauseWaiters = [];
+        waiters.forEach(resolve => resolve());
+        
+        if (this.resumeDispatch) {
+            this.resumeDispatch();
+        }
+    }
+
+    /**
+     * 暂停期间等待（用于目录内的文件批次）
+     */
+    async _waitWhilePaused() {
+        while (this.pauseReasons.size > 0 && !this._isAborted()) {
+            await new Promise(resolve => this.pauseWaiters.push(resolve));
+        }
+    }
+
+    /**
+     * 有监听器时才发出 error 事件（EventEmitter 无监听器时会直接抛出）
+     */
+    _emitError(stage, filePath, error) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', { stage, path: filePath, error });
+        }
+    }
+
+    /**
+     * 执行文件系统操作，临时性错误按重试策略退避后重试
+     */
+    _withRetry(stage, filePath, operation) {
+        return this.retryPolicy.run(operation, {
+            shouldStop: () => this._isAborted(),
+            onRetry: (error, attempt, delay) => {
+                this.stats.retries++;
+                this.logger.debug(`${error.code}，${delay}ms 后重试 (${stage} 第 ${attempt} 次): ${filePath}`);
+            }
+        });
+    }
+
+    /**
+     * 记录最终失败的操作；strict 模式下同时中止扫描
+     */
+    _recordError(stage, filePath, error) {
+        const entry = {
+            path: filePath,
+            stage: stage,
+            code: error.code || null,
+            message: error.message,
+            attempts: error.attempts || 1
+        };
+        this.scanErrors.push(entry);
+        this.stats.errorCount++;
+        this._emitError(stage, filePath, error);
+        
+        if (this.options.strict && !this.fatalError) {
+            const fatal = new Error(`扫描失败 (${stage}): ${filePath || '.'}: ${error.message}`);
+            fatal.code = 'ESCANFAILED';
+            fatal.cause = error;
+            fatal.errors = this.scanErrors;
+            this.fatalError = fatal;
+            this._onAbort();
+        }
+    }
+
+    /**
+     * 节流发出 progress 事件
+     * etaMs 按“已读目录的平均文件数 × 队列中的目录数”估算剩余文件，仅供参考
+     */
+    _emitProgress(force = false) {
+        const now = Date.now();
+        if (!force && now - this.lastProgressTime < this.options.progressInterval) return;
+        this.lastProgressTime = now;
+        
+        const elapsedMs = now - this.scanStartTime;
+        const queueDepth = this.currentQueue ? this.currentQueue.length : 0;
+        const filesPerDirectory = this.stats.directoriesScanned > 0
+            ? this.stats.filesScanned / this.stats.directoriesScanned
+            : 0;
+        const filesPerMs = elapsedMs > 0 ? this.stats.filesScanned / elapsedMs : 0;
+        
+        let etaMs = null;
+        if (queueDepth === 0 && this.stats.concurrentOperations === 0) {
+            etaMs = 0;
+        } else if (filesPerMs > 0) {
+            etaMs = Math.round(queueDepth * filesPerDirectory / filesPerMs);
+        }
+        
+        this.emit('progress', {
+            directoriesScanned: this.stats.directoriesScanned,
+            filesScanned: this.stats.filesScanned,
+            bytesScanned: this.totalSize,
+            filesWithHash: this.stats.filesWithHash,
+            queueDepth: queueDepth,
+            activeOperations: this.stats.concurrentOperations,
+            currentDirectory: this.currentDirectory,
+            elapsedMs: elapsedMs,
+            etaMs: etaMs
+        });
     }
 
-    async _processDirectory(currentPath, relativePath, queue) {
+    async _processDirectory(currentPath, relativePath, queue, parentIgnoreRules) {
+        let hashTasks = [];
+        
         try {
-            const items = await fs.promises.readdir(currentPath, { withFileTypes: true });
+            const readdirStart = Date.now();
+            const items = await this._withRetry('readdir', relativePath, () => this.fileSystem.readdir(currentPath));
+            this._recordStage('readdir', Date.now() - readdirStart);
             this.stats.directoriesScanned++;
+            this.currentDirectory = relativePath;
+            this.emit('directory', { path: relativePath, fullPath: currentPath, entries: items.length });
+            this._emitProgress();
             
+            // 当前目录的忽略文件规则叠加在父目录规则之上
+            const ignoreRules = await this.scanFilter.extendIgnoreRules(currentPath, relativePath, items, parentIgnoreRules);
             const fileStats = [];
             
             for (const item of items) {
                 const itemRelativePath = path.join(relativePath, item.name);
                 const itemFullPath = path.join(currentPath, item.name);
+                let isDirectory = item.isDirectory();
+                let isFile = item.isFile();
+                let linkTarget = null;
+                
+                // 符号链接的 Dirent 既不是文件也不是目录，需要 stat 目标才能确定类型
+                if (item.isSymbolicLink()) {
+                    if (!this.options.followSymlinks) {
+                        this.stats.skipped.symlink++;
+                        continue;
+                    }
+                    
+                    const resolved = await this._resolveSymlink(itemFullPath, itemRelativePath);
+                    if (!resolved) continue;
+                    
+                    isDirectory = resolved.stats.isDirectory();
+                    isFile = resolved.stats.isFile();
+                    linkTarget = resolved.target;
+                }
                 
-                if (item.isDirectory()) {
+                if (isDirectory) {
+                    // 被排除的目录直接剪枝，不会进入队列
+                    const skippedBy = this.scanFilter.checkDirectory(itemFullPath, itemRelativePath, ignoreRules)
+                        || await this._checkDirectoryIdentity(itemFullPath, itemRelativePath);
+                    if (skippedBy) {
+                        this.stats.skipped[skippedBy]++;
+                        continue;
+                    }
+                    
                     // 目录任务加入队列
-                    queue.push(() => this._processDirectory(itemFullPath, itemRelativePath, queue));
-                } else if (item.isFile()) {
-                    fileStats.push({ itemFullPath, itemRelativePath });
+                    this.pendingDirectories.add(itemRelativePath);
+                    queue.push(() => this._processDirectory(itemFullPath, itemRelativePath, queue, ignoreRules));
+                } else if (isFile) {
+                    // 断点续扫时已恢复的文件不再处理
+                    if (this.fileMap.has(itemRelativePath)) continue;
+                    
+                    const skippedBy = this.scanFilter.checkFile(itemFullPath, itemRelativePath, ignoreRules);
+                    if (skippedBy) {
+                        this.stats.skipped[skippedBy]++;
+                        continue;
+                    }
+                    
+                    fileStats.push({ itemFullPath, itemRelativePath, linkTarget });
                 }
             }
             
-            // 批量处理文件stat
+            // 批量处理文件stat，哈希在后台进行，不占用目录并发槽位
             if (fileStats.length > 0) {
-                await this._processFilesInBatches(fileStats);
+                hashTasks = await this._processFilesInBatches(fileStats);
             }
             
         } catch (error) {
-            console.warn(`无法读取目录: ${currentPath}`, error.message);
+            this.logger.warn(`无法读取目录: ${currentPath}`, error.message);
+            this._recordError('readdir', relativePath, error);
+        }
+        
+        // 目录内的哈希全部完成才算处理完；中止时目录可能只处理了一部分，保留在断点中
+        const markDone = () => {
+            if (!this._isAborted()) {
+                this.pendingDirectories.delete(relativePath);
+            }
+        };
+        if (hashTasks.length === 0) {
+            markDone();
+        } else {
+            this._trackHashTask(Promise.all(hashTasks).then(markDone));
         }
     }
 
+    _trackHashTask(task) {
+        this.hashTasks.add(task);
+        task.finally(() => this.hashTasks.delete(task));
+        return task;
+    }
+
     /**
-     * 批量处理文件统计
+     * 批量处理文件统计，返回本目录的后台哈希任务
      */
     async _processFilesInBatches(fileStats) {
-        for (let i = 0; i < fileStats.length; i += this.options.batchSize) {
-            const batch = fileStats.slice(i, i + this.options.batchSize);
-            const promises = batch.map(({ itemFullPath, itemRelativePath }) => 
-                this._getFileStat(itemFullPath, itemRelativePath)
+        const hashTasks = [];
+        
+        for (let i = 0; i < fileStats.length;) {
+            await this._waitWhilePaused();
+            await this.hashReadLimiter.waitForPendingBelow(this.options.maxPendingHashes);
+            if (this._isAborted()) break;
+            
+            const batch = fileStats.slice(i, i + this._getBatchSize());
+            i += batch.length;
+            const promises = batch.map(({ itemFullPath, itemRelativePath, linkTarget }) => 
+                this._getFileStat(itemFullPath, itemRelativePath, linkTarget)
             );
             
-            await Promise.all(promises);
+            const tasks = await Promise.all(promises);
+            tasks.forEach(task => {
+                if (task) hashTasks.push(task);
+            });
+        }
+        
+        return hashTasks;
+    }
+
+    /**
+     * 解析符号链接，返回 { stats, target }（stats 为目标的属性，target 为目标的绝对路径）
+     * 目标不存在或链接成环时计入 skipped.brokenSymlink，其他错误记入 errors；两种情况都返回 null
+     */
+    async _resolveSymlink(fullPath, relativePath) {
+        try {
+            const stats = await this._withRetry('stat', relativePath, () => this.fileSystem.stat(fullPath));
+            const target = this.fileSystem.readlink
+                ? path.resolve(path.dirname(fullPath), await this.fileSystem.readlink(fullPath))
+                : null;
+            return { stats, target };
+        } catch (error) {
+            if (error.code === 'ENOENT' || error.code === 'ELOOP') {
+                this.stats.skipped.brokenSymlink++;
+            } else {
+                this.logger.warn(`无法解析符号链接: ${relativePath}`, error.message);
+                this._recordError('stat', relativePath, error);
+            }
+            return null;
         }
     }
 
-    async _getFileStat(fullPath, relativePath) {
-        const statStart = Date.now();
+    /**
+     * followSymlinks / oneFileSystem 时按 dev/inode 检查子目录，返回跳过原因或 null：
+     * - mountPoint：位于根目录所在文件系统以外
+     * - visitedDirectory：同一目录已经入队（指向祖先目录的链接会形成循环）
+     * stat 失败时照常入队，由 readdir 记录错误
+     */
+    async _checkDirectoryIdentity(fullPath, relativePath) {
+        const { followSymlinks, oneFileSystem } = this.options;
+        if (!followSymlinks && !oneFileSystem) return null;
+        
+        let stats;
+        try {
+            stats = await this._withRetry('stat', relativePath, () => this.fileSystem.stat(fullPath));
+        } catch (error) {
+            return null;
+        }
         
+        if (oneFileSystem && stats.dev !== this.rootDevice) {
+            return 'mountPoint';
+        }
+        if (followSymlinks) {
+            const key = `${stats.dev}:${stats.ino}`;
+            if (this.visitedDirectories.has(key)) return 'visitedDirectory';
+            this.visitedDirectories.add(key);
+        }
+        return null;
+    }
+
+    /**
+     * stat 一个文件；需要计算哈希时返回后台哈希任务，否则返回 null
+     * linkTarget: 经符号链接到达时为链接目标
+     */
+    async _getFileStat(fullPath, relativePath, linkTarget = null) {
         try {
-            const stats = await fs.promises.stat(fullPath);
-            const statTime = Date.now() - statStart;
+            let statTime = 0;
+            const stats = await this.statLimiter.run(async () => {
+                const statStart = Date.now();
+                const result = await this._withRetry('stat', relativePath, () => this.fileSystem.stat(fullPath));
+                statTime = Date.now() - statStart;
+                return result;
+            });
             this.statTime += statTime;
+            this._recordStage('stat', statTime);
             
-            this._addFileInfo(relativePath, stats, statTime);
+            this._addFileInfo(relativePath, stats, statTime, { linkTarget });
             this.stats.filesScanned++;
             
-            // 如果启用哈希计算，则计算文件哈希
+            if (this.options.probe) {
+                await this._probeFile(fullPath, relativePath);
+            }
+            
+            // 如果启用哈希计算，优先复用快照中的哈希
             if (this.options.enableHash) {
-                await this._calculateFileHash(fullPath, relativePath, stats.size);
+                const cached = this.scanCache ? this.scanCache.lookup(relativePath, stats) : null;
+                
+                if (cached) {
+                    this._reuseCachedHash(relativePath, cached);
+                } else {
+                    this.hashPending.add(relativePath);
+                    return this._trackHashTask(
+                        this._calculateFileHash(fullPath, relativePath, stats.size).then(completed => {
+                            if (completed) {
+                                this.hashPending.delete(relativePath);
+                                this._finishFile(relativePath, stats);
+                            }
+                        })
+                    );
+                }
             }
             
+            this._finishFile(relativePath, stats);
+            
+        } catch (error) {
+            this.logger.warn(`无法获取文件信息: ${relativePath}`, error.message);
+            this._recordError('stat', relativePath, error);
+        }
+        
+        return null;
+    }
+
+    /**
+     * 解析视频容器头，把时长、分辨率、编码、旋转写入文件记录
+     * 解析失败记录在文件的 probeError 上，不中断扫描
+     */
+    async _probeFile(fullPath, relativePath) {
+        const fileInfo = this.fileMap.get(relativePath);
+        const ext = path.extname(relativePath).slice(1).toLowerCase();
+        if (!fileInfo || !this.probeExtensions.has(ext)) return;
+        
+        try {
+            let probeTime = 0;
+            const media = await this.probeLimiter.run(async () => {
+                const probeStart = Date.now();
+                const result = await probeMedia(fullPath, this.fileSystem);
+                probeTime = Date.now() - probeStart;
+                return result;
+            });
+            this._recordStage('probe', probeTime);
+            
+            if (media) {
+                Object.assign(fileInfo, media);
+                this.stats.probedFiles++;
+            }
         } catch (error) {
-            console.warn(`无法获取文件信息: ${relativePath}`, error.message);
+            fileInfo.probeError = error.message;
+            this.stats.probeErrors++;
+            this._emitError('probe', relativePath, error);
+        }
+    }
+
+    /**
+     * 文件记录上的媒体字段（未解析时为 null）
+     */
+    _getMediaFields(fileInfo) {
+        const fields = [...MEDIA_FIELDS, 'probeError'].filter(field => fileInfo[field] !== undefined);
+        if (fields.length === 0) return null;
+        
+        return Object.fromEntries(fields.map(field => [field, fileInfo[field]]));
+    }
+
+    /**
+     * 文件处理完成（含哈希）：写入快照并发出 file 事件
+     */
+    _finishFile(relativePath, stats) {
+        if (this.scanCache) {
+            this._recordCacheEntry(relativePath, stats);
+        }
+        
+        this.emit('file', this.fileMap.get(relativePath), this.hashMap.get(relativePath) || null);
+        this._emitProgress();
+    }
+
+    /**
+     * 记录各阶段的耗时
+     */
+    _recordStage(stage, duration) {
+        const stageStats = this.stageStats[stage];
+        stageStats.operations++;
+        stageStats.totalMs += duration;
+        
+        // readdir / stat 延迟作为自适应并发的反馈信号
+        if (this.adaptive && (stage === 'readdir' || stage === 'stat')) {
+            this.adaptive.record(duration);
+            this._syncStatLimit();
+        }
+    }
+
+    _createStageStats() {
+        return {
+            readdir: { operations: 0, totalMs: 0 },
+            stat: { operations: 0, totalMs: 0 },
+            hashRead: { operations: 0, totalMs: 0 },
+            hashCompute: { operations: 0, totalMs: 0 },
+            probe: { operations: 0, totalMs: 0 }
+        };
+    }
+
+    /**
+     * 各阶段的耗时、并发上限与观察到的最大排队长度
+     */
+    _getStageResults() {
+        const describe = (stage, concurrency, maxQueueDepth) => {
+            const { operations, totalMs } = this.stageStats[stage];
+            return {
+                operations,
+                totalMs,
+                averageMs: operations > 0 ? Number((totalMs / operations).toFixed(3)) : 0,
+                concurrency,
+                maxQueueDepth
+            };
+        };
+        
+        return {
+            readdir: describe('readdir', this._getConcurrency(), this.maxDirectoryQueueDepth),
+            stat: describe('stat', this.statLimiter.limit, this.statLimiter.maxPending),
+            hashRead: describe('hashRead', this.hashReadLimiter.limit, this.hashReadLimiter.maxPending),
+            hashCompute: describe(
+                'hashCompute',
+                this.hashPool ? this.hashPool.size : 1,
+                this.hashPool ? this.hashPool.maxPending : 0
+            ),
+            probe: describe('probe', this.probeLimiter.limit, this.probeLimiter.maxPending)
+        };
+    }
+
+    /**
+     * 复用快照中的哈希（文件大小、修改时间、inode 均未变化）
+     */
+    _reuseCachedHash(relativePath, cached) {
+        this.hashMap.set(relativePath, {
+            hash: cached.hash,
+            hashTime: 0,
+            method: cached.method,
+            strategy: getStrategyTag(this.hashStrategy),
+            cached: true
+        });
+        
+        this.stats.filesWithHash++;
+        this._checkDuplicateFiles(relativePath, cached.hash);
+        this._applyFirstSeen(relativePath, cached.hash);
+        this.emit('hash', { path: relativePath, ...this.hashMap.get(relativePath) });
+    }
+
+    /**
+     * 写入本次快照，并统计复用 / 重新计算 / 新文件数量
+     */
+    _recordCacheEntry(relativePath, stats) {
+        const hashInfo = this.hashMap.get(relativePath);
+        
+        if (!this.scanCache.has(relativePath)) {
+            this.stats.cacheNewFiles++;
+        } else if (hashInfo && hashInfo.cached) {
+            this.stats.cacheReused++;
+        } else if (hashInfo) {
+            this.stats.cacheRehashed++;
         }
+        
+        this.scanCache.record(relativePath, stats, hashInfo);
+    }
+
+    /**
+     * 哈希参数签名，参数变化后快照中的哈希不可复用
+     */
+    _getHashConfigKey() {
+        return `${getStrategyTag(this.hashStrategy)}:${this.options.hashThreshold}:${this.options.hashSampleSize}`;
+    }
+
+    /**
+     * 断点的参数签名：断点中的记录按这些参数得到（是否有哈希、媒体信息，哪些文件被过滤或经链接到达），
+     * 任何一项变化后已恢复的文件会被直接跳过而不再处理，因此断点作废
+     */
+    _getCheckpointConfigKey() {
+        const options = this.options;
+        return JSON.stringify({
+            hash: options.enableHash ? this._getHashConfigKey() : null,
+            probe: options.probe ? Array.from(this.probeExtensions).sort() : null,
+            excludePaths: options.excludePaths.map(excludePath => path.resolve(excludePath)),
+            include: options.include,
+            exclude: options.exclude,
+            extensions: options.extensions,
+            ignoreFileName: options.ignoreFileName,
+            createTimeSource: this.timeSource,
+            followSymlinks: options.followSymlinks,
+            oneFileSystem: options.oneFileSystem,
+            detectHardlinks: options.detectHardlinks
+        });
     }
 
     /**
      * 新增：计算文件哈希
+     * 读取受 hashReadConcurrency 限制；拆分型策略的计算部分交给线程池
+     * 返回 false 表示因扫描中止而未执行
      */
     async _calculateFileHash(fullPath, relativePath, fileSize) {
-        const hashStart = Date.now();
+        const strategy = this.hashStrategy;
+        const context = {
+            threshold: this.options.hashThreshold,
+            sampleSize: this.options.hashSampleSize,
+            fileSystem: this.fileSystem
+        };
         
         try {
-            let hash = '';
+            let readTime = 0;
+            const result = await this.hashReadLimiter.run(async () => {
+                if (this._isAborted()) return null;
+                
+                const readStart = Date.now();
+                const value = await this._withRetry('hash', relativePath, () => strategy.sample
+                    ? strategy.sample(fullPath, fileSize, context)
+                    : strategy.hash(fullPath, fileSize, context));
+                readTime = Date.now() - readStart;
+                return value;
+            });
+            if (!result) return false;
+            this._recordStage('hashRead', readTime);
             
-            if (fileSize <= this.options.hashThreshold) {
-                // 小于等于10KB，直接读取整个文件计算哈希
-                hash = await this._calculateFullHash(fullPath);
-            } else {
-                // 大于10KB，采样计算哈希
-                hash = await this._calculateSampledHash(fullPath, fileSize);
+            let digest = result.digest;
+            let computeTime = 0;
+            if (strategy.sample) {
+                const computeStart = Date.now();
+                digest = this.hashPool && isWorkerCapable(strategy)
+                    ? await this.hashPool.run(strategy.name, result.data, fileSize)
+                    : await strategy.digest(result.data, fileSize);
+                computeTime = Date.now() - computeStart;
+                this._recordStage('hashCompute', computeTime);
             }
             
-            const hashTime = Date.now() - hashStart;
+            const method = result.method;
+            const hash = formatHashId(strategy, digest);
+            
+            const hashTime = readTime + computeTime;
             this.hashTime += hashTime;
             
             // 存储哈希结果
             this.hashMap.set(relativePath, {
                 hash: hash,
                 hashTime: hashTime,
-                method: fileSize <= this.options.hashThreshold ? 'full' : 'sampled'
+                method: method,
+                strategy: getStrategyTag(this.hashStrategy)
             });
             
             this.stats.filesWithHash++;
             
             // 检查重复文件
             this._checkDuplicateFiles(relativePath, hash);
+            this._applyFirstSeen(relativePath, hash);
+            this.emit('hash', { path: relativePath, ...this.hashMap.get(relativePath) });
             
         } catch (error) {
-            console.warn(`计算文件哈希失败: ${relativePath}`, error.message);
+            this.logger.warn(`计算文件哈希失败: ${relativePath}`, error.message);
             this.stats.hashErrors++;
+            this._recordError('hash', relativePath, error);
         }
+        
+        return true;
     }
 
     /**
-     * 计算整个文件的哈希
+     * 检查重复文件
      */
-    async _calculateFullHash(filePath) {
-        return new Promise((resolve, reject) => {
-            const hash = crypto.createHash('md5');
-            const stream = fs.createReadStream(filePath);
-            
-            stream.on('data', (data) => {
-                hash.update(data);
-            });
-            
-            stream.on('end', () => {
-                resolve(hash.digest('hex'));
-            });
-            
-            stream.on('error', reject);
-        });
+    _checkDuplicateFiles(filePath, hash) {
+        if (!this.duplicateFiles.has(hash)) {
+            this.duplicateFiles.set(hash, []);
+        }
+        
+        const duplicateList = this.duplicateFiles.get(hash);
+        const before = this._getDuplicateWeight(duplicateList);
+        duplicateList.push(filePath);
+        
+        // 同一文件的硬链接不算重复
+        this.stats.duplicateCount += this._getDuplicateWeight(duplicateList) - before;
     }
 
     /**
-     * 采样计算文件哈希（开始、中间、结尾各2KB）
+     * 去掉指向同一文件的路径（硬链接只保留最先记录的一个）
      */
-    async _calculateSampledHash(filePath, fileSize) {
-        return new Promise((resolve, reject) => {
-            const hash = crypto.createHash('md5');
-            const sampleSize = this.options.hashSampleSize;
-            
-            // 计算采样位置
-            const positions = [
-                { start: 0, length: Math.min(sampleSize, fileSize) }, // 开头
-                { 
-                    start: Math.floor(fileSize / 2) - Math.floor(sampleSize / 2), 
-                    length: sampleSize 
-                }, // 中间
-                { 
-                    start: Math.max(0, fileSize - sampleSize), 
-                    length: Math.min(sampleSize, fileSize) 
-                } // 结尾
-            ];
-            
-            let samplesProcessed = 0;
+    _getDistinctPaths(files) {
+        const seen = new Set();
+        
+        return files.filter(file => {
+            const fileInfo = this.fileMap.get(file);
+            const key = fileInfo && fileInfo.inode ? fileInfo.inode : file;
+            if (seen.has(key)) return false;
             
-            positions.forEach((pos) => {
-                if (pos.start >= fileSize) {
-                    samplesProcessed++;
-                    if (samplesProcessed === positions.length) {
-                        resolve(hash.digest('hex'));
-                    }
-                    return;
-                }
-                
-                const stream = fs.createReadStream(filePath, {
-                    start: pos.start,
-                    end: pos.start + pos.length - 1
-                });
-                
-                stream.on('data', (data) => {
-                    hash.update(data);
-                });
-                
-                stream.on('end', () => {
-                    samplesProcessed++;
-                    if (samplesProcessed === positions.length) {
-                        resolve(hash.digest('hex'));
-                    }
-                });
-                
-                stream.on('error', reject);
-            });
+            seen.add(key);
+            return true;
         });
     }
 
     /**
-     * 检查重复文件
+     * 一个哈希分组计入 duplicateCount 的文件数：不同文件少于 2 个时为 0
      */
-    _checkDuplicateFiles(filePath, hash) {
-        if (!this.duplicateFiles.has(hash)) {
-            this.duplicateFiles.set(hash, []);
-        }
+    _getDuplicateWeight(files) {
+        if (files.length < 2) return 0;
+        
+        const distinct = this._getDistinctPaths(files).length;
+        return distinct > 1 ? distinct : 0;
+    }
+
+    /**
+     * 与某个路径指向同一文件的其他路径
+     */
+    _getHardlinkPaths(relativePath) {
+        const fileInfo = this.fileMap.get(relativePath);
+        const paths = fileInfo && fileInfo.inode ? this.inodes.get(fileInfo.inode) : null;
+        return paths ? paths.filter(file => file !== relativePath) : [];
+    }
+
+    /**
+     * 记录并填入文件的首次发现时间（firstSeenFile 启用时）
+     */
+    _applyFirstSeen(relativePath, hash) {
+        const fileInfo = this.fileMap.get(relativePath);
+        if (!this.firstSeen || !fileInfo) return;
         
+        fileInfo.firstSeen = this.firstSeen.observe(hash, fileInfo.createTime);
+        this.fileIndex.update(fileInfo);
+    }
+
+    /**
+     * 保存首次发现时间（扫描结束时自动保存；监听期间的变化由 ScanWatcher 保存）
+     */
+    async saveFirstSeen() {
+        if (this.firstSeen) {
+            await this.firstSeen.save();
+        }
+    }
+
+    /**
+     * 从重复文件分组中移除一个路径（增量更新用）
+     */
+    _removeDuplicateEntry(filePath, hash) {
         const duplicateList = this.duplicateFiles.get(hash);
-        duplicateList.push(filePath);
+        if (!duplicateList) return;
+        
+        const index = duplicateList.indexOf(filePath);
+        if (index === -1) return;
+        
+        const before = this._getDuplicateWeight(duplicateList);
+        duplicateList.splice(index, 1);
+        this.stats.duplicateCount += this._getDuplicateWeight(duplicateList) - before;
+        if (duplicateList.length === 0) {
+            this.duplicateFiles.delete(hash);
+        }
+    }
+
+    /**
+     * 从所有索引中移除一个文件（增量更新用），返回被移除的文件信息与哈希信息
+     */
+    _removeFileInfo(relativePath) {
+        const fileInfo = this.fileMap.get(relativePath);
+        if (!fileInfo) return null;
+        
+        // 先移出重复分组：计算分组权重时需要文件记录上的 inode
+        const hashInfo = this.hashMap.get(relativePath) || null;
+        if (hashInfo) {
+            this.hashMap.delete(relativePath);
+            this._removeDuplicateEntry(relativePath, hashInfo.hash);
+        }
+        
+        this.fileMap.delete(relativePath);
+        this.fileIndex.remove(fileInfo);
+        this.nameIndex.remove(fileInfo);
+        this.totalFiles--;
+        this._untrackInode(fileInfo);
+        
+        const index = this.filesByCreateTime.indexOf(fileInfo);
+        if (index !== -1) {
+            this.filesByCreateTime.splice(index, 1);
+        }
+        
+        return { fileInfo, hashInfo };
+    }
+
+    /**
+     * 按创建时间插入已排序列表（二分查找，相同时间插在末尾）
+     */
+    _insertByCreateTime(fileInfo) {
+        const time = fileInfo.createTime.getTime();
+        let low = 0;
+        let high = this.filesByCreateTime.length;
         
-        if (duplicateList.length === 2) {
-            // 第一次发现重复
-            this.stats.duplicateCount += 2;
-        } else if (duplicateList.length > 2) {
-            // 后续重复
-            this.stats.duplicateCount++;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (this.filesByCreateTime[mid].createTime.getTime() <= time) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
         }
+        
+        this.filesByCreateTime.splice(low, 0, fileInfo);
     }
 
-    _addFileInfo(relativePath, stats, statTime) {
+    /**
+     * links: { linkTarget, inode }；inode 缺省时按 stats 计算（断点恢复时使用记录中的值）
+     */
+    _addFileInfo(relativePath, stats, statTime, links = {}) {
+        const createTime = resolveCreateTime(stats, this.timeSource);
         const fileInfo = {
             path: relativePath,
             size: stats.size,
-            createTime: stats.birthtime,
+            createTime: createTime.time,
+            createTimeSource: createTime.source, // birthtime / mtime / ctime
             modifyTime: stats.mtime,
             accessTime: stats.atime,
-            statDuration: statTime
+            statDuration: statTime,
+            linkTarget: links.linkTarget || null, // 经符号链接到达时为链接目标
+            linkCount: stats.nlink || 1, // 硬链接数
+            inode: links.inode !== undefined ? links.inode : this._getInodeKey(stats), // 'dev:ino'，需要识别同一文件时才记录
+            hardlinkOf: null // 同一文件已有其他路径时为最先记录的路径
         };
         
+        // 同一路径再次加入时先完整移除旧记录，文件数、totalSize 与硬链接计数不会重复计算
+        this._removeFileInfo(relativePath);
+        
         this.fileMap.set(relativePath, fileInfo);
+        this.fileIndex.add(fileInfo);
+        this.nameIndex.add(fileInfo);
         this.totalFiles++;
-        this.totalSize += stats.size;
+        this._trackInode(fileInfo);
+    }
+
+    /**
+     * 需要识别同一文件时的 inode 键：硬链接（nlink > 1），跟随符号链接时为全部文件
+     */
+    _getInodeKey(stats) {
+        const { detectHardlinks, followSymlinks } = this.options;
+        if (stats.ino === undefined || stats.ino === null) return null;
+        
+        if (followSymlinks || (detectHardlinks && stats.nlink > 1)) {
+            return `${stats.dev}:${stats.ino}`;
+        }
+        return null;
+    }
+
+    /**
+     * 计入 totalSize：同一文件的多个路径只计一次，之后的路径记为硬链接
+     */
+    _trackInode(fileInfo) {
+        const paths = fileInfo.inode ? this.inodes.get(fileInfo.inode) : null;
+        if (!paths) {
+            if (fileInfo.inode) this.inodes.set(fileInfo.inode, [fileInfo.path]);
+            this.totalSize += fileInfo.size;
+            return;
+        }
+        
+        paths.push(fileInfo.path);
+        fileInfo.hardlinkOf = paths[0];
+        this.stats.hardlinks++;
+        this.stats.hardlinkBytes += fileInfo.size;
+    }
+
+    /**
+     * _trackInode 的逆操作；移除的是最先记录的路径时，剩余路径中的第一个成为新的主路径
+     */
+    _untrackInode(fileInfo) {
+        const paths = fileInfo.inode ? this.inodes.get(fileInfo.inode) : null;
+        const index = paths ? paths.indexOf(fileInfo.path) : -1;
+        if (index === -1) {
+            this.totalSize -= fileInfo.size;
+            return;
+        }
+        
+        paths.splice(index, 1);
+        if (paths.length === 0) {
+            this.inodes.delete(fileInfo.inode);
+            this.totalSize -= fileInfo.size;
+            return;
+        }
+        
+        this.stats.hardlinks--;
+        this.stats.hardlinkBytes -= fileInfo.size;
+        paths.forEach((file, i) => {
+            const linked = this.fileMap.get(file);
+            if (linked) linked.hardlinkOf = i === 0 ? null : paths[0];
+        });
+    }
+
+    /**
+     * 异步迭代形式的扫描：for await (const file of scanner.scan(root))
+     * 未被消费的记录超过 highWaterMark 时暂停派发新的目录和文件批次，降到一半以下再恢复
+     * 迭代结束后的返回值为 scanDirectory 的结果；提前 break 会取消扫描
+     */
+    async *scan(rootDir, { highWaterMark = 1000, signal } = {}) {
+        const controller = new AbortController();
+        const forwardAbort = () => controller.abort(signal.reason);
+        if (signal) {
+            if (signal.aborted) forwardAbort();
+            signal.addEventListener('abort', forwardAbort, { once: true });
+        }
+        
+        const buffer = [];
+        let finished = false;
+        let failure = null;
+        let results = null;
+        let wake = null;
+        
+        const notify = () => {
+            if (wake) {
+                wake();
+                wake = null;
+            }
+        };
+        const onFile = (fileInfo, hashInfo) => {
+            buffer.push({ ...fileInfo, hash: hashInfo ? hashInfo.hash : null });
+            if (buffer.length >= highWaterMark) {
+                this._setPaused('backpressure', true);
+            }
+            notify();
+        };
+        
+        this.on('file', onFile);
+        this.scanDirectory(rootDir, { signal: controller.signal })
+            .then(scanResults => {
+                results = scanResults;
+            }, error => {
+                failure = error;
+            })
+            .finally(() => {
+                finished = true;
+                notify();
+            });
+        
+        try {
+            while (true) {
+                if (buffer.length > 0) {
+                    const record = buffer.shift();
+                    if (buffer.length < highWaterMark / 2) {
+                        this._setPaused('backpressure', false);
+                    }
+                    yield record;
+                } else if (finished) {
+                    break;
+                } else {
+                    await new Promise(resolve => {
+                        wake = resolve;
+                    });
+                }
+            }
+            
+            if (failure) throw failure;
+            return results;
+        } finally {
+            this.off('file', onFile);
+            if (signal) {
+                signal.removeEventListener('abort', forwardAbort);
+            }
+            // 提前结束迭代时取消后台扫描
+            if (!finished) {
+                controller.abort();
+            }
+            this._setPaused('backpressure', false);
+        }
     }
 
     /**
      * 按创建时间排序文件（统计时间）
      */
     _sortFilesByCreateTime() {
-        const filesArray = Array.from(this.fileMap.values());
+        let filesArray = Array.from(this.fileMap.values());
         
         if (this.options.sortAlgorithm === 'quick') {
-            this._quickSortByTime(filesArray);
+            filesArray = this._quickSortByTime(filesArray);
         } else {
             filesArray.sort((a, b) => {
                 return a.createTime.getTime() - b.createTime.getTime();
@@ -362,6 +1442,7 @@ class FastDirectoryScanner {
     _getScanResults() {
         const scanDuration = this.scanEndTime - this.scanStartTime;
         const pureScanTime = scanDuration - this.sortTime;
+        const filesHashed = this.stats.filesWithHash - this.stats.cacheReused - this.stats.checkpointRestored; // 实际计算过哈希的文件
         
         return {
             totalFiles: this.totalFiles,
@@ -379,8 +1460,11 @@ class FastDirectoryScanner {
             hashTimeMs: this.hashTime,
             averageStatTime: this.totalFiles > 0 ? `${(this.statTime / this.totalFiles).toFixed(2)}ms` : '0ms',
             averageSortTimePerFile: this.totalFiles > 0 ? `${(this.sortTime / this.totalFiles).toFixed(4)}ms` : '0ms',
-            averageHashTime: this.stats.filesWithHash > 0 ? `${(this.hashTime / this.stats.filesWithHash).toFixed(2)}ms` : '0ms',
-            stats: { ...this.stats }
+            averageHashTime: filesHashed > 0 ? `${(this.hashTime / filesHashed).toFixed(2)}ms` : '0ms',
+            stages: this._getStageResults(),
+            adaptiveConcurrency: this.adaptive ? this.adaptive.getReport() : null,
+            stats: { ...this.stats, skipped: { ...this.stats.skipped } },
+            errors: this.scanErrors.slice()
         };
     }
 
@@ -413,19 +1497,51 @@ class FastDirectoryScanner {
         });
     }
 
+    /**
+     * 过滤规则跳过计数
+     */
+    _createSkippedStats() {
+        return {
+            excludePaths: 0,
+            exclude: 0,
+            include: 0,
+            extensions: 0,
+            ignoreFile: 0,
+            symlink: 0, // 未开启 followSymlinks 时跳过的符号链接
+            brokenSymlink: 0, // 目标不存在或链接自身成环
+            visitedDirectory: 0, // 已入队过的目录（符号链接循环，或多个链接指向同一目录）
+            mountPoint: 0 // oneFileSystem 时跳过的其他文件系统
+        };
+    }
+
     /**
      * 重置统计信息
      */
     _resetStats() {
         this.fileMap.clear();
+        this.fileIndex.clear();
+        this.nameIndex.clear();
         this.filesByCreateTime = [];
         this.hashMap.clear();
         this.duplicateFiles.clear();
+        this.verifiedDuplicates = null;
+        this.inodes.clear();
+        this.visitedDirectories.clear();
+        this.rootDevice = null;
+        this.hashPending.clear();
+        this.stageStats = this._createStageStats();
+        this.maxDirectoryQueueDepth = 0;
+        this.statLimiter.resetStats();
+        this.hashReadLimiter.resetStats();
+        this.probeLimiter.resetStats();
         this.totalFiles = 0;
         this.totalSize = 0;
         this.statTime = 0;
         this.sortTime = 0;
         this.hashTime = 0;
+        this.scanErrors = [];
+        this.fatalError = null;
+        this.retryPolicy.reset();
         this.stats = {
             directoriesScanned: 0,
             filesScanned: 0,
@@ -433,7 +1549,22 @@ class FastDirectoryScanner {
             maxConcurrent: 0,
             filesWithHash: 0,
             duplicateCount: 0,
-            hashErrors: 0
+            hashErrors: 0,
+            cacheReused: 0,
+            cacheRehashed: 0,
+            cacheNewFiles: 0,
+            confirmedDuplicateCount: 0,
+            hashCollisions: 0,
+            verifyTime: 0,
+            verifyBytesRead: 0,
+            skipped: this._createSkippedStats(),
+            checkpointRestored: 0,
+            probedFiles: 0,
+            probeErrors: 0,
+            errorCount: 0,
+            retries: 0,
+            hardlinks: 0,
+            hardlinkBytes: 0
         };
     }
 
@@ -443,50 +1574,93 @@ class FastDirectoryScanner {
     _printResults() {
         const results = this._getScanResults();
         
-        console.log('\n' + '='.repeat(80));
-        console.log('📊📊 高性能扫描结果（包含哈希计算统计）');
-        console.log('='.repeat(80));
-        
-        console.log(`📁📁 扫描目录: ${process.cwd()}`);
-        console.log(`📄📄 文件总数: ${results.totalFiles}`);
-        console.log(`💾💾 总大小: ${results.formattedTotalSize}`);
-        console.log(`⏱⏱⏱️  总耗时: ${results.scanDuration} (含排序)`);
-        console.log(`🔍🔍 纯扫描耗时: ${results.pureScanTime} (不含排序)`);
-        console.log(`📈📈 文件信息获取耗时: ${results.statTotalTime}`);
-        console.log(`🔄🔄 排序耗时: ${results.sortTime}`);
-        console.log(`🔢🔢 哈希计算耗时: ${results.hashTime}`);
-        console.log(`📊📊 平均每个文件stat耗时: ${results.averageStatTime}`);
-        console.log(`📊📊 平均每个文件排序耗时: ${results.averageSortTimePerFile}`);
-        console.log(`🔢🔢 平均每个文件哈希计算耗时: ${results.averageHashTime}`);
-        console.log(`🔄🔄 最大并发数: ${results.stats.maxConcurrent}`);
-        console.log(`📁📁 扫描目录数: ${results.stats.directoriesScanned}`);
+        this.logger.info('\n' + '='.repeat(80));
+        this.logger.info('📊📊 高性能扫描结果（包含哈希计算统计）');
+        this.logger.info('='.repeat(80));
+        
+        this.logger.info(`📁📁 扫描目录: ${process.cwd()}`);
+        this.logger.info(`📄📄 文件总数: ${results.totalFiles}`);
+        this.logger.info(`💾💾 总大小: ${results.formattedTotalSize}`);
+        if (results.stats.hardlinks > 0) {
+            this.logger.info(`🔗🔗 硬链接: ${results.stats.hardlinks} 个路径 (${this._formatFileSize(results.stats.hardlinkBytes)}，未重复计入总大小)`);
+        }
+        this.logger.info(`⏱⏱⏱️  总耗时: ${results.scanDuration} (含排序)`);
+        this.logger.info(`🔍🔍 纯扫描耗时: ${results.pureScanTime} (不含排序)`);
+        this.logger.info(`📈📈 文件信息获取耗时: ${results.statTotalTime}`);
+        this.logger.info(`🔄🔄 排序耗时: ${results.sortTime}`);
+        this.logger.info(`🔢🔢 哈希计算耗时: ${results.hashTime}`);
+        this.logger.info(`📊📊 平均每个文件stat耗时: ${results.averageStatTime}`);
+        this.logger.info(`📊📊 平均每个文件排序耗时: ${results.averageSortTimePerFile}`);
+        this.logger.info(`🔢🔢 平均每个文件哈希计算耗时: ${results.averageHashTime}`);
+        this.logger.info(`🔄🔄 最大并发数: ${results.stats.maxConcurrent}`);
+        if (results.adaptiveConcurrency) {
+            const { concurrency, batchSize, bestConcurrency, bestBatchSize, history } = results.adaptiveConcurrency;
+            this.logger.info(`🎚🎚️  自适应并发: 当前 ${concurrency}/${batchSize}，最佳 ${bestConcurrency}/${bestBatchSize} (调整 ${history.length} 次)`);
+        }
+        this.logger.info(`📁📁 扫描目录数: ${results.stats.directoriesScanned}`);
+        
+        const stageLine = Object.entries(results.stages)
+            .filter(([, stage]) => stage.operations > 0)
+            .map(([name, stage]) => `${name} ${stage.averageMs}ms×${stage.operations} (并发 ${stage.concurrency}, 最大排队 ${stage.maxQueueDepth})`)
+            .join(' | ');
+        this.logger.info(`🧵🧵 各阶段平均耗时: ${stageLine}`);
+        
+        const skippedTotal = Object.values(results.stats.skipped).reduce((sum, count) => sum + count, 0);
+        if (skippedTotal > 0) {
+            const detail = Object.entries(results.stats.skipped)
+                .filter(([, count]) => count > 0)
+                .map(([rule, count]) => `${rule}: ${count}`)
+                .join(', ');
+            this.logger.info(`🚫🚫 过滤跳过条目数: ${skippedTotal} (${detail})`);
+        }
+        
+        if (this.stats.errorCount > 0 || this.stats.retries > 0) {
+            const byStage = {};
+            this.scanErrors.forEach(entry => {
+                byStage[entry.stage] = (byStage[entry.stage] || 0) + 1;
+            });
+            const detail = Object.entries(byStage).map(([stage, count]) => `${stage}: ${count}`).join(', ');
+            this.logger.info(`⚠⚠️  读取失败: ${this.stats.errorCount}${detail ? ` (${detail})` : ''}，临时性错误重试: ${this.stats.retries}`);
+        }
+        
+        if (this.options.probe) {
+            this.logger.info(`🎞🎞️  解析容器头的文件数: ${this.stats.probedFiles}，解析失败: ${this.stats.probeErrors}`);
+        }
         
         if (this.options.enableHash) {
-            console.log(`🔢🔢 计算哈希的文件数: ${this.stats.filesWithHash}`);
-            console.log(`🔍🔍 发现重复文件数: ${this.stats.duplicateCount}`);
-            console.log(`❌❌ 哈希计算错误数: ${this.stats.hashErrors}`);
+            this.logger.info(`🔢🔢 计算哈希的文件数: ${this.stats.filesWithHash}`);
+            this.logger.info(`🔍🔍 发现重复文件数: ${this.stats.duplicateCount}`);
+            this.logger.info(`❌❌ 哈希计算错误数: ${this.stats.hashErrors}`);
+            
+            if (this.verifiedDuplicates) {
+                this.logger.info(`✅✅ 全量比对确认重复: ${this.stats.confirmedDuplicateCount}，哈希碰撞: ${this.stats.hashCollisions} (耗时 ${this.stats.verifyTime}ms, 读取 ${this._formatFileSize(this.stats.verifyBytesRead)})`);
+            }
+            
+            if (this.scanCache) {
+                this.logger.info(`♻♻️  复用快照哈希: ${this.stats.cacheReused}，重新计算: ${this.stats.cacheRehashed}，新文件: ${this.stats.cacheNewFiles}`);
+            }
             
             // 显示哈希计算性能分析
             this._printHashPerformance(results);
             
-            // 显示重复文件信息
-            // this._printDuplicateFiles();
+            // 显示重复文件信息（debug 级别）
+            this._printDuplicateFiles();
         }
         
         if (this.filesByCreateTime.length > 0) {
-            console.log(`🏷🏷️  最早创建文件: ${this._formatTime(this.filesByCreateTime[0].createTime)}`);
-            console.log(`🏷🏷️  最晚创建文件: ${this._formatTime(this.filesByCreateTime[this.filesByCreateTime.length - 1].createTime)}`);
+            this.logger.info(`🏷🏷️  最早创建文件: ${this._formatTime(this.filesByCreateTime[0].createTime)}`);
+            this.logger.info(`🏷🏷️  最晚创建文件: ${this._formatTime(this.filesByCreateTime[this.filesByCreateTime.length - 1].createTime)}`);
             
             this._printSortingPerformance();
         }
         
-        console.log(`\n📋📋 前10个文件（按创建时间排序）:`);
-        console.log('-'.repeat(90));
-        console.log('创建时间 | 大小 | 文件路径');
-        console.log('-'.repeat(90));
+        this.logger.info(`\n📋📋 前10个文件（按创建时间排序）:`);
+        this.logger.info('-'.repeat(90));
+        this.logger.info('创建时间 | 大小 | 文件路径');
+        this.logger.info('-'.repeat(90));
         
         this.filesByCreateTime.slice(0, 10).forEach((file, index) => {
-            console.log(
+            this.logger.info(
                 `${this._formatTime(file.createTime)} | ` +
                 `${this._formatFileSize(file.size).padStart(8)} | ` +
                 `${file.path}`
@@ -504,45 +1678,46 @@ class FastDirectoryScanner {
         const sampledFiles = Array.from(this.hashMap.values()).filter(h => h.method === 'sampled').length;
         const fullFiles = Array.from(this.hashMap.values()).filter(h => h.method === 'full').length;
         
-        console.log(`\n⚡⚡ 哈希计算性能分析:`);
-        console.log(`  哈希计算耗时占比: ${hashPercentage}%`);
-        console.log(`  采样计算文件数: ${sampledFiles} (大于${this._formatFileSize(this.options.hashThreshold)})`);
-        console.log(`  完整计算文件数: ${fullFiles} (小于等于${this._formatFileSize(this.options.hashThreshold)})`);
-        console.log(`  哈希计算效率: ${(this.stats.filesWithHash / results.hashTimeMs * 1000).toFixed(0)} 文件/秒`);
+        this.logger.info(`\n⚡⚡ 哈希计算性能分析:`);
+        this.logger.info(`  哈希计算耗时占比: ${hashPercentage}%`);
+        this.logger.info(`  采样计算文件数: ${sampledFiles} (大于等于${this._formatFileSize(this.options.hashThreshold)})`);
+        this.logger.info(`  完整计算文件数: ${fullFiles} (小于${this._formatFileSize(this.options.hashThreshold)})`);
+        this.logger.info(`  哈希计算效率: ${(this.stats.filesWithHash / results.hashTimeMs * 1000).toFixed(0)} 文件/秒`);
         
         if (results.hashTimeMs > results.statTimeMs) {
-            console.log(`  💡💡 提示: 哈希计算耗时较长，考虑调整采样策略或阈值`);
+            this.logger.info(`  💡💡 提示: 哈希计算耗时较长，考虑调整采样策略或阈值`);
         } else {
-            console.log(`  ✅ 哈希计算性能良好`);
+            this.logger.info(`  ✅ 哈希计算性能良好`);
         }
     }
 
     /**
-     * 新增：打印重复文件信息
+     * 新增：打印重复文件信息（debug 级别，完整列表见 HTML / JSON 报告）
      */
     _printDuplicateFiles() {
         let duplicateGroups = 0;
         
-        this.duplicateFiles.forEach((files, hash) => {
+        this.duplicateFiles.forEach((allFiles, hash) => {
+            const files = this._getDistinctPaths(allFiles);
             if (files.length > 1) {
                 duplicateGroups++;
                 
                 if (duplicateGroups <= 5) { // 只显示前5组重复文件
-                    console.log(`\n🔍🔍 重复文件组 ${duplicateGroups} (哈希: ${hash.substring(0, 16)}...):`);
+                    this.logger.debug(`\n🔍🔍 重复文件组 ${duplicateGroups} (哈希: ${hash.substring(0, 32)}...):`);
                     files.forEach((file, index) => {
                         const fileInfo = this.fileMap.get(file);
-                        console.log(`  ${index + 1}. ${this._formatFileSize(fileInfo.size)} - ${file}`);
+                        this.logger.debug(`  ${index + 1}. ${this._formatFileSize(fileInfo.size)} - ${file}`);
                     });
                 }
             }
         });
         
         if (duplicateGroups > 5) {
-            console.log(`  ... 还有 ${duplicateGroups - 5} 组重复文件未显示`);
+            this.logger.debug(`  ... 还有 ${duplicateGroups - 5} 组重复文件未显示`);
         }
         
         if (duplicateGroups === 0) {
-            console.log(`\n✅✅ 未发现重复文件`);
+            this.logger.debug(`\n✅✅ 未发现重复文件`);
         }
     }
 
@@ -553,24 +1728,22 @@ class FastDirectoryScanner {
         const results = this._getScanResults();
         const sortPercentage = (results.sortTimeMs / results.scanDurationMs * 100).toFixed(2);
         
-        console.log(`\n⚡⚡ 排序性能分析:`);
-        console.log(`  排序耗时占比: ${sortPercentage}%`);
-        console.log(`  排序算法: ${this.options.sortAlgorithm === 'quick' ? '快速排序' : '内置排序'}`);
-        console.log(`  排序效率: ${(results.totalFiles / results.sortTimeMs * 1000).toFixed(0)} 文件/秒`);
+        this.logger.info(`\n⚡⚡ 排序性能分析:`);
+        this.logger.info(`  排序耗时占比: ${sortPercentage}%`);
+        this.logger.info(`  排序算法: ${this.options.sortAlgorithm === 'quick' ? '快速排序' : '内置排序'}`);
+        this.logger.info(`  排序效率: ${(results.totalFiles / results.sortTimeMs * 1000).toFixed(0)} 文件/秒`);
         
         if (results.sortTimeMs > 100) {
-            console.log(`  💡💡 提示: 排序耗时较长，考虑使用更高效的算法或减少排序数据量`);
+            this.logger.info(`  💡💡 提示: 排序耗时较长，考虑使用更高效的算法或减少排序数据量`);
         } else {
-            console.log(`  ✅ 排序性能良好`);
+            this.logger.info(`  ✅ 排序性能良好`);
         }
     }
 
     /**
-     * 打印时间分布统计
+     * 按创建时间统计的文件分布：[{ period, count, percentage }]，只包含数量大于 0 的时间段
      */
-    _printTimeDistribution() {
-        if (this.filesByCreateTime.length === 0) return;
-        
+    _getTimeDistribution() {
         const timeGroups = {
             '今天': 0,
             '昨天': 0,
@@ -609,35 +1782,116 @@ class FastDirectoryScanner {
             }
         });
         
-        console.log('\n📅📅 文件创建时间分布:');
-        Object.entries(timeGroups).forEach(([period, count]) => {
-            if (count > 0) {
-                const percentage = ((count / this.totalFiles) * 100).toFixed(1);
-                console.log(`  ${period}: ${count} 个文件 (${percentage}%)`);
-            }
-        });
+        return Object.entries(timeGroups)
+            .filter(([, count]) => count > 0)
+            .map(([period, count]) => ({
+                period,
+                count,
+                percentage: Number(((count / this.totalFiles) * 100).toFixed(1))
+            }));
     }
 
     /**
-     * 获取特定时间范围的文件
+     * 打印时间分布统计
      */
-    getFilesByTimeRange(startTime, endTime) {
-        const start = new Date(startTime).getTime();
-        const end = new Date(endTime).getTime();
+    _printTimeDistribution() {
+        if (this.filesByCreateTime.length === 0) return;
         
-        return this.filesByCreateTime.filter(file => {
-            const fileTime = file.createTime.getTime();
-            return fileTime >= start && fileTime <= end;
+        this.logger.info('\n📅📅 文件创建时间分布:');
+        this._getTimeDistribution().forEach(({ period, count, percentage }) => {
+            this.logger.info(`  ${period}: ${count} 个文件 (${percentage.toFixed(1)}%)`);
         });
     }
 
+    /**
+     * 结构化扫描报告，供 reporters.js 中的报告输出使用
+     * files 为按创建时间排序的文件记录的迭代器（大库时逐条写出，不一次性生成）
+     */
+    getReport({ largestCount = 10 } = {}) {
+        return {
+            generatedAt: new Date().toISOString(),
+            rootDir: this.rootDir,
+            summary: this._getScanResults(),
+            timeDistribution: this._getTimeDistribution(),
+            largestFiles: this.getLargestFiles(largestCount).map(file => this._toReportRecord(file)),
+            duplicates: this.getAllDuplicateFiles(),
+            files: () => this._iterateReportRecords()
+        };
+    }
+
+    /**
+     * 写出报告：format 为内置格式名（json / ndjson / csv / html）或自定义 reporter
+     */
+    async exportReport(format, outputFile, options = {}) {
+        return writeReport(this.getReport(options), format, outputFile);
+    }
+
+    *_iterateReportRecords() {
+        for (const fileInfo of this.filesByCreateTime) {
+            yield this._toReportRecord(fileInfo);
+        }
+    }
+
+    _toReportRecord(fileInfo) {
+        const hashInfo = this.hashMap.get(fileInfo.path) || null;
+        return {
+            path: fileInfo.path,
+            size: fileInfo.size,
+            createTime: fileInfo.createTime.toISOString(),
+            createTimeSource: fileInfo.createTimeSource,
+            firstSeen: fileInfo.firstSeen ? fileInfo.firstSeen.toISOString() : null,
+            modifyTime: fileInfo.modifyTime.toISOString(),
+            hash: hashInfo ? hashInfo.hash : null,
+            hashMethod: hashInfo ? hashInfo.method : null,
+            linkTarget: fileInfo.linkTarget,
+            hardlinkOf: fileInfo.hardlinkOf,
+            ...this._getMediaFields(fileInfo)
+        };
+    }
+
+    /**
+     * 查询扫描结果：任意字段排序、Top-N、偏移 / 游标分页、大小与时间范围过滤
+     * 例：scanner.query({ sortBy: 'createTime', order: 'desc', limit: 100 })
+     *     scanner.query({ sortBy: [{ key: 'size', order: 'desc' }, 'name'], filter: { size: { min: 1024 } }, cursor })
+     * 返回 { items, total, offset, nextCursor }
+     */
+    query(options = {}) {
+        return this.fileIndex.query(options);
+    }
+
+    /**
+     * 文件名搜索（"文件名搜索"列表）：模糊匹配、全拼与拼音首字母
+     * 例：scanner.searchFiles('zgr')、scanner.searchFiles('旅行 2023', { limit: 50 })
+     * 返回 { items: [{ path, file, score }], total }
+     */
+    searchFiles(query, options = {}) {
+        return this.nameIndex.search(query, options);
+    }
+
+    /**
+     * 获取最新创建的文件（"最新"列表）
+     * 启用 firstSeenFile 时按首次发现时间排序，移动、复制过的文件保持原来的位置
+     */
+    getLatestFiles(count = 100) {
+        const sortBy = this.firstSeen ? 'firstSeen' : 'createTime';
+        return this.query({ sortBy, order: 'desc', limit: count }).items;
+    }
+
+    /**
+     * 获取特定时间范围的文件（按创建时间升序）
+     */
+    getFilesByTimeRange(startTime, endTime) {
+        return this.query({
+            sortBy: 'createTime',
+            filter: { createTime: { min: startTime, max: endTime } }
+        }).items;
+    }
+
     /**
      * 获取最大的文件
      */
     getLargestFiles(count = 10) {
-        return Array.from(this.fileMap.values())
-            .sort((a, b) => b.size - a.size)
-            .slice(0, count)
+        return this.query({ sortBy: 'size', order: 'desc', limit: count }).items
             .map(file => ({
                 ...file,
                 formattedSize: this._formatFileSize(file.size)
@@ -658,13 +1912,16 @@ class FastDirectoryScanner {
         const duplicates = [];
         
         this.duplicateFiles.forEach((files, hash) => {
-            if (files.length > 1) {
+            // 硬链接不占额外空间，每个文件只列出一个路径，其余路径见 hardlinks
+            const distinct = this._getDistinctPaths(files);
+            if (distinct.length > 1) {
                 duplicates.push({
                     hash: hash,
-                    files: files.map(file => ({
+                    files: distinct.map(file => ({
                         path: file,
                         size: this.fileMap.get(file).size,
-                        formattedSize: this._formatFileSize(this.fileMap.get(file).size)
+                        formattedSize: this._formatFileSize(this.fileMap.get(file).size),
+                        hardlinks: this._getHardlinkPaths(file)
                     }))
                 });
             }
@@ -673,12 +1930,143 @@ class FastDirectoryScanner {
         return duplicates;
     }
 
+    /**
+     * 硬链接分组：指向同一文件的多个路径（不计入重复文件，totalSize 只计一次）
+     * 返回 [{ inode, size, formattedSize, paths }]，paths[0] 为最先记录的路径
+     */
+    getHardlinkGroups() {
+        const groups = [];
+        
+        this.inodes.forEach((paths, inode) => {
+            if (paths.length < 2) return;
+            
+            const size = this.fileMap.get(paths[0]).size;
+            groups.push({ inode, size, formattedSize: this._formatFileSize(size), paths: paths.slice() });
+        });
+        
+        return groups;
+    }
+
+    /**
+     * 对采样哈希相同的候选组做二次确认：先按精确大小分组，再逐块比对内容
+     * 结果按组拆分为确认相同的文件集合与哈希碰撞（误判）文件
+     */
+    async verifyDuplicates() {
+        const verifyStart = Date.now();
+        const groups = [];
+        
+        this.stats.confirmedDuplicateCount = 0;
+        this.stats.hashCollisions = 0;
+        this.stats.verifyBytesRead = 0;
+        
+        for (const [hash, allFiles] of this.duplicateFiles) {
+            const files = this._getDistinctPaths(allFiles);
+            if (files.length < 2) continue;
+            
+            const candidates = files.map(file => ({
+                path: file,
+                fullPath: path.join(this.rootDir, file),
+                size: this.fileMap.get(file).size
+            }));
+            
+            try {
+                const { confirmed, falsePositives, bytesRead } = await verifyDuplicateGroup(candidates, {
+                    chunkSize: this.options.verifyChunkSize,
+                    maxOpenFiles: this.options.verifyMaxOpenFiles,
+                    fileSystem: this.fileSystem
+                });
+                
+                groups.push({ hash, confirmed, falsePositives });
+                this.stats.verifyBytesRead += bytesRead;
+                this.stats.hashCollisions += falsePositives.length;
+                confirmed.forEach(members => {
+                    this.stats.confirmedDuplicateCount += members.length;
+                });
+            } catch (error) {
+                this.logger.warn(`重复文件比对失败: ${hash}`, error.message);
+            }
+        }
+        
+        this.verifiedDuplicates = groups;
+        this.stats.verifyTime = Date.now() - verifyStart;
+        
+        return groups;
+    }
+
+    /**
+     * 获取全量比对后的重复文件分组（未执行比对时为 null）
+     */
+    getVerifiedDuplicates() {
+        return this.verifiedDuplicates;
+    }
+
     /**
      * 新增：根据哈希值查找文件
      */
     getFilesByHash(hash) {
         return this.duplicateFiles.get(hash) || [];
     }
+
+    /**
+     * 把一个文件加入各个索引（增量更新用：监听模式、撤销删除等），已在索引中时先移除旧记录
+     * hashInfo: 内容未变时沿用的哈希信息；未提供且启用哈希时重新计算
+     * media: 带容器头字段的对象（如移除前的文件记录），只取其中的媒体字段；未提供且启用 probe 时重新解析
+     * 返回新的文件记录
+     */
+    async indexFile(relativePath, stats, { hashInfo = null, media = null } = {}) {
+        this._addFileInfo(relativePath, stats, 0);
+        const fileInfo = this.fileMap.get(relativePath);
+        this._insertByCreateTime(fileInfo);
+        
+        const fullPath = path.join(this.rootDir, relativePath);
+        if (media) {
+            Object.assign(fileInfo, this._getMediaFields(media));
+        } else if (this.options.probe) {
+            await this._probeFile(fullPath, relativePath);
+        }
+        
+        if (hashInfo) {
+            this.hashMap.set(relativePath, hashInfo);
+            this._checkDuplicateFiles(relativePath, hashInfo.hash);
+            this._applyFirstSeen(relativePath, hashInfo.hash);
+        } else if (this.options.enableHash) {
+            await this._calculateFileHash(fullPath, relativePath, stats.size);
+        }
+        return fileInfo;
+    }
+
+    /**
+     * 从各个索引中移除一个文件，返回 { fileInfo, hashInfo }；不在索引中时返回 null
+     */
+    removeFile(relativePath) {
+        return this._removeFileInfo(relativePath);
+    }
+
+    /**
+     * 在扫描完成后监听根目录，增量维护各索引；返回的监听器会发出
+     * added / removed / changed / renamed / error 事件，使用完毕调用 close()
+     */
+    async watch(options = {}) {
+        if (!this.rootDir) {
+            throw new Error('请先调用 scanDirectory 再开始监听');
+        }
+        if (typeof this.fileSystem.watch !== 'function') {
+            const error = new Error('当前文件系统不支持监听（只读快照、压缩包等）');
+            error.code = 'ENOTSUP';
+            throw error;
+        }
+        
+        const watcher = new ScanWatcher(this, options);
+        await watcher.start();
+        return watcher;
+    }
+
+    /**
+     * 与 files.json 记录比对，返回变更集（移动 / 删除 / 新增 / 哈希重复）
+     */
+    reconcile(records) {
+        return reconcile(this, records);
+    }
 }
 
 // 使用示例
@@ -687,8 +2075,14 @@ async function testHighPerformance() {
         maxConcurrency: 100,
         batchSize: 50,
         enableHash: true, // 启用哈希计算
+        hashStrategy: 'fnv1a64-sampled', // 哈希策略（md5-sampled / sha256-full / 自定义函数）
         hashThreshold: 10 * 1024, // 10KB阈值
         hashSampleSize: 2 * 1024, // 2KB采样大小
+        // hashWorkers: 4, // 哈希计算线程数，默认按 CPU 数
+        // probe: true, // 解析视频时长、分辨率、编码与旋转
+        // excludePaths: ['D:/Videos/_pending_delete', 'D:/Videos/_processed'], // 跳过待删除/已处理目录
+        // extensions: ['mp4', 'mkv', 'webm', 'avi', 'mov'], // 只索引视频文件
+        // cacheFile: './data/scan-cache.json', // 启用增量扫描快照
         // sortAlgorithm: 'quick'  // 可以启用快速排序测试
     });
     
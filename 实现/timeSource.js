@@ -0,0 +1,94 @@
+/**
+ * 文件创建时间的取值策略
+ *
+ * birthtime 并不总是可靠：
+ * - Linux 上不支持 birthtime 的文件系统、部分网络共享返回 0（1970-01-01），或直接返回 ctime
+ * - 复制文件夹后 birthtime 变成复制的时间
+ * 因此按候选顺序取第一个“可信”的时间，或在可信的候选中取最早的一个
+ */
+
+const TIME_SOURCES = ['birthtime', 'mtime', 'ctime'];
+
+const DEFAULT_TIME_SOURCE = ['birthtime', 'mtime', 'ctime'];
+
+const MIN_VALID_TIME = Date.UTC(1980, 0, 1); // 早于 FAT 纪元的时间视为缺失
+const FUTURE_TOLERANCE = 24 * 60 * 60 * 1000; // 晚于当前时间一天以上视为无效
+
+/**
+ * 规范化策略：候选顺序数组（如 ['birthtime', 'mtime', 'ctime']）、单个来源名，或 'earliest'
+ */
+function normalizeTimeSource(policy = DEFAULT_TIME_SOURCE) {
+    if (policy === 'earliest') {
+        return { earliest: true, order: TIME_SOURCES };
+    }
+
+    const order = Array.isArray(policy) ? policy : [policy];
+    const unknown = order.filter(source => !TIME_SOURCES.includes(source));
+    if (order.length === 0 || unknown.length > 0) {
+        throw new Error(`无效的创建时间来源: ${unknown.join(', ') || '（空）'}（可用: ${TIME_SOURCES.join(', ')}, earliest）`);
+    }
+    return { earliest: false, order };
+}
+
+function getTimeMs(stats, source) {
+    const ms = stats[`${source}Ms`];
+    if (typeof ms === 'number') return ms;
+
+    const date = stats[source];
+    return date instanceof Date ? date.getTime() : NaN;
+}
+
+/**
+ * 某个来源的时间是否不可信
+ * birthtime 等于 ctime 且晚于 mtime：文件系统不支持 birthtime、返回的其实是 ctime（修改属性的时间）
+ */
+function isBogusTime(stats, source, now = Date.now()) {
+    const ms = getTimeMs(stats, source);
+    if (!Number.isFinite(ms) || ms < MIN_VALID_TIME || ms > now + FUTURE_TOLERANCE) {
+        return true;
+    }
+
+    if (source === 'birthtime') {
+        const ctimeMs = getTimeMs(stats, 'ctime');
+        const mtimeMs = getTimeMs(stats, 'mtime');
+        if (ms === ctimeMs && Number.isFinite(mtimeMs) && mtimeMs < ctimeMs) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * 按策略取创建时间，返回 { time, source }
+ * 全部候选都不可信时退回 mtime（仍不可用时为 1970-01-01）
+ */
+function resolveCreateTime(stats, policy, now = Date.now()) {
+    const { earliest, order } = policy;
+    let result = null;
+
+    for (const source of order) {
+        if (isBogusTime(stats, source, now)) continue;
+
+        const ms = getTimeMs(stats, source);
+        if (!earliest) {
+            return { time: new Date(ms), source };
+        }
+        if (!result || ms < result.time.getTime()) {
+            result = { time: new Date(ms), source };
+        }
+    }
+
+    if (result) return result;
+
+    const mtimeMs = getTimeMs(stats, 'mtime');
+    return { time: new Date(Number.isFinite(mtimeMs) ? mtimeMs : 0), source: 'mtime' };
+}
+
+module.exports = {
+    TIME_SOURCES,
+    DEFAULT_TIME_SOURCE,
+    MIN_VALID_TIME,
+    normalizeTimeSource,
+    isBogusTime,
+    resolveCreateTime
+};
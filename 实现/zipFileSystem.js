@@ -0,0 +1,399 @@
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { localFileSystem, createFsError, createDirent, createStats, createHandleStream } = require('./fileSystems');
+
+const inflateRaw = promisify(zlib.inflateRaw);
+
+const SIGNATURE = {
+    endOfCentralDirectory: 0x06054b50,
+    zip64Locator: 0x07064b50,
+    zip64EndOfCentralDirectory: 0x06064b50,
+    centralDirectory: 0x02014b50,
+    localFile: 0x04034b50
+};
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+const MAX_COMMENT_LENGTH = 0xffff;
+const UINT32_MAX = 0xffffffff;
+
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+const gbkDecoder = new TextDecoder('gbk');
+
+/**
+ * 文件名：设置了 UTF-8 标志或能按 UTF-8 解码时用 UTF-8，否则按 GBK（Windows 自带压缩生成的中文文件名）
+ */
+function decodeName(buffer, utf8Flag) {
+    if (utf8Flag) return buffer.toString('utf8');
+    try {
+        return utf8Decoder.decode(buffer);
+    } catch (error) {
+        return gbkDecoder.decode(buffer);
+    }
+}
+
+/**
+ * MS-DOS 日期时间（本地时间）
+ */
+function dosTimeToMs(time, date) {
+    return new Date(
+        ((date >> 9) & 0x7f) + 1980,
+        ((date >> 5) & 0x0f) - 1,
+        date & 0x1f,
+        time >> 11,
+        (time >> 5) & 0x3f,
+        (time & 0x1f) * 2
+    ).getTime();
+}
+
+/**
+ * 解析中央目录的扩展字段：ZIP64 大小 / 偏移（0x0001）与 Unix 时间戳（0x5455）
+ */
+function parseExtraFields(extra, entry) {
+    for (let offset = 0; offset + 4 <= extra.length;) {
+        const id = extra.readUInt16LE(offset);
+        const size = extra.readUInt16LE(offset + 2);
+        const body = extra.subarray(offset + 4, offset + 4 + size);
+        offset += 4 + size;
+
+        if (id === 0x0001) {
+            let position = 0;
+            for (const field of ['size', 'compressedSize', 'localHeaderOffset']) {
+                if (entry[field] !== UINT32_MAX || position + 8 > body.length) continue;
+                entry[field] = Number(body.readBigUInt64LE(position));
+                position += 8;
+            }
+        } else if (id === 0x5455 && body.length >= 5 && (body[0] & 1)) {
+            entry.mtimeMs = body.readUInt32LE(1) * 1000;
+        }
+    }
+}
+
+/**
+ * zip 压缩包（只读）
+ * 默认挂载在压缩包自身的路径下，可以直接扫描压缩包：
+ *
+ *   const zip = new ZipFileSystem('D:/Archive/2019.zip');
+ *   await new FastDirectoryScanner({ fileSystem: zip, enableHash: true }).scanDirectory('D:/Archive/2019.zip');
+ *   await zip.close();
+ *
+ * 支持存储（不压缩）与 deflate 条目、ZIP64；加密条目和其他压缩方法读取时抛出 ENOTSUP。
+ * 存储条目直接按偏移读取压缩包；deflate 条目需要整体解压（缓存最近 cacheSize 个），
+ * 超过 maxInflateSize 的 deflate 条目不解压，读取时抛出 EFBIG。
+ */
+class ZipFileSystem {
+    constructor(zipPath, options = {}) {
+        this.options = {
+            root: zipPath, // 挂载点
+            fileSystem: localFileSystem, // 读取压缩包本身的文件系统
+            cacheSize: 4, // 缓存的已解压条目数
+            maxInflateSize: 256 * 1024 * 1024,
+            ...options
+        };
+
+        this.local = false;
+        this.readOnly = true;
+        this.zipPath = zipPath;
+        this.root = path.resolve(this.options.root);
+        this.archive = null;
+        this.loading = null;
+        this.entries = new Map(); // posix 相对路径 -> 条目
+        this.children = new Map(); // posix 相对目录 -> Set<名称>
+        this.inflated = new Map(); // 条目 -> Promise<Buffer>（按使用顺序）
+    }
+
+    async readdir(dirPath) {
+        const entry = await this._getEntry(dirPath, 'scandir');
+        if (entry.type !== 'directory') {
+            throw createFsError('ENOTDIR', 'scandir', dirPath, 'not a directory');
+        }
+
+        const prefix = entry.path ? `${entry.path}/` : '';
+        return Array.from(this.children.get(entry.path), name => createDirent(name, this.entries.get(prefix + name).type));
+    }
+
+    async stat(filePath) {
+        return this._toStats(await this._getEntry(filePath, 'stat'));
+    }
+
+    async open(filePath) {
+        const entry = await this._getEntry(filePath, 'open');
+        if (entry.type !== 'file') {
+            throw createFsError('EISDIR', 'open', filePath, 'illegal operation on a directory');
+        }
+
+        return {
+            read: async (buffer, offset, length, position) => {
+                const bytesRead = Math.max(0, Math.min(entry.size, position + length) - position);
+                if (bytesRead === 0) return { bytesRead, buffer };
+
+                if (entry.method === METHOD_STORED && !entry.encrypted) {
+                    const dataOffset = await this._getDataOffset(entry);
+                    return this.archive.read(buffer, offset, bytesRead, dataOffset + position);
+                }
+
+                const data = await this._inflate(entry, filePath);
+                data.copy(buffer, offset, position, position + bytesRead);
+                return { bytesRead, buffer };
+            },
+            stat: async () => this._toStats(entry),
+            close: async () => {}
+        };
+    }
+
+    async readFile(filePath, encoding) {
+        const entry = await this._getEntry(filePath, 'open');
+        if (entry.type !== 'file') {
+            throw createFsError('EISDIR', 'read', filePath, 'illegal operation on a directory');
+        }
+
+        const fileHandle = await this.open(filePath);
+        const buffer = Buffer.alloc(entry.size);
+        let total = 0;
+        while (total < entry.size) {
+            const { bytesRead } = await fileHandle.read(buffer, total, entry.size - total, total);
+            if (bytesRead === 0) break;
+            total += bytesRead;
+        }
+        return encoding ? buffer.toString(encoding, 0, total) : buffer.subarray(0, total);
+    }
+
+    createReadStream(filePath) {
+        return createHandleStream(this, filePath);
+    }
+
+    /**
+     * 关闭压缩包（之后再次访问会重新打开）
+     */
+    async close() {
+        const loading = this.loading;
+        this.loading = null;
+        this.inflated.clear();
+        if (!loading) return;
+
+        await loading.catch(() => {});
+        if (this.archive) {
+            await this.archive.close();
+            this.archive = null;
+        }
+    }
+
+    // ------------------------------------------------------------------
+
+    _load() {
+        if (!this.loading) {
+            this.loading = this._readCentralDirectory().catch(error => {
+                this.loading = null;
+                throw error;
+            });
+        }
+        return this.loading;
+    }
+
+    async _readCentralDirectory() {
+        const archive = await this.options.fileSystem.open(this.zipPath);
+        try {
+            const archiveStats = await archive.stat();
+            const { entryCount, directoryOffset, directorySize } = await this._readEnd(archive, archiveStats.size);
+
+            const directory = await this._readAt(archive, directoryOffset, directorySize);
+            this.entries.clear();
+            this.children.clear();
+            this._addDirectory('', archiveStats.mtimeMs);
+
+            let offset = 0;
+            for (let i = 0; i < entryCount; i++) {
+                if (directory.readUInt32LE(offset) !== SIGNATURE.centralDirectory) {
+                    throw this._corrupt('中央目录条目签名错误');
+                }
+
+                const flags = directory.readUInt16LE(offset + 8);
+                const nameLength = directory.readUInt16LE(offset + 28);
+                const extraLength = directory.readUInt16LE(offset + 30);
+                const commentLength = directory.readUInt16LE(offset + 32);
+                const nameStart = offset + 46;
+                const entry = {
+                    index: i,
+                    method: directory.readUInt16LE(offset + 10),
+                    encrypted: (flags & 1) !== 0,
+                    mtimeMs: dosTimeToMs(directory.readUInt16LE(offset + 12), directory.readUInt16LE(offset + 14)),
+                    compressedSize: directory.readUInt32LE(offset + 20),
+                    size: directory.readUInt32LE(offset + 24),
+                    localHeaderOffset: directory.readUInt32LE(offset + 42),
+                    dataOffset: null
+                };
+                parseExtraFields(directory.subarray(nameStart + nameLength, nameStart + nameLength + extraLength), entry);
+
+                const name = decodeName(directory.subarray(nameStart, nameStart + nameLength), (flags & 0x800) !== 0);
+                this._addEntry(name, entry);
+                offset = nameStart + nameLength + extraLength + commentLength;
+            }
+
+            this.archive = archive;
+        } catch (error) {
+            await archive.close();
+            throw error;
+        }
+    }
+
+    /**
+     * 读取中央目录结束记录（必要时读取 ZIP64 结束记录）
+     */
+    async _readEnd(archive, archiveSize) {
+        const tailLength = Math.min(archiveSize, 22 + MAX_COMMENT_LENGTH);
+        const tailStart = archiveSize - tailLength;
+        const tail = await this._readAt(archive, tailStart, tailLength);
+
+        let end = -1;
+        for (let i = tail.length - 22; i >= 0; i--) {
+            if (tail.readUInt32LE(i) === SIGNATURE.endOfCentralDirectory) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) {
+            throw this._corrupt('找不到中央目录结束记录');
+        }
+
+        let entryCount = tail.readUInt16LE(end + 10);
+        let directorySize = tail.readUInt32LE(end + 12);
+        let directoryOffset = tail.readUInt32LE(end + 16);
+
+        const locator = end - 20;
+        if (locator >= 0 && tail.readUInt32LE(locator) === SIGNATURE.zip64Locator) {
+            const zip64End = await this._readAt(archive, Number(tail.readBigUInt64LE(locator + 8)), 56);
+            if (zip64End.readUInt32LE(0) !== SIGNATURE.zip64EndOfCentralDirectory) {
+                throw this._corrupt('ZIP64 结束记录签名错误');
+            }
+            entryCount = Number(zip64End.readBigUInt64LE(32));
+            directorySize = Number(zip64End.readBigUInt64LE(40));
+            directoryOffset = Number(zip64End.readBigUInt64LE(48));
+        }
+
+        return { entryCount, directoryOffset, directorySize };
+    }
+
+    async _readAt(archive, position, length) {
+        const buffer = Buffer.alloc(length);
+        let total = 0;
+        while (total < length) {
+            const { bytesRead } = await archive.read(buffer, total, length - total, position + total);
+            if (bytesRead === 0) break;
+            total += bytesRead;
+        }
+        if (total < length) {
+            throw this._corrupt('压缩包被截断');
+        }
+        return buffer;
+    }
+
+    _addEntry(name, entry) {
+        const parts = name.replace(/\\/g, '/').split('/').filter(part => part && part !== '.');
+        // 含 .. 的条目名会指向压缩包之外，忽略
+        if (parts.length === 0 || parts.includes('..')) return;
+
+        const isDirectory = name.endsWith('/');
+        for (let i = 1; i < parts.length; i++) {
+            this._addDirectory(parts.slice(0, i).join('/'), entry.mtimeMs);
+        }
+
+        const entryPath = parts.join('/');
+        if (isDirectory) {
+            this._addDirectory(entryPath, entry.mtimeMs).mtimeMs = entry.mtimeMs;
+            return;
+        }
+
+        this._link(entryPath);
+        this.entries.set(entryPath, { ...entry, path: entryPath, type: 'file' });
+    }
+
+    _addDirectory(dirPath, mtimeMs) {
+        if (!this.entries.has(dirPath)) {
+            this._link(dirPath);
+            this.entries.set(dirPath, { path: dirPath, type: 'directory', index: -1, size: 0, mtimeMs });
+            this.children.set(dirPath, new Set());
+        }
+        return this.entries.get(dirPath);
+    }
+
+    _link(entryPath) {
+        if (entryPath === '') return;
+
+        const parent = path.posix.dirname(entryPath);
+        this.children.get(parent === '.' ? '' : parent).add(path.posix.basename(entryPath));
+    }
+
+    async _getEntry(filePath, syscall) {
+        await this._load();
+
+        const relative = path.relative(this.root, path.resolve(filePath));
+        const entry = relative.startsWith('..') || path.isAbsolute(relative)
+            ? null
+            : this.entries.get(relative.split(path.sep).join('/'));
+
+        if (!entry) {
+            throw createFsError('ENOENT', syscall, filePath, 'no such file or directory');
+        }
+        return entry;
+    }
+
+    /**
+     * 条目数据的起始偏移：本地文件头之后（本地头的扩展字段长度可能与中央目录不同）
+     */
+    async _getDataOffset(entry) {
+        if (entry.dataOffset === null) {
+            const header = await this._readAt(this.archive, entry.localHeaderOffset, 30);
+            if (header.readUInt32LE(0) !== SIGNATURE.localFile) {
+                throw this._corrupt(`本地文件头签名错误: ${entry.path}`);
+            }
+            entry.dataOffset = entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+        }
+        return entry.dataOffset;
+    }
+
+    _inflate(entry, filePath) {
+        if (entry.encrypted || entry.method !== METHOD_DEFLATE) {
+            const reason = entry.encrypted ? '加密条目' : `压缩方法 ${entry.method}`;
+            return Promise.reject(createFsError('ENOTSUP', 'read', filePath, `不支持的${reason}`));
+        }
+        if (entry.size > this.options.maxInflateSize) {
+            return Promise.reject(createFsError('EFBIG', 'read', filePath, `deflate 条目超过 maxInflateSize`));
+        }
+
+        let task = this.inflated.get(entry);
+        if (task) {
+            // 移到最近使用的位置
+            this.inflated.delete(entry);
+        } else {
+            task = this._getDataOffset(entry)
+                .then(dataOffset => this._readAt(this.archive, dataOffset, entry.compressedSize))
+                .then(compressed => inflateRaw(compressed));
+            task.catch(() => this.inflated.delete(entry));
+        }
+
+        this.inflated.set(entry, task);
+        while (this.inflated.size > this.options.cacheSize) {
+            this.inflated.delete(this.inflated.keys().next().value);
+        }
+        return task;
+    }
+
+    _corrupt(message) {
+        const error = new Error(`无法解析 zip 压缩包 ${this.zipPath}: ${message}`);
+        error.code = 'EBADZIP';
+        return error;
+    }
+
+    _toStats(entry) {
+        return createStats(entry.type, {
+            size: entry.size,
+            ino: entry.index + 2,
+            mtimeMs: entry.mtimeMs
+        });
+    }
+}
+
+module.exports = {
+    ZipFileSystem
+};